@@ -260,13 +260,14 @@ class SmartReviewInitializer {
           {
             id: 'project-documentation-updater',
             enabled: true,
-            priority: 'low'
+            priority: 'low',
+            dependsOn: ['security-error-xss-analyzer']
           }
         ],
         performance: {
           maxConcurrency: 4,
           cacheEnabled: true,
-          cacheTTL: 900000
+          cacheTTL: 604800000
         },
         security: {
           preventPathTraversal: true,
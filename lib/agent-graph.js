@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * agent-graph.js
+ * エージェント間の依存関係（dependsOn）
+ *
+ * .smart-review.json の agents[].dependsOn に上流エージェントのIDを指定すると、
+ * 上流エージェントの実行後に実行され、上流で検出された問題をコンテキストとして受け取る。
+ * 依存関係の無いエージェントはすぐに実行を開始する。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+/**
+ * エージェント依存関係グラフクラス
+ */
+class AgentGraph {
+  /**
+   * dependsOn の設定を検証
+   * @param {Array<Object>} agents - 設定ファイルの agents
+   * @throws {Error} 不正な指定・未定義のエージェント・循環がある場合
+   */
+  static validate(agents) {
+    const ids = new Set(agents.map(agent => agent.id));
+
+    agents.forEach((agent, index) => {
+      if (agent.dependsOn === undefined) {
+        return;
+      }
+      if (!Array.isArray(agent.dependsOn) || agent.dependsOn.some(id => typeof id !== 'string' || id === '')) {
+        throw new Error(`設定エラー: agents[${index}].dependsOnはエージェントIDの配列である必要があります`);
+      }
+      const unknown = agent.dependsOn.filter(id => !ids.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`設定エラー: agents[${index}].dependsOnに未定義のエージェントがあります: ${unknown.join(', ')}`);
+      }
+      if (agent.dependsOn.includes(agent.id)) {
+        throw new Error(`設定エラー: agents[${index}].dependsOnに自身を指定することはできません`);
+      }
+    });
+
+    const cycle = AgentGraph.findCycle(agents);
+    if (cycle) {
+      throw new Error(`設定エラー: dependsOnが循環しています: ${cycle.join(' → ')}`);
+    }
+  }
+
+  /**
+   * 今回実行するエージェント間の依存関係
+   * 実行対象に含まれない上流エージェントは無視する
+   * @param {Array<Object>} agents - 実行するエージェント
+   * @returns {Map<string, Array<string>>} エージェントID → 上流エージェントID
+   */
+  static dependencies(agents) {
+    const ids = new Set(agents.map(agent => agent.id));
+    return new Map(agents.map(agent => [
+      agent.id,
+      [...new Set(Array.isArray(agent.dependsOn) ? agent.dependsOn : [])].filter(id => ids.has(id) && id !== agent.id)
+    ]));
+  }
+
+  /**
+   * 依存関係の循環を検出
+   * @param {Array<Object>} agents - エージェント
+   * @returns {Array<string>|null} 循環するエージェントID（先頭と末尾は同じ）。無い場合 null
+   */
+  static findCycle(agents) {
+    const dependencies = AgentGraph.dependencies(agents);
+    // 0: 未訪問、1: 探索中、2: 探索済み
+    const states = new Map();
+    const stack = [];
+
+    const visit = id => {
+      states.set(id, 1);
+      stack.push(id);
+      for (const upstream of dependencies.get(id)) {
+        if (states.get(upstream) === 1) {
+          return [...stack.slice(stack.indexOf(upstream)), upstream];
+        }
+        if (!states.has(upstream)) {
+          const cycle = visit(upstream);
+          if (cycle) {
+            return cycle;
+          }
+        }
+      }
+      stack.pop();
+      states.set(id, 2);
+      return null;
+    };
+
+    for (const id of dependencies.keys()) {
+      if (!states.has(id)) {
+        const cycle = visit(id);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+// エクスポート
+module.exports = {
+  AgentGraph
+};
+
+// 最終更新: 2026年10月19日 03:45 JST
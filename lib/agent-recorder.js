@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * agent-recorder.js
+ * エージェント出力の記録と再生
+ *
+ * SMART_REVIEW_RECORD=dir: エージェントの呼び出しごとに実行方式とその実際のリクエスト（CLIの引数・HTTPの本文・
+ *   フィクスチャのファイル・ツールのコマンド）・入力ファイルのハッシュ・出力を dir に保存する
+ * SMART_REVIEW_REPLAY=dir: 保存した出力を返す（エージェントのCLI・HTTPエンドポイントは呼び出さない）
+ * 記録はリクエストの内容（エージェント・モード・対象ファイルの内容のハッシュ・変更範囲・上流の問題など）から
+ * 作るキーで照合するため、同じ入力に対してだけ再生される。不具合報告の再現やCLIを使わないテストに使う。
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { ResultCache } = require('./result-cache');
+
+const RECORDING_SCHEMA = 'smart-review/agent-recording';
+const RECORDING_SCHEMA_VERSION = '1.1';
+// 記録ファイル名に使うエージェントID
+const AGENT_ID_PATTERN = /^[\w][\w.-]{0,127}$/;
+
+/**
+ * エージェント出力の記録・再生クラス
+ */
+class AgentRecorder {
+  /**
+   * @param {Object} options - { mode: 'record'|'replay', dir: 記録のディレクトリ }
+   */
+  constructor(options) {
+    this.mode = options.mode;
+    this.dir = path.resolve(options.dir);
+  }
+
+  /**
+   * 環境変数から作成
+   * @param {Object} env - 環境変数
+   * @returns {AgentRecorder|null} SMART_REVIEW_RECORD / SMART_REVIEW_REPLAY が無い場合 null
+   */
+  static fromEnv(env = process.env) {
+    if (env.SMART_REVIEW_RECORD && env.SMART_REVIEW_REPLAY) {
+      throw new Error('設定エラー: SMART_REVIEW_RECORDとSMART_REVIEW_REPLAYは同時に指定できません');
+    }
+    if (env.SMART_REVIEW_RECORD) {
+      return new AgentRecorder({ mode: 'record', dir: env.SMART_REVIEW_RECORD });
+    }
+    if (env.SMART_REVIEW_REPLAY) {
+      return new AgentRecorder({ mode: 'replay', dir: env.SMART_REVIEW_REPLAY });
+    }
+    return null;
+  }
+
+  /**
+   * ランタイムアダプターを記録・再生するアダプターで包む
+   * @param {Object} runtime - ランタイムアダプター（AgentRuntime.create() の戻り値）
+   * @returns {Object} run(request, { signal }) を持つアダプター
+   */
+  wrap(runtime) {
+    return {
+      type: runtime.type,
+      run: (request, options = {}) => this.mode === 'replay'
+        ? this.replay(request)
+        : this.record(runtime, request, options)
+    };
+  }
+
+  /**
+   * 入力ファイルのハッシュ
+   * @param {Array<string>} files - 対象ファイル
+   * @returns {Promise<Array<Object>>} { file, hash }（読めないファイルは null）
+   */
+  static async hashFiles(files) {
+    return Promise.all(files.map(async file => ({ file, hash: await ResultCache.hashFile(file) })));
+  }
+
+  /**
+   * リクエストのキー（実行ごとに変わるタイムアウト・一時ファイルは含めない）
+   * 対象はカレントディレクトリからの相対パスにし、別の場所に展開したリポジトリでも再生できるようにする
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {Array<Object>} inputs - hashFiles() の値
+   * @returns {string} キー（64桁の16進）
+   */
+  static createKey(request, inputs) {
+    return ResultCache.hash(JSON.stringify({
+      agentId: request.agentId,
+      mode: request.mode,
+      model: request.model,
+      target: path.relative(process.cwd(), path.resolve(request.target)) || '.',
+      inputs: inputs.map(input => [input.file, input.hash]),
+      changedLines: request.changedLines || [],
+      iteration: request.iteration,
+      contextDocument: request.contextDocument || null,
+      issuesDocument: request.issuesDocument || null
+    }));
+  }
+
+  /**
+   * 記録ファイルのパス
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {string} key - createKey() の値
+   * @returns {string} <dir>/<agentId>.<review|fix>.<キーの先頭16桁>.json
+   */
+  fileFor(request, key) {
+    if (!AGENT_ID_PATTERN.test(request.agentId)) {
+      throw new Error(`記録に使えないエージェントIDです: ${request.agentId}`);
+    }
+    return path.join(this.dir, `${request.agentId}.${request.mode}.${key.slice(0, 16)}.json`);
+  }
+
+  /**
+   * エージェントを実行し、出力を記録する（失敗した実行は記録しない）
+   * @param {Object} runtime - ランタイムアダプター
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { stdout }
+   */
+  async record(runtime, request, options) {
+    const inputs = await AgentRecorder.hashFiles(request.files);
+    const result = await runtime.run(request, options);
+    const key = AgentRecorder.createKey(request, inputs);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.fileFor(request, key), JSON.stringify({
+      schema: RECORDING_SCHEMA,
+      version: RECORDING_SCHEMA_VERSION,
+      key,
+      agentId: request.agentId,
+      mode: request.mode,
+      runtime: runtime.type,
+      // 実行方式ごとの実際のリクエスト（AgentRuntime の各アダプターの describe()）
+      request: typeof runtime.describe === 'function' ? runtime.describe(request) : null,
+      inputs,
+      stdout: result.stdout
+    }, null, 2) + '\n', 'utf8');
+    return result;
+  }
+
+  /**
+   * 記録した出力を返す
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Promise<Object>} { stdout }
+   * @throws {Error} 同じ入力の記録が無い場合
+   */
+  async replay(request) {
+    const inputs = await AgentRecorder.hashFiles(request.files);
+    const file = this.fileFor(request, AgentRecorder.createKey(request, inputs));
+    let recording;
+    try {
+      recording = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`記録された出力がありません: ${path.basename(file)}（入力ファイル・設定が記録時と異なる可能性があります）`);
+    }
+    if (recording.schema !== RECORDING_SCHEMA || typeof recording.stdout !== 'string') {
+      throw new Error(`記録の形式が不正です: ${path.basename(file)}`);
+    }
+    return { stdout: recording.stdout };
+  }
+}
+
+// エクスポート
+module.exports = {
+  AgentRecorder,
+  RECORDING_SCHEMA,
+  RECORDING_SCHEMA_VERSION
+};
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+/**
+ * agent-runtime.js
+ * エージェントの実行方式（ランタイムアダプター）
+ *
+ * .smart-review.json の agents[].runtime で指定する:
+ *   claude:  Claude Code CLI（既定）。claude-code / claude の `agent run ... --sandbox-mode`
+ *   cli:     同じ引数を受け付ける別のCLI（command、先頭に追加する args）。
+ *            リポジトリの設定だけで任意のコマンドを実行させないよう、command は利用者が環境変数
+ *            SMART_REVIEW_ALLOWED_COMMANDS（カンマ区切り）で許可したものに限る。
+ *            インタプリタ（node・sh など）は SMART_REVIEW_ALLOW_INTERPRETERS=1 の場合のみ許可する
+ *   http:    ローカルのHTTPエンドポイント（url）にリクエストをJSONでPOSTし、応答本文を出力とする
+ *   fixture: 記録済みの出力（dir/<agentId>.<review|fix>.out）を返す（オフラインのテスト用）
+ *   tool:    ローカルの静的解析ツール（tool: eslint / npm-audit）。出力はイシュープロトコルに変換する
+ * どのアダプターも run(request, { signal }) で { stdout } を返し、出力の解析は呼び出し側が行う。
+ * describe(request) は実際に送る内容（引数・HTTPの本文・読み込むファイル・ツールのコマンド）を返す（記録用）。
+ * コマンドの実行は注入された関数に委ねる（SecurityUtils.executeCommand 経由を想定）。
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const { ToolAnalyzers } = require('./tool-analyzers');
+
+const RUNTIME_TYPES = ['claude', 'cli', 'http', 'fixture', 'tool'];
+const AGENT_REQUEST_SCHEMA = 'smart-review/agent-request';
+const AGENT_REQUEST_SCHEMA_VERSION = '1.0';
+
+// cli の command はPATH上のコマンド名のみ（パス区切りや先頭の '-' を禁止）
+const COMMAND_PATTERN = /^[\w][\w.-]{0,63}$/;
+// fixture のファイル名に使うエージェントID
+const FIXTURE_ID_PATTERN = /^[\w][\w.-]{0,127}$/;
+// 任意のコードを実行できるコマンド（cli の command には SMART_REVIEW_ALLOW_INTERPRETERS=1 の場合のみ許可）
+const INTERPRETER_COMMANDS = new Set([
+  'sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'pwsh', 'powershell', 'cmd', 'env', 'xargs', 'busybox',
+  'node', 'nodejs', 'deno', 'bun', 'npx', 'npm', 'pnpm', 'yarn',
+  'python', 'python2', 'python3', 'perl', 'ruby', 'php', 'lua', 'osascript'
+]);
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+const MAX_RESPONSE_SIZE = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Claude Code CLI 互換のコマンドで実行するアダプター
+ */
+class CliRuntime {
+  /**
+   * @param {Object} options - オプション
+   * @param {Function} options.executeCommand - (command, args, { timeout, signal, allowedCommands }) => Promise<{ stdout }>
+   * @param {Function} options.resolveCommand - () => Promise<string> 実行するコマンド名
+   * @param {Array<string>} options.args - 標準の引数の前に追加する引数
+   * @param {Array<string>} options.allowedCommands - 実行を許可するコマンド（省略時は executeCommand の既定）
+   */
+  constructor(options) {
+    this.type = options.type || 'cli';
+    this.executeCommand = options.executeCommand;
+    this.resolveCommand = options.resolveCommand;
+    this.args = options.args || [];
+    this.allowedCommands = options.allowedCommands;
+    // 最後に実行したコマンド名（describe() で記録する）
+    this.command = null;
+  }
+
+  /**
+   * `agent run` の引数を構築
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {Object} tempFiles - { contextFile, issuesFile }
+   * @returns {Array<string>} 引数
+   */
+  static buildArgs(request, tempFiles = {}) {
+    const args = [
+      'agent',
+      'run',
+      request.agentId,
+      '--model', request.model,
+      '--target', request.target,
+      '--sandbox-mode' // サンドボックスモードの指定
+    ];
+
+    if (request.mode === 'fix') {
+      args.push('--fix-mode', '--files', request.files.join(','), '--issues-file', tempFiles.issuesFile, '--iteration', String(request.iteration));
+      return args;
+    }
+
+    if (request.files.length > 0) {
+      args.push('--files', request.files.join(','));
+    }
+    // 行単位の変更範囲（差分ハンク）
+    (request.changedLines || []).forEach(ranges => args.push('--changed-lines', ranges));
+    if (request.iteration > 1) {
+      args.push('--iteration', String(request.iteration));
+    }
+    // リソース制限
+    args.push('--max-memory', String(request.maxMemory));
+    args.push('--timeout', String(request.timeout));
+    if (tempFiles.contextFile) {
+      args.push('--context-file', tempFiles.contextFile);
+    }
+    return args;
+  }
+
+  /**
+   * 実行したコマンドと引数（一時ファイルは実行ごとに変わるため固定の文字列に置き換える）
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Object} { command: run() 前は null, argv }
+   */
+  describe(request) {
+    return {
+      command: this.command,
+      argv: [...this.args, ...CliRuntime.buildArgs(request, {
+        contextFile: request.contextDocument ? '<context-file>' : undefined,
+        issuesFile: request.issuesDocument ? '<issues-file>' : undefined
+      })]
+    };
+  }
+
+  /**
+   * エージェントを実行
+   * 上流エージェントの問題・修正対象の問題はイシュープロトコル形式の一時ファイルで渡す
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { stdout }
+   */
+  async run(request, options = {}) {
+    const document = request.mode === 'fix' ? request.issuesDocument : request.contextDocument;
+    const tempDir = document
+      ? await fs.mkdtemp(path.join(os.tmpdir(), request.mode === 'fix' ? 'smart-review-issues-' : 'smart-review-context-'))
+      : null;
+
+    try {
+      const tempFiles = {};
+      if (tempDir && request.mode === 'fix') {
+        tempFiles.issuesFile = path.join(tempDir, 'issues.json');
+        await fs.writeFile(tempFiles.issuesFile, document, 'utf8');
+      } else if (tempDir) {
+        tempFiles.contextFile = path.join(tempDir, 'upstream-issues.json');
+        await fs.writeFile(tempFiles.contextFile, document, 'utf8');
+      }
+
+      const command = await this.resolveCommand();
+      this.command = command;
+      const result = await this.executeCommand(command, [...this.args, ...CliRuntime.buildArgs(request, tempFiles)], {
+        timeout: request.timeout,
+        signal: options.signal,
+        allowedCommands: this.allowedCommands
+      });
+      return { stdout: result.stdout };
+    } finally {
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+/**
+ * ローカルのHTTPエンドポイントで実行するアダプター
+ */
+class HttpRuntime {
+  /**
+   * @param {Object} options - { url }
+   */
+  constructor(options) {
+    this.type = 'http';
+    this.url = new URL(options.url);
+  }
+
+  /**
+   * エンドポイントに送るJSON
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Object} smart-review/agent-request v1.0
+   */
+  static createPayload(request) {
+    return {
+      schema: AGENT_REQUEST_SCHEMA,
+      version: AGENT_REQUEST_SCHEMA_VERSION,
+      mode: request.mode,
+      agent: { id: request.agentId, model: request.model },
+      target: request.target,
+      files: request.files,
+      changedLines: request.changedLines || [],
+      iteration: request.iteration,
+      upstreamIssues: request.contextDocument ? JSON.parse(request.contextDocument).issues : [],
+      issues: request.issuesDocument ? JSON.parse(request.issuesDocument).issues : []
+    };
+  }
+
+  /**
+   * 送信するリクエスト
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Object} { method, url, body: createPayload() の値 }
+   */
+  describe(request) {
+    return { method: 'POST', url: this.url.href, body: HttpRuntime.createPayload(request) };
+  }
+
+  /**
+   * エージェントを実行
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { stdout: 応答本文 }
+   */
+  run(request, options = {}) {
+    const body = JSON.stringify(HttpRuntime.createPayload(request));
+    const client = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: request.timeout,
+        signal: options.signal
+      }, res => {
+        const chunks = [];
+        let size = 0;
+        res.on('data', chunk => {
+          size += chunk.length;
+          if (size > MAX_RESPONSE_SIZE) {
+            req.destroy(new Error('HTTPエージェントの応答が大きすぎます'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            // 5xx は再試行の対象（RetryPolicy.isRetryable）
+            const error = new Error(`HTTPエージェントがエラーを返しました (${res.statusCode})`);
+            error.statusCode = res.statusCode;
+            reject(error);
+            return;
+          }
+          resolve({ stdout: Buffer.concat(chunks).toString('utf8') });
+        });
+        res.on('error', reject);
+      });
+      req.on('timeout', () => {
+        const error = new Error('HTTPエージェントの応答がタイムアウトしました');
+        error.code = 'ETIMEDOUT';
+        req.destroy(error);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * 記録済みの出力を返すアダプター（決定的・オフライン）
+ */
+class FixtureRuntime {
+  /**
+   * @param {Object} options - { dir: 出力ファイルのディレクトリ（カレントディレクトリからの相対） }
+   */
+  constructor(options) {
+    this.type = 'fixture';
+    this.dir = path.resolve(options.dir);
+  }
+
+  /**
+   * リクエストに対応する出力ファイル
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {string} <dir>/<agentId>.<review|fix>.out
+   */
+  fileFor(request) {
+    if (!FIXTURE_ID_PATTERN.test(request.agentId)) {
+      throw new Error(`フィクスチャに使えないエージェントIDです: ${request.agentId}`);
+    }
+    return path.join(this.dir, `${request.agentId}.${request.mode}.out`);
+  }
+
+  /**
+   * 読み込む出力ファイル
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Object} { file: カレントディレクトリからの相対パス }
+   */
+  describe(request) {
+    return { file: path.relative(process.cwd(), this.fileFor(request)) };
+  }
+
+  /**
+   * 記録済みの出力を返す
+   * レビューの出力が無い場合はエラー、修正の出力が無い場合は修正なし（空の出力）
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Promise<Object>} { stdout }
+   */
+  async run(request) {
+    const file = this.fileFor(request);
+    try {
+      return { stdout: await fs.readFile(file, 'utf8') };
+    } catch (error) {
+      if (error.code === 'ENOENT' && request.mode === 'fix') {
+        return { stdout: '' };
+      }
+      throw new Error(`フィクスチャを読み込めません: ${path.relative(process.cwd(), file)}`);
+    }
+  }
+}
+
+/**
+ * ローカルの静的解析ツールで実行するアダプター（ツールエージェント）
+ */
+class ToolRuntime {
+  /**
+   * @param {Object} options - { tool: ツール名, args: ツールの引数の末尾に追加する引数, executeCommand }
+   */
+  constructor(options) {
+    this.type = 'tool';
+    this.tool = options.tool;
+    this.analyzer = ToolAnalyzers.get(options.tool);
+    this.args = options.args || [];
+    this.executeCommand = options.executeCommand;
+  }
+
+  /**
+   * 実行するコマンド（修正の依頼・対象になるファイルが無い場合は空）
+   * @param {Object} request - エージェントへのリクエスト
+   * @returns {Object} { tool, commands: [{ command, args, cwd }] }
+   */
+  describe(request) {
+    const targets = request.mode === 'fix' ? [] : this.analyzer.targets(request.files);
+    return {
+      tool: this.tool,
+      commands: targets.map(target => ({
+        command: this.analyzer.command,
+        args: this.analyzer.args(target, this.args),
+        cwd: target.cwd
+      }))
+    };
+  }
+
+  /**
+   * バッチの対象ファイルに解析ツールを実行し、問題をイシュープロトコル形式で返す
+   * 対象になるファイルが無い場合はツールを実行しない。修正の依頼には対応しない（空の出力）
+   * @param {Object} request - エージェントへのリクエスト
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { stdout: smart-review/issues のJSON }
+   */
+  async run(request, options = {}) {
+    if (request.mode === 'fix') {
+      return { stdout: '' };
+    }
+
+    const issues = [];
+    for (const target of this.analyzer.targets(request.files)) {
+      const result = await this.executeCommand(this.analyzer.command, this.analyzer.args(target, this.args), {
+        timeout: request.timeout,
+        signal: options.signal,
+        cwd: target.cwd,
+        // プロジェクトにインストールされたツールを優先する
+        env: { PATH: [path.resolve(target.cwd, 'node_modules', '.bin'), process.env.PATH].join(path.delimiter) },
+        allowedCommands: [this.analyzer.command],
+        allowedExitCodes: this.analyzer.exitCodes
+      });
+      issues.push(...this.analyzer.convert(result.stdout, target));
+    }
+    return { stdout: ToolAnalyzers.toDocument(issues) };
+  }
+}
+
+/**
+ * ランタイムアダプターの選択
+ */
+class AgentRuntime {
+  /**
+   * agents[].runtime の設定を検証
+   * @param {Object} runtime - 設定ファイルの agents[].runtime
+   * @param {number} index - agents 内の位置
+   * @param {Object} env - 環境変数（cli の command の許可）
+   * @returns {Array<string>} 検証エラー（空配列なら有効）
+   */
+  static validate(runtime, index, env = process.env) {
+    const prefix = `agents[${index}].runtime`;
+    if (runtime === undefined) {
+      return [];
+    }
+    if (!runtime || typeof runtime !== 'object' || !RUNTIME_TYPES.includes(runtime.type)) {
+      return [`${prefix}.typeは ${RUNTIME_TYPES.join(', ')} のいずれかである必要があります`];
+    }
+
+    const errors = runtime.type === 'cli' ? AgentRuntime.validateCommand(runtime, prefix, env) : [];
+    if (runtime.type === 'http' && !AgentRuntime.isLoopbackUrl(runtime.url)) {
+      errors.push(`${prefix}.urlはローカルホスト（localhost / 127.0.0.1 / ::1）のhttp(s) URLである必要があります`);
+    }
+    if (runtime.type === 'fixture' && (typeof runtime.dir !== 'string' || runtime.dir === '')) {
+      errors.push(`${prefix}.dirは出力ファイルのディレクトリである必要があります`);
+    }
+    if (runtime.type === 'tool') {
+      errors.push(...AgentRuntime.validateTool(runtime, prefix));
+    }
+    return errors;
+  }
+
+  /**
+   * cli の command・args を検証
+   * @param {Object} runtime - 設定ファイルの agents[].runtime
+   * @param {string} prefix - エラーメッセージの設定項目名
+   * @param {Object} env - 環境変数
+   * @returns {Array<string>} 検証エラー
+   */
+  static validateCommand(runtime, prefix, env) {
+    const errors = [];
+    if (typeof runtime.command !== 'string' || !COMMAND_PATTERN.test(runtime.command)) {
+      errors.push(`${prefix}.commandはPATH上のコマンド名である必要があります`);
+    } else if (INTERPRETER_COMMANDS.has(runtime.command) && env.SMART_REVIEW_ALLOW_INTERPRETERS !== '1') {
+      errors.push(`${prefix}.command（${runtime.command}）はインタプリタのため、SMART_REVIEW_ALLOW_INTERPRETERS=1 の場合のみ指定できます`);
+    } else if (!AgentRuntime.isCommandAllowed(runtime.command, env)) {
+      errors.push(`${prefix}.command（${runtime.command}）は環境変数SMART_REVIEW_ALLOWED_COMMANDSで許可されていません`);
+    }
+    if (!AgentRuntime.isArgs(runtime.args)) {
+      errors.push(`${prefix}.argsは文字列の配列である必要があります`);
+    }
+    return errors;
+  }
+
+  /**
+   * tool の tool・args を検証
+   * @param {Object} runtime - 設定ファイルの agents[].runtime
+   * @param {string} prefix - エラーメッセージの設定項目名
+   * @returns {Array<string>} 検証エラー
+   */
+  static validateTool(runtime, prefix) {
+    const errors = [];
+    if (!ToolAnalyzers.get(runtime.tool)) {
+      errors.push(`${prefix}.toolは ${ToolAnalyzers.names().join(', ')} のいずれかである必要があります`);
+    }
+    if (!AgentRuntime.isArgs(runtime.args)) {
+      errors.push(`${prefix}.argsは文字列の配列である必要があります`);
+    }
+    return errors;
+  }
+
+  /**
+   * cli の command を利用者が許可しているか（リポジトリの設定ファイルでは許可できない）
+   * @param {string} command - コマンド名
+   * @param {Object} env - 環境変数（SMART_REVIEW_ALLOWED_COMMANDS・SMART_REVIEW_ALLOW_INTERPRETERS）
+   * @returns {boolean}
+   */
+  static isCommandAllowed(command, env = process.env) {
+    const allowed = (env.SMART_REVIEW_ALLOWED_COMMANDS || '').split(',').map(name => name.trim());
+    return allowed.includes(command) &&
+      (!INTERPRETER_COMMANDS.has(command) || env.SMART_REVIEW_ALLOW_INTERPRETERS === '1');
+  }
+
+  /**
+   * 追加の引数として有効か（省略可）
+   * @param {*} args - 設定ファイルの args
+   * @returns {boolean}
+   */
+  static isArgs(args) {
+    return args === undefined || (Array.isArray(args) && args.every(arg => typeof arg === 'string'));
+  }
+
+  /**
+   * ローカルホストの http(s) URL か
+   * @param {string} value - URL
+   * @returns {boolean}
+   */
+  static isLoopbackUrl(value) {
+    if (typeof value !== 'string') {
+      return false;
+    }
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol) && LOOPBACK_HOSTS.has(url.hostname) && !url.username && !url.password;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * エージェントの設定からアダプターを作成
+   * @param {Object} agent - エージェント設定
+   * @param {Object} deps - { executeCommand, getClaudeCommand: () => Promise<string>, env: 環境変数（省略時は process.env） }
+   * @returns {CliRuntime|HttpRuntime|FixtureRuntime} アダプター
+   */
+  static create(agent, deps) {
+    const runtime = agent.runtime || { type: 'claude' };
+    switch (runtime.type) {
+      case 'cli':
+        return new CliRuntime({
+          type: 'cli',
+          executeCommand: deps.executeCommand,
+          resolveCommand: async () => {
+            // 設定の検証を経ずに作成された場合も、利用者が許可していないコマンドは実行しない
+            if (!AgentRuntime.isCommandAllowed(runtime.command, deps.env || process.env)) {
+              throw new Error(`許可されていないコマンド: ${runtime.command}（SMART_REVIEW_ALLOWED_COMMANDSで許可してください）`);
+            }
+            return runtime.command;
+          },
+          args: runtime.args,
+          allowedCommands: [runtime.command]
+        });
+      case 'http':
+        return new HttpRuntime({ url: runtime.url });
+      case 'fixture':
+        return new FixtureRuntime({ dir: runtime.dir });
+      case 'tool':
+        return new ToolRuntime({ tool: runtime.tool, args: runtime.args, executeCommand: deps.executeCommand });
+      default:
+        return new CliRuntime({
+          type: 'claude',
+          executeCommand: deps.executeCommand,
+          resolveCommand: deps.getClaudeCommand
+        });
+    }
+  }
+}
+
+// エクスポート
+module.exports = {
+  AgentRuntime,
+  CliRuntime,
+  HttpRuntime,
+  FixtureRuntime,
+  ToolRuntime,
+  RUNTIME_TYPES,
+  INTERPRETER_COMMANDS,
+  AGENT_REQUEST_SCHEMA,
+  AGENT_REQUEST_SCHEMA_VERSION
+};
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+/**
+ * auto-fix.js
+ * 自動修正パッチ（統一diff）の抽出・検証・適用
+ *
+ * canAutoFix エージェントが返した統一diffを1件ずつ
+ *   1. 対象パスの検証（レビュー対象ファイル以外・絶対パス・親ディレクトリ参照は拒否）
+ *   2. git apply --check による適用可否の検証
+ *   3. git apply による作業ツリーへの適用
+ * の順に処理する。先に適用したパッチを前提に次を検証するため、
+ * 同じ箇所を変更する競合パッチは後のものが拒否される。
+ * パッチ内のパスはカレントディレクトリからの相対パス（a/ b/ 接頭辞は任意）。
+ * 適用・保存するパッチは a/ b/ 接頭辞付き（git apply -p1）の形式に正規化する。
+ *
+ * ドライラン（checkOnly）では作業ツリーを変更せず、それまでに検証を通ったパッチと
+ * 連結した状態で git apply --check を行うため、連結したパッチ全体が一括で適用できる。
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { IssueProtocol } = require('./issue-protocol');
+const { DiffHunks } = require('./git-changes');
+
+const MAX_PATCH_LENGTH = 256 * 1024; // 256KB
+const MAX_PATCHES = 100;
+const MAX_PATH_LENGTH = 260;
+
+const PATCH_HEADER = '# smart-review fixes';
+
+const FENCED_DIFF_PATTERN = /```(?:diff|patch)[ \t]*\r?\n([\s\S]*?)```/g;
+const HEADER_PATTERN = /^(---|\+\+\+) (.+?)(?:\t.*)?$/;
+
+/**
+ * 統一diffユーティリティクラス
+ */
+class UnifiedDiff {
+  /**
+   * エージェント出力から統一diffを抽出
+   * 構造化イシュープロトコルの fix.diff、```diff フェンスブロック、生のdiffの順に探す
+   * @param {string} output - エージェント出力
+   * @returns {Array<Object>} [{ diff, issue: 問題（プロトコル形式の場合） }]
+   */
+  static extract(output) {
+    if (!output || typeof output !== 'string') {
+      return [];
+    }
+
+    const structured = IssueProtocol.parse(output);
+    if (structured && structured.issues.length > 0) {
+      return structured.issues
+        .filter(raw => raw.fix && typeof raw.fix.diff === 'string' && raw.fix.diff.trim())
+        .slice(0, MAX_PATCHES)
+        .map(raw => ({ diff: raw.fix.diff, issue: raw }));
+    }
+
+    const fenced = [...output.matchAll(FENCED_DIFF_PATTERN)].map(match => match[1]);
+    if (fenced.length > 0) {
+      return fenced.slice(0, MAX_PATCHES).map(diff => ({ diff, issue: null }));
+    }
+
+    const start = output.search(/^(?:diff --git |--- )/m);
+    if (start !== -1 && /^@@ /m.test(output)) {
+      return [{ diff: output.substring(start), issue: null }];
+    }
+
+    return [];
+  }
+
+  /**
+   * パッチが変更するファイルを取得
+   * @param {string} diff - 統一diff
+   * @returns {Object} { files: 相対パス（正規化済み）, strip: git apply の -p 値 }
+   * @throws {Error} diffとして解析できない場合
+   */
+  static parseFiles(diff) {
+    const headers = [];
+    for (const line of diff.split('\n')) {
+      const match = HEADER_PATTERN.exec(line.replace(/\r$/, ''));
+      if (match) {
+        headers.push({ side: match[1], path: match[2] });
+      }
+    }
+
+    const paths = headers.map(header => header.path).filter(p => p !== '/dev/null');
+    if (headers.length === 0 || paths.length === 0 || !/^@@ /m.test(diff)) {
+      throw new Error('統一diff形式ではありません');
+    }
+
+    // すべてのパスが a/ b/ 接頭辞付きなら -p1、それ以外は接頭辞なし（-p0）
+    const prefixed = headers.every(header =>
+      header.path === '/dev/null' || header.path.startsWith(header.side === '---' ? 'a/' : 'b/')
+    );
+    const strip = prefixed ? 1 : 0;
+    const files = [...new Set(paths.map(p => IssueProtocol.normalizeFile(prefixed ? p.substring(2) : p)))];
+
+    return { files, strip };
+  }
+
+  /**
+   * パッチを a/ b/ 接頭辞付きの形式に正規化
+   * @param {string} diff - 統一diff
+   * @param {number} strip - parseFiles() の strip
+   * @returns {string} 正規化されたdiff（末尾改行付き）
+   */
+  static normalize(diff, strip) {
+    let text = diff.replace(/\r\n/g, '\n');
+    if (!text.endsWith('\n')) {
+      text += '\n';
+    }
+    if (strip === 1) {
+      return text;
+    }
+
+    return text.split('\n').map(line => {
+      const match = HEADER_PATTERN.exec(line);
+      if (match && match[2] !== '/dev/null') {
+        return `${match[1]} ${match[1] === '---' ? 'a' : 'b'}/${IssueProtocol.normalizeFile(match[2])}`;
+      }
+      const git = /^diff --git (\S+) (\S+)$/.exec(line);
+      if (git) {
+        return `diff --git a/${IssueProtocol.normalizeFile(git[1])} b/${IssueProtocol.normalizeFile(git[2])}`;
+      }
+      return line;
+    }).join('\n');
+  }
+
+  /**
+   * 正規化済みのパッチを1つのパッチファイルの内容に連結
+   * 先頭のコメント行は git apply では無視される
+   * @param {Array<string>} diffs - normalize() 済みのdiff
+   * @param {Object} meta - 先頭に記載する情報（キー: 値）
+   * @returns {string} パッチファイルの内容
+   */
+  static join(diffs, meta = {}) {
+    const header = [PATCH_HEADER, ...Object.entries(meta).map(([key, value]) => `# ${key}: ${value}`)];
+    return `${header.join('\n')}\n\n${diffs.join('')}`;
+  }
+
+  /**
+   * パッチをハンク単位に分割（レポート表示・対話確認用）
+   * @param {string} diff - 正規化済みのdiff
+   * @returns {Array<Object>} [{ file, fileHeader: ['--- ...', '+++ ...'], header, lines: [{ type: 'add'|'del'|'context', text, noNewline }] }]
+   */
+  static splitHunks(diff) {
+    const hunks = [];
+    let file = null;
+    let fileHeader = [];
+    let current = null;
+    let oldLeft = 0;
+    let newLeft = 0;
+
+    for (const line of diff.split('\n')) {
+      // "\ No newline at end of file" は直前の行に付ける
+      if (current && line.startsWith('\\')) {
+        const last = current.lines[current.lines.length - 1];
+        if (last) last.noNewline = true;
+        continue;
+      }
+
+      // ハンク本体は @@ ヘッダーの行数だけ読む（"--- " で始まる削除行をヘッダーと誤認しない）
+      if (current && (oldLeft > 0 || newLeft > 0)) {
+        const type = line.startsWith('+') ? 'add' : line.startsWith('-') ? 'del' : 'context';
+        if (type !== 'add') oldLeft--;
+        if (type !== 'del') newLeft--;
+        current.lines.push({ type, text: line.substring(1) });
+        continue;
+      }
+
+      const header = HEADER_PATTERN.exec(line);
+      if (header) {
+        fileHeader = header[1] === '---' ? [line] : [...fileHeader, line];
+        if (header[2] !== '/dev/null') {
+          file = IssueProtocol.normalizeFile(header[2].replace(header[1] === '---' ? /^a\// : /^b\//, ''));
+        }
+        current = null;
+        continue;
+      }
+
+      const range = /^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/.exec(line);
+      if (range) {
+        oldLeft = range[1] === undefined ? 1 : parseInt(range[1], 10);
+        newLeft = range[2] === undefined ? 1 : parseInt(range[2], 10);
+        current = { file, fileHeader, header: line, lines: [] };
+        hunks.push(current);
+      }
+    }
+
+    return hunks;
+  }
+
+  /**
+   * splitHunks() のハンクからパッチを再構築（一部のハンクのみ適用する場合）
+   * ハンクヘッダーの行数は内容から数え直す
+   * @param {Array<Object>} hunks - splitHunks() のハンク（編集済みも可）
+   * @returns {string} 統一diff（ハンクが無い場合は空文字）
+   */
+  static fromHunks(hunks) {
+    const signs = { add: '+', del: '-', context: ' ' };
+    let text = '';
+    let previousHeader = null;
+
+    for (const hunk of hunks) {
+      const fileHeader = hunk.fileHeader.join('\n');
+      if (fileHeader !== previousHeader) {
+        text += `${fileHeader}\n`;
+        previousHeader = fileHeader;
+      }
+
+      const range = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/.exec(hunk.header);
+      const oldCount = hunk.lines.filter(line => line.type !== 'add').length;
+      const newCount = hunk.lines.filter(line => line.type !== 'del').length;
+      text += range
+        ? `@@ -${range[1]},${oldCount} +${range[2]},${newCount} @@${range[3]}\n`
+        : `${hunk.header}\n`;
+      hunk.lines.forEach(line => {
+        text += `${signs[line.type]}${line.text}\n`;
+        if (line.noNewline) {
+          text += '\\ No newline at end of file\n';
+        }
+      });
+    }
+
+    return text;
+  }
+
+  /**
+   * パッチ適用後のファイル側の変更範囲
+   * @param {string} diff - 統一diff
+   * @param {number} strip - parseFiles() の strip
+   * @returns {Map<string, Array<Object>>} ファイル → 行範囲
+   */
+  static hunks(diff, strip) {
+    const normalized = diff.split('\n').map(line => {
+      const match = HEADER_PATTERN.exec(line.replace(/\r$/, ''));
+      if (!match || match[1] !== '+++' || match[2] === '/dev/null') return line;
+      return `+++ ${IssueProtocol.normalizeFile(strip ? match[2].substring(2) : match[2])}`;
+    });
+    return DiffHunks.parse(normalized.join('\n'));
+  }
+}
+
+/**
+ * 自動修正の適用クラス
+ * Gitの実行は注入された関数に委ねる（SecurityUtils.executeCommand 経由を想定）
+ */
+class AutoFixer {
+  /**
+   * @param {Function} runGit - (args: string[]) => Promise<string> 失敗時は例外
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.allowedFiles - 変更を許可するファイル（レビュー対象、省略時はカレントディレクトリ配下のすべて）
+   * @param {string} options.directory - リポジトリルートからカレントディレクトリへの相対パス（git rev-parse --show-prefix）
+   */
+  constructor(runGit, options = {}) {
+    if (typeof runGit !== 'function') {
+      throw new Error('Git実行関数が必要です');
+    }
+    this.runGit = runGit;
+    this.allowedFiles = options.allowedFiles
+      ? new Set(options.allowedFiles.map(file => IssueProtocol.normalizeFile(file)))
+      : null;
+    this.directory = options.directory || '';
+  }
+
+  /**
+   * リポジトリルートからカレントディレクトリへの相対パスを取得
+   * git apply はリポジトリルート基準のため、サブディレクトリから実行した場合に --directory で補う
+   * @param {Function} runGit - Git実行関数
+   * @returns {Promise<string>} 相対パス（ルート、またはGitリポジトリ外では空文字）
+   */
+  static async detectDirectory(runGit) {
+    try {
+      return (await runGit(['rev-parse', '--show-prefix'])).trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * パッチの対象パスを検証
+   * @param {string} diff - 統一diff
+   * @returns {Object} parseFiles() の戻り値
+   * @throws {Error} 適用できないパッチの場合
+   */
+  validate(diff) {
+    if (typeof diff !== 'string' || diff.trim() === '') {
+      throw new Error('パッチが空です');
+    }
+    if (diff.length > MAX_PATCH_LENGTH) {
+      throw new Error(`パッチが大きすぎます: ${MAX_PATCH_LENGTH}バイト以内`);
+    }
+
+    const parsed = UnifiedDiff.parseFiles(diff);
+    for (const file of parsed.files) {
+      if (file.length >= MAX_PATH_LENGTH || path.isAbsolute(file) || file.split('/').includes('..')) {
+        throw new Error(`不正なパス: ${file.substring(0, 100)}`);
+      }
+      if (this.allowedFiles && !this.allowedFiles.has(file)) {
+        throw new Error(`レビュー対象外のファイルは変更できません: ${file}`);
+      }
+    }
+    return parsed;
+  }
+
+  /**
+   * git apply の引数（正規化済みのパッチ用）
+   * @param {string} patchFile - パッチファイル
+   * @param {boolean} checkOnly - --check のみ
+   * @returns {Array<string>} 引数
+   */
+  buildApplyArgs(patchFile, checkOnly) {
+    const args = ['apply', '-p1', '--whitespace=nowarn', '--recount'];
+    if (this.directory) {
+      args.push(`--directory=${this.directory}`);
+    }
+    if (checkOnly) {
+      args.push('--check');
+    }
+    args.push(patchFile);
+    return args;
+  }
+
+  /**
+   * 修正案を順に検証・適用
+   * @param {Array<Object>} proposals - [{ agentId, diff, issues: 修正対象の問題 }]
+   * @param {Object} options - オプション
+   * @param {boolean} options.checkOnly - 検証のみ（作業ツリーを変更しない）
+   * @returns {Promise<Object>} { records, touchedFiles, fixedIssues, hunks, patch: 適用・検証済みパッチの連結 }
+   */
+  async apply(proposals, options = {}) {
+    const records = [];
+    const touchedFiles = new Set();
+    const fixedIssues = new Set();
+    const hunks = new Map();
+    const seen = new Map();
+    const accepted = [];
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-fix-'));
+    try {
+      for (const [index, proposal] of proposals.slice(0, MAX_PATCHES).entries()) {
+        const record = {
+          agentId: proposal.agentId,
+          files: [],
+          issues: (proposal.issues || []).map(issue => IssueProtocol.fingerprint(issue)),
+          status: 'rejected',
+          reason: null,
+          diff: proposal.diff
+        };
+        records.push(record);
+
+        // 同一のパッチは再適用せず、先のパッチが通っていれば問題も修正済みとする
+        const original = seen.get(proposal.diff);
+        if (original) {
+          record.status = 'duplicate';
+          record.files = original.files;
+          if (original.status === 'applied' || original.status === 'valid') {
+            (proposal.issues || []).forEach(issue => fixedIssues.add(issue));
+          }
+          continue;
+        }
+        seen.set(proposal.diff, record);
+
+        try {
+          const { files, strip } = this.validate(proposal.diff);
+          const diff = UnifiedDiff.normalize(proposal.diff, strip);
+          record.files = files;
+          record.diff = diff;
+
+          // ドライランでは作業ツリーが変わらないため、検証済みのパッチと連結して検証する
+          const patchFile = path.join(tempDir, `fix-${index + 1}.patch`);
+          await fs.writeFile(patchFile, options.checkOnly ? accepted.join('') + diff : diff, 'utf8');
+
+          try {
+            await this.runGit(this.buildApplyArgs(patchFile, true));
+          } catch (error) {
+            throw new Error(`git apply --check に失敗: ${error.message}`);
+          }
+
+          if (!options.checkOnly) {
+            await this.runGit(this.buildApplyArgs(patchFile, false));
+          }
+
+          accepted.push(diff);
+          record.status = options.checkOnly ? 'valid' : 'applied';
+          files.forEach(file => touchedFiles.add(file));
+          (proposal.issues || []).forEach(issue => fixedIssues.add(issue));
+          UnifiedDiff.hunks(diff, 1).forEach((ranges, file) => {
+            hunks.set(file, [...(hunks.get(file) || []), ...ranges]);
+          });
+        } catch (error) {
+          record.reason = error.message;
+        }
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    return {
+      records,
+      touchedFiles: [...touchedFiles],
+      fixedIssues: [...fixedIssues],
+      hunks,
+      patch: accepted.join('')
+    };
+  }
+
+  /**
+   * 保存済みのパッチファイル（fixes-*.patch）を現在の作業ツリーに対して再検証し、一括で適用
+   * @param {string} content - パッチファイルの内容
+   * @param {Object} options - オプション
+   * @param {boolean} options.checkOnly - 検証のみ
+   * @returns {Promise<Object>} { files: 変更されるファイル }
+   * @throws {Error} 不正なパッチ、または現在の作業ツリーに適用できない場合
+   */
+  async applyPatch(content, options = {}) {
+    const { files, strip } = this.validate(content);
+    const diff = UnifiedDiff.normalize(content, strip);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-fix-'));
+    try {
+      const patchFile = path.join(tempDir, 'fixes.patch');
+      await fs.writeFile(patchFile, diff, 'utf8');
+
+      try {
+        await this.runGit(this.buildApplyArgs(patchFile, true));
+      } catch (error) {
+        throw new Error(`git apply --check に失敗: ${error.message}`);
+      }
+
+      if (!options.checkOnly) {
+        await this.runGit(this.buildApplyArgs(patchFile, false));
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    return { files };
+  }
+}
+
+// エクスポート
+module.exports = {
+  UnifiedDiff,
+  AutoFixer,
+  PATCH_HEADER
+};
+
+// 最終更新: 2026年10月19日 03:40 JST
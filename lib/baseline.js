@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * baseline.js
+ * 既知の問題（ベースライン）との比較
+ *
+ * `smart-review baseline create` で現在の問題を .smart-review-baseline.json に保存し、
+ * 以降の実行では各問題を new（新規）/ existing（既知）に分類、
+ * ベースラインにあって今回検出されなかった問題を fixed（解決済み）とする。
+ * fixed は、その問題のエージェントがそのファイルの分析を正常に完了した場合に限る。
+ * 照合には内容ベースのフィンガープリント（ルール + ファイル + 正規化スニペット）を使う。
+ * 以前の実行結果JSON（smart-review/results）もベースラインとして読み込める。
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+const { RESULTS_SCHEMA } = require('./results-writer');
+
+const BASELINE_SCHEMA = 'smart-review/baseline';
+const BASELINE_SCHEMA_VERSION = '1.0';
+const DEFAULT_BASELINE_FILE = '.smart-review-baseline.json';
+
+const FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * ベースラインクラス
+ */
+class Baseline {
+  /**
+   * @param {Iterable<string|Object>} entries - フィンガープリント、または { fingerprint, ruleId, file, ... }
+   * @param {string} source - 読み込み元（表示用）
+   */
+  constructor(entries = [], source = '') {
+    this.entries = new Map();
+    for (const entry of entries) {
+      const record = typeof entry === 'string' ? { fingerprint: entry } : entry;
+      this.entries.set(record.fingerprint, record);
+    }
+    this.fingerprints = new Set(this.entries.keys());
+    this.source = source;
+  }
+
+  /**
+   * 現在の問題からベースラインドキュメントを作成
+   * @param {Array<Object>} issues - 問題オブジェクト
+   * @param {Object} options - オプション
+   * @param {string} options.toolVersion - ツールのバージョン
+   * @returns {Object} ベースラインドキュメント
+   */
+  static create(issues, options = {}) {
+    const entries = new Map();
+    issues.forEach(issue => {
+      const fingerprint = IssueProtocol.fingerprint(issue);
+      if (entries.has(fingerprint)) return;
+      entries.set(fingerprint, {
+        fingerprint,
+        ruleId: issue.ruleId || IssueProtocol.legacyRuleId(issue.agentId, issue.type),
+        agentId: issue.agentId,
+        priority: issue.priority || null,
+        file: issue.file ? IssueProtocol.normalizeFile(issue.file) : null,
+        line: issue.line || null,
+        message: issue.message || ''
+      });
+    });
+
+    return {
+      schema: BASELINE_SCHEMA,
+      version: BASELINE_SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      tool: { name: 'smart-review', version: options.toolVersion },
+      issues: [...entries.values()].sort((a, b) =>
+        (a.file || '').localeCompare(b.file || '') || (a.line || 0) - (b.line || 0)
+      )
+    };
+  }
+
+  /**
+   * ベースラインファイルの内容を解析
+   * @param {string} content - ファイル内容（JSON）
+   * @param {string} source - 読み込み元（エラーメッセージ用）
+   * @returns {Baseline} ベースライン
+   * @throws {Error} 形式が不正な場合
+   */
+  static parse(content, source = '') {
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`ベースラインのJSONが不正です: ${source}`);
+    }
+
+    const schemas = [BASELINE_SCHEMA, RESULTS_SCHEMA];
+    if (!document || !schemas.includes(document.schema) || !Array.isArray(document.issues)) {
+      throw new Error(`ベースラインの形式が不正です（${schemas.join(' または ')} が必要）: ${source}`);
+    }
+
+    const entries = document.issues
+      .filter(issue => issue && typeof issue.fingerprint === 'string' && FINGERPRINT_PATTERN.test(issue.fingerprint))
+      .map(issue => ({
+        fingerprint: issue.fingerprint,
+        ruleId: issue.ruleId,
+        agentId: issue.agentId,
+        priority: issue.priority,
+        file: issue.file,
+        line: issue.line,
+        message: issue.message
+      }));
+
+    return new Baseline(entries, source);
+  }
+
+  /**
+   * ベースラインドキュメントをJSON文字列に変換
+   * @param {Object} document - ベースラインドキュメント
+   * @returns {string} JSON文字列
+   */
+  static serialize(document) {
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+
+  /**
+   * 問題がベースラインに含まれるか
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {boolean} 既知の問題かどうか
+   */
+  has(issue) {
+    return this.fingerprints.has(IssueProtocol.fingerprint(issue));
+  }
+
+  /**
+   * ベースラインに無い問題を抽出
+   * @param {Array<Object>} issues - 問題オブジェクト
+   * @returns {Array<Object>} 新規の問題
+   */
+  filterNew(issues) {
+    return issues.filter(issue => !this.has(issue));
+  }
+
+  /**
+   * 今回の問題をベースラインと比較し、各問題に baselineStatus を設定
+   * @param {Array<Object>} issues - 問題オブジェクト（baselineStatus が設定される）
+   * @param {Object} options - オプション
+   * @param {Array<Object>} options.agentRuns - エージェント実行記録 { agentId, files, error, skipped }
+   *   （指定時は、エージェントが正常に完了したファイルの問題のみ fixed と判定）
+   * @returns {Object} { newIssues, existingIssues, fixed: ベースラインのエントリ配列 }
+   */
+  compare(issues, options = {}) {
+    const seen = new Set();
+    const newIssues = [];
+    const existingIssues = [];
+
+    issues.forEach(issue => {
+      const fingerprint = IssueProtocol.fingerprint(issue);
+      if (this.fingerprints.has(fingerprint)) {
+        issue.baselineStatus = 'existing';
+        existingIssues.push(issue);
+        seen.add(fingerprint);
+      } else {
+        issue.baselineStatus = 'new';
+        newIssues.push(issue);
+      }
+    });
+
+    // 分析していない・失敗/タイムアウト/スキップしたエージェントのファイルの問題は解決済みとみなさない
+    const reviewed = options.agentRuns ? Baseline.reviewedFiles(options.agentRuns) : null;
+    const fixed = [...this.entries.values()].filter(entry =>
+      !seen.has(entry.fingerprint) &&
+      (!reviewed || (entry.file && reviewed.has(entry.agentId) && reviewed.get(entry.agentId).has(entry.file)))
+    );
+
+    return { newIssues, existingIssues, fixed };
+  }
+
+  /**
+   * エージェントごとに、分析を正常に完了したファイル
+   * @param {Array<Object>} agentRuns - エージェント実行記録 { agentId, files, error, skipped }
+   * @returns {Map<string, Set<string>>} エージェントID → 正規化したファイルパス
+   */
+  static reviewedFiles(agentRuns) {
+    const reviewed = new Map();
+    agentRuns.filter(run => !run.error && !run.skipped).forEach(run => {
+      if (!reviewed.has(run.agentId)) {
+        reviewed.set(run.agentId, new Set());
+      }
+      (run.files || []).forEach(file => reviewed.get(run.agentId).add(IssueProtocol.normalizeFile(file)));
+    });
+    return reviewed;
+  }
+
+  /**
+   * ベースラインの件数
+   * @returns {number} 既知の問題数
+   */
+  get size() {
+    return this.fingerprints.size;
+  }
+}
+
+// エクスポート
+module.exports = {
+  Baseline,
+  BASELINE_SCHEMA,
+  BASELINE_SCHEMA_VERSION,
+  DEFAULT_BASELINE_FILE
+};
+
+// 最終更新: 2026年10月19日 03:35 JST
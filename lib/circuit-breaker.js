@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * circuit-breaker.js
+ * 失敗を繰り返すエージェントのサーキットブレーカー
+ *
+ * エージェントIDごとに連続した失敗を数え、failureThreshold 回に達したら開く（以降の実行をスキップする）。
+ * 開いたエージェントは、cooldownSeconds を指定した場合はその秒数が経過するまで実行をまたいでスキップし、
+ * 指定しない場合はその実行の間だけスキップする。次の実行では1回試し、成功すれば閉じ、失敗すればすぐに開く。
+ * 状態は .smart-review-cache/circuit-breaker.json に保存し、次の実行の開始時に警告できるようにする。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:50 JST
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const CIRCUIT_SCHEMA = 'smart-review/circuit-breaker';
+const CIRCUIT_SCHEMA_VERSION = '1.0';
+const DEFAULT_STATE_FILE = path.join('.smart-review-cache', 'circuit-breaker.json');
+const DEFAULT_FAILURE_THRESHOLD = 3;
+
+/**
+ * サーキットブレーカークラス
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} settings - { enabled, failureThreshold, cooldownSeconds }
+   * @param {Object} options - { file: 状態ファイル, now: 現在時刻（ミリ秒）を返す関数 }
+   */
+  constructor(settings = {}, options = {}) {
+    this.enabled = settings.enabled !== false;
+    this.failureThreshold = settings.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownSeconds = settings.cooldownSeconds || null;
+    this.file = path.resolve(options.file || DEFAULT_STATE_FILE);
+    this.now = options.now || Date.now;
+    // エージェントID → { agentId, failures, openedAt, lastError }
+    this.agents = new Map();
+    // この実行で開いたエージェントID
+    this.openedInRun = new Set();
+  }
+
+  /**
+   * サーキットブレーカーの設定を検証
+   * @param {Object} settings - 設定ファイルの circuitBreaker
+   * @returns {Array<string>} 検証エラー（空配列なら有効）
+   */
+  static validate(settings) {
+    const errors = [];
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+      errors.push('circuitBreaker.enabledは真偽値である必要があります');
+    }
+    if (settings.failureThreshold !== undefined &&
+        (!Number.isInteger(settings.failureThreshold) || settings.failureThreshold < 1)) {
+      errors.push('circuitBreaker.failureThresholdは1以上の整数である必要があります');
+    }
+    if (settings.cooldownSeconds !== undefined && settings.cooldownSeconds !== null &&
+        (typeof settings.cooldownSeconds !== 'number' || !(settings.cooldownSeconds > 0))) {
+      errors.push('circuitBreaker.cooldownSecondsは正の数である必要があります');
+    }
+    return errors;
+  }
+
+  /**
+   * 保存された状態を読み込む（無い・壊れている場合は空の状態）
+   * @returns {Promise<CircuitBreaker>} this
+   */
+  async load() {
+    if (!this.enabled) {
+      return this;
+    }
+    try {
+      const document = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      if (document.schema === CIRCUIT_SCHEMA && Array.isArray(document.agents)) {
+        document.agents
+          .filter(entry => entry && typeof entry.agentId === 'string' && Number.isInteger(entry.failures))
+          .forEach(entry => this.agents.set(entry.agentId, {
+            agentId: entry.agentId,
+            failures: entry.failures,
+            openedAt: typeof entry.openedAt === 'string' ? entry.openedAt : null,
+            lastError: typeof entry.lastError === 'string' ? entry.lastError : null
+          }));
+      }
+    } catch (error) {
+      // 状態ファイルが無い・壊れている場合は閉じた状態から始める
+    }
+    return this;
+  }
+
+  /**
+   * 状態を保存（失敗しているエージェントが無い場合はファイルを削除）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.enabled) {
+      return;
+    }
+    if (this.agents.size === 0) {
+      await fs.rm(this.file, { force: true });
+      return;
+    }
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify({
+      schema: CIRCUIT_SCHEMA,
+      version: CIRCUIT_SCHEMA_VERSION,
+      agents: [...this.agents.values()]
+    }, null, 2) + '\n', 'utf8');
+  }
+
+  /**
+   * 開いた状態のエージェントが再び実行される日時
+   * @param {Object} entry - エージェントの状態
+   * @returns {number|null} ミリ秒（cooldownSeconds が無い場合は次の実行で再開するため null）
+   */
+  retryAt(entry) {
+    return this.cooldownSeconds ? Date.parse(entry.openedAt) + this.cooldownSeconds * 1000 : null;
+  }
+
+  /**
+   * エージェントを実行してよいかを判定
+   * @param {string} agentId - エージェントID
+   * @returns {Object|null} スキップする場合 { policy: 'circuitBreaker', message }
+   */
+  check(agentId) {
+    const entry = this.enabled ? this.agents.get(agentId) : null;
+    if (!entry || !entry.openedAt) {
+      return null;
+    }
+    const retryAt = this.retryAt(entry);
+    if (this.openedInRun.has(agentId) || (retryAt !== null && this.now() < retryAt)) {
+      const until = retryAt === null ? '次の実行まで' : `${new Date(retryAt).toISOString()}まで`;
+      return { policy: 'circuitBreaker', message: `${entry.failures}回連続で失敗したため${until}実行しません` };
+    }
+    // 待機時間が経過した（または前回の実行で開いた）エージェントは1回試す
+    return null;
+  }
+
+  /**
+   * エージェントの実行結果を記録
+   * 成功すると失敗の記録を消し、失敗が failureThreshold 回続くと開く
+   * @param {Object} result - エージェントの実行結果（すべてキャッシュから返した結果・スキップした結果は数えない）
+   * @returns {boolean} この結果で開いた場合 true
+   */
+  record(result) {
+    if (!this.enabled || result.skipped || result.cached) {
+      return false;
+    }
+    const { agentId } = result;
+    if (!result.error) {
+      this.agents.delete(agentId);
+      this.openedInRun.delete(agentId);
+      return false;
+    }
+
+    const entry = this.agents.get(agentId) || { agentId, failures: 0, openedAt: null, lastError: null };
+    entry.failures += 1;
+    entry.lastError = result.error.replace(/\s+/g, ' ').trim().slice(0, 500);
+    this.agents.set(agentId, entry);
+    if (entry.failures < this.failureThreshold || this.openedInRun.has(agentId)) {
+      return false;
+    }
+    entry.openedAt = new Date(this.now()).toISOString();
+    this.openedInRun.add(agentId);
+    return true;
+  }
+
+  /**
+   * 開いているエージェント（この実行で開いたもの、待機時間中のもの）
+   * @returns {Array<Object>} { agentId, failures, openedAt, retryAt: ISO 8601|null（次の実行）, lastError }
+   */
+  openAgents() {
+    return [...this.agents.values()]
+      .filter(entry => entry.openedAt && this.check(entry.agentId))
+      .map(entry => {
+        const retryAt = this.retryAt(entry);
+        return { ...entry, retryAt: retryAt === null ? null : new Date(retryAt).toISOString() };
+      });
+  }
+
+  /**
+   * 以前の実行で開いたエージェント（実行開始時の警告用）
+   * @returns {Array<Object>} { agentId, failures, openedAt, lastError, skipped: この実行でスキップするか }
+   */
+  previouslyOpened() {
+    return [...this.agents.values()]
+      .filter(entry => entry.openedAt && !this.openedInRun.has(entry.agentId))
+      .map(entry => ({ ...entry, skipped: this.check(entry.agentId) !== null }));
+  }
+}
+
+// エクスポート
+module.exports = {
+  CircuitBreaker,
+  CIRCUIT_SCHEMA,
+  CIRCUIT_SCHEMA_VERSION,
+  DEFAULT_STATE_FILE,
+  DEFAULT_FAILURE_THRESHOLD
+};
+
+// 最終更新: 2026年10月19日 03:50 JST
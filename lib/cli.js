@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * smart-review コマンドのCLIランナー
+ *
+ * コマンド定義（options）に従ってコマンドライン引数を解析し、
+ * コンソール・ファイルシステムを使う実行コンテキストで execute() を呼び出す。
+ * 位置引数はコマンドの subcommands（例: 'baseline create'）に振り分ける。
+ * 戻り値は終了コード（lib/exit-policy.js の EXIT_CODES）。
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { EXIT_CODES } = require('./exit-policy');
+
+/**
+ * コマンドライン引数を解析
+ * @param {Array<string>} argv - 引数（process.argv.slice(2)）
+ * @param {Array<Object>} optionDefs - コマンドのオプション定義
+ * @returns {Object} 引数オブジェクト（位置引数は _ に格納）
+ * @throws {Error} 不明なオプションや値の欠落
+ */
+function parseArgv(argv, optionDefs) {
+  const defs = new Map(optionDefs.map(def => [def.name, def]));
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    if (!token.startsWith('--') || token === '--') {
+      if (token !== '--') args._.push(token);
+      continue;
+    }
+
+    const eq = token.indexOf('=');
+    let name = eq === -1 ? token.substring(2) : token.substring(2, eq);
+    let value = eq === -1 ? undefined : token.substring(eq + 1);
+
+    // --no-<flag> は boolean の否定
+    if (!defs.has(name) && name.startsWith('no-') && defs.get(name.substring(3))?.type === 'boolean') {
+      name = name.substring(3);
+      value = 'false';
+    }
+
+    const def = defs.get(name);
+    if (!def) {
+      throw new Error(`不明なオプション: --${name}`);
+    }
+
+    if (def.type === 'boolean') {
+      args[name] = value === undefined ? true : !['false', '0', 'no'].includes(value);
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`オプション --${name} には値が必要です`);
+      }
+      i++;
+    }
+
+    if (def.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`オプション --${name} には数値を指定してください`);
+      }
+      args[name] = number;
+    } else {
+      args[name] = value;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * 位置引数からサブコマンドを解決（最長一致）
+ * @param {Object} subcommands - 'baseline create' → メソッド名 の対応表
+ * @param {Array<string>} positional - 位置引数
+ * @returns {Object|null} { method, rest: 残りの位置引数 }
+ */
+function resolveSubcommand(subcommands, positional) {
+  for (let length = positional.length; length > 0; length--) {
+    const method = subcommands[positional.slice(0, length).join(' ')];
+    if (method) {
+      return { method, rest: positional.slice(length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * コンソールとファイルシステムを使う実行コンテキストを作成
+ * 対話入力は使用できない（CI・パイプライン向け）
+ * @returns {Object} 実行コンテキスト
+ */
+function createConsoleContext() {
+  const nonInteractive = async () => {
+    throw new Error('CLIでは対話入力を使用できません。オプションを指定してください');
+  };
+
+  return {
+    output: {
+      info: message => console.log(message),
+      success: message => console.log(message),
+      warning: message => console.warn(message),
+      error: message => console.error(message),
+      debug: message => {
+        if (process.env.SMART_REVIEW_DEBUG) console.log(message);
+      },
+      write: message => process.stdout.write(`${message}\n`)
+    },
+    files: {
+      exists: async filePath => {
+        try {
+          await fs.access(filePath);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      read: async filePath => fs.readFile(filePath, 'utf8'),
+      write: async (filePath, content) => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content, 'utf8');
+      }
+    },
+    input: {
+      select: nonInteractive,
+      confirm: nonInteractive,
+      text: nonInteractive,
+      number: nonInteractive
+    }
+  };
+}
+
+/**
+ * CLIとしてコマンドを実行
+ * @param {Object} command - コマンド定義（smart-review-v2.js の module.exports）
+ * @param {Array<string>} argv - 引数
+ * @param {Object} options - オプション
+ * @param {Object} options.configManager - 設定マネージャー（設定ファイルの事前検証用）
+ * @param {Object} options.context - 実行コンテキスト（省略時はコンソール）
+ * @returns {Promise<number>} 終了コード
+ */
+async function run(command, argv, options = {}) {
+  const context = options.context || createConsoleContext();
+
+  let args;
+  try {
+    args = parseArgv(argv, command.options);
+  } catch (error) {
+    context.output.error(`引数エラー: ${error.message}`);
+    return EXIT_CODES.CONFIG_ERROR;
+  }
+
+  // 不正な設定ファイルはデフォルト設定で黙って続行せず、設定エラーとする
+  if (options.configManager) {
+    await options.configManager.loadConfig();
+    const loadErrors = options.configManager.loadErrors || [];
+    if (loadErrors.length > 0) {
+      loadErrors.forEach(e => context.output.error(`設定エラー (${e.path}): ${e.message}`));
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+  }
+
+  const { _: positional, ...commandArgs } = args;
+  const subcommand = resolveSubcommand(command.subcommands || {}, positional);
+  if (positional.length > 0 && !subcommand) {
+    context.output.error(`不明な引数: ${positional.join(' ')}`);
+    return EXIT_CODES.CONFIG_ERROR;
+  }
+
+  try {
+    const result = subcommand
+      ? await command[subcommand.method](context, { ...commandArgs, _: subcommand.rest })
+      : await command.execute(context, { ...commandArgs, _skipMenu: true });
+    if (result && typeof result.exitCode === 'number') {
+      return result.exitCode;
+    }
+    return result && result.success === false ? EXIT_CODES.RUNTIME_ERROR : EXIT_CODES.SUCCESS;
+  } catch (error) {
+    context.output.error(`実行エラー: ${error.message}`);
+    return EXIT_CODES.RUNTIME_ERROR;
+  }
+}
+
+// エクスポート
+module.exports = {
+  parseArgv,
+  resolveSubcommand,
+  createConsoleContext,
+  run
+};
+
+// 最終更新: 2026年10月19日 03:35 JST
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * convergence.js
+ * 自動修正ループの収束判定
+ *
+ * 反復ごとに検出された問題のフィンガープリントを追跡し、修正の効果を分類する:
+ *   resolved:     前の反復で修正を適用した問題のうち、今回検出されなかったもの
+ *   persisting:   以前の反復でも検出されていた問題
+ *   introduced:   初めて検出された問題（2回目以降の反復では修正による回帰）
+ *   reintroduced: 一度解決した問題が再び検出されたもの（introduced に含む）
+ *
+ * 収束しない場合の停止理由:
+ *   oscillating: 解決した問題が再発した（修正の往復）
+ *   stalled:     修正可能な問題がすべて、修正を適用しても残っている
+ *   diverging:   修正で解決した数より新たに発生した問題の方が多い
+ *   aborted:     実行ポリシー（stopOnCritical など）により中止した
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+
+// ループの終了状態（converged: 修正可能な問題が無い、unfixable: 適用できる修正が無い）
+const CONVERGENCE_STATUSES = ['converged', 'unfixable', 'oscillating', 'stalled', 'diverging', 'aborted', 'max-iterations'];
+
+// 表示用の名称
+const CONVERGENCE_LABELS = {
+  converged: '収束',
+  unfixable: '修正不可',
+  oscillating: '振動',
+  stalled: '停滞',
+  diverging: '悪化',
+  aborted: '中止',
+  'max-iterations': '反復上限'
+};
+
+/**
+ * 収束判定クラス
+ */
+class ConvergenceTracker {
+  constructor() {
+    this.seen = new Set();
+    this.resolvedEver = new Set();
+    this.attempted = new Set();
+    this.lastAttempted = new Set();
+    this.history = [];
+  }
+
+  /**
+   * 反復で検出された問題を記録し、前の反復と比較
+   * @param {number} iteration - 反復番号
+   * @param {Array<Object>} issues - 今回の反復で検出された問題
+   * @returns {Object} { iteration, resolved, persisting, introduced, reintroduced }（各フィンガープリント配列）
+   */
+  observe(iteration, issues) {
+    const current = new Set(issues.map(issue => IssueProtocol.fingerprint(issue)));
+
+    const resolved = [...this.lastAttempted].filter(fp => !current.has(fp));
+    const reintroduced = [...current].filter(fp => this.resolvedEver.has(fp));
+    const persisting = [...current].filter(fp => this.seen.has(fp) && !this.resolvedEver.has(fp));
+    const introduced = [...current].filter(fp => !this.seen.has(fp) || this.resolvedEver.has(fp));
+
+    // 再発した問題は、再び解決されるまで persisting として扱う
+    reintroduced.forEach(fp => this.resolvedEver.delete(fp));
+    resolved.forEach(fp => this.resolvedEver.add(fp));
+    current.forEach(fp => this.seen.add(fp));
+    this.lastAttempted = new Set();
+
+    const stats = { iteration, resolved, persisting, introduced, reintroduced };
+    this.history.push(stats);
+    return stats;
+  }
+
+  /**
+   * 修正を適用した問題を記録（次の反復で検出されなければ resolved）
+   * @param {Array<Object>} fixedIssues - AutoFixer.apply() の fixedIssues
+   */
+  recordFixes(fixedIssues) {
+    fixedIssues.forEach(issue => {
+      const fp = IssueProtocol.fingerprint(issue);
+      this.attempted.add(fp);
+      this.lastAttempted.add(fp);
+    });
+  }
+
+  /**
+   * まだ修正を試していない問題
+   * @param {Array<Object>} issues - 修正可能な問題
+   * @returns {Array<Object>} 修正を適用したことが無い問題
+   */
+  filterUnattempted(issues) {
+    return issues.filter(issue => !this.attempted.has(IssueProtocol.fingerprint(issue)));
+  }
+
+  /**
+   * 直近の反復の結果から、修正を続けるべきかを判定
+   * @param {Array<Object>} fixableIssues - 今回の反復の修正可能な問題
+   * @returns {Object|null} 停止する場合 { status, message }、続ける場合 null
+   */
+  verdict(fixableIssues) {
+    const stats = this.history[this.history.length - 1];
+    if (!stats || this.history.length < 2) {
+      return null;
+    }
+
+    if (stats.reintroduced.length > 0) {
+      return {
+        status: 'oscillating',
+        message: `解決した問題が再発しました (${stats.reintroduced.length}件)`
+      };
+    }
+    if (stats.introduced.length > stats.resolved.length) {
+      return {
+        status: 'diverging',
+        message: `修正で解決した問題 (${stats.resolved.length}件) より新たな問題 (${stats.introduced.length}件) の方が多くなりました`
+      };
+    }
+    if (fixableIssues.length > 0 && this.filterUnattempted(fixableIssues).length === 0) {
+      return {
+        status: 'stalled',
+        message: `修正を適用しても残っている問題のみです (${fixableIssues.length}件)`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * 反復ごとの件数
+   * @param {Object} stats - observe() の戻り値
+   * @returns {Object} { resolved, persisting, introduced, reintroduced }
+   */
+  static counts(stats) {
+    return {
+      resolved: stats.resolved.length,
+      persisting: stats.persisting.length,
+      introduced: stats.introduced.length,
+      reintroduced: stats.reintroduced.length
+    };
+  }
+}
+
+// エクスポート
+module.exports = {
+  ConvergenceTracker,
+  CONVERGENCE_STATUSES,
+  CONVERGENCE_LABELS
+};
+
+// 最終更新: 2026年10月19日 03:45 JST
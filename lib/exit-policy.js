@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * exit-policy.js
+ * CI向けの終了コード判定（--fail-on）
+ *
+ * 終了コード:
+ *   0 成功（しきい値以上の問題なし、エージェント失敗なし）
+ *   1 しきい値以上の問題あり
+ *   2 エージェントの実行失敗あり（問題はしきい値未満）
+ *   3 設定・引数エラー
+ *   4 予期しない実行時エラー
+ * 問題としきい値の判定はエージェント失敗より優先する。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FINDINGS: 1,
+  AGENT_FAILURE: 2,
+  CONFIG_ERROR: 3,
+  RUNTIME_ERROR: 4
+};
+
+const FAIL_ON_LEVELS = ['critical', 'high', 'medium', 'low', 'none'];
+
+// 優先度の順位（小さいほど重大）
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+/**
+ * 終了コード判定クラス
+ */
+class ExitPolicy {
+  /**
+   * 実行結果から終了コードを判定
+   * @param {Object} options - オプション
+   * @param {Array<Object>} options.issues - 検出された問題
+   * @param {Array<Object>} options.agentRuns - エージェント実行記録
+   * @param {string} options.failOn - 失敗とする最小優先度（'none' で問題による失敗なし）
+   * @param {Object} options.baseline - Baseline（指定時は新規の問題のみで判定）
+   * @returns {Object} { exitCode, reason, failOn, failingIssues, agentFailures, newOnly }
+   */
+  static evaluate(options = {}) {
+    const failOn = options.failOn || 'none';
+    const issues = options.issues || [];
+    const baseline = options.baseline || null;
+
+    const candidates = baseline ? baseline.filterNew(issues) : issues;
+    const failingIssues = ExitPolicy.overThreshold(candidates, failOn);
+    const agentFailures = (options.agentRuns || []).filter(run => run.error);
+
+    let exitCode = EXIT_CODES.SUCCESS;
+    let reason = 'passed';
+    if (failingIssues.length > 0) {
+      exitCode = EXIT_CODES.FINDINGS;
+      reason = 'findings';
+    } else if (agentFailures.length > 0) {
+      exitCode = EXIT_CODES.AGENT_FAILURE;
+      reason = 'agent-failure';
+    }
+
+    return {
+      exitCode,
+      reason,
+      failOn,
+      newOnly: Boolean(baseline),
+      failingIssues: failingIssues.length,
+      agentFailures: agentFailures.length
+    };
+  }
+
+  /**
+   * しきい値以上の問題を抽出
+   * @param {Array<Object>} issues - 問題オブジェクト
+   * @param {string} failOn - 最小優先度
+   * @returns {Array<Object>} しきい値以上の問題
+   */
+  static overThreshold(issues, failOn) {
+    if (failOn === 'none' || PRIORITY_RANK[failOn] === undefined) {
+      return [];
+    }
+    return issues.filter(issue =>
+      PRIORITY_RANK[issue.priority] !== undefined &&
+      PRIORITY_RANK[issue.priority] <= PRIORITY_RANK[failOn]
+    );
+  }
+}
+
+// エクスポート
+module.exports = {
+  ExitPolicy,
+  EXIT_CODES,
+  FAIL_ON_LEVELS
+};
+
+// 最終更新: 2026年10月19日 03:35 JST
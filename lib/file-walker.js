@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * file-walker.js
+ * プロジェクト全体スキャン用のファイル列挙
+ *
+ * security.blockedPatterns、.gitignore、security.maxFileSize、
+ * バイナリ判定を適用し、スキップしたファイルとその理由を記録する。
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_FILES = 5000;
+const BINARY_SNIFF_BYTES = 8000;
+
+// 常に走査しないディレクトリ（Gitの管理領域、結果キャッシュ）
+const EXCLUDED_DIRECTORIES = new Set(['.git', '.smart-review-cache']);
+
+// スキップ理由と表示ラベル
+const SKIP_REASONS = {
+  'blocked-pattern': 'ブロックパターン',
+  gitignore: '.gitignore',
+  'too-large': 'サイズ上限超過',
+  binary: 'バイナリファイル',
+  symlink: 'シンボリックリンク',
+  unreadable: '読み取り不可',
+  limit: 'ファイル数上限'
+};
+
+/**
+ * .gitignore ルール集合
+ * ディレクトリごとの .gitignore を基準パス付きで保持し、最後に一致したルールで判定する
+ */
+class GitignoreRules {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * .gitignore の内容を追加
+   * @param {string} base - .gitignore があるディレクトリ（ルートからの相対パス、POSIX形式）
+   * @param {string} content - .gitignore の内容
+   */
+  add(base, content) {
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s+$/, '');
+      if (!line || line.startsWith('#')) continue;
+
+      let pattern = line;
+      const negate = pattern.startsWith('!');
+      if (negate) pattern = pattern.substring(1);
+      if (pattern.startsWith('\\')) pattern = pattern.substring(1);
+
+      const dirOnly = pattern.endsWith('/');
+      if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+      if (!pattern) continue;
+
+      // 途中にスラッシュを含むパターンは基準ディレクトリに固定される
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\/+/, '');
+
+      this.rules.push({
+        base,
+        negate,
+        dirOnly,
+        regex: GitignoreRules.compile(pattern, anchored)
+      });
+    }
+  }
+
+  /**
+   * gitignoreのglobを正規表現に変換
+   * @param {string} pattern - globパターン
+   * @param {boolean} anchored - 基準ディレクトリに固定するか
+   * @returns {RegExp} 正規表現
+   */
+  static compile(pattern, anchored) {
+    let source = '';
+    let i = 0;
+
+    while (i < pattern.length) {
+      const char = pattern.charAt(i);
+      if (pattern.startsWith('**/', i)) {
+        source += '(?:.*/)?';
+        i += 3;
+      } else if (pattern.startsWith('**', i)) {
+        source += '.*';
+        i += 2;
+      } else if (char === '*') {
+        source += '[^/]*';
+        i += 1;
+      } else if (char === '?') {
+        source += '[^/]';
+        i += 1;
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        i += 1;
+      }
+    }
+
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+  }
+
+  /**
+   * パスが無視対象か判定
+   * @param {string} relPath - ルートからの相対パス（POSIX形式）
+   * @param {boolean} isDirectory - ディレクトリかどうか
+   * @returns {boolean} 無視対象かどうか
+   */
+  ignores(relPath, isDirectory) {
+    let ignored = false;
+
+    for (const rule of this.rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.base && !relPath.startsWith(`${rule.base}/`)) continue;
+
+      const subject = rule.base ? relPath.substring(rule.base.length + 1) : relPath;
+      if (rule.regex.test(subject)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+}
+
+/**
+ * プロジェクトファイル列挙クラス
+ */
+class FileWalker {
+  /**
+   * @param {string} root - 走査のルートディレクトリ（--target）
+   * @param {Object} options - オプション
+   * @param {Array<RegExp>} options.blockedPatterns - configManager.compilePatterns() でコンパイル済みのパターン
+   * @param {number} options.maxFileSize - 最大ファイルサイズ（バイト）
+   * @param {boolean} options.respectGitignore - .gitignore を適用するか
+   * @param {number} options.maxFiles - 列挙するファイル数の上限
+   * @param {Array<string>} options.excludePaths - 走査しないパス（出力ディレクトリ・ベースラインファイルなど）
+   */
+  constructor(root, options = {}) {
+    this.root = path.resolve(root);
+    this.blockedPatterns = (options.blockedPatterns || []).map(pattern =>
+      new RegExp(`^(?:${pattern.source})$`)
+    );
+    this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    this.respectGitignore = options.respectGitignore !== false;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    // ルートからの相対パスに揃える（ルート外のパスは走査に影響しないため除く）
+    this.excludedPaths = new Set((options.excludePaths || [])
+      .map(excluded => path.relative(this.root, path.resolve(excluded)).split(path.sep).join('/'))
+      .filter(relative => relative && !relative.startsWith('..') && !path.isAbsolute(relative)));
+  }
+
+  /**
+   * ファイルを列挙
+   * @returns {Promise<Object>} { files: ルートからの相対パス配列, skipped: [{ file, reason }] }
+   */
+  async walk() {
+    const files = [];
+    const skipped = [];
+    const gitignore = new GitignoreRules();
+    const queue = [''];
+
+    while (queue.length > 0) {
+      const dir = queue.shift();
+      const absDir = path.join(this.root, dir);
+
+      if (this.respectGitignore) {
+        try {
+          const content = await fs.readFile(path.join(absDir, '.gitignore'), 'utf8');
+          gitignore.add(dir, content);
+        } catch (error) {
+          // .gitignore が無いディレクトリ
+        }
+      }
+
+      let entries;
+      try {
+        entries = await fs.readdir(absDir, { withFileTypes: true });
+      } catch (error) {
+        skipped.push({ file: `${dir || '.'}/`, reason: 'unreadable' });
+        continue;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const relPath = dir ? `${dir}/${entry.name}` : entry.name;
+        const isDirectory = entry.isDirectory();
+        const label = isDirectory ? `${relPath}/` : relPath;
+
+        if (this.isExcluded(relPath, entry.name, isDirectory)) continue;
+
+        if (entry.isSymbolicLink()) {
+          skipped.push({ file: label, reason: 'symlink' });
+          continue;
+        }
+        if (this.isBlocked(relPath, entry.name)) {
+          skipped.push({ file: label, reason: 'blocked-pattern' });
+          continue;
+        }
+        if (this.respectGitignore && gitignore.ignores(relPath, isDirectory)) {
+          skipped.push({ file: label, reason: 'gitignore' });
+          continue;
+        }
+
+        if (isDirectory) {
+          queue.push(relPath);
+          continue;
+        }
+        if (!entry.isFile()) continue;
+
+        if (files.length >= this.maxFiles) {
+          skipped.push({ file: label, reason: 'limit' });
+          continue;
+        }
+
+        const reason = await this.inspectFile(path.join(this.root, relPath));
+        if (reason) {
+          skipped.push({ file: label, reason });
+        } else {
+          files.push(relPath);
+        }
+      }
+    }
+
+    return { files, skipped };
+  }
+
+  /**
+   * 常に走査しないパスか（Gitの管理領域・結果キャッシュ・ツール自身の出力）
+   * @param {string} relPath - 相対パス
+   * @param {string} name - ファイル名またはディレクトリ名
+   * @param {boolean} isDirectory - ディレクトリかどうか
+   * @returns {boolean} 除外対象かどうか
+   */
+  isExcluded(relPath, name, isDirectory) {
+    return (isDirectory && EXCLUDED_DIRECTORIES.has(name)) || this.excludedPaths.has(relPath);
+  }
+
+  /**
+   * ブロックパターンに一致するか（名前またはルートからの相対パス全体で判定）
+   * @param {string} relPath - 相対パス
+   * @param {string} name - ファイル名またはディレクトリ名
+   * @returns {boolean} ブロック対象かどうか
+   */
+  isBlocked(relPath, name) {
+    return this.blockedPatterns.some(pattern => pattern.test(name) || pattern.test(relPath));
+  }
+
+  /**
+   * ファイルのサイズとバイナリ判定
+   * @param {string} filePath - 絶対パス
+   * @returns {Promise<string|null>} スキップ理由（対象にする場合はnull）
+   */
+  async inspectFile(filePath) {
+    let handle;
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.size > this.maxFileSize) {
+        return 'too-large';
+      }
+      if (stats.size === 0) {
+        return null;
+      }
+
+      handle = await fs.open(filePath, 'r');
+      const buffer = Buffer.alloc(Math.min(BINARY_SNIFF_BYTES, stats.size));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      return buffer.subarray(0, bytesRead).includes(0) ? 'binary' : null;
+    } catch (error) {
+      return 'unreadable';
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+
+  /**
+   * 配列をバッチに分割
+   * @param {Array} items - 分割する配列
+   * @param {number} size - バッチサイズ
+   * @returns {Array<Array>} バッチの配列
+   */
+  static toBatches(items, size) {
+    const batchSize = Math.max(1, Math.floor(size) || 1);
+    const batches = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+      batches.push(items.slice(i, i + batchSize));
+    }
+    return batches;
+  }
+}
+
+// エクスポート
+module.exports = {
+  FileWalker,
+  GitignoreRules,
+  SKIP_REASONS
+};
+
+// 最終更新: 2026年10月19日 03:45 JST
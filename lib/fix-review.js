@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * fix-review.js
+ * 自動修正の対話確認（スラッシュコマンド用）
+ *
+ * 検証済みの修正パッチをハンク単位で1件ずつ表示し、
+ *   accept（適用）/ reject（適用しない）/ edit（変更後の内容を編集して適用）/ skip-rest（残りをすべてスキップ）
+ * を選択させる。適用するのは accept・edit したハンクのみで、
+ * 各ハンクの判断は実行結果JSONに記録するための決定リストとして返す。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+const { UnifiedDiff } = require('./auto-fix');
+
+const FIX_DECISIONS = ['accept', 'reject', 'edit', 'skip'];
+
+const MAX_DISPLAY_LINES = 200;
+
+/**
+ * 修正の対話確認クラス
+ */
+class FixReview {
+  /**
+   * 修正案を1ハンクずつ確認
+   * @param {Array<Object>} proposals - 検証済みの修正案 [{ agentId, diff: 正規化済み, issues }]
+   * @param {Object} context - 実行コンテキスト（input.select / input.text / output を使用）
+   * @param {Object} options - オプション
+   * @param {boolean} options.skipAll - 確認せずすべてスキップ（前の反復で skip-rest を選んだ場合）
+   * @returns {Promise<Object>} { proposals: 適用するハンクのみの修正案, declined: 1ハンクも適用しない修正案, decisions, skipRest }
+   */
+  static async review(proposals, context, options = {}) {
+    const { input, output } = context;
+    const items = proposals.flatMap(proposal =>
+      UnifiedDiff.splitHunks(proposal.diff).map(hunk => ({ proposal, hunk }))
+    );
+
+    const decisions = [];
+    const accepted = new Map();
+    let skipRest = Boolean(options.skipAll);
+
+    for (const [index, { proposal, hunk }] of items.entries()) {
+      let decision = 'skip';
+      let selected = null;
+
+      if (!skipRest) {
+        FixReview.show(output, proposal, hunk, index + 1, items.length);
+
+        const choice = await input.select('この修正を適用しますか?', [
+          { name: '✅ 適用する', value: 'accept', description: 'このハンクを適用' },
+          { name: '❌ 適用しない', value: 'reject', description: 'このハンクを破棄' },
+          { name: '✏️ 編集して適用', value: 'edit', description: '変更後の内容を編集してから適用' },
+          { name: '⏭️ 残りをすべてスキップ', value: 'skip-rest', description: 'これ以降の修正を適用しない' }
+        ]);
+
+        if (choice === 'accept') {
+          decision = 'accept';
+          selected = hunk;
+        } else if (choice === 'edit') {
+          const current = FixReview.editableText(hunk);
+          const edited = await input.text('変更後の内容（改行は \\n、\\ は \\\\）:', { default: current });
+          decision = 'edit';
+          selected = FixReview.editHunk(hunk, typeof edited === 'string' ? edited : current);
+        } else if (choice === 'skip-rest') {
+          skipRest = true;
+        } else {
+          decision = 'reject';
+        }
+      }
+
+      decisions.push({
+        agentId: proposal.agentId,
+        file: hunk.file,
+        hunk: hunk.header,
+        decision,
+        issues: (proposal.issues || []).map(issue => IssueProtocol.fingerprint(issue))
+      });
+
+      if (selected) {
+        if (!accepted.has(proposal)) {
+          accepted.set(proposal, []);
+        }
+        accepted.get(proposal).push(selected);
+      }
+    }
+
+    return {
+      proposals: [...accepted.entries()].map(([proposal, hunks]) => ({
+        ...proposal,
+        diff: UnifiedDiff.fromHunks(hunks)
+      })),
+      declined: proposals.filter(proposal => !accepted.has(proposal)),
+      decisions,
+      skipRest
+    };
+  }
+
+  /**
+   * ハンクと修正対象の問題を表示
+   * @param {Object} output - 出力API
+   * @param {Object} proposal - 修正案
+   * @param {Object} hunk - ハンク
+   * @param {number} position - 何件目か
+   * @param {number} total - 全件数
+   */
+  static show(output, proposal, hunk, position, total) {
+    const signs = { add: '+', del: '-', context: ' ' };
+
+    output.info(`\n🩹 修正案 ${position}/${total} (${proposal.agentId}) ${hunk.file || ''}`);
+    (proposal.issues || []).slice(0, 5).forEach(issue => {
+      output.info(`  💬 ${issue.message || ''}${issue.file ? ` (${IssueProtocol.formatLocation(issue)})` : ''}`);
+    });
+    output.info(`  ${hunk.header}`);
+    hunk.lines.slice(0, MAX_DISPLAY_LINES).forEach(line => {
+      output.info(`  ${signs[line.type]}${line.text}`);
+    });
+    if (hunk.lines.length > MAX_DISPLAY_LINES) {
+      output.info(`  ... 他 ${hunk.lines.length - MAX_DISPLAY_LINES}行`);
+    }
+  }
+
+  /**
+   * 変更範囲（最初の変更行から最後の変更行まで）の位置
+   * @param {Object} hunk - ハンク
+   * @returns {Object|null} { first, last }（変更行が無い場合は null）
+   */
+  static changedRange(hunk) {
+    const first = hunk.lines.findIndex(line => line.type !== 'context');
+    if (first === -1) {
+      return null;
+    }
+    // Array.prototype.findLastIndex は Node 18 以降のため後ろから探す
+    let last = hunk.lines.length - 1;
+    while (hunk.lines[last].type === 'context') {
+      last--;
+    }
+    return { first, last };
+  }
+
+  /**
+   * 編集用の初期値（変更範囲の変更後の内容を1行にエスケープ）
+   * @param {Object} hunk - ハンク
+   * @returns {string} エスケープ済みのテキスト
+   */
+  static editableText(hunk) {
+    const range = FixReview.changedRange(hunk);
+    if (!range) {
+      return '';
+    }
+    return hunk.lines
+      .slice(range.first, range.last + 1)
+      .filter(line => line.type !== 'del')
+      .map(line => line.text.replace(/\\/g, '\\\\'))
+      .join('\\n');
+  }
+
+  /**
+   * 編集内容でハンクを置き換える
+   * 変更範囲の変更前の行をすべて削除し、編集後の行を追加する（前後の文脈行は維持）
+   * @param {Object} hunk - ハンク
+   * @param {string} text - editableText() 形式の編集後の内容
+   * @returns {Object} 編集後のハンク
+   */
+  static editHunk(hunk, text) {
+    const range = FixReview.changedRange(hunk);
+    if (!range) {
+      return hunk;
+    }
+
+    // 「\n」で行を分け、「\\」を「\」に戻す
+    const lines = [];
+    if (text !== '') {
+      lines.push('');
+      text.split(/(\\\\|\\n)/).forEach(part => {
+        if (part === '\\n') {
+          lines.push('');
+        } else {
+          lines[lines.length - 1] += part === '\\\\' ? '\\' : part;
+        }
+      });
+    }
+
+    const middle = hunk.lines.slice(range.first, range.last + 1);
+    return {
+      ...hunk,
+      lines: [
+        ...hunk.lines.slice(0, range.first),
+        ...middle.filter(line => line.type !== 'add').map(line => ({ ...line, type: 'del' })),
+        ...lines.map(line => ({ type: 'add', text: line })),
+        ...hunk.lines.slice(range.last + 1)
+      ]
+    };
+  }
+}
+
+// エクスポート
+module.exports = {
+  FixReview,
+  FIX_DECISIONS
+};
+
+// 最終更新: 2026年10月19日 03:40 JST
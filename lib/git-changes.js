@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * git-changes.js
+ * Git参照ベースの変更ファイル検出
+ *
+ * 検出モード:
+ *   - history:      前回チェック時刻以降（または直近10コミット）のコミット履歴
+ *   - staged:       ステージ済みの変更（git diff --cached）
+ *   - working-tree: HEADからの未コミット変更 + 未追跡ファイル
+ *   - base:         マージベースからの差分（git diff <base>...HEAD）
+ *   - range:        明示的なコミット範囲（<from>..<to>、to省略時はHEAD）
+ *
+ * すべて --name-status で取得し、削除・リネームを区別する。
+ * base・range モードの参照は verifyRefs() で事前に確認し、存在しない参照は設定エラーにする。
+ * 行単位の変更範囲は git diff -U0 のハンクから取得する（historyモード以外）。
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:30 JST
+ */
+
+const path = require('path');
+const { IssueProtocol } = require('./issue-protocol');
+
+const CHANGE_MODES = ['history', 'staged', 'working-tree', 'base', 'range'];
+
+// 参照名として許可する文字（先頭の '-' はオプション注入になるため禁止）
+const REF_PATTERN = /^[\w./@^~{}-]{1,200}$/;
+
+const MAX_OUTPUT_LENGTH = 1024 * 1024;
+const WHOLE_FILE = Number.MAX_SAFE_INTEGER;
+const MAX_FILES = 1000;
+const MAX_PATH_LENGTH = 260;
+
+/**
+ * Git変更検出クラス
+ * Gitの実行は注入された関数に委ねる（SecurityUtils.executeCommand 経由を想定）
+ */
+class GitChangeDetector {
+  /**
+   * @param {Function} runGit - (args: string[]) => Promise<string> 標準出力を返す
+   * @param {Object} options - オプション
+   * @param {string} options.pathspec - 対象を限定するパス（カレントディレクトリからの相対）
+   * @param {Array<string>} options.excludePaths - 未追跡ファイルとして検出しないパス（ツール自身の出力）
+   */
+  constructor(runGit, options = {}) {
+    if (typeof runGit !== 'function') {
+      throw new Error('Git実行関数が必要です');
+    }
+    this.runGit = runGit;
+    this.pathspec = options.pathspec || '.';
+    // git の出力と同じカレントディレクトリからの相対パスに揃える
+    this.excludePaths = (options.excludePaths || [])
+      .map(excluded => path.relative(process.cwd(), path.resolve(excluded)).split(path.sep).join('/'))
+      .filter(relative => relative && !relative.startsWith('..'));
+  }
+
+  /**
+   * Git参照の検証
+   * @param {string} ref - ブランチ名、タグ、コミットハッシュなど
+   * @returns {string} 検証済みの参照
+   * @throws {Error} 不正な参照の場合
+   */
+  static validateRef(ref) {
+    if (typeof ref !== 'string' || !REF_PATTERN.test(ref) || ref.startsWith('-') || ref.includes('..')) {
+      throw new Error(`不正なGit参照: ${String(ref).substring(0, 50)}`);
+    }
+    return ref;
+  }
+
+  /**
+   * コミット範囲の解析（"A..B" または "A"）
+   * @param {string} range - コミット範囲
+   * @returns {Object} { from, to }
+   */
+  static parseRange(range) {
+    if (typeof range !== 'string') {
+      throw new Error('コミット範囲が指定されていません');
+    }
+    const parts = range.split('..');
+    if (parts.length > 2 || parts[0] === '') {
+      throw new Error(`不正なコミット範囲: ${range.substring(0, 50)}`);
+    }
+    return {
+      from: GitChangeDetector.validateRef(parts[0]),
+      to: GitChangeDetector.validateRef(parts[1] || 'HEAD')
+    };
+  }
+
+  /**
+   * 引数から検出モードを決定
+   * @param {Object} args - { staged, 'working-tree', base, since }
+   * @returns {Object} { mode, ref, range }
+   * @throws {Error} 複数のモードが指定された場合
+   */
+  static resolveMode(args = {}) {
+    const selected = [];
+    if (args.staged) selected.push({ mode: 'staged' });
+    if (args['working-tree']) selected.push({ mode: 'working-tree' });
+    if (args.base) selected.push({ mode: 'base', ref: GitChangeDetector.validateRef(args.base) });
+    if (args.since) selected.push({ mode: 'range', range: GitChangeDetector.parseRange(args.since) });
+
+    if (selected.length > 1) {
+      throw new Error('--staged / --working-tree / --base / --since は同時に指定できません');
+    }
+
+    return selected[0] || { mode: 'history' };
+  }
+
+  /**
+   * base・range モードの参照がコミットを指しているかを確認
+   * @param {Object} selection - resolveMode() の戻り値
+   * @returns {Promise<void>}
+   * @throws {Error} 存在しない参照の場合（invalidRef: true）
+   */
+  async verifyRefs(selection) {
+    let refs = [];
+    if (selection.mode === 'base') {
+      refs = [selection.ref];
+    } else if (selection.mode === 'range') {
+      refs = [selection.range.from, selection.range.to];
+    }
+    for (const ref of refs) {
+      try {
+        await this.runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+      } catch (error) {
+        const invalid = new Error(`Git参照が見つかりません: ${ref}`);
+        invalid.invalidRef = true;
+        throw invalid;
+      }
+    }
+  }
+
+  /**
+   * name-status 出力の解析
+   * @param {string} stdout - git diff/log --name-status の出力
+   * @param {boolean} nullTerminated - -z 形式かどうか
+   * @returns {Array<Object>} [{ status, file, oldFile }]
+   */
+  static parseNameStatus(stdout, nullTerminated = true) {
+    const entries = [];
+    const text = stdout.length > MAX_OUTPUT_LENGTH ? stdout.substring(0, MAX_OUTPUT_LENGTH) : stdout;
+
+    if (nullTerminated) {
+      const tokens = text.split('\0');
+      let i = 0;
+      while (i < tokens.length) {
+        const status = tokens[i].trim();
+        if (!status) {
+          i += 1;
+          continue;
+        }
+        const code = status.charAt(0);
+        if (code === 'R' || code === 'C') {
+          entries.push({ status: code, oldFile: tokens[i + 1], file: tokens[i + 2] });
+          i += 3;
+        } else {
+          entries.push({ status: code, file: tokens[i + 1] });
+          i += 2;
+        }
+      }
+    } else {
+      for (const line of text.split('\n')) {
+        const parts = line.split('\t');
+        if (parts.length < 2 || !parts[0].trim()) continue;
+        const code = parts[0].trim().charAt(0);
+        if ((code === 'R' || code === 'C') && parts.length >= 3) {
+          entries.push({ status: code, oldFile: parts[1], file: parts[2] });
+        } else {
+          entries.push({ status: code, file: parts[1] });
+        }
+      }
+    }
+
+    return entries.filter(entry => entry.file && entry.file.length < MAX_PATH_LENGTH);
+  }
+
+  /**
+   * 変更エントリを最終状態に集約（古い順に適用）
+   * @param {Array<Object>} entries - 変更エントリ（古い順）
+   * @returns {Object} { files, deleted, renamed }
+   */
+  static summarize(entries) {
+    const state = new Map();
+    const renamed = [];
+
+    for (const entry of entries) {
+      if (entry.status === 'D') {
+        state.set(entry.file, 'deleted');
+      } else if (entry.status === 'R') {
+        state.set(entry.oldFile, 'deleted');
+        state.set(entry.file, 'present');
+        renamed.push({ from: entry.oldFile, to: entry.file });
+      } else {
+        state.set(entry.file, 'present');
+      }
+    }
+
+    const files = [];
+    const deleted = [];
+    for (const [file, status] of state.entries()) {
+      (status === 'deleted' ? deleted : files).push(file);
+    }
+
+    return {
+      files: files.slice(0, MAX_FILES),
+      deleted,
+      renamed
+    };
+  }
+
+  /**
+   * モードに応じた git diff 引数を構築
+   * @param {Object} selection - resolveMode() の戻り値
+   * @returns {Array<string>} git 引数
+   */
+  buildDiffArgs(selection) {
+    const base = ['diff', '--name-status', '-z', '-M', '--relative'];
+    switch (selection.mode) {
+      case 'staged':
+        return [...base, '--cached', '--', this.pathspec];
+      case 'working-tree':
+        return [...base, 'HEAD', '--', this.pathspec];
+      case 'base':
+        return [...base, `${selection.ref}...HEAD`, '--', this.pathspec];
+      case 'range':
+        return [...base, `${selection.range.from}..${selection.range.to}`, '--', this.pathspec];
+      default:
+        throw new Error(`diffに対応しないモード: ${selection.mode}`);
+    }
+  }
+
+  /**
+   * 未追跡ファイルの列挙（.gitignore とツール自身の出力を除く）
+   * @returns {Promise<Array<string>>} カレントディレクトリからの相対パス
+   */
+  async listUntracked() {
+    const untracked = await this.runGit(['ls-files', '--others', '--exclude-standard', '-z', '--', this.pathspec]);
+    return untracked.split('\0')
+      .filter(file => file && file.length < MAX_PATH_LENGTH)
+      .filter(file => !this.excludePaths.some(excluded => file === excluded || file.startsWith(`${excluded}/`)));
+  }
+
+  /**
+   * 行単位の変更範囲（ハンク）の検出
+   * @param {Object} selection - resolveMode() の戻り値
+   * @returns {Promise<Map|null>} ファイル → [{ start, end }]。historyモードではnull
+   */
+  async detectHunks(selection) {
+    if (selection.mode === 'history') {
+      return null;
+    }
+
+    const diffArgs = this.buildDiffArgs(selection)
+      .filter(arg => !['--name-status', '-z'].includes(arg));
+    diffArgs.splice(1, 0, '-U0', '--no-prefix', '--no-color');
+
+    const hunks = DiffHunks.parse(await this.runGit(['-c', 'core.quotepath=false', ...diffArgs]));
+
+    if (selection.mode === 'working-tree') {
+      // 未追跡ファイルはファイル全体が変更範囲
+      (await this.listUntracked()).forEach(file => hunks.set(file, [{ start: 1, end: WHOLE_FILE }]));
+    }
+
+    return hunks;
+  }
+
+  /**
+   * 変更ファイルの検出
+   * @param {Object} selection - resolveMode() の戻り値
+   * @param {Object} options - オプション
+   * @param {Date} options.lastCheckTime - historyモードの基準時刻
+   * @returns {Promise<Object>} { mode, files, deleted, renamed }
+   */
+  async detect(selection, options = {}) {
+    let entries;
+
+    if (selection.mode === 'history') {
+      const logArgs = ['log', '--name-status', '--pretty=format:', '-M', '--relative'];
+      if (options.lastCheckTime instanceof Date && !isNaN(options.lastCheckTime.getTime())) {
+        logArgs.push('--after', options.lastCheckTime.toISOString());
+      } else {
+        logArgs.push('-n', '10');
+      }
+      logArgs.push('--', this.pathspec);
+
+      // git log は新しい順なので、古い順に並べ替えて集約する
+      entries = GitChangeDetector.parseNameStatus(await this.runGit(logArgs), false).reverse();
+    } else {
+      entries = GitChangeDetector.parseNameStatus(await this.runGit(this.buildDiffArgs(selection)));
+
+      if (selection.mode === 'working-tree') {
+        (await this.listUntracked()).forEach(file => entries.push({ status: 'A', file }));
+      }
+    }
+
+    return {
+      mode: selection.mode,
+      ...GitChangeDetector.summarize(entries)
+    };
+  }
+}
+
+/**
+ * 差分ハンクユーティリティクラス
+ * git diff -U0 の解析と、変更行に基づく問題のフィルタリングを提供
+ */
+class DiffHunks {
+  /**
+   * git diff -U0 --no-prefix の出力を解析
+   * @param {string} stdout - diff出力
+   * @returns {Map<string, Array<Object>>} ファイル → 新ファイル側の行範囲 [{ start, end }]
+   */
+  static parse(stdout) {
+    const hunks = new Map();
+    const text = stdout.length > MAX_OUTPUT_LENGTH * 10 ? stdout.substring(0, MAX_OUTPUT_LENGTH * 10) : stdout;
+    let current = null;
+
+    for (const line of text.split('\n')) {
+      if (line.startsWith('+++ ')) {
+        const file = line.substring(4).replace(/\t.*$/, '');
+        current = file === '/dev/null' || file.length >= MAX_PATH_LENGTH ? null : file;
+        if (current && !hunks.has(current)) {
+          hunks.set(current, []);
+        }
+        continue;
+      }
+
+      if (!current || !line.startsWith('@@ ')) continue;
+
+      const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+      if (!match) continue;
+
+      const start = parseInt(match[1], 10);
+      const count = match[2] === undefined ? 1 : parseInt(match[2], 10);
+      // 削除のみのハンク（count=0）は削除位置の行として扱う
+      const first = Math.max(start, 1);
+      hunks.get(current).push({ start: first, end: count === 0 ? first : start + count - 1 });
+    }
+
+    return hunks;
+  }
+
+  /**
+   * 行が変更範囲（または前後N行）に含まれるか
+   * @param {Array<Object>} ranges - 行範囲
+   * @param {number} line - 行番号
+   * @param {number} contextLines - 許容する前後の行数
+   * @returns {boolean} 含まれるかどうか
+   */
+  static includesLine(ranges, line, contextLines = 0) {
+    return ranges.some(range =>
+      line >= range.start - contextLines && line <= range.end + contextLines
+    );
+  }
+
+  /**
+   * 変更行に該当する問題のみを残す
+   * 行番号の無い問題は判定できないため、変更ファイル上のものは残す
+   * @param {Array<Object>} issues - 問題の配列
+   * @param {Map} hunks - detectHunks() の戻り値
+   * @param {Object} options - オプション
+   * @param {number} options.contextLines - 許容する前後の行数
+   * @returns {Object} { kept, filtered }
+   */
+  static filterIssues(issues, hunks, options = {}) {
+    const contextLines = Math.max(0, options.contextLines || 0);
+    const kept = [];
+    const filtered = [];
+
+    for (const issue of issues) {
+      if (!issue.file) {
+        kept.push(issue);
+        continue;
+      }
+
+      const ranges = hunks.get(IssueProtocol.normalizeFile(issue.file));
+      if (!ranges) {
+        filtered.push(issue);
+      } else if (!issue.line) {
+        kept.push(issue);
+      } else {
+        const startLine = issue.line;
+        const endLine = issue.endLine || issue.line;
+        const touches = ranges.some(range =>
+          startLine <= range.end + contextLines && endLine >= range.start - contextLines
+        );
+        (touches ? kept : filtered).push(issue);
+      }
+    }
+
+    return { kept, filtered };
+  }
+
+  /**
+   * エージェントに渡す形式に整形（例: "src/a.js:3-5,10-10"、ファイル全体は "src/a.js:*"）
+   * @param {string} file - ファイルパス
+   * @param {Array<Object>} ranges - 行範囲
+   * @returns {string} 整形された変更範囲
+   */
+  static formatRanges(file, ranges) {
+    if (ranges.some(range => range.end === WHOLE_FILE)) {
+      return `${file}:*`;
+    }
+    return `${file}:${ranges.map(range => `${range.start}-${range.end}`).join(',')}`;
+  }
+}
+
+// エクスポート
+module.exports = {
+  GitChangeDetector,
+  DiffHunks,
+  CHANGE_MODES
+};
+
+// 最終更新: 2026年10月19日 03:30 JST
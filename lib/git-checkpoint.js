@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * git-checkpoint.js
+ * 自動修正のGitセーフティネット
+ *
+ * 最初の修正を適用する前に、修正対象になり得るファイルの状態を
+ * smart-review/<session> ブランチのコミット（チェックポイント）として保存し、
+ * 反復ごとに修正後の状態をコミットとして積み重ねる。
+ * コミットは一時インデックス（GIT_INDEX_FILE）で作成するため、
+ * 作業ツリー・インデックス・HEAD は変更しない（未追跡ファイルも保存される）。
+ *
+ * セッションの情報は <git-dir>/smart-review/sessions/<session>.json に保存し、
+ * 実行が途中で異常終了しても undo() で実行前の状態に戻せるようにする。
+ * 最後に記録した状態（反復のコミット、無ければチェックポイント）から変更されたファイルがある場合、
+ * undo() は force を指定しない限り何も変更しない。途中で終了したセッションでは、変更が実行によるものか
+ * 手動のものか区別できないため、常に戻す前の状態をセッションのブランチに保存してから戻す。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const SESSION_SCHEMA = 'smart-review/session';
+const SESSION_SCHEMA_VERSION = '1.0';
+const BRANCH_PREFIX = 'smart-review/';
+const SESSION_PATTERN = /^[0-9A-Za-z][\w-]{0,63}$/;
+
+// チェックポイントのコミットはツール名義で作成する（user.name 未設定の環境でも動作させる）
+const COMMIT_ENV = {
+  GIT_AUTHOR_NAME: 'Smart Review',
+  GIT_AUTHOR_EMAIL: 'smart-review@localhost',
+  GIT_COMMITTER_NAME: 'Smart Review',
+  GIT_COMMITTER_EMAIL: 'smart-review@localhost'
+};
+
+/**
+ * Gitチェックポイントクラス
+ * Gitの実行は注入された関数に委ねる（SecurityUtils.executeGit を想定）。
+ * ファイル名・コミットメッセージをそのまま渡すため、引数の文字を除去しない実行関数が必要
+ */
+class GitCheckpoint {
+  /**
+   * @param {Function} runGit - (args: string[], options?: { env }) => Promise<string> 標準出力を返す
+   * @param {Object} options - オプション
+   * @param {string} options.session - セッションID（省略時は新規作成）
+   */
+  constructor(runGit, options = {}) {
+    if (typeof runGit !== 'function') {
+      throw new Error('Git実行関数が必要です');
+    }
+    this.runGit = runGit;
+    this.session = GitCheckpoint.validateSession(options.session || GitCheckpoint.createSessionId());
+    this.branch = `${BRANCH_PREFIX}${this.session}`;
+    this.manifest = null;
+  }
+
+  /**
+   * セッションIDの生成（YYYYMMDD-HHMMSS-<乱数>）
+   * @param {Date} date - 日時
+   * @returns {string} セッションID
+   */
+  static createSessionId(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+    return `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * セッションIDの検証
+   * @param {string} session - セッションID
+   * @returns {string} 検証済みのセッションID
+   * @throws {Error} 不正なセッションIDの場合
+   */
+  static validateSession(session) {
+    if (typeof session !== 'string' || !SESSION_PATTERN.test(session)) {
+      throw new Error(`不正なセッションID: ${String(session).substring(0, 50)}`);
+    }
+    return session;
+  }
+
+  /**
+   * セッション情報の保存先
+   * @param {Function} runGit - Git実行関数
+   * @returns {Promise<Object>} { gitDir, sessionsDir, prefix }
+   */
+  static async locate(runGit) {
+    const gitDir = (await runGit(['rev-parse', '--absolute-git-dir'])).trim();
+    const prefix = (await runGit(['rev-parse', '--show-prefix'])).trim();
+    return {
+      gitDir,
+      sessionsDir: path.join(gitDir, 'smart-review', 'sessions'),
+      prefix
+    };
+  }
+
+  /**
+   * 保存済みのセッション一覧（開始日時の新しい順）
+   * @param {Function} runGit - Git実行関数
+   * @returns {Promise<Array<Object>>} セッション情報
+   */
+  static async list(runGit) {
+    const { sessionsDir } = await GitCheckpoint.locate(runGit);
+    let names = [];
+    try {
+      names = await fs.readdir(sessionsDir);
+    } catch (error) {
+      return [];
+    }
+
+    const manifests = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(sessionsDir, name), 'utf8'));
+        if (manifest && manifest.schema === SESSION_SCHEMA && SESSION_PATTERN.test(manifest.session)) {
+          manifests.push(manifest);
+        }
+      } catch (error) {
+        // 壊れたセッション情報は無視する
+      }
+    }
+    return manifests.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * 最初の修正の前にチェックポイントを作成
+   * @param {Array<string>} files - 修正対象になり得るファイル（カレントディレクトリからの相対）
+   * @returns {Promise<Object>} セッション情報
+   */
+  async begin(files) {
+    const { sessionsDir, prefix } = await GitCheckpoint.locate(this.runGit);
+
+    let head;
+    try {
+      head = (await this.runGit(['rev-parse', '--verify', 'HEAD'])).trim();
+    } catch (error) {
+      throw new Error('コミットが無いリポジトリではチェックポイントを作成できません');
+    }
+
+    const commit = await this.snapshot(files, head, [
+      'smart-review: 自動修正前のチェックポイント',
+      `セッション: ${this.session}`
+    ]);
+    await this.runGit(['update-ref', `refs/heads/${this.branch}`, commit, '']);
+
+    this.manifest = {
+      schema: SESSION_SCHEMA,
+      version: SESSION_SCHEMA_VERSION,
+      session: this.session,
+      branch: this.branch,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      head,
+      checkpoint: commit,
+      // パスはリポジトリのルートからの相対で保存する（別のディレクトリからの undo 用）
+      files: files.map(file => path.posix.join(prefix, file)),
+      iterations: []
+    };
+    this.sessionsDir = sessionsDir;
+    this.prefix = prefix;
+    await this.save();
+    return this.manifest;
+  }
+
+  /**
+   * 反復の修正結果をコミット
+   * @param {number} iteration - 反復番号
+   * @param {Array<Object>} records - 適用した修正の記録 [{ agentId, files, status }]
+   * @returns {Promise<string>} コミットID
+   */
+  async commitIteration(iteration, records = []) {
+    if (!this.manifest) {
+      throw new Error('チェックポイントが作成されていません');
+    }
+
+    const applied = records.filter(record => record.status === 'applied');
+    const last = this.manifest.iterations.length > 0
+      ? this.manifest.iterations[this.manifest.iterations.length - 1].commit
+      : this.manifest.checkpoint;
+    const files = this.manifest.files.map(file => path.posix.relative(this.prefix, file));
+
+    const commit = await this.snapshot(files, last, [
+      `smart-review: 反復 ${iteration} の自動修正 ${applied.length}件`,
+      applied.map(record => `- ${record.agentId}: ${record.files.join(', ')}`).join('\n'),
+      `セッション: ${this.session}`
+    ].filter(Boolean));
+    await this.runGit(['update-ref', `refs/heads/${this.branch}`, commit, last]);
+
+    this.manifest.iterations.push({ number: iteration, commit, fixes: applied.length });
+    await this.save();
+    return commit;
+  }
+
+  /**
+   * 正常終了を記録
+   * @returns {Promise<void>}
+   */
+  async complete() {
+    if (!this.manifest) return;
+    this.manifest.status = 'completed';
+    this.manifest.completedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  /**
+   * 一時インデックスでファイルの現在の状態をコミット（作業ツリー・インデックスは変更しない）
+   * @param {Array<string>} files - 対象ファイル（カレントディレクトリからの相対）
+   * @param {string} parent - 親コミット
+   * @param {Array<string>} paragraphs - コミットメッセージの段落
+   * @returns {Promise<string>} コミットID
+   */
+  async snapshot(files, parent, paragraphs) {
+    const { gitDir } = await GitCheckpoint.locate(this.runGit);
+    const indexFile = path.join(gitDir, `smart-review-index-${this.session}`);
+    const env = { GIT_INDEX_FILE: indexFile };
+
+    try {
+      await this.runGit(['read-tree', parent], { env });
+
+      const existing = [];
+      const missing = [];
+      for (const file of files) {
+        try {
+          await fs.access(file);
+          existing.push(file);
+        } catch (error) {
+          missing.push(file);
+        }
+      }
+      if (existing.length > 0) {
+        await this.runGit(['add', '--force', '--', ...existing], { env });
+      }
+      if (missing.length > 0) {
+        await this.runGit(['rm', '--cached', '--quiet', '--ignore-unmatch', '--', ...missing], { env });
+      }
+
+      const tree = (await this.runGit(['write-tree'], { env })).trim();
+      const messageArgs = paragraphs.flatMap(paragraph => ['-m', paragraph]);
+      return (await this.runGit(['commit-tree', tree, '-p', parent, ...messageArgs], {
+        env: { ...env, ...COMMIT_ENV }
+      })).trim();
+    } finally {
+      await fs.rm(indexFile, { force: true });
+    }
+  }
+
+  /**
+   * セッション情報を保存（途中で異常終了しても読めるよう一時ファイルから置き換える）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.mkdir(this.sessionsDir, { recursive: true });
+    const file = path.join(this.sessionsDir, `${this.session}.json`);
+    await fs.writeFile(`${file}.tmp`, `${JSON.stringify(this.manifest, null, 2)}\n`, 'utf8');
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * セッションを読み込む（省略時は元に戻していない最新のセッション）
+   * @param {Function} runGit - Git実行関数
+   * @param {string} session - セッションID
+   * @returns {Promise<GitCheckpoint>} チェックポイント
+   * @throws {Error} セッションが無い場合
+   */
+  static async load(runGit, session) {
+    const manifests = await GitCheckpoint.list(runGit);
+    const manifest = session
+      ? manifests.find(m => m.session === GitCheckpoint.validateSession(session))
+      : manifests.find(m => m.status !== 'undone');
+    if (!manifest) {
+      throw new Error(session
+        ? `セッションが見つかりません: ${session}`
+        : '元に戻せるセッションがありません');
+    }
+
+    const { sessionsDir, prefix } = await GitCheckpoint.locate(runGit);
+    const checkpoint = new GitCheckpoint(runGit, { session: manifest.session });
+    checkpoint.manifest = manifest;
+    checkpoint.sessionsDir = sessionsDir;
+    checkpoint.prefix = prefix;
+    return checkpoint;
+  }
+
+  /**
+   * 修正対象のファイルを実行前の状態に戻す
+   * 実行前に存在しなかったファイルは削除する。HEAD・インデックスは変更しない
+   * 最後に記録した状態から変更されたファイルがある場合は、force を指定しない限り何も変更せずに失敗する。
+   * force を指定した場合と途中で終了したセッションでは、戻す前の状態をセッションのブランチにコミットしてから戻す
+   * @param {Object} options - オプション
+   * @param {boolean} options.force - 実行後に変更されたファイルも戻す
+   * @returns {Promise<Object>} { session, branch, restored, removed, modifiedAfterRun, preserved: 戻す前の状態のコミット }
+   * @throws {Error} 現在のディレクトリから戻せないファイル、または実行後に変更されたファイルがある場合
+   */
+  async undo(options = {}) {
+    const { checkpoint, iterations } = this.manifest;
+    // 最後に記録した状態（修正をコミットしていなければチェックポイント）
+    const latest = iterations.length > 0 ? iterations[iterations.length - 1].commit : checkpoint;
+    const running = this.manifest.status === 'running';
+
+    const targets = this.manifest.files.map(file => {
+      const relative = path.posix.relative(this.prefix, file);
+      if (relative === '' || relative.startsWith('..')) {
+        throw new Error(`${file} はこのディレクトリの外にあります。リポジトリのルートで実行してください`);
+      }
+      return { file: relative, root: file };
+    });
+
+    const restored = [];
+    const removed = [];
+    const modifiedAfterRun = [];
+    const changed = [];
+
+    for (const { file, root } of targets) {
+      const original = await this.blobId(`${checkpoint}:${root}`);
+      const current = await this.currentBlobId(file);
+
+      // 最後に記録した状態と異なるファイルは、記録の後に変更されている
+      if (current !== await this.blobId(`${latest}:${root}`)) {
+        modifiedAfterRun.push(file);
+      }
+      if (original !== current) {
+        changed.push({ file, original });
+      }
+    }
+
+    let preserved = null;
+    if (modifiedAfterRun.length > 0) {
+      if (!options.force && !running) {
+        const error = new Error(`実行後に変更されたファイルがあります: ${modifiedAfterRun.join(', ')}（変更をセッションのブランチに保存して戻す場合は --force を指定してください）`);
+        error.modifiedAfterRun = modifiedAfterRun;
+        throw error;
+      }
+      // 記録後の変更を失わないよう、戻す前の状態をセッションのブランチに残す
+      preserved = await this.snapshot(targets.map(target => target.file), latest, [
+        'smart-review: 取り消し前の作業ツリー',
+        `実行後に変更されたファイル: ${modifiedAfterRun.join(', ')}`,
+        `セッション: ${this.session}`
+      ]);
+      await this.runGit(['update-ref', `refs/heads/${this.branch}`, preserved, latest]);
+      this.manifest.preserved = preserved;
+    }
+
+    for (const { file, original } of changed) {
+      if (original) {
+        await this.runGit(['restore', `--source=${checkpoint}`, '--worktree', '--', file]);
+        restored.push(file);
+      } else {
+        await fs.rm(file, { force: true });
+        removed.push(file);
+      }
+    }
+
+    this.manifest.status = 'undone';
+    this.manifest.undoneAt = new Date().toISOString();
+    await this.save();
+
+    return { session: this.session, branch: this.branch, restored, removed, modifiedAfterRun, preserved };
+  }
+
+  /**
+   * コミット内のファイルのオブジェクトID
+   * @param {string} spec - <commit>:<path>
+   * @returns {Promise<string|null>} オブジェクトID（存在しない場合は null）
+   */
+  async blobId(spec) {
+    try {
+      return (await this.runGit(['rev-parse', '--verify', '--quiet', spec])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 作業ツリーのファイルのオブジェクトID
+   * @param {string} file - ファイル（カレントディレクトリからの相対）
+   * @returns {Promise<string|null>} オブジェクトID（存在しない場合は null）
+   */
+  async currentBlobId(file) {
+    try {
+      await fs.access(file);
+    } catch (error) {
+      return null;
+    }
+    return (await this.runGit(['hash-object', '--', file])).trim();
+  }
+}
+
+// エクスポート
+module.exports = {
+  GitCheckpoint,
+  SESSION_SCHEMA,
+  BRANCH_PREFIX
+};
+
+// 最終更新: 2026年10月19日 03:40 JST
@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * issue-protocol.js
+ * エージェント出力の構造化イシュープロトコル
+ *
+ * エージェントは以下のいずれかの形式で問題を報告できる:
+ *   - JSONドキュメント: {"schema":"smart-review/issues","version":"1.0","issues":[...]}
+ *     （出力全体、または ```json フェンスブロック内）
+ *   - JSON Lines: 1行1件の {"schema":"smart-review/issue","version":"1.0", ...}
+ * どちらも検出できない場合は従来の正規表現パーサーにフォールバックする。
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:30 JST
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const ISSUE_DOCUMENT_SCHEMA = 'smart-review/issues';
+const ISSUE_LINE_SCHEMA = 'smart-review/issue';
+const ISSUE_SCHEMA_VERSION = '1.0';
+const SUPPORTED_SCHEMA_VERSIONS = ['1.0'];
+const ISSUE_LEVELS = ['critical', 'error', 'warning', 'info', 'suggestion'];
+
+const RULE_ID_PATTERN = /^[A-Za-z0-9][\w.:/-]{0,127}$/;
+const MAX_ISSUES = 1000;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_PATH_LENGTH = 260;
+const MAX_LINE_NUMBER = 1000000;
+
+/**
+ * 構造化イシュープロトコルクラス
+ * スキーマ検証、出力の抽出、問題オブジェクトへの正規化を提供
+ */
+class IssueProtocol {
+  /**
+   * 単一の問題をスキーマに対して検証
+   * @param {Object} raw - エージェントが出力した問題
+   * @returns {Array<string>} 検証エラー（空配列なら有効）
+   */
+  static validateIssue(raw) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return ['問題はオブジェクトである必要があります'];
+    }
+
+    if (typeof raw.ruleId !== 'string' || !RULE_ID_PATTERN.test(raw.ruleId)) {
+      errors.push('ruleIdが無効です');
+    }
+    if (!ISSUE_LEVELS.includes(raw.level)) {
+      errors.push(`levelが無効です: ${String(raw.level).substring(0, 20)}`);
+    }
+    if (typeof raw.message !== 'string' || raw.message.trim() === '') {
+      errors.push('messageが必要です');
+    } else if (raw.message.length > MAX_MESSAGE_LENGTH) {
+      errors.push(`messageが長すぎます: ${MAX_MESSAGE_LENGTH}文字以内`);
+    }
+
+    if (raw.file !== undefined &&
+        (typeof raw.file !== 'string' || raw.file === '' || raw.file.length > MAX_PATH_LENGTH || raw.file.includes('\0'))) {
+      errors.push('fileが無効です');
+    }
+
+    const positions = {
+      line: raw.line,
+      column: raw.column,
+      endLine: raw.endLine,
+      endColumn: raw.endColumn
+    };
+    for (const [field, value] of Object.entries(positions)) {
+      if (value !== undefined && !IssueProtocol.isPosition(value)) {
+        errors.push(`${field}は1以上の整数である必要があります`);
+      }
+    }
+
+    if (raw.endLine !== undefined && raw.line === undefined) {
+      errors.push('endLineにはlineが必要です');
+    } else if (IssueProtocol.isPosition(raw.endLine) && IssueProtocol.isPosition(raw.line) && raw.endLine < raw.line) {
+      errors.push('endLineはline以上である必要があります');
+    }
+
+    if (raw.type !== undefined && (typeof raw.type !== 'string' || raw.type.length > 64)) {
+      errors.push('typeが無効です');
+    }
+    if (raw.snippet !== undefined && (typeof raw.snippet !== 'string' || raw.snippet.length > MAX_MESSAGE_LENGTH)) {
+      errors.push('snippetが無効です');
+    }
+
+    if (raw.fix !== undefined) {
+      if (!raw.fix || typeof raw.fix !== 'object' || typeof raw.fix.description !== 'string') {
+        errors.push('fix.descriptionが必要です');
+      } else if (raw.fix.diff !== undefined && typeof raw.fix.diff !== 'string') {
+        errors.push('fix.diffは文字列である必要があります');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * 行・列番号として有効か
+   * @param {*} value - 検査する値
+   * @returns {boolean} 1以上の整数かどうか
+   */
+  static isPosition(value) {
+    return Number.isInteger(value) && value > 0 && value < MAX_LINE_NUMBER;
+  }
+
+  /**
+   * エージェント出力から構造化された問題を抽出
+   * @param {string} output - エージェントの標準出力
+   * @returns {Object|null} { format, version, issues, errors }。構造化出力が無い場合はnull
+   */
+  static parse(output) {
+    if (!output || typeof output !== 'string') {
+      return null;
+    }
+
+    const document = IssueProtocol.findDocument(output);
+    if (document) {
+      if (!SUPPORTED_SCHEMA_VERSIONS.includes(document.version)) {
+        return {
+          format: 'json',
+          version: String(document.version),
+          issues: [],
+          errors: [`未対応のスキーマバージョン: ${String(document.version).substring(0, 20)}`]
+        };
+      }
+      if (!Array.isArray(document.issues)) {
+        return { format: 'json', version: document.version, issues: [], errors: ['issuesは配列である必要があります'] };
+      }
+      return IssueProtocol.collect('json', document.version, document.issues);
+    }
+
+    const lines = IssueProtocol.findLines(output);
+    if (lines.length > 0) {
+      const unsupported = lines.find(line => !SUPPORTED_SCHEMA_VERSIONS.includes(line.version));
+      if (unsupported) {
+        return {
+          format: 'jsonl',
+          version: String(unsupported.version),
+          issues: [],
+          errors: [`未対応のスキーマバージョン: ${String(unsupported.version).substring(0, 20)}`]
+        };
+      }
+      const issues = lines.map(line => {
+        const issue = { ...line };
+        delete issue.schema;
+        delete issue.version;
+        return issue;
+      });
+      return IssueProtocol.collect('jsonl', lines[0].version, issues);
+    }
+
+    return null;
+  }
+
+  /**
+   * 検証済みの問題を収集
+   * @param {string} format - 'json' または 'jsonl'
+   * @param {string} version - スキーマバージョン
+   * @param {Array<Object>} rawIssues - 検証前の問題
+   * @returns {Object} { format, version, issues, errors }
+   */
+  static collect(format, version, rawIssues) {
+    const issues = [];
+    const errors = [];
+
+    rawIssues.slice(0, MAX_ISSUES).forEach((raw, index) => {
+      const issueErrors = IssueProtocol.validateIssue(raw);
+      if (issueErrors.length > 0) {
+        errors.push(`issues[${index}]: ${issueErrors.join(', ')}`);
+      } else {
+        issues.push(raw);
+      }
+    });
+
+    if (rawIssues.length > MAX_ISSUES) {
+      errors.push(`問題数が上限を超えたため切り捨てました: ${MAX_ISSUES}件`);
+    }
+
+    return { format, version, issues, errors };
+  }
+
+  /**
+   * JSONドキュメント形式の出力を探す（出力全体 → フェンスブロックの順）
+   * @param {string} output - エージェントの標準出力
+   * @returns {Object|null} スキーマに一致するドキュメント
+   */
+  static findDocument(output) {
+    const candidates = [output.trim()];
+
+    let cursor = 0;
+    while (candidates.length < 20) {
+      const fenceStart = output.indexOf('```', cursor);
+      if (fenceStart === -1) break;
+      const bodyStart = output.indexOf('\n', fenceStart);
+      if (bodyStart === -1) break;
+      const fenceEnd = output.indexOf('```', bodyStart);
+      if (fenceEnd === -1) break;
+      candidates.push(output.substring(bodyStart + 1, fenceEnd).trim());
+      cursor = fenceEnd + 3;
+    }
+
+    for (const candidate of candidates) {
+      if (!candidate.startsWith('{')) continue;
+      const parsed = IssueProtocol.tryParseJson(candidate);
+      if (parsed && parsed.schema === ISSUE_DOCUMENT_SCHEMA) {
+        return parsed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * JSON Lines形式の問題行を探す（スキーマに一致しない行は無視）
+   * @param {string} output - エージェントの標準出力
+   * @returns {Array<Object>} スキーマに一致する行
+   */
+  static findLines(output) {
+    const lines = [];
+
+    for (const line of output.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) continue;
+      const parsed = IssueProtocol.tryParseJson(trimmed);
+      if (parsed && parsed.schema === ISSUE_LINE_SCHEMA) {
+        lines.push(parsed);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * 例外を投げないJSON解析
+   * @param {string} text - JSON文字列
+   * @returns {*} 解析結果（失敗時はnull）
+   */
+  static tryParseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 検証済みの問題をレビューパイプラインの問題オブジェクトに変換
+   * @param {Object} raw - 検証済みの問題
+   * @param {Object} agent - エージェント定義
+   * @returns {Object} 正規化された問題
+   */
+  static normalizeIssue(raw, agent) {
+    const issue = {
+      level: raw.level,
+      message: raw.message.trim(),
+      category: agent.category,
+      priority: agent.priority,
+      agentId: agent.id,
+      autoFixAvailable: agent.canAutoFix,
+      ruleId: raw.ruleId,
+      type: raw.type || 'general',
+      file: raw.file,
+      line: raw.line || null,
+      column: raw.column || null,
+      endLine: raw.endLine || null,
+      endColumn: raw.endColumn || null
+    };
+
+    if (raw.snippet) {
+      issue.snippet = raw.snippet;
+    }
+    if (raw.fix) {
+      issue.suggestedFix = {
+        description: raw.fix.description,
+        diff: raw.fix.diff
+      };
+    }
+
+    return issue;
+  }
+
+  /**
+   * 従来形式の問題に付与する安定したルールID
+   * @param {string} agentId - エージェントID
+   * @param {string} type - エラータイプ
+   * @returns {string} ルールID
+   */
+  static legacyRuleId(agentId, type) {
+    return `${agentId}/${type || 'general'}`;
+  }
+
+  /**
+   * ファイルパスをカレントディレクトリからの相対POSIXパスに正規化
+   * @param {string} file - ファイルパス
+   * @returns {string} 正規化されたパス
+   */
+  static normalizeFile(file) {
+    if (!file) {
+      return '';
+    }
+    const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+    return relative.split(path.sep).join('/').replace(/^(\.\/)+/, '');
+  }
+
+  /**
+   * 内容ベースのフィンガープリント（ルール + ファイル + 正規化したスニペット）
+   * 行番号を含めないため、コードの移動では変化しない
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {string} SHA-256 フィンガープリント（16進数）
+   */
+  static fingerprint(issue) {
+    const ruleId = issue.ruleId || IssueProtocol.legacyRuleId(issue.agentId, issue.type);
+    const content = (issue.snippet || issue.message || '').replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256')
+      .update([ruleId, IssueProtocol.normalizeFile(issue.file), content].join('\0'))
+      .digest('hex');
+  }
+
+  /**
+   * 問題の位置を表示用に整形（file:line:column-endLine:endColumn）
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {string} 整形された位置（ファイルが無い場合は空文字）
+   */
+  static formatLocation(issue) {
+    if (!issue.file) {
+      return '';
+    }
+
+    let location = issue.file;
+    if (issue.line) {
+      location += `:${issue.line}`;
+      if (issue.column) {
+        location += `:${issue.column}`;
+      }
+      if (issue.endLine && (issue.endLine !== issue.line || issue.endColumn)) {
+        location += `-${issue.endLine}`;
+        if (issue.endColumn) {
+          location += `:${issue.endColumn}`;
+        }
+      }
+    }
+
+    return location;
+  }
+}
+
+// エクスポート
+module.exports = {
+  IssueProtocol,
+  ISSUE_DOCUMENT_SCHEMA,
+  ISSUE_LINE_SCHEMA,
+  ISSUE_SCHEMA_VERSION,
+  ISSUE_LEVELS
+};
+
+// 最終更新: 2026年10月19日 03:30 JST
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * issue-state.js
+ * 自動修正ループの反復をまたいだ問題の最終状態
+ *
+ * エージェントが正常に再レビューしたファイルの問題は、そのエージェントの最新の検出結果に置き換え、
+ * 修正を適用した問題は取り除く。再レビューの対象外だったファイルや、
+ * エージェントが失敗・スキップしたファイルの問題は、修正を適用していなければそのまま残る。
+ * TODO・SARIF・JUnit・ゲート判定・ベースラインには、この最終状態を出力する。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+
+/**
+ * 問題の最終状態クラス
+ */
+class IssueState {
+  constructor() {
+    // 最初に検出された順の問題
+    this.current = [];
+  }
+
+  /**
+   * 問題を同一視するキー（同じ内容の問題が複数箇所にある場合は同じキーになる）
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {string} キー
+   */
+  static key(issue) {
+    return `${issue.agentId || ''}\0${IssueProtocol.fingerprint(issue)}`;
+  }
+
+  /**
+   * エージェントの実行結果で状態を更新
+   * @param {Object} run - エージェント実行記録 { agentId, files, error, skipped }
+   * @param {Array<Object>} issues - 今回の実行で検出された問題
+   */
+  update(run, issues) {
+    // 失敗・スキップした実行は分析結果が無いため、以前の問題を残す
+    if (run.error || run.skipped) {
+      return;
+    }
+    const files = new Set((run.files || []).map(file => IssueProtocol.normalizeFile(file)));
+    const reviewed = issue => issue.agentId === run.agentId &&
+      (!issue.file || files.has(IssueProtocol.normalizeFile(issue.file)));
+    this.current = this.current.filter(issue => !reviewed(issue)).concat(issues);
+  }
+
+  /**
+   * 修正を適用した問題を取り除く（次の反復で再び検出されれば update() で戻る）
+   * @param {Array<Object>} fixedIssues - AutoFixer.apply() の fixedIssues
+   */
+  resolve(fixedIssues) {
+    const fixed = new Set(fixedIssues.map(issue => IssueState.key(issue)));
+    this.current = this.current.filter(issue => !fixed.has(IssueState.key(issue)));
+  }
+
+  /**
+   * 現在の問題
+   * @returns {Array<Object>} 問題の配列
+   */
+  get issues() {
+    return [...this.current];
+  }
+}
+
+// エクスポート
+module.exports = {
+  IssueState
+};
+
+// 最終更新: 2026年10月19日 03:35 JST
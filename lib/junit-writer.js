@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * junit-writer.js
+ * CI向けのJUnit XML出力
+ *
+ * 各エージェントを testsuite、critical/high の各問題を失敗した testcase として出力する。
+ * エージェントの実行エラーは error 付きの testcase、問題が無いエージェントは
+ * 成功した testcase を1件持つ。実行されなかったエージェント（対象ファイルが無い実行など）の
+ * testsuite は出力しない。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:30 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+
+// 失敗として扱う優先度
+const FAILING_PRIORITIES = ['critical', 'high'];
+
+/**
+ * XML 1.0 で使用できる文字か（Char ::= #x9 | #xA | #xD | [#x20-#xD7FF] | [#xE000-#xFFFD] | [#x10000-#x10FFFF]）
+ * @param {number} codePoint - コードポイント（対になっていないサロゲートはその値）
+ * @returns {boolean} 使用できるかどうか
+ */
+function isXmlChar(codePoint) {
+  return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+    (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+    (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+    codePoint >= 0x10000;
+}
+
+/**
+ * JUnit XML出力クラス
+ */
+class JUnitWriter {
+  /**
+   * テストスイート構造を構築
+   * @param {Object} options - オプション
+   * @param {Array<Object>} options.agents - エージェント定義
+   * @param {Array<Object>} options.issues - 問題オブジェクト
+   * @param {Array<Object>} options.agentRuns - エージェント実行記録
+   * @param {string} options.timestamp - 実行開始時刻（ISO 8601）
+   * @returns {Object} { name, tests, failures, errors, time, suites }
+   */
+  static build(options = {}) {
+    const agentRuns = options.agentRuns || [];
+    const issues = options.issues || [];
+
+    // 実行記録・問題のあるエージェントを設定順に並べ、設定に無いエージェントは末尾に追加
+    const reported = new Set([...agentRuns, ...issues].map(entry => entry.agentId).filter(Boolean));
+    const agentIds = (options.agents || []).map(agent => agent.id).filter(agentId => reported.has(agentId));
+    reported.forEach(agentId => {
+      if (!agentIds.includes(agentId)) {
+        agentIds.push(agentId);
+      }
+    });
+
+    const suites = agentIds.map(agentId => {
+      const agent = (options.agents || []).find(a => a.id === agentId) || { id: agentId };
+      const runs = agentRuns.filter(run => run.agentId === agentId);
+      const failing = issues.filter(issue =>
+        issue.agentId === agentId &&
+        FAILING_PRIORITIES.includes(issue.priority)
+      );
+
+      const time = runs.reduce((sum, run) => sum + (run.executionTime || 0), 0) / 1000;
+      const testcases = failing.map(issue => JUnitWriter.toFailureCase(agentId, issue));
+
+      runs.filter(run => run.error).forEach(run => {
+        testcases.push({
+          classname: agentId,
+          name: JUnitWriter.runLabel(run),
+          time: (run.executionTime || 0) / 1000,
+          error: { message: run.error, type: 'AgentExecutionError' }
+        });
+      });
+
+      if (testcases.length === 0) {
+        testcases.push({
+          classname: agentId,
+          name: 'critical/high の問題なし',
+          time
+        });
+      }
+
+      return {
+        name: agentId,
+        displayName: agent.name || agentId,
+        tests: testcases.length,
+        failures: testcases.filter(testcase => testcase.failure).length,
+        errors: testcases.filter(testcase => testcase.error).length,
+        time,
+        timestamp: options.timestamp,
+        testcases
+      };
+    });
+
+    return {
+      name: 'Smart Review',
+      tests: suites.reduce((sum, suite) => sum + suite.tests, 0),
+      failures: suites.reduce((sum, suite) => sum + suite.failures, 0),
+      errors: suites.reduce((sum, suite) => sum + suite.errors, 0),
+      time: suites.reduce((sum, suite) => sum + suite.time, 0),
+      suites
+    };
+  }
+
+  /**
+   * 問題を失敗したtestcaseに変換
+   * @param {string} agentId - エージェントID
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {Object} testcase
+   */
+  static toFailureCase(agentId, issue) {
+    const ruleId = issue.ruleId || IssueProtocol.legacyRuleId(agentId, issue.type);
+    const message = issue.message || '';
+    const location = issue.file ? IssueProtocol.formatLocation(issue) : '';
+
+    const details = [
+      `${issue.priority.toUpperCase()}: ${message}`,
+      location && `ファイル: ${location}`,
+      `ルール: ${ruleId}`,
+      issue.suggestedFix && `修正案: ${issue.suggestedFix.description}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      classname: agentId,
+      name: location ? `${ruleId} (${location})` : ruleId,
+      file: issue.file ? IssueProtocol.normalizeFile(issue.file) : undefined,
+      line: issue.line,
+      time: 0,
+      failure: { message, type: issue.priority, details }
+    };
+  }
+
+  /**
+   * エージェント実行記録のラベル
+   * @param {Object} run - エージェント実行記録
+   * @returns {string} ラベル
+   */
+  static runLabel(run) {
+    const parts = [`反復 ${run.iteration || 1}`];
+    if (run.batch !== undefined && run.batch !== null) {
+      parts.push(`バッチ ${run.batch}`);
+    }
+    return `エージェント実行 (${parts.join(', ')})`;
+  }
+
+  /**
+   * XML属性・テキスト用のエスケープ
+   * @param {*} value - 値
+   * @returns {string} エスケープ済み文字列
+   */
+  static escapeXml(value) {
+    // XML 1.0 で使用できない文字（制御文字・U+FFFE/U+FFFF・対になっていないサロゲート）を除去
+    return Array.from(String(value))
+      .filter(char => isXmlChar(char.codePointAt(0)))
+      .join('')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * テストスイート構造をJUnit XML文字列に変換
+   * @param {Object} report - build() の戻り値
+   * @returns {string} XML文字列
+   */
+  static serialize(report) {
+    const esc = JUnitWriter.escapeXml;
+    const seconds = value => (value || 0).toFixed(3);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+    lines.push(`<testsuites name="${esc(report.name)}" tests="${report.tests}" failures="${report.failures}" errors="${report.errors}" time="${seconds(report.time)}">`);
+
+    report.suites.forEach(suite => {
+      const timestamp = suite.timestamp ? ` timestamp="${esc(suite.timestamp)}"` : '';
+      lines.push(`  <testsuite name="${esc(suite.name)}" tests="${suite.tests}" failures="${suite.failures}" errors="${suite.errors}" skipped="0" time="${seconds(suite.time)}"${timestamp}>`);
+      lines.push('    <properties>');
+      lines.push(`      <property name="agentName" value="${esc(suite.displayName)}"/>`);
+      lines.push('    </properties>');
+
+      suite.testcases.forEach(testcase => {
+        const file = testcase.file ? ` file="${esc(testcase.file)}"` : '';
+        const line = testcase.line ? ` line="${testcase.line}"` : '';
+        const open = `    <testcase classname="${esc(testcase.classname)}" name="${esc(testcase.name)}"${file}${line} time="${seconds(testcase.time)}"`;
+
+        if (testcase.failure) {
+          lines.push(`${open}>`);
+          lines.push(`      <failure message="${esc(testcase.failure.message)}" type="${esc(testcase.failure.type)}">${esc(testcase.failure.details)}</failure>`);
+          lines.push('    </testcase>');
+        } else if (testcase.error) {
+          lines.push(`${open}>`);
+          lines.push(`      <error message="${esc(testcase.error.message)}" type="${esc(testcase.error.type)}"/>`);
+          lines.push('    </testcase>');
+        } else {
+          lines.push(`${open}/>`);
+        }
+      });
+
+      lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// エクスポート
+module.exports = {
+  JUnitWriter,
+  FAILING_PRIORITIES
+};
+
+// 最終更新: 2026年10月19日 03:30 JST
@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+/**
+ * result-cache.js
+ * エージェント実行結果のディスクキャッシュ
+ *
+ * 結果は .smart-review-cache/<agentId>/<key>.json に保存し、実行をまたいで再利用する。
+ * キーはエージェントID・指示内容（プロンプト）のハッシュ・モデル・エージェント定義（Markdown）のダイジェスト・
+ * 問題の内容に影響する設定（configSlice）・ツールのバージョン・
+ * 対象ファイルのパスと内容のハッシュから作るため、時刻には依存しない。
+ * エントリはエージェントとファイルの組ごとに持ち（splitByFile）、
+ * 一部のファイルだけが変わったバッチでも変わっていないファイルの結果を再利用できる（mergeParts）。
+ * 合計サイズが上限を超えた場合は最後に使われた日時（ファイルの更新日時）の古い順に削除する（LRU）。
+ *
+ * バージョン: v1.4.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { IssueProtocol } = require('./issue-protocol');
+
+const CACHE_ENTRY_SCHEMA = 'smart-review/cache-entry';
+const CACHE_ENTRY_SCHEMA_VERSION = '1.1';
+const DEFAULT_CACHE_DIR = '.smart-review-cache';
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024; // 50MB
+const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30日
+const MAX_HASHED_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+const AGENT_DIR_PATTERN = /^[0-9A-Za-z][\w-]{0,63}$/;
+
+/**
+ * 結果キャッシュクラス
+ */
+class ResultCache {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.dir - キャッシュディレクトリ（既定: カレントディレクトリの .smart-review-cache）
+   * @param {number} options.maxBytes - 合計サイズの上限（バイト）
+   * @param {number} options.maxAge - 作成からの有効期間（ミリ秒）
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_CACHE_DIR);
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * 文字列・Buffer の SHA-256
+   * @param {string|Buffer} content - 内容
+   * @returns {string} 16進ハッシュ
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * ファイル内容のハッシュ
+   * @param {string} filePath - ファイルパス
+   * @returns {Promise<string|null>} 16進ハッシュ（読めない・大きすぎる場合 null）
+   */
+  static async hashFile(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile() || stats.size > MAX_HASHED_FILE_SIZE) {
+        return null;
+      }
+      return ResultCache.hash(await fs.readFile(filePath));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * エージェント設定のうち、検出される問題の内容（優先度・分類など）に影響する項目
+   * @param {Object} agent - エージェント設定
+   * 実行方式（runtime）は指定した場合のみ含める（既定の claude のキャッシュを維持するため）
+   * @returns {Object} { role, category, priority, errorTypes, canAutoFix, runtime? }（未設定は null）
+   */
+  static configSlice(agent) {
+    const { role = null, category = null, priority = null, errorTypes = null, canAutoFix = null } = agent;
+    const slice = { role, category, priority, errorTypes, canAutoFix };
+    if (agent.runtime) {
+      slice.runtime = agent.runtime;
+    }
+    return slice;
+  }
+
+  /**
+   * キャッシュキーの生成
+   * @param {Object} spec - キーの構成要素
+   * @param {string} spec.agentId - エージェントID
+   * @param {string} spec.promptHash - エージェントへの指示内容のハッシュ
+   * @param {string} spec.model - モデル
+   * @param {string|null} spec.definitionHash - エージェント定義（Markdown）のダイジェスト
+   * @param {Object} spec.config - configSlice() の値
+   * @param {string} spec.toolVersion - ツールのバージョン
+   * @param {Array<Object>} spec.files - { file, hash, changedLines? }（順序は問わない）
+   * @returns {string} キー（64桁の16進）
+   */
+  static createKey({ agentId, promptHash, model, definitionHash = null, config = {}, toolVersion = null, files }) {
+    const entries = files
+      .map(entry => [entry.file, entry.hash, entry.changedLines || null])
+      .sort((a, b) => a[0].localeCompare(b[0]));
+    return ResultCache.hash(JSON.stringify({
+      agentId,
+      promptHash,
+      model,
+      definitionHash,
+      config,
+      toolVersion,
+      files: entries
+    }));
+  }
+
+  /**
+   * エージェントの結果をファイルごとのエントリに分ける
+   * 問題・抑制された問題・無効な抑制コメントを、対象ファイルのいずれかに割り当てる
+   * @param {Object} result - エージェントの結果（issues, suppressed, suppressionErrors）
+   * @param {Array<string>} files - エージェントに渡したファイル
+   * @returns {Map<string, Object>|null} ファイル → { issues, suppressed, suppressionErrors }
+   *   （どのファイルの問題か特定できないものがある場合 null。その結果はキャッシュしない）
+   */
+  static splitByFile(result, files) {
+    const parts = new Map(files.map(file => [IssueProtocol.normalizeFile(file), {
+      file,
+      part: { issues: [], suppressed: [], suppressionErrors: [] }
+    }]));
+    const partOf = issue => {
+      const entry = issue.file ? parts.get(IssueProtocol.normalizeFile(issue.file)) : null;
+      return entry ? entry.part : null;
+    };
+
+    for (const issue of result.issues || []) {
+      const part = partOf(issue);
+      if (!part) return null;
+      part.issues.push(issue);
+    }
+    for (const issue of result.suppressed || []) {
+      const part = partOf(issue);
+      if (!part) return null;
+      part.suppressed.push(issue);
+    }
+
+    // 無効な抑制コメントは「<ファイル>:<行>: 説明」の形式
+    for (const error of result.suppressionErrors || []) {
+      const entry = [...parts.keys()].find(file => error.startsWith(`${file}:`));
+      if (!entry) return null;
+      parts.get(entry).part.suppressionErrors.push(error);
+    }
+
+    return new Map([...parts.values()].map(({ file, part }) => [file, part]));
+  }
+
+  /**
+   * ファイルごとの結果をまとめる
+   * エージェントが渡していないファイル（キャッシュ済み）の問題も報告した場合に備え、同じ位置の同じ問題は1件にする
+   * @param {Array<Object>} parts - { issues, suppressed, suppressionErrors }
+   * @returns {Object} { issues, suppressed, suppressionErrors }
+   */
+  static mergeParts(parts) {
+    const unique = issues => {
+      const seen = new Set();
+      return issues.filter(issue => {
+        const id = `${IssueProtocol.fingerprint(issue)}:${issue.line || ''}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+    };
+    return {
+      issues: unique(parts.flatMap(part => part.issues || [])),
+      suppressed: unique(parts.flatMap(part => part.suppressed || [])),
+      suppressionErrors: [...new Set(parts.flatMap(part => part.suppressionErrors || []))]
+    };
+  }
+
+  /**
+   * エントリの保存先
+   * @param {string} agentId - エージェントID
+   * @param {string} key - キー
+   * @returns {string} ファイルパス
+   * @throws {Error} 不正なキーの場合
+   */
+  entryPath(agentId, key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`不正なキャッシュキー: ${String(key).substring(0, 70)}`);
+    }
+    // ディレクトリ名に使えないエージェントIDはハッシュで代替する
+    const agentDir = AGENT_DIR_PATTERN.test(agentId)
+      ? agentId
+      : `_${ResultCache.hash(String(agentId)).substring(0, 16)}`;
+    return path.join(this.dir, agentDir, `${key}.json`);
+  }
+
+  /**
+   * キャッシュから取得（ヒットしたエントリは最終使用日時を更新する）
+   * @param {string} agentId - エージェントID
+   * @param {string} key - キー
+   * @returns {Promise<Object|null>} 保存した結果（無い・期限切れ・壊れている場合 null）
+   */
+  async get(agentId, key) {
+    const file = this.entryPath(agentId, key);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (!entry || entry.schema !== CACHE_ENTRY_SCHEMA || entry.version !== CACHE_ENTRY_SCHEMA_VERSION || entry.key !== key ||
+          Date.now() - Date.parse(entry.createdAt) > this.maxAge) {
+        await fs.rm(file, { force: true });
+        this.counters.misses++;
+        return null;
+      }
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      this.counters.hits++;
+      return entry.result;
+    } catch (error) {
+      this.counters.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * キャッシュに保存し、上限を超えた分を削除
+   * @param {string} agentId - エージェントID
+   * @param {string} key - キー
+   * @param {Object} result - 保存する結果（JSONに変換できること）
+   * @returns {Promise<void>}
+   */
+  async set(agentId, key, result) {
+    const file = this.entryPath(agentId, key);
+    const content = JSON.stringify({
+      schema: CACHE_ENTRY_SCHEMA,
+      version: CACHE_ENTRY_SCHEMA_VERSION,
+      key,
+      agentId,
+      createdAt: new Date().toISOString(),
+      result
+    });
+    if (Buffer.byteLength(content) > this.maxBytes) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, content, 'utf8');
+    await fs.rename(tempFile, file);
+    this.counters.writes++;
+    await this.evict();
+  }
+
+  /**
+   * 保存済みのエントリ一覧（最終使用日時の古い順）
+   * @returns {Promise<Array<Object>>} { agent, file, size, accessedAt }
+   */
+  async list() {
+    let agentDirs = [];
+    try {
+      agentDirs = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const agentDir of agentDirs.filter(d => d.isDirectory())) {
+      let names = [];
+      try {
+        names = await fs.readdir(path.join(this.dir, agentDir.name));
+      } catch (error) {
+        continue;
+      }
+      for (const name of names.filter(n => n.endsWith('.json'))) {
+        const file = path.join(this.dir, agentDir.name, name);
+        try {
+          const stats = await fs.stat(file);
+          entries.push({ agent: agentDir.name, file, size: stats.size, accessedAt: stats.mtimeMs });
+        } catch (error) {
+          // 並行して削除されたエントリは無視する
+        }
+      }
+    }
+    return entries.sort((a, b) => a.accessedAt - b.accessedAt);
+  }
+
+  /**
+   * 合計サイズが上限以下になるまで最終使用日時の古いエントリを削除
+   * @param {number} maxBytes - 上限（省略時は設定値）
+   * @returns {Promise<Object>} { removed, bytes }
+   */
+  async evict(maxBytes = this.maxBytes) {
+    const entries = await this.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let removed = 0;
+    let bytes = 0;
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await fs.rm(entry.file, { force: true });
+      total -= entry.size;
+      bytes += entry.size;
+      removed++;
+    }
+    this.counters.evictions += removed;
+    return { removed, bytes };
+  }
+
+  /**
+   * 期限切れ・壊れたエントリ・書き込み途中の一時ファイルを削除し、サイズ上限を適用
+   * @returns {Promise<Object>} { removed, bytes }
+   */
+  async prune() {
+    let removed = 0;
+    let bytes = 0;
+    const remove = async (file, size) => {
+      await fs.rm(file, { force: true });
+      removed++;
+      bytes += size;
+    };
+
+    for (const entry of await this.list()) {
+      try {
+        const content = JSON.parse(await fs.readFile(entry.file, 'utf8'));
+        if (!content || content.schema !== CACHE_ENTRY_SCHEMA || content.version !== CACHE_ENTRY_SCHEMA_VERSION ||
+            Date.now() - Date.parse(content.createdAt) > this.maxAge) {
+          await remove(entry.file, entry.size);
+        }
+      } catch (error) {
+        await remove(entry.file, entry.size);
+      }
+    }
+
+    // 異常終了で残った一時ファイル
+    let agentDirs = [];
+    try {
+      agentDirs = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      agentDirs = [];
+    }
+    for (const agentDir of agentDirs.filter(d => d.isDirectory())) {
+      const names = await fs.readdir(path.join(this.dir, agentDir.name)).catch(() => []);
+      for (const name of names.filter(n => n.endsWith('.tmp'))) {
+        const file = path.join(this.dir, agentDir.name, name);
+        const stats = await fs.stat(file).catch(() => null);
+        if (stats) await remove(file, stats.size);
+      }
+    }
+
+    const evicted = await this.evict();
+    return { removed: removed + evicted.removed, bytes: bytes + evicted.bytes };
+  }
+
+  /**
+   * すべてのエントリを削除
+   * キャッシュディレクトリ直下のファイル（サーキットブレーカーの状態など）は残す
+   * @returns {Promise<Object>} { removed, bytes }
+   */
+  async clear() {
+    const entries = await this.list();
+    const agentDirs = await fs.readdir(this.dir, { withFileTypes: true }).catch(() => []);
+    for (const agentDir of agentDirs.filter(d => d.isDirectory())) {
+      await fs.rm(path.join(this.dir, agentDir.name), { recursive: true, force: true });
+    }
+    return {
+      removed: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+    };
+  }
+
+  /**
+   * 統計情報
+   * @returns {Promise<Object>} { dir, entries, bytes, maxBytes, maxAge, oldest, newest, agents, counters }
+   */
+  async stats() {
+    const entries = await this.list();
+    const agents = {};
+    entries.forEach(entry => {
+      const agent = agents[entry.agent] || (agents[entry.agent] = { entries: 0, bytes: 0 });
+      agent.entries++;
+      agent.bytes += entry.size;
+    });
+    return {
+      dir: this.dir,
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.maxBytes,
+      maxAge: this.maxAge,
+      oldest: entries.length > 0 ? new Date(entries[0].accessedAt).toISOString() : null,
+      newest: entries.length > 0 ? new Date(entries[entries.length - 1].accessedAt).toISOString() : null,
+      agents,
+      counters: { ...this.counters }
+    };
+  }
+}
+
+// エクスポート
+module.exports = {
+  ResultCache,
+  DEFAULT_CACHE_DIR,
+  CACHE_ENTRY_SCHEMA
+};
+
+// 最終更新: 2026年10月19日 03:55 JST
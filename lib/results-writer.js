@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * results-writer.js
+ * CI向けの実行結果JSON（results.json）
+ *
+ * execute() の実行コンテキストを安定したスキーマ（smart-review/results v1.0）に変換する。
+ * 文字列はHTMLエスケープを解除したプレーンテキストで出力する。
+ *
+ * バージョン: v1.13.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+
+const RESULTS_SCHEMA = 'smart-review/results';
+const RESULTS_SCHEMA_VERSION = '1.0';
+
+/**
+ * 実行結果JSON出力クラス
+ */
+class ResultsWriter {
+  /**
+   * 実行結果ドキュメントを構築
+   * @param {Object} executionContext - execute() の実行コンテキスト
+   * @param {Object} options - オプション
+   * @param {string} options.toolVersion - ツールのバージョン
+   * @param {string} options.priorityThreshold - TODOに含める最小優先度
+   * @param {Function} options.inTodo - 問題がTODO対象かを判定する関数
+   * @param {Object} options.outputs - 出力形式ごとのファイルパス
+   * @returns {Object} 実行結果ドキュメント
+   */
+  static build(executionContext, options = {}) {
+    const inTodo = options.inTodo || (() => true);
+    const agentRuns = executionContext.agentRuns || [];
+
+    return {
+      schema: RESULTS_SCHEMA,
+      version: RESULTS_SCHEMA_VERSION,
+      tool: {
+        name: 'smart-review',
+        version: options.toolVersion
+      },
+      run: {
+        scope: executionContext.scope,
+        target: executionContext.target,
+        changeMode: executionContext.changeMode || null,
+        priorityThreshold: options.priorityThreshold || null,
+        dryRun: Boolean(executionContext.dryRun),
+        startTime: executionContext.startTime,
+        endTime: executionContext.endTime || null
+      },
+      files: {
+        analyzed: executionContext.changedFiles || [],
+        deleted: executionContext.deletedFiles || [],
+        renamed: executionContext.renamedFiles || [],
+        skipped: executionContext.skippedFiles || []
+      },
+      metrics: { ...executionContext.metrics },
+      agents: ResultsWriter.summarizeAgents(agentRuns),
+      agentRuns: agentRuns.map(run => ResultsWriter.toAgentRun(run)),
+      iterations: (executionContext.iterations || []).map(iteration => ({
+        number: iteration.number,
+        timestamp: iteration.timestamp,
+        changedFiles: iteration.changedFiles || [],
+        issuesFound: (iteration.newIssues || []).length,
+        issuesFixed: iteration.issuesFixed || 0,
+        fingerprints: (iteration.newIssues || []).map(issue => IssueProtocol.fingerprint(issue)),
+        commit: iteration.commit || null,
+        convergence: iteration.convergence || null,
+        fixes: (iteration.fixes || []).map(fix => ({
+          agentId: fix.agentId,
+          files: fix.files,
+          issues: fix.issues,
+          status: fix.status,
+          reason: fix.reason || null
+        })),
+        decisions: (iteration.fixDecisions || []).map(decision => ({
+          agentId: decision.agentId,
+          file: decision.file,
+          hunk: decision.hunk,
+          decision: decision.decision,
+          issues: decision.issues
+        }))
+      })),
+      issues: (executionContext.allIssues || []).map(issue => ResultsWriter.toIssue(issue, inTodo(issue))),
+      suppressed: (executionContext.suppressedIssues || []).map(issue => ({
+        ...ResultsWriter.toIssue(issue, false),
+        suppression: {
+          scope: issue.suppression.scope,
+          rules: [...issue.suppression.rules],
+          reason: issue.suppression.reason,
+          line: issue.suppression.line
+        }
+      })),
+      invalidSuppressions: [...(executionContext.invalidSuppressions || [])],
+      baseline: executionContext.baseline || null,
+      gate: executionContext.gate || null,
+      fixPatch: executionContext.fixPatch || null,
+      checkpoint: executionContext.checkpoint || null,
+      convergence: executionContext.convergence || null,
+      abort: executionContext.abort ? {
+        policy: executionContext.abort.policy,
+        message: executionContext.abort.message,
+        skippedAgents: executionContext.abort.skippedAgents.map(run => ({
+          agentId: run.agentId,
+          agentName: run.agentName,
+          iteration: run.iteration,
+          batch: run.batch === undefined ? null : run.batch
+        }))
+      } : null,
+      circuitBreaker: executionContext.circuitBreaker ? {
+        failureThreshold: executionContext.circuitBreaker.failureThreshold,
+        cooldownSeconds: executionContext.circuitBreaker.cooldownSeconds,
+        agents: executionContext.circuitBreaker.agents.map(agent => ({
+          agentId: agent.agentId,
+          agentName: agent.agentName,
+          failures: agent.failures,
+          skipped: agent.skipped,
+          openedAt: agent.openedAt,
+          retryAt: agent.retryAt,
+          lastError: agent.lastError
+        }))
+      } : null,
+      toolFindings: executionContext.toolFindings ? {
+        agents: executionContext.toolFindings.agents.map(agent => ({
+          agentId: agent.agentId,
+          agentName: agent.agentName
+        })),
+        llmOnly: executionContext.toolFindings.llmOnly,
+        toolOnly: executionContext.toolFindings.toolOnly,
+        both: executionContext.toolFindings.both,
+        duplicates: executionContext.toolFindings.duplicates.map(({ issue, duplicateOf }) => ({
+          fingerprint: IssueProtocol.fingerprint(issue),
+          duplicateOf: IssueProtocol.fingerprint(duplicateOf)
+        }))
+      } : null,
+      comment: executionContext.finalCommentResult || null,
+      outputs: options.outputs || {}
+    };
+  }
+
+  /**
+   * エージェント実行記録を出力形式に変換
+   * @param {Object} run - エージェント実行記録
+   * @returns {Object} 実行記録
+   */
+  static toAgentRun(run) {
+    return {
+      agentId: run.agentId,
+      agentName: run.agentName,
+      iteration: run.iteration,
+      batch: run.batch === undefined ? null : run.batch,
+      executionTime: run.executionTime || 0,
+      issuesFound: run.issuesFound || 0,
+      cacheHits: run.cacheHits || 0,
+      cacheMisses: run.cacheMisses || 0,
+      attempts: run.attempts || 1,
+      error: run.error || null,
+      skipped: run.skipped ? { policy: run.skipped.policy, reason: run.skipped.reason } : null
+    };
+  }
+
+  /**
+   * エージェントごとの実行時間・結果キャッシュのヒット数（ファイル数）・再試行回数・エラー・スキップ数を集計
+   * @param {Array<Object>} agentRuns - エージェント実行記録
+   * @returns {Array<Object>} エージェントごとの集計（初回実行順）
+   */
+  static summarizeAgents(agentRuns) {
+    const summaries = new Map();
+
+    agentRuns.forEach(run => {
+      const agentId = run.agentId;
+      if (!summaries.has(agentId)) {
+        summaries.set(agentId, {
+          agentId,
+          agentName: run.agentName,
+          runs: 0,
+          totalExecutionTime: 0,
+          issuesFound: 0,
+          cacheHits: 0,
+          cacheMisses: 0,
+          retries: 0,
+          skipped: 0,
+          errors: []
+        });
+      }
+
+      const summary = summaries.get(agentId);
+      summary.runs += 1;
+      summary.totalExecutionTime += run.executionTime || 0;
+      summary.issuesFound += run.issuesFound || 0;
+      summary.cacheHits += run.cacheHits || 0;
+      summary.cacheMisses += run.cacheMisses || 0;
+      summary.retries += Math.max((run.attempts || 1) - 1, 0);
+      summary.skipped += run.skipped ? 1 : 0;
+      if (run.error) {
+        summary.errors.push({
+          iteration: run.iteration,
+          batch: run.batch === undefined ? null : run.batch,
+          message: run.error
+        });
+      }
+    });
+
+    return [...summaries.values()];
+  }
+
+  /**
+   * 問題を出力形式に変換
+   * @param {Object} issue - 問題オブジェクト
+   * @param {boolean} inTodo - TODO対象かどうか
+   * @returns {Object} 問題
+   */
+  static toIssue(issue, inTodo) {
+    return {
+      fingerprint: IssueProtocol.fingerprint(issue),
+      agentId: issue.agentId,
+      ruleId: issue.ruleId || IssueProtocol.legacyRuleId(issue.agentId, issue.type),
+      level: issue.level || null,
+      priority: issue.priority || null,
+      category: issue.category || null,
+      type: issue.type || null,
+      message: issue.message,
+      file: issue.file ? IssueProtocol.normalizeFile(issue.file) : null,
+      line: issue.line || null,
+      column: issue.column || null,
+      endLine: issue.endLine || null,
+      endColumn: issue.endColumn || null,
+      snippet: issue.snippet || null,
+      suggestedFix: issue.suggestedFix ? {
+        description: issue.suggestedFix.description,
+        diff: issue.suggestedFix.diff || null
+      } : null,
+      autoFixAvailable: Boolean(issue.autoFixAvailable),
+      baselineStatus: issue.baselineStatus || null,
+      inTodo
+    };
+  }
+
+  /**
+   * 実行結果ドキュメントをJSON文字列に変換
+   * @param {Object} document - 実行結果ドキュメント
+   * @returns {string} JSON文字列
+   */
+  static serialize(document) {
+    return JSON.stringify(document, null, 2);
+  }
+}
+
+// エクスポート
+module.exports = {
+  ResultsWriter,
+  RESULTS_SCHEMA,
+  RESULTS_SCHEMA_VERSION
+};
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * retry-policy.js
+ * エージェント実行のタイムアウトと再試行
+ *
+ * .smart-review.json の agents[] で指定する:
+ *   timeout:    1回の実行のタイムアウト（ミリ秒）。超えた場合は子プロセスを終了する
+ *   retries:    タイムアウト・一時的な失敗（isRetryable）時の再試行回数
+ *   retryDelay: 最初の再試行までの待ち時間（ミリ秒）。再試行ごとに倍にし、ジッターを加える
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:50 JST
+ */
+
+// 既定値（agents[].timeout の既定値は Config.AGENT_TIMEOUT と同じ）
+const RETRY_DEFAULTS = {
+  timeout: 120000,
+  retries: 1,
+  retryDelay: 1000,
+  maxRetryDelay: 30000
+};
+
+// 設定できる再試行回数の上限
+const MAX_RETRIES = 5;
+
+// 再試行する一時的な失敗のエラーコード（タイムアウト・プロセス生成時のリソース不足・接続のリセット）
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'EAGAIN', 'ECONNRESET'];
+
+/**
+ * 再試行ポリシークラス
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} settings - { timeout, retries, retryDelay, maxRetryDelay }
+   * @param {Object} options - { sleep: 待機する関数, random: 0以上1未満の乱数を返す関数 }
+   */
+  constructor(settings = {}, options = {}) {
+    this.timeout = settings.timeout || RETRY_DEFAULTS.timeout;
+    this.retries = Number.isInteger(settings.retries) ? settings.retries : RETRY_DEFAULTS.retries;
+    this.retryDelay = settings.retryDelay === undefined ? RETRY_DEFAULTS.retryDelay : settings.retryDelay;
+    this.maxRetryDelay = settings.maxRetryDelay || RETRY_DEFAULTS.maxRetryDelay;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * エージェントのタイムアウト・再試行の設定を検証
+   * @param {Object} agent - 設定ファイルの agents[]
+   * @param {number} index - agents 内の位置
+   * @returns {Array<string>} 検証エラー（空配列なら有効）
+   */
+  static validate(agent, index) {
+    const errors = [];
+    if (agent.timeout !== undefined && (!Number.isInteger(agent.timeout) || agent.timeout < 1)) {
+      errors.push(`agents[${index}].timeoutは1以上の整数（ミリ秒）である必要があります`);
+    }
+    if (agent.retries !== undefined &&
+        (!Number.isInteger(agent.retries) || agent.retries < 0 || agent.retries > MAX_RETRIES)) {
+      errors.push(`agents[${index}].retriesは0-${MAX_RETRIES}の整数である必要があります`);
+    }
+    if (agent.retryDelay !== undefined && (typeof agent.retryDelay !== 'number' || !(agent.retryDelay >= 0))) {
+      errors.push(`agents[${index}].retryDelayは0以上の数（ミリ秒）である必要があります`);
+    }
+    return errors;
+  }
+
+  /**
+   * 再試行で解消する可能性のある失敗か
+   * 出力の解析エラー・終了コードによる失敗・設定の誤りなどは、再試行しても同じ結果になるため対象外
+   * @param {Error} error - 実行のエラー（code: エラーコード、statusCode: HTTPステータス）
+   * @returns {boolean} タイムアウト・一時的なエラー・HTTP 5xx の場合 true
+   */
+  static isRetryable(error) {
+    if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+    return Number.isInteger(error.statusCode) && error.statusCode >= 500 && error.statusCode < 600;
+  }
+
+  /**
+   * 再試行までの待ち時間（指数バックオフ + ジッター）
+   * 待ち時間の上限を retryDelay × 2^(attempt-1) とし、その半分から上限までの値を返す
+   * @param {number} attempt - 再試行の番号（1から）
+   * @returns {number} 待ち時間（ミリ秒）
+   */
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+  }
+
+  /**
+   * タイムアウト付きで実行
+   * タイムアウトすると signal を中止し（子プロセスを終了させる）、タイマーは完了時に必ず解除する
+   * AbortController の無い Node.js 14 では signal を渡さず、タイムアウトとの競争のみ行う
+   * （子プロセス・HTTPリクエストは各実行方式に渡す timeout で終了する）
+   * @param {Function} task - (signal: AbortSignal|undefined) => Promise
+   * @returns {Promise<*>} task の結果
+   */
+  async withTimeout(task) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    let timer = null;
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`エージェント実行タイムアウト (${this.timeout}ms)`);
+        error.code = 'ETIMEDOUT';
+        // 先にタイムアウトとして確定させてから中止する（中止による AbortError を結果にしない）
+        reject(error);
+        if (controller) {
+          controller.abort(error);
+        }
+      }, this.timeout);
+    });
+
+    try {
+      return await Promise.race([task(controller ? controller.signal : undefined), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * タイムアウト・一時的な失敗時に再試行しながら実行
+   * @param {Function} task - (signal: AbortSignal) => Promise
+   * @param {Object} options - { onRetry?: (error, attempt, delay) => void }
+   * @returns {Promise<Object>} { value, attempts }
+   * @throws {Error} 再試行しない失敗、またはすべての試行が失敗した場合は最後のエラー（attempts に試行回数）
+   */
+  async run(task, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return { value: await this.withTimeout(task), attempts: attempt };
+      } catch (error) {
+        if (attempt > this.retries || !RetryPolicy.isRetryable(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        const delay = this.backoff(attempt);
+        if (options.onRetry) {
+          options.onRetry(error, attempt, delay);
+        }
+        await this.sleep(delay);
+      }
+    }
+  }
+}
+
+// エクスポート
+module.exports = {
+  RetryPolicy,
+  RETRY_DEFAULTS,
+  MAX_RETRIES,
+  TRANSIENT_ERROR_CODES
+};
+
+// 最終更新: 2026年10月19日 03:50 JST
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * run-policy.js
+ * エージェント実行の早期中止ポリシー
+ *
+ * .smart-review.json の policies で指定する:
+ *   stopOnCritical: level が critical の問題が検出されたら中止
+ *   maxTotalIssues: 検出された問題の合計がこの件数に達したら中止
+ *   budgetSeconds:  実行開始からの経過時間がこの秒数を超えたら中止
+ * 中止後はまだ開始していないエージェントをスキップする（実行中のエージェントは完了を待つ）。
+ * 問題は終了コードの判定と同じもの（変更行外・ベースライン既知の問題を除き、
+ * LLMエージェントの問題にまとめたツールエージェントの問題を除いたもの）を数える。
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+// 表示用の名称
+const POLICY_LABELS = {
+  stopOnCritical: '重大な問題で中止',
+  maxTotalIssues: '問題数の上限',
+  budgetSeconds: '実行時間の上限'
+};
+
+/**
+ * 実行ポリシークラス
+ */
+class RunPolicy {
+  /**
+   * @param {Object} settings - { stopOnCritical, maxTotalIssues, budgetSeconds }
+   * @param {Object} options - { now: 現在時刻（ミリ秒）を返す関数, merge: 数える問題をまとめる関数（ToolAnalyzers.merge） }
+   */
+  constructor(settings = {}, options = {}) {
+    this.stopOnCritical = Boolean(settings.stopOnCritical);
+    this.maxTotalIssues = settings.maxTotalIssues || null;
+    this.budgetSeconds = settings.budgetSeconds || null;
+    this.now = options.now || Date.now;
+    this.merge = options.merge || null;
+    this.startedAt = this.now();
+    this.observedIssues = [];
+    this.totalIssues = 0;
+    this.stopped = null;
+  }
+
+  /**
+   * ポリシーの設定を検証
+   * @param {Object} settings - 設定ファイルの policies
+   * @returns {Array<string>} 検証エラー（空配列なら有効）
+   */
+  static validate(settings) {
+    const errors = [];
+    if (settings.stopOnCritical !== undefined && typeof settings.stopOnCritical !== 'boolean') {
+      errors.push('policies.stopOnCriticalは真偽値である必要があります');
+    }
+    if (settings.maxTotalIssues !== undefined && settings.maxTotalIssues !== null &&
+        (!Number.isInteger(settings.maxTotalIssues) || settings.maxTotalIssues < 1)) {
+      errors.push('policies.maxTotalIssuesは1以上の整数である必要があります');
+    }
+    if (settings.budgetSeconds !== undefined && settings.budgetSeconds !== null &&
+        (typeof settings.budgetSeconds !== 'number' || !(settings.budgetSeconds > 0))) {
+      errors.push('policies.budgetSecondsは正の数である必要があります');
+    }
+    return errors;
+  }
+
+  /**
+   * 完了したエージェントの結果を記録し、中止条件を判定
+   * @param {Object} result - エージェントの実行結果（抑制コメントで除外した問題は含まない）
+   * @param {Function} filter - 数える問題を抽出する関数（--only-changed-lines・--fail-on-new のベースライン）
+   * @returns {Object|null} 中止した場合 { policy, message }
+   */
+  observe(result, filter = null) {
+    if (this.stopped || result.error || result.skipped) {
+      return this.stopped;
+    }
+    const issues = filter ? filter(result.issues || []) : (result.issues || []);
+    // 同じ位置の問題は、それまでに完了したエージェントの問題と合わせて1件として数える
+    this.observedIssues.push(...issues);
+    const counted = this.merge ? this.merge(this.observedIssues) : this.observedIssues;
+    this.totalIssues = counted.length;
+
+    const critical = counted.filter(issue => issue.level === 'critical').length;
+    if (this.stopOnCritical && critical > 0) {
+      return this.stop('stopOnCritical', `${result.agentName} が重大な問題を検出しました (${critical}件)`);
+    }
+    if (this.maxTotalIssues !== null && this.totalIssues >= this.maxTotalIssues) {
+      return this.stop('maxTotalIssues', `検出された問題が上限 (${this.maxTotalIssues}件) に達しました`);
+    }
+    return this.check();
+  }
+
+  /**
+   * 次のエージェントを開始してよいかを判定（実行時間の上限を含む）
+   * @returns {Object|null} 中止した場合 { policy, message }
+   */
+  check() {
+    if (!this.stopped && this.budgetSeconds !== null && this.now() - this.startedAt >= this.budgetSeconds * 1000) {
+      return this.stop('budgetSeconds', `実行時間が上限 (${this.budgetSeconds}秒) を超えました`);
+    }
+    return this.stopped;
+  }
+
+  /**
+   * 中止を記録（最初の理由のみ保持）
+   * @param {string} policy - ポリシー名
+   * @param {string} message - 理由
+   * @returns {Object} { policy, message }
+   */
+  stop(policy, message) {
+    if (!this.stopped) {
+      this.stopped = { policy, message };
+    }
+    return this.stopped;
+  }
+}
+
+// エクスポート
+module.exports = {
+  RunPolicy,
+  POLICY_LABELS
+};
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * sarif-writer.js
+ * レビュー結果のSARIF 2.1.0エクスポート
+ *
+ * 各エージェントを tool.driver.rules のルールとして、各問題を result として出力する。
+ * 失敗したエージェント実行は invocations の toolExecutionNotifications として出力する。
+ * コードスキャンビューアーやIDEのSARIFプラグインで読み込める。
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const FINGERPRINT_KEY = 'smartReview/v1';
+const TOOL_INFORMATION_URI = 'https://github.com/KEIEI-NET/smart-review-system';
+
+// 問題レベル → SARIFレベル
+const LEVEL_MAP = {
+  critical: 'error',
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+  suggestion: 'note'
+};
+
+// エージェント優先度 → ルールの既定レベル
+const PRIORITY_LEVEL_MAP = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+/**
+ * SARIF出力クラス
+ */
+class SarifWriter {
+  /**
+   * SARIFログを構築
+   * @param {Object} options - オプション
+   * @param {Array<Object>} options.agents - エージェント定義
+   * @param {Array<Object>} options.issues - 出力する問題
+   * @param {Array<Object>} options.agentRuns - エージェント実行記録（失敗した実行を通知として出力）
+   * @param {string} options.toolVersion - ツールのバージョン
+   * @param {string} options.startTime - 実行開始時刻（ISO 8601）
+   * @param {string} options.endTime - 実行終了時刻（ISO 8601）
+   * @param {string} options.rootUri - %SRCROOT% のURI（file:///...）
+   * @returns {Object} SARIFログ
+   */
+  static build(options = {}) {
+    const agents = options.agents || [];
+    const issues = options.issues || [];
+    const failedRuns = (options.agentRuns || []).filter(run => run.error);
+
+    const rules = agents.map(agent => SarifWriter.toRule(agent));
+    const ruleIndex = new Map(agents.map((agent, index) => [agent.id, index]));
+
+    // 設定に無いエージェント由来の問題・実行もルールとして登録する
+    [...issues, ...failedRuns].forEach(entry => {
+      if (entry.agentId && !ruleIndex.has(entry.agentId)) {
+        ruleIndex.set(entry.agentId, rules.length);
+        rules.push(SarifWriter.toRule({ id: entry.agentId, name: entry.agentName || entry.agentId, priority: entry.priority }));
+      }
+    });
+
+    const invocation = {
+      executionSuccessful: failedRuns.length === 0,
+      startTimeUtc: options.startTime,
+      endTimeUtc: options.endTime
+    };
+    if (failedRuns.length > 0) {
+      invocation.toolExecutionNotifications = failedRuns.map(run => SarifWriter.toNotification(run, ruleIndex));
+    }
+
+    const run = {
+      tool: {
+        driver: {
+          name: 'Smart Review',
+          version: options.toolVersion,
+          informationUri: TOOL_INFORMATION_URI,
+          rules
+        }
+      },
+      results: issues.map(issue => SarifWriter.toResult(issue, ruleIndex)),
+      invocations: [invocation]
+    };
+
+    if (options.rootUri) {
+      run.originalUriBaseIds = {
+        '%SRCROOT%': { uri: options.rootUri.endsWith('/') ? options.rootUri : `${options.rootUri}/` }
+      };
+    }
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [run]
+    };
+  }
+
+  /**
+   * エージェント定義をルール（reportingDescriptor）に変換
+   * @param {Object} agent - エージェント定義
+   * @returns {Object} ルール
+   */
+  static toRule(agent) {
+    const rule = {
+      id: agent.id,
+      name: agent.id,
+      shortDescription: { text: agent.name || agent.id },
+      defaultConfiguration: {
+        level: PRIORITY_LEVEL_MAP[agent.priority] || 'warning'
+      },
+      properties: {
+        priority: agent.priority,
+        category: agent.category,
+        model: agent.model,
+        tags: [agent.category, ...(agent.errorTypes || [])].filter(Boolean)
+      }
+    };
+
+    if (agent.role) {
+      rule.fullDescription = { text: agent.role };
+    }
+
+    return rule;
+  }
+
+  /**
+   * 問題をresultに変換
+   * ルールIDは「エージェントID/問題のルールID」の階層形式にする
+   * @param {Object} issue - 問題オブジェクト
+   * @param {Map} ruleIndex - エージェントID → ルールのインデックス
+   * @returns {Object} result
+   */
+  static toResult(issue, ruleIndex) {
+    const agentId = issue.agentId || 'unknown';
+    const issueRuleId = issue.ruleId || IssueProtocol.legacyRuleId(agentId, issue.type);
+    const ruleId = issueRuleId.startsWith(`${agentId}/`) ? issueRuleId : `${agentId}/${issueRuleId}`;
+
+    const result = {
+      ruleId,
+      level: LEVEL_MAP[issue.level] || 'warning',
+      message: { text: issue.message || '' },
+      fingerprints: {
+        [FINGERPRINT_KEY]: IssueProtocol.fingerprint(issue)
+      },
+      properties: {
+        priority: issue.priority,
+        category: issue.category,
+        type: issue.type
+      }
+    };
+
+    if (ruleIndex.has(agentId)) {
+      result.ruleIndex = ruleIndex.get(agentId);
+    }
+
+    const location = SarifWriter.toLocation(issue);
+    if (location) {
+      result.locations = [location];
+    }
+
+    // ソース内の抑制コメントで除外された問題
+    if (issue.suppression) {
+      result.suppressions = [{
+        kind: 'inSource',
+        justification: issue.suppression.reason
+      }];
+    }
+
+    // ベースライン比較済みの場合は SARIF の baselineState を設定
+    if (issue.baselineStatus) {
+      result.baselineState = issue.baselineStatus === 'existing' ? 'unchanged' : 'new';
+    }
+
+    if (issue.suggestedFix) {
+      result.properties.suggestedFix = issue.suggestedFix.description;
+    }
+
+    return result;
+  }
+
+  /**
+   * 失敗したエージェント実行を通知（notification）に変換
+   * @param {Object} run - エージェント実行記録
+   * @param {Map} ruleIndex - エージェントID → ルールのインデックス
+   * @returns {Object} notification
+   */
+  static toNotification(run, ruleIndex) {
+    const notification = {
+      level: 'error',
+      message: { text: `${run.agentName || run.agentId}: ${run.error}` },
+      associatedRule: { id: run.agentId, index: ruleIndex.get(run.agentId) },
+      properties: {
+        iteration: run.iteration || 1,
+        attempts: run.attempts || 1
+      }
+    };
+
+    if (run.batch !== undefined && run.batch !== null) {
+      notification.properties.batch = run.batch;
+    }
+
+    return notification;
+  }
+
+  /**
+   * 問題の位置をphysicalLocationに変換
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {Object|null} location（ファイル情報が無い場合はnull）
+   */
+  static toLocation(issue) {
+    const file = IssueProtocol.normalizeFile(issue.file);
+    if (!file) {
+      return null;
+    }
+
+    const physicalLocation = {
+      artifactLocation: {
+        uri: encodeURI(file),
+        uriBaseId: '%SRCROOT%'
+      }
+    };
+
+    if (issue.line) {
+      const region = { startLine: issue.line };
+      if (issue.column) region.startColumn = issue.column;
+      if (issue.endLine) region.endLine = issue.endLine;
+      if (issue.endColumn) region.endColumn = issue.endColumn;
+      if (issue.snippet) region.snippet = { text: issue.snippet };
+      physicalLocation.region = region;
+    }
+
+    return { physicalLocation };
+  }
+
+  /**
+   * SARIFログをJSON文字列に変換
+   * @param {Object} log - SARIFログ
+   * @returns {string} JSON文字列
+   */
+  static serialize(log) {
+    return JSON.stringify(log, null, 2);
+  }
+}
+
+// エクスポート
+module.exports = {
+  SarifWriter,
+  SARIF_VERSION
+};
+
+// 最終更新: 2026年10月19日 03:35 JST
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * suppressions.js
+ * ソースコード内の抑制コメント（smart-review-ignore）
+ *
+ * 書式（コメント記号は問わない）:
+ *   smart-review-ignore-next-line <ルール>[,<ルール>...] -- <理由>
+ *     次の行の問題を抑制する
+ *   smart-review-ignore-file [<ルール>[,<ルール>...]] -- <理由>
+ *     ファイル全体の問題を抑制する（ルール省略時はすべて）
+ * 理由（-- の後）は必須。理由の無い抑制コメントは無効として報告する。
+ *
+ * ルールは次のいずれかに一致すれば対象とする:
+ *   ルールID（xss/inner-html、またはその前方一致 xss）、エージェントID付きルールID、
+ *   エージェントID、カテゴリ（security）、カテゴリ:種別（security:xss）、* （すべて）
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { IssueProtocol } = require('./issue-protocol');
+
+const DIRECTIVE_PATTERN = /smart-review-ignore-(next-line|file)(?![\w-])(.*)$/;
+const COMMENT_CLOSERS = /\s*(?:\*\/|-->)\s*$/;
+const MAX_SCAN_BYTES = 1024 * 1024; // 1MB
+
+/**
+ * 抑制コメントの集合（1ファイル分）
+ */
+class SuppressionSet {
+  constructor(file) {
+    this.file = file;
+    this.fileRules = [];
+    this.lineRules = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * ファイル内容から抑制コメントを抽出
+   * @param {string} file - ファイルパス（正規化済み）
+   * @param {string} content - ファイル内容
+   * @returns {SuppressionSet} 抑制コメントの集合
+   */
+  static parse(file, content) {
+    const set = new SuppressionSet(file);
+    const lines = content.substring(0, MAX_SCAN_BYTES).split(/\r?\n/);
+
+    lines.forEach((text, index) => {
+      const match = DIRECTIVE_PATTERN.exec(text);
+      if (!match) return;
+
+      const lineNumber = index + 1;
+      const scope = match[1] === 'file' ? 'file' : 'line';
+      const body = match[2].replace(COMMENT_CLOSERS, '');
+      const separator = body.indexOf(' -- ');
+      const rulePart = separator === -1 ? body : body.substring(0, separator);
+      const reason = separator === -1 ? '' : body.substring(separator + 4).trim();
+
+      if (!reason) {
+        set.errors.push(`${file}:${lineNumber}: 抑制コメントには理由（「 -- 」の後の説明）が必要です`);
+        return;
+      }
+
+      const rules = rulePart.split(/[\s,]+/).filter(Boolean);
+      if (scope === 'line' && rules.length === 0) {
+        set.errors.push(`${file}:${lineNumber}: smart-review-ignore-next-line にはルールの指定が必要です`);
+        return;
+      }
+
+      const directive = {
+        scope,
+        rules: rules.length > 0 ? rules : ['*'],
+        reason,
+        file,
+        line: lineNumber
+      };
+
+      if (scope === 'file') {
+        set.fileRules.push(directive);
+      } else {
+        const target = lineNumber + 1;
+        if (!set.lineRules.has(target)) {
+          set.lineRules.set(target, []);
+        }
+        set.lineRules.get(target).push(directive);
+      }
+    });
+
+    return set;
+  }
+
+  /**
+   * 問題に一致する抑制コメントを探す
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {Object|null} 一致した抑制コメント
+   */
+  find(issue) {
+    const candidates = [
+      ...(issue.line ? this.lineRules.get(issue.line) || [] : []),
+      ...this.fileRules
+    ];
+    return candidates.find(directive =>
+      directive.rules.some(rule => SuppressionSet.matches(rule, issue))
+    ) || null;
+  }
+
+  /**
+   * ルール指定が問題に一致するか
+   * @param {string} rule - ルール指定
+   * @param {Object} issue - 問題オブジェクト
+   * @returns {boolean} 一致するかどうか
+   */
+  static matches(rule, issue) {
+    if (rule === '*') {
+      return true;
+    }
+
+    const agentId = issue.agentId || '';
+    const ruleId = issue.ruleId || IssueProtocol.legacyRuleId(agentId, issue.type);
+    const names = [ruleId, `${agentId}/${ruleId}`, agentId, issue.category];
+    if (issue.category && issue.type) {
+      names.push(`${issue.category}:${issue.type}`);
+    }
+
+    // security:xss はルールIDの先頭セグメント（xss/...）とも一致させる
+    const colon = rule.indexOf(':');
+    if (colon !== -1 && rule.substring(0, colon) === issue.category) {
+      names.push(`${issue.category}:${ruleId}`);
+    }
+
+    return names.some(name => name && (name === rule || name.startsWith(`${rule}/`)));
+  }
+}
+
+/**
+ * 抑制コメントの適用
+ */
+class Suppressions {
+  /**
+   * 問題に抑制コメントを適用
+   * @param {Array<Object>} issues - 問題オブジェクト
+   * @param {Function} readFile - (file) => Promise<string>（読めない場合は例外）
+   * @returns {Promise<Object>} { issues: 残った問題, suppressed: 抑制された問題, errors: 無効な抑制コメント }
+   */
+  static async apply(issues, readFile) {
+    const sets = new Map();
+    const kept = [];
+    const suppressed = [];
+
+    for (const issue of issues) {
+      const file = issue.file ? IssueProtocol.normalizeFile(issue.file) : '';
+      if (!file) {
+        kept.push(issue);
+        continue;
+      }
+
+      if (!sets.has(file)) {
+        let set = null;
+        try {
+          set = SuppressionSet.parse(file, await readFile(file));
+        } catch (error) {
+          // 読めないファイルの問題は抑制しない
+        }
+        sets.set(file, set);
+      }
+
+      const set = sets.get(file);
+      const directive = set ? set.find(issue) : null;
+      if (directive) {
+        suppressed.push({
+          ...issue,
+          suppression: {
+            scope: directive.scope,
+            rules: directive.rules,
+            reason: directive.reason,
+            line: directive.line
+          }
+        });
+      } else {
+        kept.push(issue);
+      }
+    }
+
+    const errors = [...sets.values()].filter(Boolean).flatMap(set => set.errors);
+    return { issues: kept, suppressed, errors };
+  }
+}
+
+// エクスポート
+module.exports = {
+  Suppressions,
+  SuppressionSet
+};
+
+// 最終更新: 2026年10月19日 03:35 JST
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * tool-analyzers.js
+ * ローカルの静的解析ツールを実行するツールエージェント
+ *
+ * .smart-review.json の agents[].runtime に { "type": "tool", "tool": "eslint" | "npm-audit" } を指定すると、
+ * LLMエージェントと同じ ParallelExecutor で解析ツールを実行し、出力をイシュープロトコルの問題に変換する:
+ *   eslint:    バッチ内のJavaScript/TypeScriptファイルに `eslint --format json` を実行する
+ *   npm-audit: バッチに package.json / package-lock.json がある場合に、そのディレクトリで `npm audit --json` を実行する
+ * ツールエージェントの問題は merge() で同じ位置のLLMエージェントの問題にまとめ（終了コードの判定・すべての出力で共通）、
+ * TODO・HTMLレポートで並べて表示する。
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const path = require('path');
+const { IssueProtocol, ISSUE_DOCUMENT_SCHEMA, ISSUE_SCHEMA_VERSION } = require('./issue-protocol');
+
+const ESLINT_EXTENSIONS = new Set(['.js', '.cjs', '.mjs', '.jsx', '.ts', '.cts', '.mts', '.tsx']);
+const NPM_MANIFESTS = new Set(['package.json', 'package-lock.json']);
+// npm audit の severity → 問題の level
+const AUDIT_LEVELS = new Map([
+  ['critical', 'critical'],
+  ['high', 'error'],
+  ['moderate', 'warning'],
+  ['low', 'info'],
+  ['info', 'info']
+]);
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * 解析ツールの定義
+ *   command:    実行するコマンド（プロジェクトの node_modules/.bin を優先する）
+ *   exitCodes:  成功とみなす終了コード（問題を検出した場合も出力を使う）
+ *   targets:    バッチのファイルから実行単位 { cwd, files } を選ぶ
+ *   args:       実行単位の引数（設定の args はファイル名の前に入れる）
+ *   convert:    出力 → 問題（イシュープロトコルの raw 形式）
+ */
+const TOOL_ANALYZERS = new Map([
+  ['eslint', {
+    label: 'ESLint',
+    command: 'eslint',
+    exitCodes: [0, 1],
+    targets: files => {
+      const lintable = files.filter(file => ESLINT_EXTENSIONS.has(path.extname(file)));
+      return lintable.length > 0 ? [{ cwd: '.', files: lintable }] : [];
+    },
+    // '-' で始まるファイル名をオプションとして解釈させないよう、ファイル名の前に '--' を置く
+    args: (target, extraArgs) => ['--format', 'json', '--no-error-on-unmatched-pattern', ...extraArgs, '--', ...target.files],
+    convert: stdout => ToolAnalyzers.fromEslint(stdout)
+  }],
+  ['npm-audit', {
+    label: 'npm audit',
+    command: 'npm',
+    exitCodes: [0, 1],
+    targets: files => [...new Set(files
+      .filter(file => NPM_MANIFESTS.has(path.basename(file)))
+      .map(file => path.dirname(file)))]
+      .map(dir => ({ cwd: dir, files: [path.join(dir, 'package.json')] })),
+    args: (target, extraArgs) => ['audit', '--json', ...extraArgs],
+    convert: (stdout, target) => ToolAnalyzers.fromNpmAudit(stdout, target)
+  }]
+]);
+
+/**
+ * ツールエージェントの変換・集約クラス
+ */
+class ToolAnalyzers {
+  /**
+   * 解析ツールの定義
+   * @param {string} name - ツール名（eslint / npm-audit）
+   * @returns {Object|null} 定義（未対応のツールは null）
+   */
+  static get(name) {
+    return TOOL_ANALYZERS.get(name) || null;
+  }
+
+  /**
+   * 対応している解析ツール
+   * @returns {Array<string>} ツール名
+   */
+  static names() {
+    return [...TOOL_ANALYZERS.keys()];
+  }
+
+  /**
+   * ツールエージェントか
+   * @param {Object} agent - エージェント設定
+   * @returns {boolean}
+   */
+  static isToolAgent(agent) {
+    return Boolean(agent.runtime && agent.runtime.type === 'tool');
+  }
+
+  /**
+   * ツールの出力に含まれる識別子をルールIDに使える文字に揃える
+   * @param {string} prefix - ツール名
+   * @param {string} id - ルール名・パッケージ名
+   * @returns {string} ルールID（例: eslint/no-eval、npm-audit/babel/core）
+   */
+  static ruleId(prefix, id) {
+    return `${prefix}/${String(id).replace(/[^\w.:/-]/g, '').slice(0, 100) || 'unknown'}`;
+  }
+
+  /**
+   * 行・列番号（範囲外の値は省く）
+   * @param {*} value - ツールが出力した値
+   * @returns {number|undefined}
+   */
+  static position(value) {
+    return IssueProtocol.isPosition(value) ? value : undefined;
+  }
+
+  /**
+   * `eslint --format json` の出力を問題に変換
+   * @param {string} stdout - ESLint の出力
+   * @returns {Array<Object>} 問題（raw 形式）
+   */
+  static fromEslint(stdout) {
+    const results = JSON.parse(stdout || '[]');
+    if (!Array.isArray(results)) {
+      throw new Error('ESLintの出力がJSON形式ではありません');
+    }
+    return results.flatMap(result => (result.messages || []).map(message => {
+      const line = ToolAnalyzers.position(message.line);
+      const endLine = line && ToolAnalyzers.position(message.endLine) >= line ? message.endLine : undefined;
+      return {
+        ruleId: ToolAnalyzers.ruleId('eslint', message.ruleId || (message.fatal ? 'parse-error' : 'unknown')),
+        level: message.severity === 2 ? 'error' : 'warning',
+        type: 'lint',
+        message: String(message.message || '').trim().slice(0, MAX_MESSAGE_LENGTH) || 'ESLintの警告',
+        file: IssueProtocol.normalizeFile(result.filePath),
+        line,
+        column: line ? ToolAnalyzers.position(message.column) : undefined,
+        endLine,
+        endColumn: endLine ? ToolAnalyzers.position(message.endColumn) : undefined
+      };
+    }));
+  }
+
+  /**
+   * `npm audit --json`（npm 7 以降の形式）の出力を問題に変換
+   * 脆弱性のあるパッケージごとに1件とし、package.json の問題として報告する
+   * @param {string} stdout - npm audit の出力
+   * @param {Object} target - { cwd, files }
+   * @returns {Array<Object>} 問題（raw 形式）
+   */
+  static fromNpmAudit(stdout, target) {
+    const report = JSON.parse(stdout || '{}');
+    if (report.error) {
+      throw new Error(`npm auditが失敗しました: ${report.error.summary || report.error.code || '不明なエラー'}`);
+    }
+    const file = IssueProtocol.normalizeFile(target.files[0]);
+    return Object.values(report.vulnerabilities || {}).map(vulnerability => {
+      const advisories = (vulnerability.via || []).filter(via => via && typeof via === 'object');
+      const details = advisories.length > 0
+        ? advisories.map(via => via.title).filter(Boolean).join(' / ')
+        : `依存パッケージ ${(vulnerability.via || []).join(', ')} の脆弱性`;
+      const fix = vulnerability.fixAvailable ? '（npm audit fix で修正できます）' : '';
+      return {
+        ruleId: ToolAnalyzers.ruleId('npm-audit', vulnerability.name),
+        level: AUDIT_LEVELS.get(vulnerability.severity) || 'warning',
+        type: 'vulnerability',
+        message: `${vulnerability.name}${vulnerability.range ? ` (${vulnerability.range})` : ''}: ${details}${fix}`.slice(0, MAX_MESSAGE_LENGTH),
+        file
+      };
+    });
+  }
+
+  /**
+   * 問題をイシュープロトコルのドキュメント（エージェントの出力）にする
+   * @param {Array<Object>} issues - 問題（raw 形式）
+   * @returns {string} smart-review/issues v1.0 のJSON
+   */
+  static toDocument(issues) {
+    return JSON.stringify({
+      schema: ISSUE_DOCUMENT_SCHEMA,
+      version: ISSUE_SCHEMA_VERSION,
+      issues
+    });
+  }
+
+  /**
+   * ツールエージェントの問題を、同じ位置で検出したLLMエージェントの問題にまとめる
+   * 同じファイルで行の範囲が重なる（行が無い場合は両方とも行が無い）ものを同じ問題とみなし、
+   * LLMエージェントの問題に toolFindings として付ける。一致しないツールの問題はそのまま残す
+   * @param {Array<Object>} issues - 問題
+   * @param {Set<string>} toolAgentIds - ツールエージェントのID
+   * @returns {Object} { issues, duplicates: [{ issue: ツールの問題, duplicateOf: LLMエージェントの問題 }], summary: { llmOnly, toolOnly, both, toolFindings } }
+   */
+  static merge(issues, toolAgentIds) {
+    const isTool = issue => toolAgentIds.has(issue.agentId);
+    // LLMエージェントの問題 → toolFindings を付けるコピー
+    const copies = new Map(issues.filter(issue => !isTool(issue)).map(issue => [issue, { ...issue }]));
+    const llmIssues = [...copies.values()];
+    const toolIssues = issues.filter(isTool);
+    const duplicates = [];
+
+    const unmatched = new Set(toolIssues.filter(toolIssue => {
+      const match = llmIssues.find(llmIssue => ToolAnalyzers.overlaps(llmIssue, toolIssue));
+      if (!match) {
+        return true;
+      }
+      match.toolFindings = [...(match.toolFindings || []), {
+        agentId: toolIssue.agentId,
+        ruleId: toolIssue.ruleId,
+        level: toolIssue.level,
+        message: toolIssue.message,
+        line: toolIssue.line || null
+      }];
+      duplicates.push({ issue: toolIssue, duplicateOf: match });
+      return false;
+    }));
+
+    const both = llmIssues.filter(issue => issue.toolFindings).length;
+    return {
+      // 元の順序を保つ（まとめたツールの問題だけを除く）
+      issues: issues
+        .filter(issue => !isTool(issue) || unmatched.has(issue))
+        .map(issue => copies.get(issue) || issue),
+      duplicates,
+      summary: {
+        llmOnly: llmIssues.length - both,
+        toolOnly: unmatched.size,
+        both,
+        toolFindings: toolIssues.length
+      }
+    };
+  }
+
+  /**
+   * LLMエージェントの問題とツールの問題が同じ位置か
+   * @param {Object} llmIssue - LLMエージェントの問題
+   * @param {Object} toolIssue - ツールエージェントの問題
+   * @returns {boolean}
+   */
+  static overlaps(llmIssue, toolIssue) {
+    const file = issue => IssueProtocol.normalizeFile(issue.file || '');
+    if (!toolIssue.file || file(llmIssue) !== file(toolIssue)) {
+      return false;
+    }
+    if (!llmIssue.line || !toolIssue.line) {
+      return !llmIssue.line && !toolIssue.line;
+    }
+    const llmEnd = llmIssue.endLine || llmIssue.line;
+    const toolEnd = toolIssue.endLine || toolIssue.line;
+    return toolIssue.line <= llmEnd && llmIssue.line <= toolEnd;
+  }
+}
+
+// エクスポート
+module.exports = {
+  ToolAnalyzers,
+  TOOL_ANALYZERS
+};
+
+// 最終更新: 2026年10月19日 03:55 JST
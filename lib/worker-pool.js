@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * worker-pool.js
+ * 同時実行数を制限したタスクの実行
+ *
+ * 指定した同時実行数のワーカーがキューから順にタスクを取り出して実行する。
+ * すべてのタスクを実行し、結果は Promise.allSettled() と同じ形式で入力の順に返す。
+ * settleGraph() はタスク間の依存関係に従い、上流のタスクがすべて終わったタスクから実行する。
+ * shouldStop() が中止理由を返した後は、まだ開始していないタスクを { status: 'skipped', reason } とする。
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+// 既定の同時実行数（performance.maxConcurrency の既定値と同じ）
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * ワーカープールクラス
+ */
+class WorkerPool {
+  /**
+   * 同時実行数を正規化
+   * @param {number} concurrency - 同時実行数
+   * @returns {number} 1以上の整数（不正な値は既定値）
+   */
+  static normalizeConcurrency(concurrency) {
+    const value = Number(concurrency);
+    return Number.isInteger(value) && value >= 1 ? value : DEFAULT_CONCURRENCY;
+  }
+
+  /**
+   * すべてのタスクを同時実行数の範囲で実行
+   * @param {Array} items - タスクの入力
+   * @param {Function} worker - (item, index) => Promise
+   * @param {Object} options - { concurrency }
+   * @returns {Promise<Array<Object>>} 入力の順の { status: 'fulfilled', value } | { status: 'rejected', reason }
+   */
+  static async settle(items, worker, options = {}) {
+    const concurrency = Math.min(WorkerPool.normalizeConcurrency(options.concurrency), items.length);
+    // 各ワーカーは共有のイテレータから次のタスクを取り出す
+    const queue = items.entries();
+    const results = new Map();
+
+    const run = async () => {
+      for (const [index, item] of queue) {
+        try {
+          results.set(index, { status: 'fulfilled', value: await worker(item, index) });
+        } catch (reason) {
+          results.set(index, { status: 'rejected', reason });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, run));
+    return items.map((item, index) => results.get(index));
+  }
+
+  /**
+   * 依存関係に従ってすべてのタスクを同時実行数の範囲で実行
+   * 実行可能なタスクが複数ある場合は入力の順に開始する。上流のタスクが失敗しても下流のタスクは実行する
+   * @param {Array<Object>} tasks - { id, dependsOn?: Array<string> }（存在しないIDへの依存は無視）
+   * @param {Function} worker - (task, upstream: Map<id, 上流タスクの結果>) => Promise
+   * @param {Object} options - { concurrency, shouldStop?: () => 中止理由|null（タスクの開始前に呼ぶ） }
+   * @returns {Promise<Array<Object>>} 入力の順の { status: 'fulfilled', value } | { status: 'rejected', reason }
+   *   | { status: 'skipped', reason }（中止により開始しなかったタスク）
+   */
+  static async settleGraph(tasks, worker, options = {}) {
+    const concurrency = WorkerPool.normalizeConcurrency(options.concurrency);
+    const ids = new Set(tasks.map(task => task.id));
+    if (ids.size !== tasks.length) {
+      throw new Error('タスクIDが重複しています');
+    }
+
+    const upstreamOf = task => (task.dependsOn || []).filter(id => ids.has(id));
+    const waiting = [...tasks];
+    const running = new Set();
+    const results = new Map();
+
+    await new Promise((resolve, reject) => {
+      const launch = () => {
+        const stop = options.shouldStop ? options.shouldStop() : null;
+        if (stop) {
+          waiting.splice(0).forEach(task => results.set(task.id, { status: 'skipped', reason: stop }));
+        }
+        while (running.size < concurrency) {
+          const next = waiting.findIndex(task => upstreamOf(task).every(id => results.has(id)));
+          if (next === -1) {
+            break;
+          }
+          const [task] = waiting.splice(next, 1);
+          const upstream = new Map(upstreamOf(task).map(id => [id, results.get(id)]));
+          running.add(task.id);
+          Promise.resolve()
+            .then(() => worker(task, upstream))
+            .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+            .then(result => {
+              running.delete(task.id);
+              results.set(task.id, result);
+              launch();
+            });
+        }
+        if (running.size === 0) {
+          if (waiting.length > 0) {
+            reject(new Error(`タスクの依存関係が循環しています: ${waiting.map(task => task.id).join(', ')}`));
+          } else {
+            resolve();
+          }
+        }
+      };
+      launch();
+    });
+
+    return tasks.map(task => results.get(task.id));
+  }
+}
+
+// エクスポート
+module.exports = {
+  WorkerPool,
+  DEFAULT_CONCURRENCY
+};
+
+// 最終更新: 2026年10月19日 03:45 JST
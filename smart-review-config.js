@@ -4,6 +4,12 @@
 const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
+const { AgentGraph } = require('./lib/agent-graph');
+const { RunPolicy } = require('./lib/run-policy');
+const { RetryPolicy, RETRY_DEFAULTS } = require('./lib/retry-policy');
+const { AgentRuntime } = require('./lib/agent-runtime');
+const { AgentRecorder } = require('./lib/agent-recorder');
+const { CircuitBreaker, DEFAULT_FAILURE_THRESHOLD } = require('./lib/circuit-breaker');
 
 /**
  * 設定管理クラス
@@ -12,6 +18,7 @@ const os = require('os');
 class SmartReviewConfig {
   constructor() {
     this.configCache = null;
+    this.loadErrors = [];
     this.configPaths = [
       path.join(process.cwd(), '.smart-review.json'),
       path.join(os.homedir(), '.claude', 'smart-review.json'),
@@ -32,6 +39,8 @@ class SmartReviewConfig {
       path: agent.path || path.join(baseAgentPath, agent.id),
       model: agent.model || 'sonnet',
       timeout: agent.timeout || 120000, // デフォルト2分
+      retries: agent.retries === undefined ? RETRY_DEFAULTS.retries : agent.retries,
+      retryDelay: agent.retryDelay === undefined ? RETRY_DEFAULTS.retryDelay : agent.retryDelay, // ミリ秒
       allowedCommands: agent.allowedCommands || ['git']
     }));
   }
@@ -51,18 +60,63 @@ class SmartReviewConfig {
 
   /**
    * パフォーマンス設定の取得
+   * cacheTTL は結果キャッシュのエントリの有効期間（ミリ秒）、maxCacheSize はキャッシュ全体の上限（MB）
    */
   async getPerformanceSettings() {
     const config = await this.loadConfig();
     return {
       maxConcurrency: config.performance?.maxConcurrency || 4,
       cacheEnabled: config.performance?.cacheEnabled !== false,
-      cacheTTL: config.performance?.cacheTTL || 15 * 60 * 1000,
+      cacheTTL: config.performance?.cacheTTL || 7 * 24 * 60 * 60 * 1000,
       maxCacheSize: config.performance?.maxCacheSize || 100,
       batchSize: config.performance?.batchSize || 10
     };
   }
 
+  /**
+   * 実行ポリシー（早期中止）の取得
+   * stopOnCritical: critical の問題で中止、maxTotalIssues: 問題数の上限、budgetSeconds: 実行時間の上限（秒）
+   */
+  async getPolicySettings() {
+    const config = await this.loadConfig();
+    return {
+      stopOnCritical: config.policies?.stopOnCritical === true,
+      maxTotalIssues: config.policies?.maxTotalIssues || null,
+      budgetSeconds: config.policies?.budgetSeconds || null
+    };
+  }
+
+  /**
+   * サーキットブレーカー設定の取得
+   * failureThreshold: 開くまでの連続失敗回数、cooldownSeconds: 実行をまたいでスキップする秒数（null はその実行の間のみ）
+   */
+  async getCircuitBreakerSettings() {
+    const config = await this.loadConfig();
+    return {
+      enabled: config.circuitBreaker?.enabled !== false,
+      failureThreshold: config.circuitBreaker?.failureThreshold || DEFAULT_FAILURE_THRESHOLD,
+      cooldownSeconds: config.circuitBreaker?.cooldownSeconds || null
+    };
+  }
+
+  /**
+   * 出力設定の取得
+   * format は 'markdown' | 'html' | 'both' | 'sarif' | 'json' | 'junit' またはその配列（results.json は常に出力し、'json' は互換のため受け付ける）
+   */
+  async getOutputSettings() {
+    const config = await this.loadConfig();
+    const format = config.output?.format || 'both';
+    const requested = Array.isArray(format) ? format : [format];
+    const formats = [...new Set(requested.flatMap(f => (f === 'both' ? ['markdown', 'html'] : [f])))];
+
+    return {
+      formats,
+      includeMetrics: config.output?.includeMetrics !== false,
+      includeRawOutput: config.output?.includeRawOutput === true,
+      timestampFormat: config.output?.timestampFormat || 'ISO'
+    };
+  }
+
   /**
    * 設定ファイルの読み込み
    */
@@ -71,25 +125,25 @@ class SmartReviewConfig {
       return this.configCache;
     }
 
+    this.loadErrors = [];
+
     // 環境変数から設定パスを追加
     if (process.env.SMART_REVIEW_CONFIG) {
       this.configPaths.unshift(process.env.SMART_REVIEW_CONFIG);
     }
 
     // 設定ファイルを順番に探索
+    let config = null;
     for (const configPath of this.configPaths) {
       try {
         const configData = await fs.readFile(configPath, 'utf8');
-        const config = JSON.parse(configData);
+        const parsed = JSON.parse(configData);
         
         // 設定の検証
-        this.validateConfig(config);
-        
-        // 環境変数でオーバーライド
-        const mergedConfig = this.mergeWithEnv(config);
+        this.validateConfig(parsed);
         
-        this.configCache = mergedConfig;
-        return mergedConfig;
+        config = parsed;
+        break;
       } catch (error) {
         // デバッグモードでエラーログを出力
         if (process.env.SMART_REVIEW_DEBUG) {
@@ -101,13 +155,27 @@ class SmartReviewConfig {
           console.warn(`⚠️ 設定ファイルの形式が不正です: ${configPath}`);
         }
         
+        // 存在するが読み込めなかった設定ファイルを記録（CLIでは設定エラーとして扱う）
+        if (error.code !== 'ENOENT') {
+          this.loadErrors.push({ path: configPath, message: error.message });
+        }
+        
         // ファイルが見つからない場合は次を試す
         continue;
       }
     }
 
-    // デフォルト設定を返す
-    return this.getDefaultConfig();
+    // 環境変数でオーバーライド（設定ファイルが無い場合はデフォルト設定に適用する）
+    try {
+      const mergedConfig = this.mergeWithEnv(config || this.getDefaultConfig());
+      if (config) {
+        this.configCache = mergedConfig;
+      }
+      return mergedConfig;
+    } catch (error) {
+      this.loadErrors.push({ path: '環境変数', message: error.message });
+      return config || this.getDefaultConfig();
+    }
   }
 
   /**
@@ -158,7 +226,8 @@ class SmartReviewConfig {
           errorTypes: ['missing-docs', 'outdated-docs', 'inconsistent-docs', 'unclear-docs'],
           canAutoFix: true,
           priority: 'low',
-          enabled: true
+          enabled: true,
+          dependsOn: ['security-error-xss-analyzer'] // セキュリティの指摘をドキュメントに反映
         }
       ],
       security: {
@@ -177,12 +246,22 @@ class SmartReviewConfig {
       performance: {
         maxConcurrency: 4,
         cacheEnabled: true,
-        cacheTTL: 900000,
-        maxCacheSize: 100,
+        cacheTTL: 604800000, // 7日
+        maxCacheSize: 100, // MB
         batchSize: 10
       },
+      policies: {
+        stopOnCritical: false,
+        maxTotalIssues: null, // 件数
+        budgetSeconds: null // 秒
+      },
+      circuitBreaker: {
+        enabled: true,
+        failureThreshold: 3, // 連続失敗回数
+        cooldownSeconds: null // 秒（null はその実行の間のみスキップ）
+      },
       output: {
-        format: 'both', // 'markdown', 'html', 'both'
+        format: 'both', // 'markdown', 'html', 'both', 'sarif', 'junit'（配列で複数指定可。results.json は常に出力）
         includeMetrics: true,
         includeRawOutput: false,
         timestampFormat: 'ISO'
@@ -213,14 +292,42 @@ class SmartReviewConfig {
       if (agent.priority && !['critical', 'high', 'medium', 'low'].includes(agent.priority)) {
         throw new Error(`設定エラー: agents[${index}]の優先度が無効です`);
       }
+      if (config.agents.findIndex(other => other.id === agent.id) !== index) {
+        throw new Error(`設定エラー: agents[${index}]のid（${agent.id}）が重複しています`);
+      }
+      const [retryError] = [...RetryPolicy.validate(agent, index), ...AgentRuntime.validate(agent.runtime, index)];
+      if (retryError) {
+        throw new Error(`設定エラー: ${retryError}`);
+      }
     });
 
+    // 依存関係（dependsOn）は定義済みのエージェントを指し、循環しないこと
+    AgentGraph.validate(config.agents);
+
     if (config.security) {
       if (config.security.maxFileSize && typeof config.security.maxFileSize !== 'number') {
         throw new Error('設定エラー: security.maxFileSizeは数値である必要があります');
       }
     }
 
+    if (config.output && config.output.format !== undefined) {
+      const formats = Array.isArray(config.output.format) ? config.output.format : [config.output.format];
+      const invalid = formats.filter(f => !Config.OUTPUT_FORMATS.includes(f));
+      if (formats.length === 0 || invalid.length > 0) {
+        throw new Error(`設定エラー: output.formatは ${Config.OUTPUT_FORMATS.join(', ')} のいずれかである必要があります`);
+      }
+    }
+
+    const [policyError] = RunPolicy.validate(config.policies || {});
+    if (policyError) {
+      throw new Error(`設定エラー: ${policyError}`);
+    }
+
+    const [circuitError] = CircuitBreaker.validate(config.circuitBreaker || {});
+    if (circuitError) {
+      throw new Error(`設定エラー: ${circuitError}`);
+    }
+
     if (config.performance) {
       if (config.performance.maxConcurrency && 
           (config.performance.maxConcurrency < 1 || config.performance.maxConcurrency > 10)) {
@@ -246,12 +353,16 @@ class SmartReviewConfig {
 
     // パフォーマンス設定のオーバーライド
     if (process.env.SMART_REVIEW_MAX_CONCURRENCY) {
-      merged.performance = merged.performance || {};
-      merged.performance.maxConcurrency = parseInt(process.env.SMART_REVIEW_MAX_CONCURRENCY);
+      const maxConcurrency = Number(process.env.SMART_REVIEW_MAX_CONCURRENCY);
+      if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1 || maxConcurrency > 10) {
+        throw new Error('設定エラー: SMART_REVIEW_MAX_CONCURRENCYは1-10の整数である必要があります');
+      }
+      merged.performance = { ...merged.performance, maxConcurrency };
     }
 
     // キャッシュの有効/無効
-    if (process.env.SMART_REVIEW_CACHE === 'false') {
+    // エージェント出力の記録・再生中はすべての呼び出しを記録・再生するためキャッシュを使わない
+    if (process.env.SMART_REVIEW_CACHE === 'false' || AgentRecorder.fromEnv(process.env)) {
       merged.performance = merged.performance || {};
       merged.performance.cacheEnabled = false;
     }
@@ -420,6 +531,10 @@ class Config {
     return 180000; // 3分
   }
   
+  static get OUTPUT_FORMATS() {
+    return ['markdown', 'html', 'both', 'sarif', 'json', 'junit'];
+  }
+  
   static get DEFAULT_SECURITY() {
     return {
       preventPathTraversal: true,
@@ -1,16 +1,43 @@
+#!/usr/bin/env node
 // .claudecode/commands/smart-review-v2.js
 // 最終版: 差分チェックまたは全体チェックを行い、TODOリストを生成する賢いレビューコマンド
 // セキュリティ強化、エージェントサンドボックス化、発見された問題の修正を含む
 
+const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const url = require('url');
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const execFileAsync = promisify(execFile);
 
 // 設定モジュールのインポート
 const { Config, configManager } = require('./smart-review-config');
+const { IssueProtocol, ISSUE_DOCUMENT_SCHEMA, ISSUE_SCHEMA_VERSION } = require('./lib/issue-protocol');
+const { FileWalker, SKIP_REASONS } = require('./lib/file-walker');
+const { GitChangeDetector, DiffHunks } = require('./lib/git-changes');
+const { SarifWriter } = require('./lib/sarif-writer');
+const { JUnitWriter } = require('./lib/junit-writer');
+const { ResultsWriter } = require('./lib/results-writer');
+const { Baseline, DEFAULT_BASELINE_FILE } = require('./lib/baseline');
+const { ExitPolicy, EXIT_CODES, FAIL_ON_LEVELS } = require('./lib/exit-policy');
+const { Suppressions } = require('./lib/suppressions');
+const { UnifiedDiff, AutoFixer } = require('./lib/auto-fix');
+const { FixReview } = require('./lib/fix-review');
+const { GitCheckpoint } = require('./lib/git-checkpoint');
+const { ConvergenceTracker, CONVERGENCE_LABELS } = require('./lib/convergence');
+const { IssueState } = require('./lib/issue-state');
+const { ResultCache, DEFAULT_CACHE_DIR } = require('./lib/result-cache');
+const { WorkerPool } = require('./lib/worker-pool');
+const { AgentGraph } = require('./lib/agent-graph');
+const { RunPolicy, POLICY_LABELS } = require('./lib/run-policy');
+const { RetryPolicy } = require('./lib/retry-policy');
+const { CircuitBreaker } = require('./lib/circuit-breaker');
+const { AgentRuntime } = require('./lib/agent-runtime');
+const { AgentRecorder } = require('./lib/agent-recorder');
+const { ToolAnalyzers } = require('./lib/tool-analyzers');
+const { version: TOOL_VERSION } = require('./package.json');
 
 // セキュリティユーティリティクラス（強化版）
 class SecurityUtils {
@@ -120,11 +147,16 @@ class SecurityUtils {
     const {
       timeout = Config.COMMAND_TIMEOUT,
       maxBuffer = Config.MAX_BUFFER,
-      cwd = process.cwd()
+      cwd = process.cwd(),
+      env = {},
+      signal,
+      allowedCommands = [],
+      allowedExitCodes = [0],
+      rawArgs = false
     } = options;
     
-    // コマンドのホワイトリスト
-    if (!Config.ALLOWED_COMMANDS.includes(command)) {
+    // コマンドのホワイトリスト（allowedCommands: 設定ファイルで指定されたエージェントのコマンド）
+    if (!Config.ALLOWED_COMMANDS.includes(command) && !allowedCommands.includes(command)) {
       throw new Error(`許可されていないコマンド: ${command}`);
     }
     
@@ -133,17 +165,19 @@ class SecurityUtils {
       if (typeof arg !== 'string') {
         return String(arg);
       }
-      // 危険な文字の除去
-      return arg.replace(/[;&|`$()<>\n\r\t]/g, '');
+      // 危険な文字の除去（rawArgs: シェルを介さないため、パス・コミットメッセージをそのまま渡す）
+      return rawArgs ? arg : arg.replace(/[;&|`$()<>\n\r\t]/g, '');
     });
     
     try {
       const result = await execFileAsync(command, sanitizedArgs, {
         timeout,
         maxBuffer,
-        cwd: SecurityUtils.validatePath(cwd),
+        // 作業ディレクトリはカレントディレクトリ配下に限定（相対パスで検証）
+        cwd: SecurityUtils.validatePath(path.relative(process.cwd(), path.resolve(cwd)) || '.'),
         shell: false,  // シェル解釈を無効化
-        env: SecurityUtils.sanitizeEnv(process.env)
+        env: { ...SecurityUtils.sanitizeEnv(process.env), ...env },
+        signal // 中止されると子プロセスを終了する
       });
       
       return {
@@ -154,11 +188,30 @@ class SecurityUtils {
         args: sanitizedArgs
       };
     } catch (error) {
+      // 問題の検出を終了コードで示すツール（ESLint など）は出力を結果として返す
+      if (Number.isInteger(error.code) && allowedExitCodes.includes(error.code) && typeof error.stdout === 'string') {
+        return {
+          stdout: error.stdout,
+          stderr: error.stderr,
+          exitCode: error.code,
+          command,
+          args: sanitizedArgs
+        };
+      }
       const sanitized = SecurityUtils.sanitizeError(error);
-      throw new Error(sanitized.message);
+      const failure = new Error(sanitized.message);
+      // 再試行の判定（RetryPolicy.isRetryable）のためにエラーコードを残す（timeout で終了した場合は ETIMEDOUT）
+      failure.code = error.killed && !error.code ? 'ETIMEDOUT' : error.code;
+      throw failure;
     }
   }
   
+  // Gitの実行（標準出力を返す）
+  // 引数はシェルを介さずそのまま渡す（ファイル名・コミットメッセージの記号や改行を削らない）
+  static async executeGit(args, options = {}) {
+    return (await SecurityUtils.executeCommand('git', args, { ...options, rawArgs: true })).stdout;
+  }
+  
   // 環境変数のサニタイズ
   static sanitizeEnv(env) {
     const sanitized = { ...env };
@@ -292,7 +345,20 @@ class AgentSandbox {
   constructor(agent, context) {
     this.agent = agent;
     this.context = context;
-    this.timeout = Config.AGENT_TIMEOUT;
+    // エージェントごとのタイムアウト・再試行（agents[].timeout / retries / retryDelay）
+    this.retryPolicy = new RetryPolicy({
+      timeout: agent.timeout || Config.AGENT_TIMEOUT,
+      retries: agent.retries,
+      retryDelay: agent.retryDelay
+    });
+    this.timeout = this.retryPolicy.timeout;
+    // 実行方式（agents[].runtime: claude / cli / http / fixture）
+    const runtime = AgentRuntime.create(agent, {
+      executeCommand: SecurityUtils.executeCommand,
+      getClaudeCommand: () => module.exports.getClaudeCommand()
+    });
+    // SMART_REVIEW_RECORD / SMART_REVIEW_REPLAY の指定時は出力を記録・再生する（context.recorder）
+    this.runtime = context.recorder ? context.recorder.wrap(runtime) : runtime;
     this.maxMemory = 512 * 1024 * 1024; // 512MB
     this.allowedOperations = ['read', 'analyze'];
   }
@@ -305,23 +371,24 @@ class AgentSandbox {
       // サンドボックス環境の準備
       const sandbox = this.createSandbox(files, sandboxId);
       
-      // タイムアウト設定
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('エージェント実行タイムアウト')), this.timeout);
-      });
+      // タイムアウトした実行は子プロセスを終了し、失敗・タイムアウト時はバックオフして再試行
+      const { value: result, attempts } = await this.retryPolicy.run(
+        signal => this.runAgentInSandbox(sandbox, files, iteration, signal)
+      );
       
-      // エージェント実行とタイムアウトの競合
-      const result = await Promise.race([
-        this.runAgentInSandbox(sandbox, files, iteration),
-        timeoutPromise
-      ]);
+      // ソース内の抑制コメント（smart-review-ignore）を適用
+      const suppression = await Suppressions.apply(result.issues || [], this.createSourceReader(files));
       
       return this.sanitizeResult({
         agentId: this.agent.id,
         agentName: this.agent.name,
-        issues: result.issues || [],
+        issues: suppression.issues,
+        suppressed: suppression.suppressed,
+        suppressionErrors: suppression.errors,
         rawOutput: result.rawOutput || '',
+        protocol: result.protocol,
         executionTime: Date.now() - startTime,
+        attempts,
         sandboxId
       });
       
@@ -333,6 +400,7 @@ class AgentSandbox {
         issues: [],
         rawOutput: '',
         executionTime: Date.now() - startTime,
+        attempts: error.attempts || 1,
         error: sanitized.message,
         sandboxId
       };
@@ -352,6 +420,19 @@ class AgentSandbox {
     };
   }
   
+  // 抑制コメント読み取り用（レビュー対象ファイルのみ読み取り可）
+  createSourceReader(files) {
+    const allowedFiles = new Set(files.map(f => path.resolve(f)));
+    
+    return async (filePath) => {
+      const resolvedPath = path.resolve(filePath);
+      if (!allowedFiles.has(resolvedPath)) {
+        throw new Error(`ファイルアクセス拒否: ${filePath}`);
+      }
+      return await fs.readFile(resolvedPath, 'utf8');
+    };
+  }
+  
   createReadOnlyFileSystem(files) {
     const allowedFiles = new Set(files.map(f => path.resolve(f)));
     
@@ -449,55 +530,183 @@ class AgentSandbox {
     };
   }
   
-  async runAgentInSandbox(sandbox, files, iteration) {
-    // コマンドの構築（サンドボックス対応）
-    const commandArgs = [
-      'agent',
-      'run',
-      this.agent.id,
-      '--model', this.agent.model,
-      '--target', this.context.target,
-      '--sandbox-mode'  // サンドボックスモードの指定
-    ];
-    
-    if (files.length > 0) {
-      commandArgs.push('--files', files.join(','));
+  // エージェント定義（Markdown）のダイジェスト（見つからない場合 null）
+  // agent.path、<agent.path>.md、プロジェクトの .claude/agents、同梱の agents/ の順に探す
+  async getDefinitionDigest() {
+    const candidates = [
+      this.agent.path,
+      this.agent.path ? `${this.agent.path}.md` : null,
+      path.join(process.cwd(), '.claude', 'agents', `${this.agent.id}.md`),
+      path.join(__dirname, 'agents', `${this.agent.id}.md`)
+    ].filter(Boolean);
+    
+    for (const candidate of candidates) {
+      const hash = await ResultCache.hashFile(candidate);
+      if (hash) {
+        return hash;
+      }
     }
-    
-    if (iteration > 1) {
-      commandArgs.push('--iteration', String(iteration));
+    return null;
+  }
+  
+  // ファイルごとの結果キャッシュのキー（読めないファイルは null）
+  // エージェント定義・問題の内容に影響する設定・ツールのバージョンが変わればキーも変わる
+  async getCacheKeys(files, iteration = 1) {
+    // 対象ファイル以外でエージェントへの指示を変える引数（上流エージェントの問題はそのファイルの分のみ）
+    const promptHashFor = file => {
+      const upstream = this.getUpstreamIssues([file]).map(issue => IssueProtocol.fingerprint(issue)).sort();
+      return ResultCache.hash(JSON.stringify({
+        target: this.context.target,
+        sandboxMode: true,
+        iteration: Math.max(iteration, 1),
+        upstream: upstream.length > 0 ? upstream : undefined
+      }));
+    };
+    const definitionHash = await this.getDefinitionDigest();
+    const config = ResultCache.configSlice(this.agent);
+    
+    const keys = new Map();
+    for (const file of files) {
+      const hash = await ResultCache.hashFile(file);
+      const ranges = this.context.changedLines ? this.context.changedLines.get(file) : null;
+      keys.set(file, hash ? ResultCache.createKey({
+        agentId: this.agent.id,
+        promptHash: promptHashFor(file),
+        model: this.agent.model,
+        definitionHash,
+        config,
+        toolVersion: TOOL_VERSION,
+        files: [{
+          file,
+          hash,
+          changedLines: ranges && ranges.length > 0 ? DiffHunks.formatRanges(file, ranges) : null
+        }]
+      }) : null);
     }
-    
-    // リソース制限の追加
-    commandArgs.push('--max-memory', String(this.maxMemory));
-    commandArgs.push('--timeout', String(this.timeout));
-    
-    const claudeCmd = await module.exports.getClaudeCommand();
-    const result = await SecurityUtils.executeCommand(claudeCmd, commandArgs, {
-      timeout: this.timeout
+    return keys;
+  }
+  
+  // 依存する上流エージェントの問題（context.upstream）のうち、対象ファイルの問題とファイルを特定できない問題
+  getUpstreamIssues(files) {
+    const targets = new Set(files.map(file => IssueProtocol.normalizeFile(file)));
+    return (this.context.upstream || []).flatMap(({ issues }) => issues.filter(issue =>
+      !issue.file || targets.has(IssueProtocol.normalizeFile(issue.file))
+    ));
+  }
+  
+  // エージェントに一時ファイルで渡すイシュープロトコル形式のドキュメント
+  createIssueDocument(issues) {
+    return JSON.stringify({
+      schema: ISSUE_DOCUMENT_SCHEMA,
+      version: ISSUE_SCHEMA_VERSION,
+      issues: issues.map(issue => ({
+        ruleId: issue.ruleId || IssueProtocol.legacyRuleId(issue.agentId || this.agent.id, issue.type),
+        level: issue.level,
+        message: issue.message,
+        file: issue.file || undefined,
+        line: issue.line || undefined,
+        endLine: issue.endLine || undefined,
+        snippet: issue.snippet || undefined,
+        agentId: issue.agentId && issue.agentId !== this.agent.id ? issue.agentId : undefined
+      }))
     });
+  }
+  
+  // signal が中止されると実行中のエージェントのプロセスを終了する
+  async runAgentInSandbox(sandbox, files, iteration, signal) {
+    // 上流エージェント（dependsOn）の問題はイシュープロトコル形式で渡す
+    const upstreamIssues = this.getUpstreamIssues(files);
+    const result = await this.runtime.run({
+      ...this.createRuntimeRequest('review', files, iteration),
+      changedLines: this.getChangedLineRanges(files),
+      maxMemory: this.maxMemory,
+      contextDocument: upstreamIssues.length > 0 ? this.createIssueDocument(upstreamIssues) : null
+    }, { signal });
     
     // 結果の解析
     const issues = this.parseAgentOutput(result.stdout);
     
     return {
       issues,
-      rawOutput: result.stdout
+      rawOutput: result.stdout,
+      protocol: this.outputProtocol
+    };
+  }
+  
+  // 自動修正の依頼（canAutoFix エージェントのみ）
+  // 修正対象の問題をイシュープロトコル形式で渡し、統一diffを受け取る
+  async requestFixes(files, issues, iteration = 1) {
+    if (!this.agent.canAutoFix || issues.length === 0) {
+      return [];
+    }
+    
+    // レビューと同じタイムアウト・再試行（タイムアウトした実行は子プロセスを終了する）
+    const { value: result } = await this.retryPolicy.run(
+      signal => this.runtime.run({
+        ...this.createRuntimeRequest('fix', files, iteration),
+        issuesDocument: this.createIssueDocument(issues)
+      }, { signal })
+    );
+    
+    return UnifiedDiff.extract(result.stdout);
+  }
+  
+  // ランタイムアダプターへのリクエスト（review / fix 共通部分）
+  createRuntimeRequest(mode, files, iteration) {
+    return {
+      mode,
+      agentId: this.agent.id,
+      model: this.agent.model,
+      target: this.context.target,
+      files,
+      iteration,
+      timeout: this.timeout
     };
   }
   
+  // 行単位の変更範囲（差分ハンク）を --changed-lines の形式で返す
+  getChangedLineRanges(files) {
+    if (!this.context.changedLines) {
+      return [];
+    }
+    return files
+      .map(file => ({ file, ranges: this.context.changedLines.get(file) }))
+      .filter(({ ranges }) => ranges && ranges.length > 0)
+      .map(({ file, ranges }) => DiffHunks.formatRanges(file, ranges));
+  }
+  
   parseAgentOutput(output) {
-    const issues = [];
+    this.outputProtocol = { format: 'legacy', version: null, errors: [] };
     
     // Input validation and size limits
     if (!output || typeof output !== 'string') {
-      return issues;
+      return [];
     }
     
     if (output.length > 1024 * 1024) { // 1MB limit
       output = output.substring(0, 1024 * 1024);
     }
     
+    // 構造化イシュープロトコル（JSON / JSON Lines）を優先
+    // 全件が検証エラーのドキュメントも、従来形式には戻さずエラーのみを報告する
+    const structured = IssueProtocol.parse(output);
+    if (structured) {
+      this.outputProtocol = {
+        format: structured.format,
+        version: structured.version,
+        errors: structured.errors.slice(0, 20)
+      };
+      return structured.issues.map(raw => IssueProtocol.normalizeIssue(raw, this.agent));
+    }
+    
+    // 構造化出力が無い場合は従来形式として解析
+    return this.parseLegacyOutput(output);
+  }
+  
+  // 従来形式（CRITICAL:/ERROR:/WARNING: 等）の自由テキスト解析
+  parseLegacyOutput(output) {
+    const issues = [];
+    
     // パターンベースの解析（強化版）- ReDoS protection
     const patterns = {
       critical: /(?:CRITICAL|重大|🔴):\s*(.{1,500}?)(?:\n|$)/g,
@@ -516,7 +725,7 @@ class AgentSandbox {
       for (const match of limitedMatches) {
         const issue = {
           level,
-          message: SecurityUtils.escapeHtml(match[1].trim()),
+          message: match[1].trim(),
           category: this.agent.category,
           priority: this.agent.priority,
           agentId: this.agent.id,
@@ -526,7 +735,7 @@ class AgentSandbox {
         // ファイル情報の抽出（安全化）
         const fileMatch = issue.message.match(/(?:in|at|ファイル:?)\s*([^\s:]{1,200})(?::(\d+))?/);
         if (fileMatch) {
-          issue.file = SecurityUtils.escapeHtml(fileMatch[1]);
+          issue.file = fileMatch[1];
           const lineNum = parseInt(fileMatch[2]);
           issue.line = (lineNum && lineNum > 0 && lineNum < 1000000) ? lineNum : null;
         }
@@ -545,6 +754,8 @@ class AgentSandbox {
           issue.type = 'general';
         }
         
+        issue.ruleId = IssueProtocol.legacyRuleId(this.agent.id, issue.type);
+        
         issues.push(issue);
       }
     }
@@ -552,140 +763,29 @@ class AgentSandbox {
     return issues.slice(0, 1000); // Limit total issues
   }
   
+  // 結果に含めるフィールドのみを返す
+  // 問題はプレーンテキストのまま扱い、HTMLエスケープは TODO・HTMLレポートの出力時に1回だけ行う
   sanitizeResult(result) {
     return {
-      agentId: SecurityUtils.escapeHtml(result.agentId),
-      agentName: SecurityUtils.escapeHtml(result.agentName),
-      issues: result.issues.map(issue => ({
-        ...issue,
-        message: SecurityUtils.escapeHtml(issue.message),
-        file: issue.file ? SecurityUtils.escapeHtml(issue.file) : undefined
-      })),
-      rawOutput: SecurityUtils.escapeHtml(result.rawOutput || ''),
+      agentId: result.agentId,
+      agentName: result.agentName,
+      issues: result.issues,
+      suppressed: result.suppressed || [],
+      suppressionErrors: result.suppressionErrors || [],
+      rawOutput: result.rawOutput || '',
+      protocol: result.protocol ? {
+        format: result.protocol.format,
+        version: result.protocol.version,
+        errors: result.protocol.errors
+      } : undefined,
       executionTime: result.executionTime,
-      error: result.error ? SecurityUtils.escapeHtml(result.error) : undefined,
+      attempts: result.attempts,
+      error: result.error,
       sandboxId: result.sandboxId
     };
   }
 }
 
-// キャッシング機能
-class ResultCache {
-  constructor() {
-    this.cache = new Map();
-    this.ttl = 15 * 60 * 1000; // 15分のTTL
-    this.maxSize = 100; // 最大キャッシュサイズ
-  }
-  
-  // ファイルハッシュを生成
-  async hashFile(filePath) {
-    try {
-      // Remove redundant crypto import - already imported at module level
-      const stats = await fs.stat(filePath);
-      if (stats.size > 10 * 1024 * 1024) { // 10MB limit
-        throw new Error('File too large for hashing');
-      }
-      
-      const content = await fs.readFile(filePath, 'utf8');
-      return crypto.createHash('sha256').update(content).digest('hex'); // Use SHA-256 instead of MD5
-    } catch (error) {
-      // ファイル読み取りエラーの場合はパスをハッシュ
-      return crypto.createHash('sha256').update(filePath + Date.now()).digest('hex');
-    }
-  }
-  
-  // キャッシュキーを生成
-  async getCacheKey(agent, files, iteration = 1) {
-    // Handle individual file hash failures gracefully
-    const fileHashes = await Promise.allSettled(
-      files.map(f => this.hashFile(f))
-    );
-    
-    const successfulHashes = fileHashes
-      .filter(result => result.status === 'fulfilled')
-      .map(result => result.value)
-      .sort();
-    
-    const keyData = {
-      agentId: agent.id,
-      agentModel: agent.model,
-      fileHashes: successfulHashes,
-      iteration,
-      timestamp: Math.floor(Date.now() / (15 * 60 * 1000)) // 15-minute buckets for cache stability
-    };
-    
-    return crypto.createHash('sha256')
-      .update(JSON.stringify(keyData))
-      .digest('hex');
-  }
-  
-  // キャッシュから取得
-  async get(agent, files, iteration = 1) {
-    const key = await this.getCacheKey(agent, files, iteration);
-    const cached = this.cache.get(key);
-    
-    if (cached && Date.now() - cached.timestamp < this.ttl) {
-      return cached.result;
-    }
-    
-    // 期限切れキャッシュを削除
-    if (cached) {
-      this.cache.delete(key);
-    }
-    
-    return null;
-  }
-  
-  // キャッシュに保存
-  async set(agent, files, iteration, result) {
-    const key = await this.getCacheKey(agent, files, iteration);
-    
-    // キャッシュサイズ制限
-    if (this.cache.size >= this.maxSize) {
-      this.evictOldest();
-    }
-    
-    // Deep copy to prevent reference leaks
-    const deepCopy = JSON.parse(JSON.stringify(result));
-    
-    this.cache.set(key, {
-      result: deepCopy,
-      timestamp: Date.now()
-    });
-  }
-  
-  // 最古のキャッシュを削除
-  evictOldest() {
-    let oldestKey = null;
-    let oldestTime = Date.now();
-    
-    for (const [key, value] of this.cache.entries()) {
-      if (value.timestamp < oldestTime) {
-        oldestTime = value.timestamp;
-        oldestKey = key;
-      }
-    }
-    
-    if (oldestKey) {
-      this.cache.delete(oldestKey);
-    }
-  }
-  
-  // キャッシュクリア
-  clear() {
-    this.cache.clear();
-  }
-  
-  // 統計情報
-  getStats() {
-    return {
-      size: this.cache.size,
-      maxSize: this.maxSize,
-      ttl: this.ttl
-    };
-  }
-}
-
 // 構造化ロギング
 class StructuredLogger {
   constructor() {
@@ -792,70 +892,140 @@ const logger = new StructuredLogger();
 // 並列実行管理クラス
 class ParallelExecutor {
   static async executeAgents(agents, files, context, iteration = 1) {
-    // Input validation
-    if (!Array.isArray(agents) || agents.length === 0) {
-      return [];
+    const [{ results }] = await ParallelExecutor.executeBatches(agents, [files], context, iteration);
+    return results;
+  }
+  
+  // ファイルのバッチごとに全エージェントを実行し、バッチごとの { files, results } を返す
+  // 依存関係（dependsOn）の無いエージェントはすぐに開始し、依存するエージェントは同じバッチの上流の完了後に
+  // 上流で検出された問題（context.upstream）を受け取って実行する。実行可能なものは優先度の高い順に開始し、
+  // （エージェント×バッチ）は context.maxConcurrency を上限とするワーカープールで並列実行する（すべて実行し、取りこぼさない）
+  // 実行ポリシー（context.policy）が中止を判定した後は、まだ開始していないエージェントをスキップする（skipped に理由）
+  // 実行ポリシーは context.policyFilter で抽出した問題（終了コードの判定と同じもの）を数える
+  // サーキットブレーカー（context.breaker）が開いているエージェントも実行せずにスキップする
+  static async executeBatches(agents, batches, context, iteration = 1) {
+    const ordered = Array.isArray(agents) ? ParallelExecutor.groupByPriority(agents).flat() : [];
+    const dependencies = AgentGraph.dependencies(ordered);
+    const taskId = (agentId, batch) => `${agentId}#${batch}`;
+    
+    const tasks = [];
+    batches.forEach((files, batch) => {
+      ordered.forEach(agent => tasks.push({
+        id: taskId(agent.id, batch),
+        dependsOn: dependencies.get(agent.id).map(id => taskId(id, batch)),
+        agent,
+        files
+      }));
+    });
+    
+    const settled = await WorkerPool.settleGraph(tasks, async ({ agent, files }, upstream) => {
+      const open = context.breaker ? context.breaker.check(agent.id) : null;
+      if (open) {
+        return ParallelExecutor.skippedResult(agent, open);
+      }
+      try {
+        const upstreamResults = [...upstream.values()]
+          .filter(entry => entry.status === 'fulfilled' && !entry.value.error)
+          .map(entry => ({ agentId: entry.value.agentId, issues: entry.value.issues }));
+        const result = await ParallelExecutor.executeAgent(agent, files, { ...context, upstream: upstreamResults }, iteration);
+        if (context.breaker) {
+          context.breaker.record(result);
+        }
+        if (context.policy) {
+          context.policy.observe(result, context.policyFilter);
+        }
+        return result;
+      } catch (error) {
+        const sanitized = SecurityUtils.sanitizeError(error);
+        return {
+          agentId: agent.id || 'unknown',
+          agentName: agent.name || 'unknown',
+          issues: [],
+          rawOutput: '',
+          executionTime: 0,
+          error: sanitized.message
+        };
+      }
+    }, {
+      concurrency: context.maxConcurrency,
+      shouldStop: context.policy ? () => context.policy.check() : null
+    });
+    
+    // タスクはバッチごとにエージェントの順に並んでいる
+    const results = settled.map((entry, index) => (entry.status === 'skipped'
+      ? ParallelExecutor.skippedResult(ordered[index % ordered.length], entry.reason)
+      : entry.value));
+    return batches.map((files, batch) => ({
+      files,
+      results: results.slice(batch * ordered.length, (batch + 1) * ordered.length)
+    }));
+  }
+  
+  // 実行しなかったエージェントの結果（reason: 実行ポリシー・サーキットブレーカーの { policy, message }）
+  static skippedResult(agent, reason) {
+    return {
+      agentId: agent.id,
+      agentName: agent.name,
+      issues: [],
+      rawOutput: '',
+      executionTime: 0,
+      skipped: { policy: reason.policy, reason: reason.message }
+    };
+  }
+  
+  // 結果キャッシュ（context.cache）を参照してエージェントを実行
+  // キャッシュはエージェントとファイル内容の組ごとに持ち、キャッシュに無いファイルのみエージェントに渡す
+  static async executeAgent(agent, files, context, iteration = 1) {
+    const sandbox = new AgentSandbox(agent, context);
+    const cache = context.cache || null;
+    if (!cache || files.length === 0) {
+      return sandbox.execute(files, iteration);
+    }
+    
+    const keys = await sandbox.getCacheKeys(files, iteration);
+    const parts = [];
+    const misses = [];
+    for (const file of files) {
+      const key = keys.get(file);
+      const part = key ? await cache.get(agent.id, key) : null;
+      if (part) {
+        parts.push(part);
+      } else {
+        misses.push(file);
+      }
     }
+    const cacheStats = { hits: files.length - misses.length, misses: misses.length };
     
-    // Limit concurrent executions to prevent resource exhaustion
-    const maxConcurrency = Math.min(agents.length, 4);
+    if (misses.length === 0) {
+      return {
+        agentId: agent.id,
+        agentName: agent.name,
+        ...ResultCache.mergeParts(parts),
+        rawOutput: '',
+        executionTime: 0,
+        cached: true,
+        cache: cacheStats
+      };
+    }
     
-    // エージェントを優先度でグループ化
-    const groups = ParallelExecutor.groupByPriority(agents);
-    const results = [];
+    const result = await sandbox.execute(misses, iteration);
     
-    for (const group of groups) {
-      // Limit group size to prevent resource exhaustion
-      const limitedGroup = group.slice(0, maxConcurrency);
-      
-      // 同一優先度のエージェントを並列実行
-      const groupPromises = limitedGroup.map(agent => {
+    // 失敗した実行・ファイルを特定できない問題を含む実行は保存しない
+    // 保存に失敗してもレビュー結果には影響させない
+    const fresh = result.error ? null : ResultCache.splitByFile(result, misses);
+    if (fresh) {
+      for (const [file, part] of fresh) {
+        if (!keys.get(file)) continue;
         try {
-          const sandbox = new AgentSandbox(agent, context);
-          return sandbox.execute(files, iteration);
+          await cache.set(agent.id, keys.get(file), part);
         } catch (error) {
-          // Return rejected promise for failed sandbox creation
-          return Promise.reject(error);
+          // キャッシュなしで続行
         }
-      });
-      
-      try {
-        const groupResults = await Promise.allSettled(groupPromises);
-        
-        // 結果を処理
-        groupResults.forEach((result, index) => {
-          if (result.status === 'fulfilled') {
-            results.push(result.value);
-          } else {
-            const agent = limitedGroup[index];
-            const sanitized = SecurityUtils.sanitizeError(result.reason);
-            results.push({
-              agentId: agent.id || 'unknown',
-              agentName: agent.name || 'unknown',
-              issues: [],
-              rawOutput: '',
-              executionTime: 0,
-              error: sanitized.message
-            });
-          }
-        });
-      } catch (error) {
-        // グループ全体が失敗した場合
-        const sanitized = SecurityUtils.sanitizeError(error);
-        limitedGroup.forEach(agent => {
-          results.push({
-            agentId: agent.id || 'unknown',
-            agentName: agent.name || 'unknown',
-            issues: [],
-            rawOutput: '',
-            executionTime: 0,
-            error: sanitized.message
-          });
-        });
       }
     }
     
-    return results;
+    const merged = ResultCache.mergeParts([...parts, result]);
+    return { ...result, ...merged, cached: false, cache: cacheStats };
   }
   
   static groupByPriority(agents) {
@@ -917,6 +1087,40 @@ module.exports = {
       description: '既存のTODOファイルパス（差分チェック用）',
       default: './TODO.md'
     },
+    {
+      name: 'staged',
+      type: 'boolean',
+      description: 'ステージ済みの変更のみをチェック（changesモード）',
+      default: false
+    },
+    {
+      name: 'working-tree',
+      type: 'boolean',
+      description: '未コミットの変更と未追跡ファイルをチェック（changesモード）',
+      default: false
+    },
+    {
+      name: 'base',
+      type: 'string',
+      description: 'マージベースからの差分をチェック（例: origin/main）'
+    },
+    {
+      name: 'since',
+      type: 'string',
+      description: 'コミット範囲の差分をチェック（例: v2.1.0 または abc123..def456）'
+    },
+    {
+      name: 'only-changed-lines',
+      type: 'boolean',
+      description: '変更行（差分ハンク）上の問題のみを報告',
+      default: false
+    },
+    {
+      name: 'changed-lines-context',
+      type: 'number',
+      description: '変更行の前後何行までを対象に含めるか（--only-changed-lines 使用時）',
+      default: 0
+    },
     {
       name: 'max-iterations',
       type: 'number',
@@ -942,6 +1146,48 @@ module.exports = {
       choices: ['critical', 'high', 'medium', 'low'],
       default: 'medium'
     },
+    {
+      name: 'dry-run',
+      type: 'boolean',
+      description: '自動修正を適用せず、修正パッチ（fixes-<timestamp>.patch）に書き出す',
+      default: false
+    },
+    {
+      name: 'review-fixes',
+      type: 'boolean',
+      description: '自動修正をハンクごとに確認してから適用（対話モードのみ）',
+      default: false
+    },
+    {
+      name: 'force',
+      type: 'boolean',
+      description: 'undo で、実行後に変更されたファイルも実行前の状態に戻す（変更はセッションのブランチに保存）',
+      default: false
+    },
+    {
+      name: 'fail-on',
+      type: 'choice',
+      description: 'この優先度以上の問題があれば終了コード1で失敗（CI向け）',
+      choices: FAIL_ON_LEVELS,
+      default: 'none'
+    },
+    {
+      name: 'baseline',
+      type: 'string',
+      description: 'ベースラインファイル（デフォルト: .smart-review-baseline.json、results-*.json も可）'
+    },
+    {
+      name: 'fail-on-new',
+      type: 'boolean',
+      description: 'ベースラインに無い新規の問題のみで --fail-on を判定',
+      default: false
+    },
+    {
+      name: 'include-existing',
+      type: 'boolean',
+      description: 'ベースライン既知の問題もTODO・HTMLレポートに表示',
+      default: false
+    },
     {
       name: 'help',
       type: 'boolean',
@@ -974,6 +1220,7 @@ module.exports = {
   --scope <changes|all>          チェック範囲 (デフォルト: changes)
                                   • changes: 前回チェック以降の変更点のみ
                                   • all: プロジェクト全体をスキャン
+                                    (.gitignore・ブロックパターン・サイズ上限・バイナリを除外)
 
   --target <ディレクトリ>         対象ディレクトリ (デフォルト: .)
                                   例: --target ./src
@@ -981,8 +1228,24 @@ module.exports = {
   --todo-file <ファイルパス>      既存のTODOファイルパス (デフォルト: ./TODO.md)
                                   例: --todo-file ./ISSUES.md
 
+  --staged                        ステージ済みの変更のみをチェック
+  --working-tree                  未コミットの変更と未追跡ファイルをチェック
+  --base <参照>                   マージベースからの差分をチェック
+                                  例: --base origin/main
+  --since <参照|範囲>             コミット範囲の差分をチェック
+                                  例: --since v2.1.0 / --since abc123..def456
+                                  ※ 上記4つは同時指定不可。未指定時は前回チェック以降の履歴
+
+  --only-changed-lines            変更行（git diff -U0 のハンク）上の問題のみを報告
+                                  既存の技術的負債をPRレビューから除外
+  --changed-lines-context <数値>  変更行の前後何行までを含めるか (デフォルト: 0)
+
   --max-iterations <数値>         最大繰り返し回数 (デフォルト: 5)
                                   changesモードでの自動修正回数
+  --dry-run                       自動修正を適用せず、出力ディレクトリの
+                                  fixes-<timestamp>.patch とHTMLレポートに書き出す
+  --review-fixes                  自動修正をハンクごとに確認してから適用
+                                  (スラッシュコマンドのみ。適用/不適用/編集/残りをスキップ)
 
   --output-dir <ディレクトリ>     結果の出力ディレクトリ (デフォルト: ./smart-review-results)
                                   例: --output-dir ./reports
@@ -996,8 +1259,35 @@ module.exports = {
                                   • medium: 中優先度以上
                                   • low: すべての問題
 
+  --fail-on <レベル>              この優先度以上の問題があれば失敗 (デフォルト: none)
+                                  • critical / high / medium / low / none
+  --baseline <ファイル>           ベースラインファイル
+                                  (デフォルト: .smart-review-baseline.json があれば使用)
+  --fail-on-new                   ベースラインに無い新規の問題のみで判定
+  --include-existing              ベースライン既知の問題もTODO・レポートに表示
+                                  (デフォルトは新規の問題のみ表示)
+
+  baseline create                 現在の問題を .smart-review-baseline.json に保存
+                                  (CLI: smart-review baseline create [--scope changes])
+  apply <パッチ>                  修正パッチを現在の作業ツリーで再検証して適用
+                                  (CLI: smart-review apply <パッチ> [--dry-run で検証のみ])
+  undo [セッション]               自動修正を取り消し、実行前の状態に戻す
+                                  (CLI: smart-review undo [セッションID]。省略時は最新)
+                                  実行後に変更されたファイルがある場合は --force が必要
+  cache <操作>                    エージェント結果のキャッシュ (.smart-review-cache/) を管理
+                                  • stats: 件数・サイズを表示
+                                  • clear: すべて削除（サーキットブレーカーの状態は残す）
+                                  • prune: 期限切れ・壊れたエントリを削除
+
   --help                          このヘルプを表示
 
+🚦 終了コード (CLI実行時):
+  0  成功
+  1  --fail-on 以上の問題あり
+  2  エージェントの実行失敗あり（問題はしきい値未満）
+  3  設定・引数エラー
+  4  予期しない実行時エラー
+
 🚀 使用例:
   • 基本的な変更チェック:
     claude smart-review
@@ -1011,6 +1301,12 @@ module.exports = {
   • CI/CD統合:
     claude smart-review --scope changes --skip-comment --max-iterations 3
 
+  • 重大な問題でマージをブロック（CLI）:
+    smart-review --base origin/main --skip-comment --fail-on high
+
+  • ブランチ全体のレビュー（PR向け）:
+    claude smart-review --base origin/main
+
 🔧 機能:
   ✅ セキュリティ脆弱性の検出（XSS、SQLインジェクション等）
   ✅ バグとロジックエラーの検出
@@ -1092,7 +1388,8 @@ module.exports = {
             scope: 'changes',
             target: '.',
             'priority-threshold': 'medium',
-            'max-iterations': 3
+            'max-iterations': 3,
+            'review-fixes': true
           });
 
         case 'full-scan':
@@ -1116,7 +1413,8 @@ module.exports = {
             scope: 'changes',
             target: '.',
             'priority-threshold': 'high',
-            'max-iterations': 5
+            'max-iterations': 5,
+            'review-fixes': true
           });
 
         case 'custom':
@@ -1166,6 +1464,11 @@ module.exports = {
           max: 10
         }) : 1;
 
+      const reviewFixes = scope === 'changes' ?
+        await context.input.confirm('自動修正を1件ずつ確認してから適用しますか?', {
+          default: true
+        }) : false;
+
       const skipComment = await context.input.confirm('コメント注釈をスキップしますか?', {
         default: false
       });
@@ -1180,6 +1483,7 @@ module.exports = {
         target,
         'priority-threshold': priorityThreshold,
         'max-iterations': maxIterations,
+        'review-fixes': reviewFixes,
         'skip-comment': skipComment,
         'output-dir': outputDir,
         'todo-file': './TODO.md'
@@ -1333,12 +1637,18 @@ module.exports = {
       testResults.push({ test: 'セキュリティモジュール', status: '❌', detail: 'エラー検出' });
     }
     
-    // 7. キャッシュシステムチェック
+    // 7. キャッシュシステムチェック（一時ディレクトリで保存・取得を確認）
     try {
-      const cache = new ResultCache(1000);
-      const testKey = cache.generateKey({ id: 'test' }, ['file1.js']);
-      await cache.set(testKey, { test: 'data' });
-      const cached = await cache.get(testKey);
+      const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-cache-'));
+      let cached;
+      try {
+        const cache = new ResultCache({ dir: cacheDir });
+        const testKey = ResultCache.createKey({ agentId: 'test', promptHash: 'test', model: 'sonnet', files: [{ file: 'file1.js', hash: 'test' }] });
+        await cache.set('test', testKey, { test: 'data' });
+        cached = await cache.get('test', testKey);
+      } finally {
+        await fs.rm(cacheDir, { recursive: true, force: true });
+      }
       if (cached && cached.test === 'data') {
         testResults.push({ test: 'キャッシュシステム', status: '✅', detail: '動作確認済み' });
       } else {
@@ -1393,37 +1703,238 @@ module.exports = {
       };
     }
   },
-
-  async execute(context, args) {
-    const startExecutionTime = Date.now();
-    const { output } = context;
-    
-    // バージョン情報の処理
-    if (args.version) {
-      this.showVersion(output);
-      return { success: true, message: 'バージョン情報を表示しました' };
+  
+  // CLIサブコマンド（lib/cli.js が位置引数で振り分ける）
+  subcommands: {
+    'baseline create': 'createBaseline',
+    apply: 'applyPatch',
+    undo: 'undoSession',
+    cache: 'manageCache'
+  },
+  
+  // 結果キャッシュの作成（performance.maxCacheSize はMB単位）
+  createResultCache(performanceSettings) {
+    return new ResultCache({
+      maxBytes: performanceSettings.maxCacheSize * 1024 * 1024,
+      maxAge: performanceSettings.cacheTTL
+    });
+  },
+  
+  // ツール自身の出力のパス（結果の出力ディレクトリ・ベースライン・結果キャッシュ・エージェント出力の記録）
+  ownOutputPaths({ outputDir, baselinePath, agentRecorder }) {
+    const paths = [outputDir, DEFAULT_BASELINE_FILE, baselinePath, DEFAULT_CACHE_DIR];
+    if (agentRecorder) {
+      paths.push(agentRecorder.dir);
     }
+    return paths.filter(Boolean);
+  },
+  
+  // ベースラインの作成（smart-review baseline create）
+  async createBaseline(context, args = {}) {
+    const { output, files } = context;
     
-    // ヘルプオプションの処理
-    if (args.help) {
-      this.showHelp(output);
-      return { success: true, message: 'ヘルプを表示しました' };
+    let baselinePath;
+    try {
+      baselinePath = args.baseline ? SecurityUtils.validatePath(args.baseline) : DEFAULT_BASELINE_FILE;
+    } catch (error) {
+      const sanitized = SecurityUtils.sanitizeError(error);
+      output.error(`入力検証エラー: ${sanitized.message}`);
+      return { success: false, error: sanitized.message, exitCode: EXIT_CODES.CONFIG_ERROR };
     }
     
-    // テストモードの処理
-    if (args.test) {
-      return await this.runSystemTest(context);
+    // 既存のベースラインを無視して、現在のすべての問題を収集する
+    // ベースラインの作成は読み取り専用（コメント追加・自動修正はしない）
+    const result = await this.execute(context, {
+      scope: 'all',
+      ...args,
+      'fail-on': 'none',
+      'fail-on-new': false,
+      'skip-comment': true,
+      _skipMenu: true,
+      _skipBaseline: true,
+      _skipAutoFix: true
+    });
+    
+    if (!result.success) {
+      return result;
     }
     
-    // 引数が指定されていない場合、対話式メニューを表示（_skipMenuフラグがない場合のみ）
-    if (!args._skipMenu && (Object.keys(args).length === 0 || (!args.scope && !args.target))) {
-      return await this.showInteractiveMenu(context);
+    const issues = result.context ? result.context.allIssues : [];
+    const document = Baseline.create(issues, { toolVersion: TOOL_VERSION });
+    await files.write(baselinePath, Baseline.serialize(document));
+    output.success(`\n📌 ベースラインを作成しました: ${baselinePath} (${document.issues.length}件)`);
+    
+    // エージェントが失敗した場合、その問題はベースラインに含まれない
+    const agentFailures = result.context ? result.context.agentRuns.filter(run => run.error).length : 0;
+    if (agentFailures > 0) {
+      output.warning(`⚠️ ${agentFailures}件のエージェント実行が失敗したため、ベースラインが不完全な可能性があります`);
+    }
+    if (result.context && result.context.abort) {
+      output.warning(`⚠️ 実行ポリシーにより${result.context.abort.skippedAgents.length}件のエージェント実行をスキップしたため、ベースラインが不完全な可能性があります`);
     }
+    if (result.context && result.context.circuitBreaker) {
+      output.warning(`⚠️ サーキットブレーカーにより${result.context.circuitBreaker.agents.length}件のエージェントを停止したため、ベースラインが不完全な可能性があります`);
+    }
+    
+    return {
+      success: true,
+      baselinePath,
+      issues: document.issues.length,
+      exitCode: agentFailures > 0 ? EXIT_CODES.AGENT_FAILURE : EXIT_CODES.SUCCESS
+    };
+  },
+
+  // 修正パッチの適用（smart-review apply <patch>）
+  // --dry-run で保存したパッチを現在の作業ツリーに対して再検証してから一括で適用する
+  async applyPatch(context, args = {}) {
+    const { output, files } = context;
+    const [patchArg, ...extra] = args._ || [];
+    const checkOnly = Boolean(args['dry-run']);
     
+    const runGit = SecurityUtils.executeGit;
+    const fixer = new AutoFixer(runGit, { directory: await AutoFixer.detectDirectory(runGit) });
+    
+    let content;
     try {
-      // 入力検証（強化版）- デフォルト値を適用
-      const validatedArgs = {
-        scope: InputValidator.validateChoice(args.scope || 'changes', ['changes', 'all']),
+      if (!patchArg || extra.length > 0) {
+        throw new Error('使用方法: smart-review apply <パッチファイル> [--dry-run]');
+      }
+      content = await files.read(SecurityUtils.validatePath(patchArg));
+      fixer.validate(content);
+    } catch (error) {
+      const sanitized = SecurityUtils.sanitizeError(error);
+      output.error(`入力検証エラー: ${sanitized.message}`);
+      return { success: false, error: sanitized.message, exitCode: EXIT_CODES.CONFIG_ERROR };
+    }
+    
+    try {
+      const result = await fixer.applyPatch(content, { checkOnly });
+      output.success(checkOnly
+        ? `✅ パッチは現在の作業ツリーに適用できます (${result.files.length}ファイル)`
+        : `✅ パッチを適用しました (${result.files.length}ファイル)`);
+      result.files.forEach(file => output.info(`  - ${file}`));
+      return { success: true, files: result.files, exitCode: EXIT_CODES.SUCCESS };
+    } catch (error) {
+      const sanitized = SecurityUtils.sanitizeError(error);
+      output.error(`パッチを適用できません: ${sanitized.message}`);
+      return { success: false, error: sanitized.message, exitCode: EXIT_CODES.RUNTIME_ERROR };
+    }
+  },
+
+  // 自動修正の取り消し（smart-review undo [session]）
+  // チェックポイントから修正対象のファイルを実行前の状態に戻す（実行が途中で終了した場合も可）
+  async undoSession(context, args = {}) {
+    const { output } = context;
+    const [session, ...extra] = args._ || [];
+    const runGit = SecurityUtils.executeGit;
+    
+    let checkpoint;
+    try {
+      if (extra.length > 0) {
+        throw new Error('使用方法: smart-review undo [セッションID] [--force]');
+      }
+      checkpoint = await GitCheckpoint.load(runGit, session);
+    } catch (error) {
+      const sanitized = SecurityUtils.sanitizeError(error);
+      output.error(`入力検証エラー: ${sanitized.message}`);
+      return { success: false, error: sanitized.message, exitCode: EXIT_CODES.CONFIG_ERROR };
+    }
+    
+    const { manifest } = checkpoint;
+    output.info(`🛟 セッション ${manifest.session} (${manifest.startedAt}) を元に戻します`);
+    if (manifest.status === 'running') {
+      output.warning('⚠️ このセッションは途中で終了しています。チェックポイントの状態に戻します');
+    }
+    
+    try {
+      const result = await checkpoint.undo({ force: Boolean(args.force) });
+      if (result.preserved) {
+        const label = manifest.status === 'running' ? '最後の記録の後に変更されたファイル' : '実行後に変更されたファイル';
+        output.warning(`⚠️ ${label}も実行前の内容に戻しました（戻す前の内容は ${result.branch} の ${result.preserved.substring(0, 12)} に保存しました）:`);
+        result.modifiedAfterRun.forEach(file => output.warning(`  - ${file}`));
+      }
+      result.restored.forEach(file => output.info(`  ↩️ ${file}`));
+      result.removed.forEach(file => output.info(`  🗑️ ${file}`));
+      output.success(`✅ 実行前の状態に戻しました (${result.restored.length + result.removed.length}ファイル)`);
+      output.info(`   修正の履歴はブランチ ${result.branch} に残っています`);
+      return { success: true, ...result, exitCode: EXIT_CODES.SUCCESS };
+    } catch (error) {
+      const sanitized = SecurityUtils.sanitizeError(error);
+      output.error(`元に戻せませんでした: ${sanitized.message}`);
+      return { success: false, error: sanitized.message, exitCode: EXIT_CODES.RUNTIME_ERROR };
+    }
+  },
+
+  // 結果キャッシュの管理（smart-review cache stats|clear|prune）
+  async manageCache(context, args = {}) {
+    const { output } = context;
+    const [action, ...extra] = args._ || [];
+    
+    if (!['stats', 'clear', 'prune'].includes(action) || extra.length > 0) {
+      const message = '使用方法: smart-review cache <stats|clear|prune>';
+      output.error(`入力検証エラー: ${message}`);
+      return { success: false, error: message, exitCode: EXIT_CODES.CONFIG_ERROR };
+    }
+    
+    const cache = this.createResultCache(await configManager.getPerformanceSettings());
+    const formatSize = bytes => `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+    
+    try {
+      if (action === 'stats') {
+        const stats = await cache.stats();
+        output.info(`🗄️ 結果キャッシュ: ${stats.dir}`);
+        output.info(`  エントリ: ${stats.entries}件 / サイズ: ${formatSize(stats.bytes)} (上限 ${formatSize(stats.maxBytes)})`);
+        output.info(`  有効期間: ${stats.maxAge >= 3600000 ? `${Math.round(stats.maxAge / 3600000)}時間` : `${Math.round(stats.maxAge / 60000)}分`}`);
+        if (stats.entries > 0) {
+          output.info(`  最終使用: ${stats.oldest} 〜 ${stats.newest}`);
+        }
+        Object.entries(stats.agents).forEach(([agent, agentStats]) => {
+          output.info(`  - ${agent}: ${agentStats.entries}件 (${formatSize(agentStats.bytes)})`);
+        });
+        return { success: true, stats, exitCode: EXIT_CODES.SUCCESS };
+      }
+      
+      const result = action === 'clear' ? await cache.clear() : await cache.prune();
+      output.success(`✅ ${action === 'clear' ? 'キャッシュを削除しました' : '不要なキャッシュを削除しました'}: ${result.removed}件 (${formatSize(result.bytes)})`);
+      return { success: true, ...result, exitCode: EXIT_CODES.SUCCESS };
+    } catch (error) {
+      const sanitized = SecurityUtils.sanitizeError(error);
+      output.error(`キャッシュを操作できません: ${sanitized.message}`);
+      return { success: false, error: sanitized.message, exitCode: EXIT_CODES.RUNTIME_ERROR };
+    }
+  },
+
+  async execute(context, args) {
+    const startExecutionTime = Date.now();
+    const { output } = context;
+    
+    // バージョン情報の処理
+    if (args.version) {
+      this.showVersion(output);
+      return { success: true, message: 'バージョン情報を表示しました' };
+    }
+    
+    // ヘルプオプションの処理
+    if (args.help) {
+      this.showHelp(output);
+      return { success: true, message: 'ヘルプを表示しました' };
+    }
+    
+    // テストモードの処理
+    if (args.test) {
+      return await this.runSystemTest(context);
+    }
+    
+    // 引数が指定されていない場合、対話式メニューを表示（_skipMenuフラグがない場合のみ）
+    const hasChangeMode = args.staged || args['working-tree'] || args.base || args.since;
+    if (!args._skipMenu && (Object.keys(args).length === 0 || (!args.scope && !args.target && !hasChangeMode))) {
+      return await this.showInteractiveMenu(context);
+    }
+    
+    try {
+      // 入力検証（強化版）- デフォルト値を適用
+      const validatedArgs = {
+        scope: InputValidator.validateChoice(args.scope || 'changes', ['changes', 'all']),
         target: SecurityUtils.validatePath(args.target || '.'),
         'todo-file': SecurityUtils.validatePath(args['todo-file'] || './TODO.md'),
         'max-iterations': InputValidator.validateNumber(args['max-iterations'] || 5, { 
@@ -1434,7 +1945,25 @@ module.exports = {
         'output-dir': SecurityUtils.validateOutputDirectory(args['output-dir'] || './smart-review-results'),
         'skip-comment': Boolean(args['skip-comment']),
         'priority-threshold': InputValidator.validateChoice(args['priority-threshold'] || 'medium', 
-          ['critical', 'high', 'medium', 'low'])
+          ['critical', 'high', 'medium', 'low']),
+        changeSelection: GitChangeDetector.resolveMode({
+          staged: Boolean(args.staged),
+          'working-tree': Boolean(args['working-tree']),
+          base: args.base ? InputValidator.validateString(args.base, { maxLength: 200 }) : undefined,
+          since: args.since ? InputValidator.validateString(args.since, { maxLength: 402 }) : undefined
+        }),
+        'only-changed-lines': Boolean(args['only-changed-lines']),
+        'changed-lines-context': InputValidator.validateNumber(args['changed-lines-context'] || 0, {
+          min: 0,
+          max: 1000,
+          integer: true
+        }),
+        'fail-on': InputValidator.validateChoice(args['fail-on'] || 'none', FAIL_ON_LEVELS),
+        baseline: args.baseline ? SecurityUtils.validatePath(args.baseline) : null,
+        'fail-on-new': Boolean(args['fail-on-new']),
+        'include-existing': Boolean(args['include-existing']),
+        'dry-run': Boolean(args['dry-run']),
+        'review-fixes': Boolean(args['review-fixes'])
       };
       
       const { 
@@ -1444,14 +1973,57 @@ module.exports = {
         'max-iterations': maxIterations,
         'output-dir': outputDir,
         'skip-comment': skipComment,
-        'priority-threshold': priorityThreshold
+        'priority-threshold': priorityThreshold,
+        changeSelection,
+        'only-changed-lines': onlyChangedLines,
+        'changed-lines-context': changedLinesContext,
+        'fail-on': failOn,
+        'fail-on-new': failOnNew,
+        'include-existing': includeExisting,
+        'dry-run': dryRun,
+        'review-fixes': reviewFixes
       } = validatedArgs;
       
       const { files, output, terminal } = context;
       
+      // ベースラインの読み込み（指定が無ければ既定ファイルがある場合のみ。不正な場合は設定エラー）
+      let baselinePath = validatedArgs.baseline;
+      if (!baselinePath && !args._skipBaseline && await files.exists(DEFAULT_BASELINE_FILE)) {
+        baselinePath = DEFAULT_BASELINE_FILE;
+      }
+      const baseline = baselinePath && !args._skipBaseline
+        ? Baseline.parse(await files.read(baselinePath), baselinePath)
+        : null;
+      
+      if (failOnNew && !baseline) {
+        throw new Error(`--fail-on-new にはベースライン（--baseline または ${DEFAULT_BASELINE_FILE}）が必要です`);
+      }
+      
       // エージェントの定義を設定モジュールから取得
       const reviewAgents = await configManager.getAgents();
       
+      // エージェント実行結果のディスクキャッシュ（performance.cacheEnabled で無効化できる）
+      const performanceSettings = await configManager.getPerformanceSettings();
+      const resultCache = performanceSettings.cacheEnabled ? this.createResultCache(performanceSettings) : null;
+      
+      // ツールエージェントの問題は同じ位置のLLMエージェントの問題にまとめる（ゲート・出力・実行ポリシーで共通）
+      const toolAgentIds = new Set(reviewAgents.filter(agent => ToolAnalyzers.isToolAgent(agent)).map(agent => agent.id));
+      const mergeToolFindings = issues => ToolAnalyzers.merge(issues, toolAgentIds);
+      
+      // 早期中止ポリシー（中止後はまだ開始していないエージェントをスキップする）
+      const runPolicy = new RunPolicy(await configManager.getPolicySettings(), {
+        merge: toolAgentIds.size > 0 ? issues => mergeToolFindings(issues).issues : null
+      });
+      
+      // 失敗を繰り返すエージェントのサーキットブレーカー（状態は実行をまたいで保存する）
+      const circuitBreaker = await new CircuitBreaker(await configManager.getCircuitBreakerSettings()).load();
+      
+      // エージェント出力の記録・再生（SMART_REVIEW_RECORD / SMART_REVIEW_REPLAY）
+      const agentRecorder = AgentRecorder.fromEnv(process.env);
+      
+      // ツール自身の出力は解析対象にしない
+      const ownOutputPaths = this.ownOutputPaths({ outputDir, baselinePath, agentRecorder });
+      
       // コメント注釈エージェントの定義（別扱い）
       const commentAgent = {
         id: 'code-comment-annotator-ja',
@@ -1467,16 +2039,34 @@ module.exports = {
         scope,
         target,
         startTime: new Date().toISOString(),
+        changeMode: changeSelection.mode,
+        dryRun,
         changedFiles: [],
+        deletedFiles: [],
+        renamedFiles: [],
+        skippedFiles: [],
         allIssues: [],
+        suppressedIssues: [],
+        invalidSuppressions: [],
         todoList: [],
         iterations: [],
+        agentRuns: [],
+        baseline: null,
+        gate: null,
+        fixPatch: null,
+        checkpoint: null,
+        convergence: null,
+        abort: null,
+        circuitBreaker: null,
+        toolFindings: null,
         finalCommentResult: null,
         metrics: {
           totalExecutionTime: 0,
           filesAnalyzed: 0,
           issuesFound: 0,
-          issuesFixed: 0
+          issuesFixed: 0,
+          issuesOutsideDiff: 0,
+          issuesSuppressed: 0
         }
       };
       
@@ -1492,14 +2082,39 @@ module.exports = {
       output.info(`📊 スコープ: ${scope === 'all' ? 'プロジェクト全体' : '変更差分'}`);
       output.info(`📁 対象: ${target}`);
       output.info(`🎯 優先度閾値: ${priorityThreshold}以上`);
+      if (agentRecorder) {
+        output.info(`🎞️ エージェント出力を${agentRecorder.mode === 'replay' ? '再生' : '記録'}します: ${agentRecorder.dir}`);
+      }
       output.info('═'.repeat(70));
       
-      // 変更ファイルの検出（修正版）
+      // 以前の実行でサーキットブレーカーが開いたエージェントを最初に警告
+      const agentNames = new Map(reviewAgents.map(agent => [agent.id, agent.name]));
+      circuitBreaker.previouslyOpened().filter(entry => agentNames.has(entry.agentId)).forEach(entry => {
+        const name = agentNames.get(entry.agentId);
+        const lastError = entry.lastError ? `（最後のエラー: ${entry.lastError}）` : '';
+        if (entry.skipped) {
+          output.warning(`⚡ ${name}: ${circuitBreaker.check(entry.agentId).message}${lastError}`);
+        } else {
+          output.warning(`⚡ ${name}: 前回までに${entry.failures}回連続で失敗しています。今回も失敗するとこの実行の残りではスキップします${lastError}`);
+        }
+      });
+      
+      // 変更ファイルの検出（git diff --name-status ベース）
+      const runGit = SecurityUtils.executeGit;
+      const changeDetector = new GitChangeDetector(runGit, {
+        pathspec: path.relative(process.cwd(), target) || '.',
+        excludePaths: ownOutputPaths
+      });
+      // 存在しない --base / --since の参照は設定エラー（レビューを始める前に確認する）
+      if (scope === 'changes') {
+        await changeDetector.verifyRefs(changeSelection);
+      }
+      
       async function detectChangedFiles() {
         try {
-          // 前回のTODOファイルから最終実行時刻を取得（安全化）
+          // 前回のTODOファイルから最終実行時刻を取得（historyモード用・安全化）
           let lastCheckTime = null;
-          if (await files.exists(todoFile)) {
+          if (changeSelection.mode === 'history' && await files.exists(todoFile)) {
             const todoContent = await files.read(todoFile);
             const timeMatch = todoContent.match(/最終チェック: (.+)/);
             if (timeMatch) {
@@ -1507,55 +2122,497 @@ module.exports = {
             }
           }
           
-          // Git操作を修正（--sinceオプション問題の解決）
-          let gitArgs;
-          if (lastCheckTime && lastCheckTime instanceof Date && !isNaN(lastCheckTime.getTime())) {
-            // より安全なgit logアプローチ（--afterを使用）
-            const timeString = lastCheckTime.toISOString();
-            gitArgs = ['log', '--name-only', '--pretty=format:', '--after', timeString];
-          } else {
-            // フォールバック: 直近の変更を取得
-            gitArgs = ['log', '--name-only', '--pretty=format:', '-n', '10'];
-          }
-          
-          const result = await SecurityUtils.executeCommand('git', gitArgs);
+          const detected = await changeDetector.detect(changeSelection, { lastCheckTime });
           
-          // Limit git output size to prevent memory issues
-          const limitedOutput = result.stdout.length > 1024 * 1024 
-            ? result.stdout.substring(0, 1024 * 1024) 
-            : result.stdout;
-            
-          const changedFiles = limitedOutput
-            .split('\n')
-            .map(f => f.trim())
-            .filter(f => f && !f.startsWith('commit ') && f.length < 260) // Path length limit
-            .filter((file, index, arr) => arr.indexOf(file) === index) // 重複除去
-            .slice(0, 1000); // Limit number of files
+          // 削除・リネーム元のファイルはエージェントに渡さない
+          executionContext.deletedFiles = detected.deleted;
+          executionContext.renamedFiles = detected.renamed;
+          const changedFiles = detected.files;
           
-          output.info(`📝 検出された変更ファイル: ${changedFiles.length}件`);
+          output.info(`📝 検出された変更ファイル: ${changedFiles.length}件 (モード: ${detected.mode})`);
           changedFiles.slice(0, 5).forEach(f => output.debug(`  - ${f}`));
           if (changedFiles.length > 5) {
             output.debug(`  ... 他 ${changedFiles.length - 5}件`);
           }
+          if (detected.deleted.length > 0) {
+            output.debug(`  🗑️ 削除済み（対象外）: ${detected.deleted.length}件`);
+          }
+          if (detected.renamed.length > 0) {
+            output.debug(`  🔀 リネーム: ${detected.renamed.length}件`);
+          }
           
           return changedFiles;
         } catch (error) {
+          // 変更を検出できないままレビューなしで成功させない（--fail-on のゲートを素通りさせない）
           const sanitized = SecurityUtils.sanitizeError(error);
-          output.warning(`Git差分の取得に失敗: ${sanitized.message}. 全ファイルを対象にします。`);
-          return [];
+          throw new Error(`Git差分の取得に失敗しました（モード: ${changeSelection.mode}）: ${sanitized.message}`);
         }
       }
       
-      // TODO内容の生成
-      function generateTodoContent(issues, priorityThreshold, previousTodo = '') {
-        const priorityLevels = { critical: 0, high: 1, medium: 2, low: 3 };
+      // 行単位の変更範囲の検出（historyモードでは利用不可）
+      async function detectChangedLines() {
+        try {
+          const hunks = await changeDetector.detectHunks(changeSelection);
+          if (!hunks && onlyChangedLines) {
+            output.warning('⚠️ 行単位フィルタは --staged / --working-tree / --base / --since 指定時のみ有効です。');
+          }
+          return hunks;
+        } catch (error) {
+          const sanitized = SecurityUtils.sanitizeError(error);
+          output.warning(`差分ハンクの取得に失敗: ${sanitized.message}`);
+          return null;
+        }
+      }
+      
+      // 変更行以外の問題を除外（--only-changed-lines）
+      function filterByChangedLines(issues, changedLines) {
+        if (!onlyChangedLines || !changedLines) {
+          return issues;
+        }
+        const { kept, filtered } = DiffHunks.filterIssues(issues, changedLines, {
+          contextLines: changedLinesContext
+        });
+        if (filtered.length > 0) {
+          output.info(`  ✂️ 変更行外の問題を除外: ${filtered.length}件`);
+        }
+        executionContext.metrics.issuesOutsideDiff += filtered.length;
+        return kept;
+      }
+      
+      // 実行ポリシーで数える問題（終了コードの判定と同じく、変更行外・--fail-on-new のベースライン既知の問題を除く）
+      function policyIssues(issues, changedLines) {
+        const inDiff = onlyChangedLines && changedLines
+          ? DiffHunks.filterIssues(issues, changedLines, { contextLines: changedLinesContext }).kept
+          : issues;
+        return failOnNew ? baseline.filterNew(inDiff) : inDiff;
+      }
+      
+      // 最初の修正の前に smart-review/<session> ブランチへチェックポイントを作成する
+      // （smart-review undo で実行前の状態に戻せる。作成できない場合は修正を適用しない）
+      let checkpoint = null;
+      async function ensureCheckpoint(files) {
+        if (checkpoint) return;
+        const created = new GitCheckpoint(runGit);
+        try {
+          await created.begin(files);
+        } catch (error) {
+          const sanitized = SecurityUtils.sanitizeError(error);
+          throw new Error(`チェックポイントの作成に失敗しました: ${sanitized.message}`);
+        }
+        checkpoint = created;
+        executionContext.checkpoint = {
+          session: checkpoint.session,
+          branch: checkpoint.branch,
+          checkpoint: checkpoint.manifest.checkpoint,
+          commits: []
+        };
+        output.info(`  🛟 チェックポイントを作成: ${checkpoint.branch}`);
+      }
+      
+      // 自動修正: canAutoFix エージェントから統一diffを集め、git apply --check で検証して適用
+      let fixReviewSkipped = false;
+      async function applyAutoFixes(fixableIssues, files, iteration) {
+        const proposals = [];
+        
+        for (const agent of reviewAgents.filter(a => a.canAutoFix)) {
+          const agentIssues = fixableIssues.filter(issue => issue.agentId === agent.id);
+          
+          // レビュー結果に修正diffが含まれる問題はそのまま使い、残りは修正モードで依頼する
+          const pending = [];
+          agentIssues.forEach(issue => {
+            if (issue.suggestedFix && issue.suggestedFix.diff) {
+              proposals.push({ agentId: agent.id, diff: issue.suggestedFix.diff, issues: [issue] });
+            } else {
+              pending.push(issue);
+            }
+          });
+          if (pending.length === 0) continue;
+          
+          try {
+            const sandbox = new AgentSandbox(agent, { target, recorder: agentRecorder });
+            const fixes = await sandbox.requestFixes(files, pending, iteration);
+            fixes.forEach(fix => {
+              // パッチが変更するファイル上の問題を修正対象とみなす
+              let touched = new Set();
+              try {
+                touched = new Set(UnifiedDiff.parseFiles(fix.diff).files);
+              } catch (error) {
+                // 不正なdiffは適用時に拒否される
+              }
+              proposals.push({
+                agentId: agent.id,
+                diff: fix.diff,
+                issues: pending.filter(issue =>
+                  issue.file && touched.has(IssueProtocol.normalizeFile(issue.file))
+                )
+              });
+            });
+          } catch (error) {
+            const sanitized = SecurityUtils.sanitizeError(error);
+            output.warning(`  ⚠️ ${agent.name}: 修正の取得に失敗: ${sanitized.message}`);
+          }
+        }
+        
+        if (proposals.length === 0) {
+          return { records: [], touchedFiles: [], fixedIssues: [], hunks: new Map() };
+        }
+        
+        // ドライランでは git apply --check のみ行い、作業ツリーは変更しない
+        const fixer = new AutoFixer(runGit, {
+          allowedFiles: files,
+          directory: await AutoFixer.detectDirectory(runGit)
+        });
+        
+        let fixResult;
+        if (reviewFixes) {
+          // 検証を通った修正案のみハンクごとに確認し、承認・編集したハンクを適用する
+          const checked = await fixer.apply(proposals, { checkOnly: true });
+          const validProposals = checked.records
+            .map((record, index) => ({ record, proposal: { ...proposals[index], diff: record.diff } }))
+            .filter(({ record }) => record.status === 'valid');
+          
+          const review = await FixReview.review(validProposals.map(({ proposal }) => proposal), context, {
+            skipAll: fixReviewSkipped
+          });
+          fixReviewSkipped = review.skipRest;
+          
+          if (!dryRun && review.proposals.length > 0) {
+            await ensureCheckpoint(files);
+          }
+          fixResult = await fixer.apply(review.proposals, { checkOnly: dryRun });
+          fixResult.decisions = review.decisions;
+          fixResult.records = [
+            ...checked.records.filter(record => record.status !== 'valid'),
+            ...validProposals
+              .filter(({ proposal }) => review.declined.includes(proposal))
+              .map(({ record }) => ({ ...record, status: 'declined', reason: '確認で適用しないことを選択' })),
+            ...fixResult.records
+          ];
+          if (validProposals.length > 0 && review.proposals.length === 0) {
+            output.info('  ⏭️ 適用する修正が選択されませんでした');
+          }
+        } else {
+          if (!dryRun) {
+            await ensureCheckpoint(files);
+          }
+          fixResult = await fixer.apply(proposals, { checkOnly: dryRun });
+        }
+        
+        fixResult.records.forEach(record => {
+          if (record.status === 'applied') {
+            output.success(`  ✅ 修正を適用: ${record.files.join(', ')} (${record.agentId})`);
+          } else if (record.status === 'valid') {
+            output.success(`  📝 修正案を記録: ${record.files.join(', ')} (${record.agentId})`);
+          } else if (record.status === 'rejected') {
+            output.warning(`  ⚠️ 修正を適用できません (${record.agentId}): ${record.reason}`);
+          } else if (record.status === 'declined') {
+            output.info(`  ⏭️ 修正を見送り: ${record.files.join(', ')} (${record.agentId})`);
+          }
+        });
+        
+        return fixResult;
+      }
+      
+      // イシュープロトコルの検証エラーを表示
+      function reportProtocolErrors(result) {
+        if (!result.protocol || result.protocol.errors.length === 0) {
+          return;
+        }
+        output.warning(`  ⚠️ ${result.agentName}: 出力スキーマ検証エラー ${result.protocol.errors.length}件 (${result.protocol.format})`);
+        result.protocol.errors.slice(0, 3).forEach(e => output.debug(`    - ${e}`));
+      }
+      
+      // エージェントの実行結果（スキップ・エラー・検出件数）を表示
+      function reportAgentResult(result) {
+        if (result.skipped) {
+          output.warning(`  ⏭️ ${result.agentName}: スキップ（${result.skipped.reason}）`);
+        } else if (result.error) {
+          output.warning(`  ⚠️ ${result.agentName}: ${result.error}${result.attempts > 1 ? `（${result.attempts}回試行）` : ''}`);
+        } else {
+          output.success(`  ✅ ${result.agentName}: ${result.issues.length}件の問題を検出 (${formatRunTime(result)})`);
+        }
+        reportProtocolErrors(result);
+      }
+      
+      // 前の反復の修正結果との比較（解決・継続・新規）を表示
+      function reportConvergence(iteration, counts) {
+        if (iteration === 1) {
+          return;
+        }
+        const { resolved, persisting, introduced, reintroduced } = counts;
+        output.info(`  📈 解決 ${resolved}件 / 継続 ${persisting}件 / 新規 ${introduced}件${reintroduced > 0 ? `（うち再発 ${reintroduced}件）` : ''}`);
+        if (introduced > 0) {
+          output.warning(`  ⚠️ 修正後に新たな問題が検出されました: ${introduced}件`);
+        }
+      }
+      
+      // エージェントの実行時間（結果キャッシュを使ったファイル数）
+      function formatRunTime(result) {
+        if (result.cached) {
+          return 'キャッシュ';
+        }
+        const hits = result.cache ? result.cache.hits : 0;
+        const retried = result.attempts > 1 ? `、再試行 ${result.attempts - 1}回` : '';
+        return hits > 0
+          ? `${result.executionTime}ms、キャッシュ ${hits}/${hits + result.cache.misses}ファイル${retried}`
+          : `${result.executionTime}ms${retried}`;
+      }
+      
+      // 抑制コメントで除外された問題と無効な抑制コメントを記録
+      // （自動修正後の再レビューで再び検出された同じ問題は重複して記録しない）
+      function collectSuppressions(result, suppressed) {
+        const known = new Set(executionContext.suppressedIssues.map(issue => IssueState.key(issue)));
+        const added = suppressed.filter(issue => !known.has(IssueState.key(issue)));
+        executionContext.suppressedIssues.push(...added);
+        executionContext.metrics.issuesSuppressed += added.length;
+        
+        (result.suppressionErrors || []).forEach(e => {
+          if (!executionContext.invalidSuppressions.includes(e)) {
+            executionContext.invalidSuppressions.push(e);
+            output.warning(`  ⚠️ 無効な抑制コメント: ${e}`);
+          }
+        });
+      }
+      
+      // エージェントごとの実行時間とエラーを記録
+      function recordAgentRun(result, issues, { iteration, batch, files: runFiles }) {
+        const run = {
+          agentId: result.agentId,
+          agentName: result.agentName,
+          iteration,
+          batch,
+          files: runFiles,
+          executionTime: result.executionTime || 0,
+          issuesFound: issues.length,
+          cacheHits: result.cache ? result.cache.hits : 0,
+          cacheMisses: result.cache ? result.cache.misses : 0,
+          attempts: result.attempts || 1,
+          error: result.error,
+          skipped: result.skipped || null
+        };
+        executionContext.agentRuns.push(run);
+        return run;
+      }
+      
+      // 反復ごとに修正後の状態をチェックポイントのブランチにコミット
+      async function commitIteration(iterationResult, fixResult) {
+        if (!checkpoint || fixResult.touchedFiles.length === 0) {
+          return;
+        }
+        const iteration = iterationResult.number;
+        iterationResult.commit = await checkpoint.commitIteration(iteration, fixResult.records);
+        executionContext.checkpoint.commits.push({ iteration, commit: iterationResult.commit });
+        output.info(`  💾 修正をコミット: ${checkpoint.branch} (${iterationResult.commit.substring(0, 12)})`);
+      }
+      
+      // 変更モードの反復: レビュー → 自動修正 → 修正した範囲の再レビュー（収束・中止・反復上限まで）
+      async function reviewIterations(changedFiles) {
+        let changedLines = await detectChangedLines();
+        let reviewFiles = changedFiles;
+        
+        // 反復間でフィンガープリントを追跡し、修正の往復・回帰を検出する
+        const convergence = new ConvergenceTracker();
+        // 反復をまたいだ問題の最終状態（修正で解決した問題を除き、再レビューの結果で更新）
+        const issueState = new IssueState();
+        let stopReason = null;
+        
+        // 反復処理
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+          output.info(`\n🔄 反復 ${iteration}/${maxIterations}`);
+        
+          const iterationResult = {
+            number: iteration,
+            timestamp: new Date().toISOString(),
+            changedFiles: [...reviewFiles],
+            issuesFixed: 0,
+            newIssues: [],
+            fixes: [],
+            fixDecisions: []
+          };
+        
+          // 各エージェントを並列実行
+          const results = await ParallelExecutor.executeAgents(reviewAgents, reviewFiles, {
+            target,
+            changedLines,
+            cache: resultCache,
+            maxConcurrency: performanceSettings.maxConcurrency,
+            policy: runPolicy,
+            policyFilter: issues => policyIssues(issues, changedLines),
+            breaker: circuitBreaker,
+            recorder: agentRecorder
+          }, iteration);
+        
+          results.forEach(result => {
+            reportAgentResult(result);
+            const keptIssues = filterByChangedLines(result.issues, changedLines);
+            collectSuppressions(result, result.suppressed || []);
+            issueState.update(recordAgentRun(result, keptIssues, { iteration, files: reviewFiles }), keptIssues);
+            iterationResult.newIssues.push(...keptIssues);
+          });
+        
+          // 反復後の最終状態を前の反復の修正結果と比較（解決・継続・新規）
+          const stats = convergence.observe(iteration, issueState.issues);
+          iterationResult.convergence = ConvergenceTracker.counts(stats);
+          reportConvergence(iteration, iterationResult.convergence);
+        
+          // 実行ポリシーで中止した場合は修正せずに終了する
+          if (runPolicy.stopped) {
+            output.warning(`  ⏹️ 実行ポリシーにより中止しました: ${runPolicy.stopped.message}`);
+            executionContext.iterations.push(iterationResult);
+            stopReason = { status: 'aborted', message: runPolicy.stopped.message };
+            break;
+          }
+        
+          // 読み取り専用の実行（ベースラインの作成）では修正しない
+          if (args._skipAutoFix) {
+            executionContext.iterations.push(iterationResult);
+            break;
+          }
+        
+          // 自動修正可能な問題を特定
+          const fixableIssues = iterationResult.newIssues.filter(i => i.autoFixAvailable);
+        
+          if (fixableIssues.length === 0) {
+            output.info('  ℹ️ 自動修正可能な問題はありません。');
+            executionContext.iterations.push(iterationResult);
+            stopReason = { status: 'converged', message: '自動修正可能な問題はありません' };
+            break;
+          }
+        
+          // 往復・回帰・修正しても残る問題のみの場合は修正を打ち切る
+          const verdict = convergence.verdict(fixableIssues);
+          if (verdict) {
+            output.warning(`  ⚠️ 自動修正が収束しません: ${verdict.message}`);
+            executionContext.iterations.push(iterationResult);
+            stopReason = verdict;
+            break;
+          }
+        
+          // 修正を適用しても残った問題は再修正しない
+          const pendingIssues = convergence.filterUnattempted(fixableIssues);
+          if (pendingIssues.length < fixableIssues.length) {
+            output.info(`  ⏭️ 修正後も残っている問題 ${fixableIssues.length - pendingIssues.length}件は再修正しません`);
+          }
+        
+          output.info(`  🔧 ${pendingIssues.length}件の問題を自動修正中...`);
+          const fixResult = await applyAutoFixes(pendingIssues, reviewFiles, iteration);
+          iterationResult.fixes = fixResult.records;
+          iterationResult.fixDecisions = fixResult.decisions || [];
+        
+          // ドライランでは作業ツリーが変わらないため、1回の修正フェーズで終了する
+          if (dryRun) {
+            executionContext.iterations.push(iterationResult);
+            output.info(`  📝 ドライラン: ${fixResult.fixedIssues.length}件の問題の修正案を記録しました（未適用）`);
+            break;
+          }
+        
+          iterationResult.issuesFixed = fixResult.fixedIssues.length;
+          executionContext.metrics.issuesFixed += fixResult.fixedIssues.length;
+          convergence.recordFixes(fixResult.fixedIssues);
+          issueState.resolve(fixResult.fixedIssues);
+        
+          await commitIteration(iterationResult, fixResult);
+        
+          executionContext.iterations.push(iterationResult);
+        
+          if (fixResult.touchedFiles.length === 0) {
+            output.info('  ℹ️ 適用できる修正がありませんでした。');
+            stopReason = { status: 'unfixable', message: '適用できる修正がありませんでした' };
+            break;
+          }
+        
+          // 次の反復では修正パッチが変更したファイル・行のみを再レビュー
+          reviewFiles = fixResult.touchedFiles;
+          changedLines = fixResult.hunks;
+        }
+        
+        // レポート・ゲート判定・ベースラインには最終状態の問題を使う
+        executionContext.allIssues = issueState.issues;
+        executionContext.metrics.issuesFound = executionContext.allIssues.length;
+        
+        // ドライラン・読み取り専用の実行は修正を適用しないため収束判定の対象外
+        if (!dryRun && !args._skipAutoFix) {
+          executionContext.convergence = stopReason || {
+            status: 'max-iterations',
+            message: `最大反復回数 (${maxIterations}) に達しました`
+          };
+        }
+        
+        if (checkpoint) {
+          await checkpoint.complete();
+        }
+      }
+      
+      // 完了時のサマリー（修正・収束判定・中止・ゲート判定など）を表示
+      function reportSummary(proposedFixes) {
+        output.info('\n' + '═'.repeat(70));
+        output.success('✨ スマートレビュー完了！');
+        output.info(`  📊 分析ファイル数: ${executionContext.metrics.filesAnalyzed}`);
+        output.info(`  🔍 検出された問題: ${executionContext.metrics.issuesFound}`);
+        if (dryRun) {
+          output.info(`  🩹 修正案（未適用）: ${proposedFixes.length}件`);
+        } else {
+          output.info(`  🔧 自動修正: ${executionContext.metrics.issuesFixed}`);
+        }
+        if (executionContext.convergence) {
+          const { status, message } = executionContext.convergence;
+          output.info(`  📈 収束判定: ${CONVERGENCE_LABELS[status]}（${message}）`);
+        }
+        if (executionContext.abort) {
+          const { policy, message, skippedAgents } = executionContext.abort;
+          output.warning(`  ⏹️ 中止（${POLICY_LABELS[policy]}）: ${message}、スキップ ${skippedAgents.length}件`);
+        }
+        if (executionContext.circuitBreaker) {
+          const names = executionContext.circuitBreaker.agents.map(agent => agent.agentName).join('、');
+          output.warning(`  ⚡ サーキットブレーカー: ${executionContext.circuitBreaker.agents.length}件のエージェントを停止中（${names}）`);
+        }
+        if (executionContext.toolFindings) {
+          const { toolFindings } = executionContext;
+          output.info(`  🛠️ ツールエージェント: ${toolFindings.toolFindings}件（LLMエージェントと同じ位置 ${toolFindings.duplicates.length}件をまとめました）`);
+        }
+        if (executionContext.checkpoint) {
+          output.info(`  🛟 元に戻す: smart-review undo ${executionContext.checkpoint.session}`);
+        }
+        const cacheHits = executionContext.agentRuns.reduce((sum, run) => sum + run.cacheHits, 0);
+        const cacheMisses = executionContext.agentRuns.reduce((sum, run) => sum + run.cacheMisses, 0);
+        if (cacheHits + cacheMisses > 0) {
+          output.info(`  🗄️ 結果キャッシュ: ヒット ${cacheHits} / ミス ${cacheMisses}（エージェント×ファイル）`);
+        }
+        output.info(`  ⏱️ 実行時間: ${Math.round(executionContext.metrics.totalExecutionTime / 1000)}秒`);
+        
+        const { gate } = executionContext;
+        if (gate.reason === 'findings') {
+          output.error(`  🚦 ${gate.failOn}以上の${gate.newOnly ? '新規' : ''}問題: ${gate.failingIssues}件 (終了コード ${gate.exitCode})`);
+        } else if (gate.reason === 'agent-failure') {
+          output.warning(`  🚦 エージェント実行失敗: ${gate.agentFailures}件 (終了コード ${gate.exitCode})`);
+        }
+      }
+      
+      // 優先度閾値以上の問題を抽出
+      const priorityLevels = { critical: 0, high: 1, medium: 2, low: 3 };
+      function filterByPriority(issues, priorityThreshold) {
         const thresholdLevel = priorityLevels[priorityThreshold];
         
         // 優先度でフィルタリング（修正：>= を使用）
-        const filteredIssues = issues.filter(issue => 
+        return issues.filter(issue => 
           issue.priority && priorityLevels[issue.priority] !== undefined &&
           priorityLevels[issue.priority] <= thresholdLevel
         );
+      }
+      
+      // 問題の検出元（ツールエージェントを使う場合に TODO・HTML に表示）
+      function agentLabel(agentId) {
+        return agentNames.get(agentId) || agentId;
+      }
+      function formatSources(item) {
+        const toolIds = new Set(executionContext.toolFindings.agents.map(agent => agent.agentId));
+        const own = `${toolIds.has(item.agentId) ? '🛠️' : '🤖'} ${agentLabel(item.agentId)}`;
+        return [own, ...(item.toolFindings || []).map(finding => `🛠️ ${agentLabel(finding.agentId)}（${finding.ruleId}）`)];
+      }
+      
+      // TODO内容の生成
+      function generateTodoContent(issues, priorityThreshold, previousTodo = '') {
+        const filteredIssues = filterByPriority(issues, priorityThreshold);
         
         // カテゴリと優先度でグループ化
         const grouped = {};
@@ -1576,7 +2633,15 @@ module.exports = {
         let todoContent = '# Smart Review TODO List\n\n';
         todoContent += `最終チェック: ${new Date().toISOString()}\n`;
         todoContent += `対象: ${SecurityUtils.escapeHtml(target)}\n`;
-        todoContent += `検出された問題: ${filteredIssues.length}件\n\n`;
+        todoContent += `検出された問題: ${filteredIssues.length}件\n`;
+        if (executionContext.baseline) {
+          const { existing, suppressed, fixed } = executionContext.baseline;
+          todoContent += `ベースライン: 既知 ${existing}件${suppressed > 0 ? `（うち${suppressed}件を非表示）` : ''} / 解決済み ${fixed.length}件\n`;
+        }
+        if (executionContext.abort) {
+          todoContent += `中止: ${SecurityUtils.escapeHtml(executionContext.abort.message)}（スキップしたエージェントの問題は含まれません）\n`;
+        }
+        todoContent += '\n';
         
         // 優先度順にソート
         const sortedGroups = Object.values(grouped).sort((a, b) => 
@@ -1604,24 +2669,43 @@ module.exports = {
               type: issue.type || 'general',
               title: issue.message.substring(0, 100),
               description: issue.message,
+              ruleId: issue.ruleId,
+              agentId: issue.agentId,
               file: issue.file,
               line: issue.line,
-              autoFixAvailable: issue.autoFixAvailable
+              column: issue.column,
+              endLine: issue.endLine,
+              endColumn: issue.endColumn,
+              suggestedFix: issue.suggestedFix,
+              autoFixAvailable: issue.autoFixAvailable,
+              baselineStatus: issue.baselineStatus,
+              toolFindings: issue.toolFindings
             };
             
             todoList.push(todoItem);
             
             todoContent += `${index + 1}. [ ] ${SecurityUtils.escapeHtml(todoItem.title)}\n`;
             if (todoItem.file) {
-              todoContent += `   - ファイル: ${SecurityUtils.escapeHtml(todoItem.file)}`;
-              if (todoItem.line) {
-                todoContent += `:${todoItem.line}`;
-              }
-              todoContent += '\n';
+              todoContent += `   - ファイル: ${SecurityUtils.escapeHtml(IssueProtocol.formatLocation(todoItem))}\n`;
+            }
+            if (todoItem.ruleId) {
+              todoContent += `   - ルール: ${SecurityUtils.escapeHtml(todoItem.ruleId)}\n`;
+            }
+            if (executionContext.toolFindings) {
+              todoContent += `   - 検出元: ${formatSources(todoItem).map(source => SecurityUtils.escapeHtml(source)).join(' ｜ ')}\n`;
+              (todoItem.toolFindings || []).forEach(finding => {
+                todoContent += `   - 🛠️ ${SecurityUtils.escapeHtml(agentLabel(finding.agentId))}: ${SecurityUtils.escapeHtml(finding.message)}\n`;
+              });
+            }
+            if (todoItem.suggestedFix) {
+              todoContent += `   - 💡 修正案: ${SecurityUtils.escapeHtml(todoItem.suggestedFix.description)}\n`;
             }
             if (todoItem.autoFixAvailable) {
               todoContent += `   - 🔧 自動修正可能\n`;
             }
+            if (todoItem.baselineStatus === 'existing') {
+              todoContent += `   - 📌 ベースライン既知\n`;
+            }
             todoContent += '\n';
           });
         });
@@ -1633,9 +2717,204 @@ module.exports = {
         todoContent += `- Medium: ${filteredIssues.filter(i => i.priority === 'medium').length}件\n`;
         todoContent += `- Low: ${filteredIssues.filter(i => i.priority === 'low').length}件\n`;
         
+        if (executionContext.baseline && executionContext.baseline.fixed.length > 0) {
+          todoContent += '\n## ✅ 解決済み（ベースライン）\n\n';
+          executionContext.baseline.fixed.forEach(entry => {
+            const location = entry.file ? ` (${SecurityUtils.escapeHtml(entry.file)}${entry.line ? `:${entry.line}` : ''})` : '';
+            todoContent += `- [x] ${SecurityUtils.escapeHtml(entry.message || entry.ruleId)}${location}\n`;
+          });
+        }
+        
+        // 抑制コメントで除外された問題（監査用）
+        const { suppressedIssues, invalidSuppressions } = executionContext;
+        if (suppressedIssues.length > 0) {
+          todoContent += `\n## 🔕 抑制された問題（${suppressedIssues.length}件）\n\n`;
+          suppressedIssues.forEach(issue => {
+            const location = issue.file ? ` (${SecurityUtils.escapeHtml(IssueProtocol.formatLocation(issue))})` : '';
+            todoContent += `- ${SecurityUtils.escapeHtml(issue.message)}${location}\n`;
+            todoContent += `   - ルール: ${SecurityUtils.escapeHtml(issue.ruleId || '')} / 抑制: ${SecurityUtils.escapeHtml(issue.suppression.rules.join(', '))}\n`;
+            todoContent += `   - 理由: ${SecurityUtils.escapeHtml(issue.suppression.reason)}\n`;
+          });
+        }
+        if (invalidSuppressions.length > 0) {
+          todoContent += '\n## ⚠️ 無効な抑制コメント\n\n';
+          invalidSuppressions.forEach(e => {
+            todoContent += `- ${SecurityUtils.escapeHtml(e)}\n`;
+          });
+        }
+        
+        // 実行ポリシーで中止した場合にスキップしたエージェント（バッチ・反復ごとの回数）
+        const { abort } = executionContext;
+        if (abort) {
+          todoContent += `\n## ⏹️ スキップしたエージェント（${POLICY_LABELS[abort.policy]}）\n\n`;
+          todoContent += `${SecurityUtils.escapeHtml(abort.message)}\n\n`;
+          ResultsWriter.summarizeAgents(abort.skippedAgents).forEach(agent => {
+            todoContent += `- ${SecurityUtils.escapeHtml(agent.agentName)}${agent.runs > 1 ? ` (${agent.runs}回)` : ''}\n`;
+          });
+        }
+        
+        // サーキットブレーカーが開いているエージェント
+        const { circuitBreaker: breaker } = executionContext;
+        if (breaker) {
+          todoContent += '\n## ⚡ 停止中のエージェント（サーキットブレーカー）\n\n';
+          todoContent += `${breaker.failureThreshold}回連続で失敗したエージェントは実行していません。これらのエージェントの問題は含まれません。\n\n`;
+          breaker.agents.forEach(agent => {
+            todoContent += `- ${SecurityUtils.escapeHtml(agent.agentName)}: ${agent.failures}回連続で失敗、スキップ ${agent.skipped}回、再開: ${agent.retryAt ? SecurityUtils.escapeHtml(agent.retryAt) : '次の実行'}\n`;
+            if (agent.lastError) {
+              todoContent += `   - 最後のエラー: ${SecurityUtils.escapeHtml(agent.lastError)}\n`;
+            }
+          });
+        }
+        
+        // LLMエージェントとツールエージェントの検出の比較
+        const { toolFindings } = executionContext;
+        if (toolFindings) {
+          todoContent += '\n## 🛠️ LLMエージェントとツールエージェント\n\n';
+          todoContent += `ツールエージェント: ${toolFindings.agents.map(agent => SecurityUtils.escapeHtml(agent.agentName)).join('、')}\n\n`;
+          todoContent += '| LLMのみ | ツールのみ | 両方（同じ位置） |\n';
+          todoContent += '|---------|------------|------------------|\n';
+          todoContent += `| ${toolFindings.llmOnly} | ${toolFindings.toolOnly} | ${toolFindings.both} |\n`;
+        }
+        
+        // 自動修正の反復ごとの推移
+        const { convergence } = executionContext;
+        if (convergence && executionContext.iterations.length > 1) {
+          todoContent += `\n## 🔄 自動修正の推移（${CONVERGENCE_LABELS[convergence.status]}）\n\n`;
+          todoContent += `${SecurityUtils.escapeHtml(convergence.message)}\n\n`;
+          todoContent += '| 反復 | 検出 | 解決 | 継続 | 新規 | 再発 | 修正 |\n';
+          todoContent += '|------|------|------|------|------|------|------|\n';
+          executionContext.iterations.forEach(iteration => {
+            const counts = iteration.convergence;
+            todoContent += `| ${iteration.number} | ${iteration.newIssues.length} | ${counts.resolved} | ${counts.persisting} | ${counts.introduced} | ${counts.reintroduced} | ${iteration.issuesFixed} |\n`;
+          });
+        }
+        
+        // ドライランの修正パッチ
+        const { fixPatch } = executionContext;
+        if (fixPatch) {
+          todoContent += `\n## 🩹 修正パッチ（未適用）\n\n`;
+          todoContent += `- [ ] \`${SecurityUtils.escapeHtml(fixPatch.path)}\` を確認して \`smart-review apply ${SecurityUtils.escapeHtml(fixPatch.path)}\` で適用（${fixPatch.fixes}件 / ${fixPatch.files.length}ファイル）\n`;
+        }
+        
         return { content: todoContent, todoList };
       }
       
+      // 自動修正パッチのハンク単位の差分表示（HTMLレポート用）
+      function renderFixes(context) {
+        const fixes = context.iterations
+          .flatMap(iteration => (iteration.fixes || []).map(fix => ({ ...fix, iteration: iteration.number })))
+          .filter(fix => fix.status !== 'duplicate');
+        if (fixes.length === 0) {
+          return '';
+        }
+        
+        const statusLabels = { applied: '適用済み', valid: '未適用（ドライラン）', rejected: '拒否', declined: '見送り' };
+        const signs = { add: '+', del: '-', context: ' ' };
+        
+        return `
+    <h2>🩹 自動修正パッチ (${fixes.length}件)</h2>
+    ${context.fixPatch ? `<p class="issue-meta">パッチファイル: <code>${SecurityUtils.escapeHtml(context.fixPatch.path)}</code> — 確認後に <code>smart-review apply ${SecurityUtils.escapeHtml(context.fixPatch.path)}</code> で適用できます</p>` : ''}
+    ${fixes.slice(0, 200).map(fix => `
+      <div class="fix">
+        <div class="issue-header">
+          <div class="issue-title">${SecurityUtils.escapeHtml(fix.files.join(', ') || '(不明なファイル)')}</div>
+          <div>
+            <span class="badge badge-${SecurityUtils.escapeHtml(fix.status)}">${SecurityUtils.escapeHtml(statusLabels[fix.status] || fix.status)}</span>
+            <span class="badge" style="background: #6c757d; color: white;">${SecurityUtils.escapeHtml(fix.agentId)}</span>
+          </div>
+        </div>
+        <div class="issue-meta">反復 ${fix.iteration} / 対象の問題 ${fix.issues.length}件${fix.reason ? ` / ${SecurityUtils.escapeHtml(fix.reason)}` : ''}</div>
+        ${fix.status === 'rejected' || fix.status === 'declined' ? '' : UnifiedDiff.splitHunks(fix.diff).map(hunk => `
+        <details open>
+          <summary>${SecurityUtils.escapeHtml(hunk.file || '')} ${SecurityUtils.escapeHtml(hunk.header)}</summary>
+          <table class="diff">
+            ${hunk.lines.map(line => `<tr class="${line.type}"><td class="sign">${signs[line.type]}</td><td>${SecurityUtils.escapeHtml(line.text)}</td></tr>`).join('')}
+          </table>
+        </details>`).join('')}
+      </div>
+    `).join('')}`;
+      }
+      
+      // 自動修正の反復ごとの推移（HTML）
+      function renderConvergence(context) {
+        const { convergence } = context;
+        if (!convergence || context.iterations.length < 2) {
+          return '';
+        }
+        
+        return `
+    <h2>🔄 自動修正の推移</h2>
+    <p class="issue-meta">${SecurityUtils.escapeHtml(CONVERGENCE_LABELS[convergence.status])}: ${SecurityUtils.escapeHtml(convergence.message)}</p>
+    <table class="convergence">
+      <tr><th>反復</th><th>検出</th><th>解決</th><th>継続</th><th>新規</th><th>再発</th><th>修正</th></tr>
+      ${context.iterations.map(iteration => `<tr><td>${iteration.number}</td><td>${iteration.newIssues.length}</td><td>${iteration.convergence.resolved}</td><td>${iteration.convergence.persisting}</td><td>${iteration.convergence.introduced}</td><td>${iteration.convergence.reintroduced}</td><td>${iteration.issuesFixed}</td></tr>`).join('')}
+    </table>`;
+      }
+      
+      // エージェントごとの結果キャッシュのヒット・ミス（ファイル数）
+      function renderCacheStats(context) {
+        const agents = ResultsWriter.summarizeAgents(context.agentRuns)
+          .filter(agent => agent.cacheHits + agent.cacheMisses > 0);
+        if (agents.length === 0) {
+          return '';
+        }
+        
+        return `
+    <h2>🗄️ 結果キャッシュ</h2>
+    <table class="cache">
+      <tr><th>エージェント</th><th>ヒット</th><th>ミス</th><th>ヒット率</th></tr>
+      ${agents.map(agent => `<tr><td>${SecurityUtils.escapeHtml(agent.agentName)}</td><td>${agent.cacheHits}</td><td>${agent.cacheMisses}</td><td>${Math.round(agent.cacheHits * 100 / (agent.cacheHits + agent.cacheMisses))}%</td></tr>`).join('')}
+    </table>`;
+      }
+      
+      // 実行ポリシーで中止した理由とスキップしたエージェント（HTML）
+      function renderAbort(context) {
+        const { abort } = context;
+        if (!abort) {
+          return '';
+        }
+        
+        return `
+    <h2>⏹️ スキップしたエージェント</h2>
+    <p class="issue-meta">${SecurityUtils.escapeHtml(POLICY_LABELS[abort.policy])}: ${SecurityUtils.escapeHtml(abort.message)}</p>
+    <table class="skipped">
+      <tr><th>エージェント</th><th>スキップ回数</th></tr>
+      ${ResultsWriter.summarizeAgents(abort.skippedAgents).map(agent => `<tr><td>${SecurityUtils.escapeHtml(agent.agentName)}</td><td>${agent.runs}</td></tr>`).join('')}
+    </table>`;
+      }
+      
+      // サーキットブレーカーが開いているエージェント（HTML）
+      function renderCircuitBreaker(context) {
+        const breaker = context.circuitBreaker;
+        if (!breaker) {
+          return '';
+        }
+        
+        return `
+    <h2>⚡ 停止中のエージェント（サーキットブレーカー）</h2>
+    <p class="issue-meta">${breaker.failureThreshold}回連続で失敗したエージェントは実行していません。これらのエージェントの問題は含まれません。</p>
+    <table class="skipped">
+      <tr><th>エージェント</th><th>連続失敗</th><th>スキップ回数</th><th>再開</th><th>最後のエラー</th></tr>
+      ${breaker.agents.map(agent => `<tr><td>${SecurityUtils.escapeHtml(agent.agentName)}</td><td>${agent.failures}</td><td>${agent.skipped}</td><td>${agent.retryAt ? SecurityUtils.escapeHtml(agent.retryAt) : '次の実行'}</td><td>${SecurityUtils.escapeHtml(agent.lastError || '')}</td></tr>`).join('')}
+    </table>`;
+      }
+      
+      // LLMエージェントとツールエージェントの検出の比較
+      function renderToolFindings(context) {
+        const toolFindings = context.toolFindings;
+        if (!toolFindings) {
+          return '';
+        }
+        
+        return `
+    <h2>🛠️ LLMエージェントとツールエージェント</h2>
+    <p class="issue-meta">ツールエージェント: ${toolFindings.agents.map(agent => SecurityUtils.escapeHtml(agent.agentName)).join('、')}。同じ位置の問題は1件にまとめ、並べて表示しています。</p>
+    <table class="cache">
+      <tr><th>LLMのみ</th><th>ツールのみ</th><th>両方（同じ位置）</th></tr>
+      <tr><td>${toolFindings.llmOnly}</td><td>${toolFindings.toolOnly}</td><td>${toolFindings.both}</td></tr>
+    </table>`;
+      }
+      
       // HTMLレポートの生成（XSS対策版）
       function generateHTMLReport(context) {
         const html = `<!DOCTYPE html>
@@ -1666,6 +2945,28 @@ module.exports = {
     .badge-high { background: #fd7e14; color: white; }
     .badge-medium { background: #ffc107; color: black; }
     .badge-low { background: #28a745; color: white; }
+    .badge-existing { background: #adb5bd; color: white; }
+    .badge-applied, .badge-valid { background: #28a745; color: white; }
+    .badge-rejected { background: #dc3545; color: white; }
+    .badge-declined { background: #6c757d; color: white; }
+    table.convergence { border-collapse: collapse; margin: 10px 0 20px; }
+    table.convergence th, table.convergence td { border: 1px solid #dee2e6; padding: 4px 12px; text-align: right; }
+    table.cache { border-collapse: collapse; margin: 10px 0 20px; }
+    table.cache th, table.cache td { border: 1px solid #dee2e6; padding: 4px 12px; text-align: right; }
+    table.cache td:first-child { text-align: left; }
+    .fix { border: 1px solid #ddd; border-radius: 5px; margin: 10px 0; padding: 10px 15px; }
+    .fix details { margin-top: 8px; }
+    .fix summary { cursor: pointer; font-family: monospace; font-size: 0.9em; color: #555; }
+    table.diff { width: 100%; border-collapse: collapse; font-family: monospace; font-size: 0.85em; margin-top: 5px; }
+    table.diff td { padding: 1px 8px; white-space: pre-wrap; word-break: break-all; }
+    table.diff td.sign { width: 1em; color: #888; user-select: none; }
+    table.diff tr.add { background: #e6ffed; }
+    table.diff tr.del { background: #ffeef0; }
+    table.skipped { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+    .sources { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px; }
+    .sources > div { background: white; border: 1px solid #dee2e6; border-radius: 5px; padding: 8px 12px; color: #555; }
+    .sources .source-name { font-size: 0.85em; font-weight: bold; color: #333; margin-bottom: 4px; }
+    table.skipped th, table.skipped td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; }
     .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #ddd; text-align: center; color: #666; }
   </style>
 </head>
@@ -1686,12 +2987,44 @@ module.exports = {
         <div class="value">${context.metrics.issuesFixed}</div>
         <div class="label">自動修正</div>
       </div>
+      ${context.baseline ? `
+      <div class="metric">
+        <div class="value">${context.baseline.new}</div>
+        <div class="label">新規（ベースライン外）</div>
+      </div>
+      <div class="metric">
+        <div class="value">${context.baseline.suppressed}</div>
+        <div class="label">ベースライン既知（非表示）</div>
+      </div>
+      <div class="metric">
+        <div class="value">${context.baseline.fixed.length}</div>
+        <div class="label">解決済み</div>
+      </div>` : ''}
+      ${context.metrics.issuesSuppressed > 0 ? `
+      <div class="metric">
+        <div class="value">${context.metrics.issuesSuppressed}</div>
+        <div class="label">抑制コメント</div>
+      </div>` : ''}
+      ${context.metrics.issuesOutsideDiff > 0 ? `
+      <div class="metric">
+        <div class="value">${context.metrics.issuesOutsideDiff}</div>
+        <div class="label">変更行外（除外）</div>
+      </div>` : ''}
       <div class="metric">
         <div class="value">${Math.round(context.metrics.totalExecutionTime / 1000)}秒</div>
         <div class="label">実行時間</div>
       </div>
     </div>
     
+    ${renderConvergence(context)}
+    
+    ${renderAbort(context)}
+    ${renderCircuitBreaker(context)}
+    
+    ${renderCacheStats(context)}
+    
+    ${renderToolFindings(context)}
+    
     <h2>📋 検出された問題</h2>
     ${context.todoList.map(item => `
       <div class="issue ${SecurityUtils.escapeHtml(item.priority)}">
@@ -1700,16 +3033,62 @@ module.exports = {
           <div>
             <span class="badge badge-${SecurityUtils.escapeHtml(item.priority)}">${SecurityUtils.escapeHtml(item.priority.toUpperCase())}</span>
             <span class="badge" style="background: #6c757d; color: white;">${SecurityUtils.escapeHtml(item.category)}</span>
+            ${item.baselineStatus === 'existing' ? '<span class="badge badge-existing">既知</span>' : ''}
           </div>
         </div>
         <div class="issue-meta">
-          ${item.file ? `📁 ${SecurityUtils.escapeHtml(item.file)}${item.line ? `:${item.line}` : ''}` : ''}
+          ${item.file ? `📁 ${SecurityUtils.escapeHtml(IssueProtocol.formatLocation(item))}` : ''}
+          ${item.ruleId ? `<code>${SecurityUtils.escapeHtml(item.ruleId)}</code>` : ''}
           ${item.autoFixAvailable ? '🔧 自動修正可能' : ''}
+          ${context.toolFindings ? formatSources(item).map(source => `<span class="badge" style="background: #e9ecef; color: #333;">${SecurityUtils.escapeHtml(source)}</span>`).join(' ') : ''}
         </div>
-        <div style="margin-top: 10px; color: #555;">${SecurityUtils.escapeHtml(item.description)}</div>
+        ${item.toolFindings ? `
+        <div class="sources">
+          <div><div class="source-name">🤖 ${SecurityUtils.escapeHtml(agentLabel(item.agentId))}</div>${SecurityUtils.escapeHtml(item.description)}</div>
+          ${item.toolFindings.map(finding => `<div><div class="source-name">🛠️ ${SecurityUtils.escapeHtml(agentLabel(finding.agentId))} <code>${SecurityUtils.escapeHtml(finding.ruleId)}</code></div>${SecurityUtils.escapeHtml(finding.message)}</div>`).join('')}
+        </div>` : `
+        <div style="margin-top: 10px; color: #555;">${SecurityUtils.escapeHtml(item.description)}</div>`}
+        ${item.suggestedFix ? `<div style="margin-top: 8px; color: #2d6a4f;">💡 ${SecurityUtils.escapeHtml(item.suggestedFix.description)}</div>` : ''}
       </div>
     `).join('')}
     
+    ${renderFixes(context)}
+    
+    ${context.baseline && context.baseline.fixed.length > 0 ? `
+    <h2>✅ 解決済み（ベースライン） (${context.baseline.fixed.length}件)</h2>
+    <table class="skipped">
+      <tr><th>ルール</th><th>ファイル</th><th>内容</th></tr>
+      ${context.baseline.fixed.slice(0, 500).map(entry => `
+      <tr><td><code>${SecurityUtils.escapeHtml(entry.ruleId || '')}</code></td><td>${SecurityUtils.escapeHtml(entry.file || '')}${entry.line ? `:${entry.line}` : ''}</td><td>${SecurityUtils.escapeHtml(entry.message || '')}</td></tr>`).join('')}
+    </table>
+    ` : ''}
+    
+    ${context.suppressedIssues.length > 0 ? `
+    <h2>🔕 抑制された問題 (${context.suppressedIssues.length}件)</h2>
+    <table class="skipped">
+      <tr><th>場所</th><th>ルール</th><th>内容</th><th>抑制</th><th>理由</th></tr>
+      ${context.suppressedIssues.slice(0, 500).map(issue => `
+      <tr><td>${SecurityUtils.escapeHtml(issue.file ? IssueProtocol.formatLocation(issue) : '')}</td><td><code>${SecurityUtils.escapeHtml(issue.ruleId || '')}</code></td><td>${SecurityUtils.escapeHtml(issue.message)}</td><td>${SecurityUtils.escapeHtml(issue.suppression.rules.join(', '))}</td><td>${SecurityUtils.escapeHtml(issue.suppression.reason)}</td></tr>`).join('')}
+    </table>
+    ` : ''}
+    
+    ${context.invalidSuppressions.length > 0 ? `
+    <h2>⚠️ 無効な抑制コメント (${context.invalidSuppressions.length}件)</h2>
+    <ul>
+      ${context.invalidSuppressions.map(e => `<li>${SecurityUtils.escapeHtml(e)}</li>`).join('')}
+    </ul>
+    ` : ''}
+    
+    ${context.skippedFiles.length > 0 ? `
+    <h2>⏭️ スキップされたファイル (${context.skippedFiles.length}件)</h2>
+    <table class="skipped">
+      <tr><th>ファイル</th><th>理由</th></tr>
+      ${context.skippedFiles.slice(0, 500).map(entry => `
+      <tr><td>${SecurityUtils.escapeHtml(entry.file)}</td><td>${SecurityUtils.escapeHtml(SKIP_REASONS[entry.reason] || entry.reason)}</td></tr>`).join('')}
+    </table>
+    ${context.skippedFiles.length > 500 ? `<p class="issue-meta">... 他 ${context.skippedFiles.length - 500}件</p>` : ''}
+    ` : ''}
+    
     <div class="footer">
       <p>Generated by Smart Review v2.0.0 (Security Enhanced) - ${SecurityUtils.escapeHtml(new Date().toISOString())}</p>
     </div>
@@ -1728,88 +3107,112 @@ module.exports = {
           output.info('\n📊 変更ファイルの検出...');
           const changedFiles = await detectChangedFiles();
           
-          if (changedFiles.length === 0) {
-            output.success('✨ 変更ファイルがありません。');
-            return { success: true, message: '変更ファイルなし' };
-          }
-          
           executionContext.changedFiles = changedFiles;
           executionContext.metrics.filesAnalyzed = changedFiles.length;
           
-          // 反復処理
-          for (let iteration = 1; iteration <= maxIterations; iteration++) {
-            output.info(`\n🔄 反復 ${iteration}/${maxIterations}`);
-            
-            const iterationResult = {
-              number: iteration,
-              timestamp: new Date().toISOString(),
-              changedFiles: [...changedFiles],
-              issuesFixed: 0,
-              newIssues: []
-            };
-            
-            // 各エージェントを並列実行
-            const results = await ParallelExecutor.executeAgents(reviewAgents, changedFiles, { target }, iteration);
-            
-            results.forEach(result => {
-              if (result.error) {
-                output.warning(`  ⚠️ ${result.agentName}: ${result.error}`);
-              } else {
-                output.success(`  ✅ ${result.agentName}: ${result.issues.length}件の問題を検出 (${result.executionTime}ms)`);
-              }
-              iterationResult.newIssues.push(...result.issues);
-            });
-            
-            executionContext.allIssues.push(...iterationResult.newIssues);
-            executionContext.metrics.issuesFound += iterationResult.newIssues.length;
-            
-            // 自動修正可能な問題を特定
-            const fixableIssues = iterationResult.newIssues.filter(i => i.autoFixAvailable);
-            
-            if (fixableIssues.length === 0) {
-              output.info('  ℹ️ 自動修正可能な問題はありません。');
-              executionContext.iterations.push(iterationResult);
-              break;
-            }
-            
-            output.info(`  🔧 ${fixableIssues.length}件の問題を自動修正中...`);
-            iterationResult.issuesFixed = fixableIssues.length;
-            executionContext.metrics.issuesFixed += fixableIssues.length;
-            
-            executionContext.iterations.push(iterationResult);
-            
-            // 次の反復のために変更ファイルを再検出
-            const newChangedFiles = await detectChangedFiles();
-            if (newChangedFiles.length === 0) {
-              output.success('  ✅ すべての問題が解決されました！');
-              break;
-            }
+          // 変更ファイルが無い場合もレビューなしの結果（results.json・JUnit など）を出力する
+          if (changedFiles.length === 0) {
+            output.success('✨ 変更ファイルがありません。');
+          } else {
+            await reviewIterations(changedFiles);
           }
         } else {
           // 全体モード: 一回の包括的な分析
           output.info('\n📊 プロジェクト全体の分析...');
           
-          // 全ファイルを対象に（簡略化）
-          const allFiles = [];
+          // 対象ディレクトリ配下のファイルを列挙
+          const securitySettings = await configManager.getSecuritySettings();
+          const walker = new FileWalker(target, {
+            blockedPatterns: securitySettings.blockedPatterns,
+            maxFileSize: securitySettings.maxFileSize,
+            excludePaths: ownOutputPaths
+          });
+          const { files: projectFiles, skipped } = await walker.walk();
+          
+          const allFiles = projectFiles.map(f => path.relative(process.cwd(), path.join(target, f)));
           executionContext.changedFiles = allFiles;
+          executionContext.skippedFiles = skipped;
+          executionContext.metrics.filesAnalyzed = allFiles.length;
           
-          // 各エージェントを並列実行
-          const results = await ParallelExecutor.executeAgents(reviewAgents, allFiles, { target }, 1);
+          output.info(`📝 対象ファイル: ${allFiles.length}件 (スキップ: ${skipped.length}件)`);
           
-          results.forEach(result => {
-            if (result.error) {
-              output.warning(`  ⚠️ ${result.agentName}: ${result.error}`);
-            } else {
-              output.success(`  ✅ ${result.agentName}: ${result.issues.length}件の問題を検出 (${result.executionTime}ms)`);
-            }
-            executionContext.allIssues.push(...result.issues);
-          });
+          if (allFiles.length === 0) {
+            output.success('✨ 分析対象のファイルがありません。');
+          }
+          
+          // すべてのバッチ×エージェントをワーカープールで並列実行し、バッチの順に報告（対象が無ければバッチも無い）
+          const batches = FileWalker.toBatches(allFiles, performanceSettings.batchSize);
+          const batchResults = await ParallelExecutor.executeBatches(reviewAgents, batches, {
+            target,
+            cache: resultCache,
+            maxConcurrency: performanceSettings.maxConcurrency,
+            policy: runPolicy,
+            policyFilter: issues => policyIssues(issues, null),
+            breaker: circuitBreaker,
+            recorder: agentRecorder
+          }, 1);
+          
+          for (const [index, { files, results }] of batchResults.entries()) {
+            output.info(`\n📦 バッチ ${index + 1}/${batches.length} (${files.length}ファイル)`);
+            
+            results.forEach(result => {
+              reportAgentResult(result);
+              collectSuppressions(result, result.suppressed || []);
+              recordAgentRun(result, result.issues, { iteration: 1, batch: index + 1, files });
+              executionContext.allIssues.push(...result.issues);
+            });
+          }
           
           executionContext.metrics.issuesFound = executionContext.allIssues.length;
+          
+          if (runPolicy.stopped) {
+            output.warning(`\n⏹️ 実行ポリシーにより中止しました: ${runPolicy.stopped.message}`);
+          }
         }
         
-        // 日本語コメント注釈（オプション）
-        if (!skipComment && executionContext.changedFiles.length > 0) {
+        // ツールエージェントの問題をまとめる（終了コードの判定・SARIF・JUnit・results.json・ベースラインはまとめた後の問題を使う）
+        if (toolAgentIds.size > 0) {
+          const merged = mergeToolFindings(executionContext.allIssues);
+          executionContext.allIssues = merged.issues;
+          executionContext.metrics.issuesFound = executionContext.allIssues.length;
+          executionContext.toolFindings = {
+            agents: [...toolAgentIds].map(agentId => ({ agentId, agentName: agentNames.get(agentId) })),
+            duplicates: merged.duplicates,
+            ...merged.summary
+          };
+        }
+        
+        // 中止した理由とスキップしたエージェントを記録
+        if (runPolicy.stopped) {
+          executionContext.abort = {
+            ...runPolicy.stopped,
+            skippedAgents: executionContext.agentRuns.filter(run => run.skipped && run.skipped.policy === runPolicy.stopped.policy)
+          };
+        }
+        
+        // サーキットブレーカーが開いているエージェントを記録し、次の実行のために状態を保存
+        const openAgents = circuitBreaker.openAgents();
+        if (openAgents.length > 0) {
+          executionContext.circuitBreaker = {
+            failureThreshold: circuitBreaker.failureThreshold,
+            cooldownSeconds: circuitBreaker.cooldownSeconds,
+            agents: openAgents.map(entry => ({
+              ...entry,
+              agentName: agentNames.get(entry.agentId) || entry.agentId,
+              skipped: executionContext.agentRuns.filter(run =>
+                run.skipped && run.skipped.policy === 'circuitBreaker' && run.agentId === entry.agentId
+              ).length
+            }))
+          };
+        }
+        try {
+          await circuitBreaker.save();
+        } catch (error) {
+          output.warning(`⚠️ サーキットブレーカーの状態を保存できませんでした: ${SecurityUtils.sanitizeError(error).message}`);
+        }
+        
+        // 日本語コメント注釈（オプション、実行ポリシーで中止した場合は行わない）
+        if (!skipComment && !runPolicy.stopped && executionContext.changedFiles.length > 0) {
           output.info('\n💬 日本語コメントを追加中...');
           
           try {
@@ -1844,43 +3247,136 @@ module.exports = {
           }
         }
         
+        // ベースラインとの比較（TODO・HTMLはデフォルトで新規の問題のみ）
+        let reportedIssues = executionContext.allIssues;
+        if (baseline) {
+          const comparison = baseline.compare(executionContext.allIssues, {
+            agentRuns: executionContext.agentRuns
+          });
+          if (!includeExisting) {
+            reportedIssues = comparison.newIssues;
+          }
+          executionContext.baseline = {
+            source: baseline.source,
+            total: baseline.size,
+            new: comparison.newIssues.length,
+            existing: comparison.existingIssues.length,
+            suppressed: includeExisting ? 0 : filterByPriority(comparison.existingIssues, priorityThreshold).length,
+            fixed: comparison.fixed
+          };
+          output.info(`\n📌 ベースライン (${baseline.source}): 新規 ${comparison.newIssues.length}件 / 既知 ${comparison.existingIssues.length}件 / 解決済み ${comparison.fixed.length}件`);
+        }
+        
+        // 出力ファイル名の共通部分
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const randomSuffix = crypto.randomBytes(4).toString('hex');
+        const outputs = {};
+        
+        // ドライラン: 検証を通った修正案を1つのパッチファイルにまとめる
+        const proposedFixes = executionContext.iterations
+          .flatMap(iteration => iteration.fixes || [])
+          .filter(fix => fix.status === 'valid');
+        if (dryRun && proposedFixes.length > 0) {
+          outputs.patch = path.join(outputDir, `fixes-${timestamp}.patch`);
+          const relativePatch = path.relative(process.cwd(), outputs.patch);
+          await files.write(outputs.patch, UnifiedDiff.join(proposedFixes.map(fix => fix.diff), {
+            '作成日時': executionContext.startTime,
+            '修正案': `${proposedFixes.length}件`,
+            '適用': `smart-review apply ${relativePatch}`
+          }));
+          executionContext.fixPatch = {
+            path: relativePatch,
+            fixes: proposedFixes.length,
+            files: [...new Set(proposedFixes.flatMap(fix => fix.files))]
+          };
+          output.success(`\n🩹 修正パッチ: ${outputs.patch}`);
+        }
+        
         // TODOリストの生成
         output.info('\n📝 TODOリストを生成中...');
         const { content: todoContent, todoList } = generateTodoContent(
-          executionContext.allIssues,
+          reportedIssues,
           priorityThreshold
         );
         executionContext.todoList = todoList;
         
-        // 結果の保存
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const randomSuffix = crypto.randomBytes(4).toString('hex');
-        const todoPath = path.join(outputDir, `todo-${timestamp}-${randomSuffix}.md`);
-        const reportPath = path.join(outputDir, `report-${timestamp}-${randomSuffix}.html`);
+        // 終了コードの判定（--fail-on）
+        executionContext.gate = ExitPolicy.evaluate({
+          issues: executionContext.allIssues,
+          agentRuns: executionContext.agentRuns,
+          failOn,
+          baseline: failOnNew ? baseline : null
+        });
+        
+        // 結果の保存（output.format に従う）
+        const { formats } = await configManager.getOutputSettings();
+        executionContext.endTime = new Date().toISOString();
         
-        await files.write(todoPath, todoContent);
-        output.success(`  ✅ TODOリスト: ${todoPath}`);
+        if (formats.includes('markdown')) {
+          outputs.markdown = path.join(outputDir, `todo-${timestamp}-${randomSuffix}.md`);
+          await files.write(outputs.markdown, todoContent);
+          output.success(`  ✅ TODOリスト: ${outputs.markdown}`);
+        }
+        
+        if (formats.includes('html')) {
+          outputs.html = path.join(outputDir, `report-${timestamp}-${randomSuffix}.html`);
+          await files.write(outputs.html, generateHTMLReport(executionContext));
+          output.success(`  ✅ HTMLレポート: ${outputs.html}`);
+        }
+        
+        if (formats.includes('sarif')) {
+          outputs.sarif = path.join(outputDir, `report-${timestamp}-${randomSuffix}.sarif`);
+          const sarifLog = SarifWriter.build({
+            agents: reviewAgents,
+            issues: filterByPriority([...executionContext.allIssues, ...executionContext.suppressedIssues], priorityThreshold),
+            agentRuns: executionContext.agentRuns,
+            toolVersion: TOOL_VERSION,
+            startTime: executionContext.startTime,
+            endTime: executionContext.endTime,
+            rootUri: url.pathToFileURL(process.cwd()).href
+          });
+          await files.write(outputs.sarif, SarifWriter.serialize(sarifLog));
+          output.success(`  ✅ SARIF: ${outputs.sarif}`);
+        }
+        
+        if (formats.includes('junit')) {
+          outputs.junit = path.join(outputDir, `junit-${timestamp}-${randomSuffix}.xml`);
+          const junitReport = JUnitWriter.build({
+            agents: reviewAgents,
+            issues: executionContext.allIssues,
+            agentRuns: executionContext.agentRuns,
+            timestamp: executionContext.startTime
+          });
+          await files.write(outputs.junit, JUnitWriter.serialize(junitReport));
+          output.success(`  ✅ JUnit XML: ${outputs.junit}`);
+        }
         
-        const htmlReport = generateHTMLReport(executionContext);
-        await files.write(reportPath, htmlReport);
-        output.success(`  ✅ HTMLレポート: ${reportPath}`);
+        const reportPath = outputs.html;
         
         // メトリクスの計算
         executionContext.metrics.totalExecutionTime = Date.now() - startExecutionTime;
         
+        // 実行結果JSONは output.format に関わらず、メトリクス確定後に書き出す
+        outputs.json = path.join(outputDir, `results-${timestamp}-${randomSuffix}.json`);
+        const resultsDocument = ResultsWriter.build(executionContext, {
+          toolVersion: TOOL_VERSION,
+          priorityThreshold,
+          inTodo: issue => filterByPriority([issue], priorityThreshold).length > 0,
+          outputs
+        });
+        await files.write(outputs.json, ResultsWriter.serialize(resultsDocument));
+        output.success(`  ✅ 実行結果JSON: ${outputs.json}`);
+        
         // サマリー表示
-        output.info('\n' + '═'.repeat(70));
-        output.success('✨ スマートレビュー完了！');
-        output.info(`  📊 分析ファイル数: ${executionContext.metrics.filesAnalyzed}`);
-        output.info(`  🔍 検出された問題: ${executionContext.metrics.issuesFound}`);
-        output.info(`  🔧 自動修正: ${executionContext.metrics.issuesFixed}`);
-        output.info(`  ⏱️ 実行時間: ${Math.round(executionContext.metrics.totalExecutionTime / 1000)}秒`);
+        reportSummary(proposedFixes);
         
         return {
           success: true,
           context: executionContext,
           reportPath,
-          outputDir
+          outputs,
+          outputDir,
+          exitCode: executionContext.gate.exitCode
         };
         
       } catch (error) {
@@ -1888,7 +3384,8 @@ module.exports = {
         output.error(`エラーが発生しました: ${sanitized.message}`);
         return {
           success: false,
-          error: sanitized.message
+          error: sanitized.message,
+          exitCode: EXIT_CODES.RUNTIME_ERROR
         };
       }
       
@@ -1897,8 +3394,19 @@ module.exports = {
       output.error(`入力検証エラー: ${sanitized.message}`);
       return {
         success: false,
-        error: sanitized.message
+        error: sanitized.message,
+        exitCode: EXIT_CODES.CONFIG_ERROR
       };
     }
   }
-};
\ No newline at end of file
+};
+
+// CLI実行（bin: smart-review）
+if (require.main === module) {
+  require('./lib/cli').run(module.exports, process.argv.slice(2), { configManager })
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      console.error('実行エラー:', error.message);
+      process.exit(EXIT_CODES.RUNTIME_ERROR);
+    });
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * agent-graph.test.js
+ * エージェント間の依存関係（dependsOn）のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { AgentGraph } = require('../lib/agent-graph');
+
+const agent = (id, dependsOn) => ({ id, name: id, dependsOn });
+
+describe('AgentGraph', () => {
+  it('実行対象のエージェント間の依存関係を返す（対象外の上流は無視）', () => {
+    const dependencies = AgentGraph.dependencies([
+      agent('security'),
+      agent('docs', ['security', 'disabled', 'security']),
+      agent('reviewer')
+    ]);
+
+    assert.deepStrictEqual([...dependencies], [['security', []], ['docs', ['security']], ['reviewer', []]]);
+  });
+
+  it('不正な指定・未定義のエージェント・自身への依存を設定エラーにする', () => {
+    assert.doesNotThrow(() => AgentGraph.validate([agent('security'), agent('docs', ['security'])]));
+    assert.throws(() => AgentGraph.validate([agent('docs', 'security')]), /agents\[0\]\.dependsOnはエージェントIDの配列/);
+    assert.throws(() => AgentGraph.validate([agent('docs', ['missing'])]), /未定義のエージェントがあります: missing/);
+    assert.throws(() => AgentGraph.validate([agent('docs', ['docs'])]), /自身を指定することはできません/);
+  });
+
+  it('依存関係の循環を検出する', () => {
+    const agents = [agent('a', ['c']), agent('b', ['a']), agent('c', ['b']), agent('d')];
+    assert.deepStrictEqual(AgentGraph.findCycle(agents), ['a', 'c', 'b', 'a']);
+    assert.throws(() => AgentGraph.validate(agents), /dependsOnが循環しています: a → c → b → a/);
+    assert.strictEqual(AgentGraph.findCycle([agent('a'), agent('b', ['a']), agent('c', ['a', 'b'])]), null);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:45 JST
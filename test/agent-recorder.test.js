@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * agent-recorder.test.js
+ * エージェント出力の記録と再生のテスト
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+const { AgentRecorder, RECORDING_SCHEMA } = require('../lib/agent-recorder');
+const { CliRuntime, HttpRuntime, FixtureRuntime, ToolRuntime, AGENT_REQUEST_SCHEMA } = require('../lib/agent-runtime');
+
+describe('AgentRecorder', () => {
+  let tempDir;
+  let sourceFile;
+
+  const request = (overrides = {}) => ({
+    mode: 'review',
+    agentId: 'security-error-xss-analyzer',
+    model: 'sonnet',
+    target: '.',
+    files: [sourceFile],
+    changedLines: [],
+    iteration: 1,
+    maxMemory: 512,
+    timeout: 1000,
+    contextDocument: '{"issues":[]}',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-recorder-test-'));
+    sourceFile = path.join(tempDir, 'a.js');
+    await fs.writeFile(sourceFile, 'el.innerHTML = x;\n', 'utf8');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('記録した出力を同じ入力に対して再生する', async () => {
+    const dir = path.join(tempDir, 'recordings');
+    const calls = [];
+    const runtime = new CliRuntime({
+      type: 'cli',
+      args: ['--json'],
+      resolveCommand: async () => 'fake-agent',
+      executeCommand: async (command, args, options) => {
+        calls.push(options.signal);
+        return { stdout: '{"issues":[]}\n' };
+      }
+    });
+
+    const recorded = await new AgentRecorder({ mode: 'record', dir }).wrap(runtime).run(request(), { signal: 'signal' });
+    assert.deepStrictEqual(recorded, { stdout: '{"issues":[]}\n' });
+    assert.deepStrictEqual(calls, ['signal']);
+
+    const [file] = await fs.readdir(dir);
+    assert.match(file, /^security-error-xss-analyzer\.review\.[0-9a-f]{16}\.json$/);
+    const recording = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    assert.strictEqual(recording.schema, RECORDING_SCHEMA);
+    assert.strictEqual(recording.runtime, 'cli');
+    // 一時ファイルは実行ごとに変わるため固定の文字列で記録する
+    assert.strictEqual(recording.request.command, 'fake-agent');
+    assert.deepStrictEqual(recording.request.argv.slice(0, 2), ['--json', 'agent']);
+    assert.deepStrictEqual(recording.request.argv.slice(-2), ['--context-file', '<context-file>']);
+    assert.strictEqual(recording.inputs[0].hash.length, 64);
+
+    const replayer = new AgentRecorder({ mode: 'replay', dir }).wrap(runtime);
+    assert.deepStrictEqual(await replayer.run(request({ timeout: 5000 })), { stdout: '{"issues":[]}\n' });
+    assert.strictEqual(calls.length, 1);
+
+    // 入力ファイル・上流の問題が変わると再生しない
+    await assert.rejects(replayer.run(request({ contextDocument: null })), /記録された出力がありません/);
+    await fs.writeFile(sourceFile, 'el.textContent = x;\n', 'utf8');
+    await assert.rejects(replayer.run(request()), /記録された出力がありません/);
+  });
+
+  it('CLI以外の実行方式はその実際のリクエストを記録する', async () => {
+    const dir = path.join(tempDir, 'recordings');
+    const recorder = new AgentRecorder({ mode: 'record', dir });
+    const readRecording = async agentId => {
+      const file = (await fs.readdir(dir)).find(name => name.startsWith(`${agentId}.`));
+      return JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    };
+
+    const http = new HttpRuntime({ url: 'http://127.0.0.1:8787/review' });
+    http.run = async () => ({ stdout: '{"issues":[]}' });
+    await recorder.wrap(http).run(request({ agentId: 'http-agent' }));
+    const httpRecording = await readRecording('http-agent');
+    assert.strictEqual(httpRecording.runtime, 'http');
+    assert.strictEqual(httpRecording.request.method, 'POST');
+    assert.strictEqual(httpRecording.request.url, 'http://127.0.0.1:8787/review');
+    assert.strictEqual(httpRecording.request.body.schema, AGENT_REQUEST_SCHEMA);
+    assert.deepStrictEqual(httpRecording.request.body.agent, { id: 'http-agent', model: 'sonnet' });
+    assert.strictEqual(httpRecording.request.argv, undefined);
+
+    const fixtureDir = path.join(tempDir, 'fixtures');
+    await fs.mkdir(fixtureDir);
+    await fs.writeFile(path.join(fixtureDir, 'fixture-agent.review.out'), 'CRITICAL: x\n', 'utf8');
+    await recorder.wrap(new FixtureRuntime({ dir: fixtureDir })).run(request({ agentId: 'fixture-agent' }));
+    const fixtureRecording = await readRecording('fixture-agent');
+    assert.strictEqual(fixtureRecording.runtime, 'fixture');
+    assert.deepStrictEqual(fixtureRecording.request, {
+      file: path.relative(process.cwd(), path.join(fixtureDir, 'fixture-agent.review.out'))
+    });
+
+    const tool = new ToolRuntime({ tool: 'eslint', args: ['--no-eslintrc'], executeCommand: async () => ({ stdout: '[]' }) });
+    await recorder.wrap(tool).run(request({ agentId: 'eslint' }));
+    const toolRecording = await readRecording('eslint');
+    assert.strictEqual(toolRecording.runtime, 'tool');
+    assert.deepStrictEqual(toolRecording.request, {
+      tool: 'eslint',
+      commands: [{
+        command: 'eslint',
+        args: ['--format', 'json', '--no-error-on-unmatched-pattern', '--no-eslintrc', '--', sourceFile],
+        cwd: '.'
+      }]
+    });
+  });
+
+  it('失敗した実行は記録しない', async () => {
+    const dir = path.join(tempDir, 'recordings');
+    const runtime = { type: 'claude', run: async () => { throw new Error('コマンドが見つかりません'); } };
+    await assert.rejects(new AgentRecorder({ mode: 'record', dir }).wrap(runtime).run(request()), /コマンドが見つかりません/);
+    await assert.rejects(fs.access(dir));
+  });
+
+  it('環境変数から記録・再生を選び、同時の指定は設定エラーにする', () => {
+    assert.strictEqual(AgentRecorder.fromEnv({}), null);
+    assert.strictEqual(AgentRecorder.fromEnv({ SMART_REVIEW_RECORD: tempDir }).mode, 'record');
+    const replay = AgentRecorder.fromEnv({ SMART_REVIEW_REPLAY: 'recordings' });
+    assert.strictEqual(replay.mode, 'replay');
+    assert.strictEqual(replay.dir, path.resolve('recordings'));
+    assert.throws(
+      () => AgentRecorder.fromEnv({ SMART_REVIEW_RECORD: 'a', SMART_REVIEW_REPLAY: 'b' }),
+      /設定エラー: SMART_REVIEW_RECORDとSMART_REVIEW_REPLAYは同時に指定できません/
+    );
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * agent-runtime.test.js
+ * エージェントの実行方式（ランタイムアダプター）のテスト
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const http = require('http');
+
+const { AgentRuntime, CliRuntime, HttpRuntime, FixtureRuntime, AGENT_REQUEST_SCHEMA } = require('../lib/agent-runtime');
+
+const issueDocument = JSON.stringify({
+  schema: 'smart-review/issues',
+  version: '1.0',
+  issues: [{ ruleId: 'security/xss', level: 'error', message: 'XSS', file: 'src/a.js', line: 3 }]
+});
+
+const reviewRequest = (overrides = {}) => ({
+  mode: 'review',
+  agentId: 'security-error-xss-analyzer',
+  model: 'sonnet',
+  target: 'src',
+  files: ['src/a.js', 'src/b.js'],
+  changedLines: ['src/a.js:3-5'],
+  iteration: 1,
+  maxMemory: 512,
+  timeout: 1000,
+  contextDocument: null,
+  ...overrides
+});
+
+describe('AgentRuntime', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-runtime-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('claude アダプターは従来どおりの引数で実行し、一時ファイルを削除する', async () => {
+    const calls = [];
+    const runtime = AgentRuntime.create({ id: 'a' }, {
+      executeCommand: async (command, args, options) => {
+        const contextFile = args[args.indexOf('--context-file') + 1];
+        calls.push({ command, args, options, context: await fs.readFile(contextFile, 'utf8') });
+        return { stdout: '[]' };
+      },
+      getClaudeCommand: async () => 'claude'
+    });
+
+    const result = await runtime.run(reviewRequest({ iteration: 2, contextDocument: issueDocument }));
+    assert.deepStrictEqual(result, { stdout: '[]' });
+
+    const [call] = calls;
+    assert.strictEqual(call.command, 'claude');
+    const contextFile = call.args.at(-1);
+    assert.deepStrictEqual(call.args, [
+      'agent', 'run', 'security-error-xss-analyzer', '--model', 'sonnet', '--target', 'src', '--sandbox-mode',
+      '--files', 'src/a.js,src/b.js', '--changed-lines', 'src/a.js:3-5', '--iteration', '2',
+      '--max-memory', '512', '--timeout', '1000', '--context-file', contextFile
+    ]);
+    assert.strictEqual(call.context, issueDocument);
+    assert.strictEqual(call.options.allowedCommands, undefined);
+    await assert.rejects(fs.access(contextFile));
+  });
+
+  it('cli アダプターは指定したコマンドに args を前置し、修正依頼では問題を一時ファイルで渡す', async () => {
+    const calls = [];
+    const runtime = AgentRuntime.create({ id: 'a', runtime: { type: 'cli', command: 'review-cli', args: ['--json'] } }, {
+      executeCommand: async (command, args, options) => {
+        calls.push({ command, args, options });
+        return { stdout: '--- a/src/a.js\n' };
+      },
+      env: { SMART_REVIEW_ALLOWED_COMMANDS: 'other-cli, review-cli' }
+    });
+
+    await runtime.run({ ...reviewRequest(), mode: 'fix', iteration: 1, issuesDocument: issueDocument });
+    const [call] = calls;
+    assert.strictEqual(call.command, 'review-cli');
+    assert.deepStrictEqual(call.options.allowedCommands, ['review-cli']);
+    assert.deepStrictEqual(call.args.slice(0, 9), [
+      '--json', 'agent', 'run', 'security-error-xss-analyzer', '--model', 'sonnet', '--target', 'src', '--sandbox-mode'
+    ]);
+    assert.deepStrictEqual(call.args.slice(9), [
+      '--fix-mode', '--files', 'src/a.js,src/b.js', '--issues-file', call.args.at(-3), '--iteration', '1'
+    ]);
+    assert.strictEqual(path.basename(call.args.at(-3)), 'issues.json');
+  });
+
+  it('CliRuntime.buildArgs は空のファイル一覧・初回の実行では該当する引数を省く', () => {
+    assert.deepStrictEqual(CliRuntime.buildArgs(reviewRequest({ files: [], changedLines: [] })), [
+      'agent', 'run', 'security-error-xss-analyzer', '--model', 'sonnet', '--target', 'src', '--sandbox-mode',
+      '--max-memory', '512', '--timeout', '1000'
+    ]);
+  });
+
+  it('fixture アダプターは記録済みの出力を返し、修正の出力が無い場合は空とする', async () => {
+    await fs.writeFile(path.join(tempDir, 'security-error-xss-analyzer.review.out'), '[]\n', 'utf8');
+    const runtime = AgentRuntime.create({ id: 'a', runtime: { type: 'fixture', dir: tempDir } }, {});
+    assert.ok(runtime instanceof FixtureRuntime);
+
+    assert.deepStrictEqual(await runtime.run(reviewRequest()), { stdout: '[]\n' });
+    assert.deepStrictEqual(await runtime.run(reviewRequest({ mode: 'fix' })), { stdout: '' });
+    await assert.rejects(runtime.run(reviewRequest({ agentId: 'missing' })), /フィクスチャを読み込めません/);
+    await assert.rejects(runtime.run(reviewRequest({ agentId: '../escape' })), /フィクスチャに使えないエージェントID/);
+  });
+
+  it('http アダプターはリクエストをJSONでPOSTし、応答本文を出力とする', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        if (req.url === '/fail') {
+          res.writeHead(500);
+          res.end('error');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"issues":[]}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const runtime = AgentRuntime.create({ id: 'a', runtime: { type: 'http', url: `${url}/review` } }, {});
+      assert.ok(runtime instanceof HttpRuntime);
+      assert.deepStrictEqual(await runtime.run(reviewRequest({ contextDocument: issueDocument })), { stdout: '{"issues":[]}' });
+
+      const [payload] = received;
+      assert.strictEqual(payload.schema, AGENT_REQUEST_SCHEMA);
+      assert.deepStrictEqual(payload.agent, { id: 'security-error-xss-analyzer', model: 'sonnet' });
+      assert.deepStrictEqual(payload.files, ['src/a.js', 'src/b.js']);
+      assert.strictEqual(payload.upstreamIssues[0].ruleId, 'security/xss');
+
+      const failing = AgentRuntime.create({ id: 'a', runtime: { type: 'http', url: `${url}/fail` } }, {});
+      await assert.rejects(failing.run(reviewRequest()), error =>
+        /HTTPエージェントがエラーを返しました \(500\)/.test(error.message) && error.statusCode === 500
+      );
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('cli の command は利用者が環境変数で許可したものに限り、インタプリタは明示した場合のみ許可する', async () => {
+    const allowed = { SMART_REVIEW_ALLOWED_COMMANDS: 'review-cli,node' };
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'cli', command: 'review-cli' }, 0, allowed), []);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'cli', command: 'review-cli' }, 0, {}), [
+      'agents[0].runtime.command（review-cli）は環境変数SMART_REVIEW_ALLOWED_COMMANDSで許可されていません'
+    ]);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'cli', command: 'node', args: ['-e', 'x'] }, 1, allowed), [
+      'agents[1].runtime.command（node）はインタプリタのため、SMART_REVIEW_ALLOW_INTERPRETERS=1 の場合のみ指定できます'
+    ]);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'cli', command: 'node' }, 1, {
+      ...allowed, SMART_REVIEW_ALLOW_INTERPRETERS: '1'
+    }), []);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'cli', command: 'bash' }, 2, {
+      SMART_REVIEW_ALLOW_INTERPRETERS: '1'
+    }), ['agents[2].runtime.command（bash）は環境変数SMART_REVIEW_ALLOWED_COMMANDSで許可されていません']);
+
+    // 設定の検証を経ずに作成されたアダプターも、許可されていないコマンドは実行しない
+    let executed = false;
+    const runtime = AgentRuntime.create({ id: 'a', runtime: { type: 'cli', command: 'git', args: ['-c', 'x'] } }, {
+      executeCommand: async () => { executed = true; return { stdout: '' }; },
+      env: {}
+    });
+    await assert.rejects(runtime.run(reviewRequest()), /許可されていないコマンド: git/);
+    assert.strictEqual(executed, false);
+  });
+
+  it('不正な runtime 設定を検出する', () => {
+    assert.deepStrictEqual(AgentRuntime.validate(undefined, 0), []);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'claude' }, 0), []);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'http', url: 'http://[::1]:8080/review' }, 0), []);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'ssh' }, 1), [
+      'agents[1].runtime.typeは claude, cli, http, fixture, tool のいずれかである必要があります'
+    ]);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'cli', command: '/bin/sh', args: '-c' }, 2), [
+      'agents[2].runtime.commandはPATH上のコマンド名である必要があります',
+      'agents[2].runtime.argsは文字列の配列である必要があります'
+    ]);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'http', url: 'https://example.com/review' }, 3), [
+      'agents[3].runtime.urlはローカルホスト（localhost / 127.0.0.1 / ::1）のhttp(s) URLである必要があります'
+    ]);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'fixture' }, 4), [
+      'agents[4].runtime.dirは出力ファイルのディレクトリである必要があります'
+    ]);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * auto-fix.test.js
+ * 自動修正パッチの抽出・検証・適用のテスト
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+const { UnifiedDiff, AutoFixer, PATCH_HEADER } = require('../lib/auto-fix');
+
+const FIX_DIFF = [
+  '--- a/src/a.js',
+  '+++ b/src/a.js',
+  '@@ -1,2 +1,2 @@',
+  ' const el = document.body;',
+  '-el.innerHTML = x;',
+  '+el.textContent = x;',
+  ''
+].join('\n');
+
+describe('UnifiedDiff', () => {
+  it('イシュープロトコルの fix.diff を抽出する', () => {
+    const output = JSON.stringify({
+      schema: 'smart-review/issues',
+      version: '1.0',
+      issues: [
+        { ruleId: 'xss/inner-html', level: 'critical', message: 'XSS', file: 'src/a.js', fix: { description: 'textContent', diff: FIX_DIFF } },
+        { ruleId: 'xss/eval', level: 'error', message: 'eval', fix: { description: '手動で修正' } }
+      ]
+    });
+    const fixes = UnifiedDiff.extract(output);
+    assert.strictEqual(fixes.length, 1);
+    assert.strictEqual(fixes[0].diff, FIX_DIFF);
+    assert.strictEqual(fixes[0].issue.ruleId, 'xss/inner-html');
+  });
+
+  it('```diff ブロックと生のdiffを抽出する', () => {
+    assert.deepStrictEqual(UnifiedDiff.extract(`修正案:\n\`\`\`diff\n${FIX_DIFF}\`\`\`\n`), [{ diff: FIX_DIFF, issue: null }]);
+    assert.deepStrictEqual(UnifiedDiff.extract(`修正案:\n${FIX_DIFF}`), [{ diff: FIX_DIFF, issue: null }]);
+    assert.deepStrictEqual(UnifiedDiff.extract('修正はありません'), []);
+  });
+
+  it('対象ファイルと -p の値を判定する', () => {
+    assert.deepStrictEqual(UnifiedDiff.parseFiles(FIX_DIFF), { files: ['src/a.js'], strip: 1 });
+    const noPrefix = FIX_DIFF.replace('a/src', 'src').replace('b/src', 'src');
+    assert.deepStrictEqual(UnifiedDiff.parseFiles(noPrefix), { files: ['src/a.js'], strip: 0 });
+    assert.throws(() => UnifiedDiff.parseFiles('--- a\n+++ b\n'), /統一diff形式ではありません/);
+  });
+
+  it('接頭辞なしのパッチを a/ b/ 形式に正規化する', () => {
+    const noPrefix = FIX_DIFF.replace('a/src', './src').replace('b/src', 'src').trimEnd();
+    assert.strictEqual(UnifiedDiff.normalize(noPrefix, 0), FIX_DIFF);
+    assert.strictEqual(UnifiedDiff.normalize(FIX_DIFF.replace(/\n/g, '\r\n'), 1), FIX_DIFF);
+  });
+
+  it('パッチを連結し、先頭にコメント行を付ける', () => {
+    const patch = UnifiedDiff.join([FIX_DIFF, FIX_DIFF], { '修正案': '2件' });
+    assert.ok(patch.startsWith(`${PATCH_HEADER}\n# 修正案: 2件\n\n--- a/src/a.js`));
+    assert.deepStrictEqual(UnifiedDiff.parseFiles(patch).files, ['src/a.js']);
+  });
+
+  it('ハンク単位に分割する（"--- " で始まる削除行はヘッダーとみなさない）', () => {
+    const diff = [
+      '--- a/README.md',
+      '+++ b/README.md',
+      '@@ -1,2 +1,1 @@',
+      '--- 区切り線',
+      ' 本文',
+      '@@ -10 +9,2 @@',
+      '-古い',
+      '+新しい',
+      '+追加',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n');
+    const hunks = UnifiedDiff.splitHunks(diff);
+    assert.strictEqual(hunks.length, 2);
+    assert.strictEqual(hunks[0].file, 'README.md');
+    assert.deepStrictEqual(hunks[0].lines, [
+      { type: 'del', text: '-- 区切り線' },
+      { type: 'context', text: '本文' }
+    ]);
+    assert.strictEqual(hunks[1].header, '@@ -10 +9,2 @@');
+    assert.deepStrictEqual(hunks[1].lines.map(line => line.type), ['del', 'add', 'add']);
+  });
+
+  it('ハンクから件数を再計算してパッチを組み立て直す', () => {
+    const [hunk] = UnifiedDiff.splitHunks(FIX_DIFF);
+    assert.strictEqual(UnifiedDiff.fromHunks([hunk]), FIX_DIFF);
+
+    const edited = { ...hunk, lines: [...hunk.lines, { type: 'add', text: 'el.hidden = true;', noNewline: true }] };
+    assert.strictEqual(UnifiedDiff.fromHunks([edited]), [
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -1,2 +1,3 @@',
+      ' const el = document.body;',
+      '-el.innerHTML = x;',
+      '+el.textContent = x;',
+      '+el.hidden = true;',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+  });
+
+  it('適用後の変更範囲を返す', () => {
+    assert.deepStrictEqual([...UnifiedDiff.hunks(FIX_DIFF, 1)], [['src/a.js', [{ start: 1, end: 2 }]]]);
+  });
+});
+
+describe('AutoFixer', () => {
+  let repo;
+  const runGit = async args => (await execFileAsync('git', args, { cwd: repo })).stdout;
+  const readSource = () => fs.readFile(path.join(repo, 'src', 'a.js'), 'utf8');
+  const issue = { agentId: 'security-error-xss-analyzer', ruleId: 'xss/inner-html', file: 'src/a.js', line: 2, message: 'XSS' };
+
+  before(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-autofix-'));
+    await fs.mkdir(path.join(repo, 'src'));
+    await fs.writeFile(path.join(repo, 'src', 'a.js'), 'const el = document.body;\nel.innerHTML = x;\n');
+    await runGit(['init', '-q']);
+  });
+
+  after(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('レビュー対象外・親ディレクトリのパッチを拒否する', () => {
+    const fixer = new AutoFixer(runGit, { allowedFiles: ['src/a.js'] });
+    assert.throws(() => fixer.validate(FIX_DIFF.replace(/src\/a\.js/g, 'src/b.js')), /レビュー対象外/);
+    assert.throws(() => fixer.validate(FIX_DIFF.replace(/src\/a\.js/g, '../a.js')), /不正なパス/);
+    assert.throws(() => fixer.validate(''), /パッチが空です/);
+  });
+
+  it('--check のみでは作業ツリーを変更せず、連結しても適用できるパッチのみ残す', async () => {
+    const fixer = new AutoFixer(runGit, { allowedFiles: ['src/a.js'] });
+    const result = await fixer.apply([
+      { agentId: 'xss', diff: FIX_DIFF, issues: [issue] },
+      { agentId: 'debugger', diff: FIX_DIFF.replace('textContent', 'innerText'), issues: [] }
+    ], { checkOnly: true });
+    assert.deepStrictEqual(result.records.map(r => r.status), ['valid', 'rejected']);
+    assert.strictEqual(result.patch, FIX_DIFF);
+    assert.match(await readSource(), /innerHTML/);
+  });
+
+  it('保存したパッチを再検証して一括で適用する', async () => {
+    const fixer = new AutoFixer(runGit, { directory: await AutoFixer.detectDirectory(runGit) });
+    const patch = UnifiedDiff.join([FIX_DIFF]);
+    assert.deepStrictEqual(await fixer.applyPatch(patch, { checkOnly: true }), { files: ['src/a.js'] });
+    assert.match(await readSource(), /innerHTML/);
+    assert.throws(() => fixer.validate(FIX_DIFF.replace(/src\/a\.js/g, '/etc/passwd')), /不正なパス/);
+  });
+
+  it('検証済みのパッチを適用し、競合・重複・対象外のパッチを記録する', async () => {
+    const fixer = new AutoFixer(runGit, { allowedFiles: ['./src/a.js'] });
+    const other = { ...issue, agentId: 'super-debugger-perfectionist' };
+    const result = await fixer.apply([
+      { agentId: 'xss', diff: FIX_DIFF, issues: [issue] },
+      { agentId: 'debugger', diff: FIX_DIFF, issues: [other] },
+      { agentId: 'debugger', diff: FIX_DIFF.replace('textContent', 'innerText'), issues: [] },
+      { agentId: 'debugger', diff: FIX_DIFF.replace(/src\/a\.js/g, 'README.md'), issues: [] }
+    ]);
+
+    assert.deepStrictEqual(result.records.map(r => r.status), ['applied', 'duplicate', 'rejected', 'rejected']);
+    assert.match(result.records[2].reason, /git apply --check に失敗/);
+    assert.match(result.records[3].reason, /レビュー対象外/);
+    assert.deepStrictEqual(result.records[0].files, ['src/a.js']);
+    assert.match(result.records[0].issues[0], /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(result.touchedFiles, ['src/a.js']);
+    assert.deepStrictEqual(result.fixedIssues, [issue, other]);
+    assert.deepStrictEqual(result.hunks.get('src/a.js'), [{ start: 1, end: 2 }]);
+    assert.strictEqual(await readSource(), 'const el = document.body;\nel.textContent = x;\n');
+
+    // 適用済みのパッチは現在の作業ツリーに対する再検証で拒否される
+    await assert.rejects(new AutoFixer(runGit).applyPatch(FIX_DIFF), /git apply --check に失敗/);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:40 JST
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * baseline.test.js
+ * ベースライン（既知の問題）のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { Baseline, BASELINE_SCHEMA } = require('../lib/baseline');
+
+const xss = {
+  agentId: 'security-error-xss-analyzer',
+  ruleId: 'xss/inner-html',
+  priority: 'critical',
+  file: './src/view.js',
+  line: 10,
+  message: '<div> への代入',
+  snippet: 'el.innerHTML = input;'
+};
+const naming = { agentId: 'deep-code-reviewer', ruleId: 'quality/naming', priority: 'medium', file: 'src/util.js', line: 3, message: '命名' };
+const docs = { agentId: 'project-documentation-updater', ruleId: 'docs/readme', priority: 'low', file: 'README.md', message: 'README' };
+
+describe('Baseline', () => {
+  it('現在の問題からベースラインドキュメントを作成する', () => {
+    const document = Baseline.create([naming, xss, { ...xss }], { toolVersion: '2.2.0' });
+    assert.strictEqual(document.schema, BASELINE_SCHEMA);
+    assert.strictEqual(document.tool.version, '2.2.0');
+    // 同一フィンガープリントは1件にまとめ、ファイル順に並べる
+    assert.strictEqual(document.issues.length, 2);
+    assert.deepStrictEqual(document.issues.map(i => i.file), ['src/util.js', 'src/view.js']);
+    assert.strictEqual(document.issues[1].message, '<div> への代入');
+    assert.match(document.issues[1].fingerprint, /^[0-9a-f]{64}$/);
+  });
+
+  it('保存したベースラインを読み込める', () => {
+    const content = Baseline.serialize(Baseline.create([xss, naming]));
+    const baseline = Baseline.parse(content, '.smart-review-baseline.json');
+    assert.strictEqual(baseline.size, 2);
+    assert.strictEqual(baseline.has(xss), true);
+    assert.strictEqual(baseline.source, '.smart-review-baseline.json');
+  });
+
+  it('行番号が変わっても同じ問題として扱う', () => {
+    const baseline = new Baseline(Baseline.create([xss]).issues);
+    assert.strictEqual(baseline.has({ ...xss, line: 42, file: 'src/view.js' }), true);
+    assert.strictEqual(baseline.has({ ...xss, snippet: 'el.outerHTML = input;' }), false);
+  });
+
+  it('問題を new / existing / fixed に分類する', () => {
+    const baseline = new Baseline(Baseline.create([xss, naming]).issues);
+    const current = [{ ...xss }, { ...docs }];
+    const { newIssues, existingIssues, fixed } = baseline.compare(current);
+
+    assert.deepStrictEqual(newIssues.map(i => i.ruleId), ['docs/readme']);
+    assert.deepStrictEqual(existingIssues.map(i => i.ruleId), ['xss/inner-html']);
+    assert.deepStrictEqual(fixed.map(e => e.ruleId), ['quality/naming']);
+    assert.strictEqual(current[0].baselineStatus, 'existing');
+    assert.strictEqual(current[1].baselineStatus, 'new');
+  });
+
+  it('分析対象外のファイルの問題は解決済みにしない', () => {
+    const baseline = new Baseline(Baseline.create([xss, naming]).issues);
+    const { fixed } = baseline.compare([], {
+      agentRuns: [
+        { agentId: 'security-error-xss-analyzer', files: ['./src/view.js'] },
+        { agentId: 'deep-code-reviewer', files: ['src/view.js'] }
+      ]
+    });
+    assert.deepStrictEqual(fixed.map(e => e.file), ['src/view.js']);
+  });
+
+  it('失敗・タイムアウト・スキップしたエージェントの問題は解決済みにしない', () => {
+    const baseline = new Baseline(Baseline.create([xss, naming, docs]).issues);
+    const { fixed } = baseline.compare([], {
+      agentRuns: [
+        { agentId: 'security-error-xss-analyzer', files: ['src/view.js'], error: 'タイムアウトしました' },
+        { agentId: 'deep-code-reviewer', files: ['src/util.js'], skipped: { policy: 'circuitBreaker', reason: '停止中' } },
+        { agentId: 'project-documentation-updater', files: ['README.md'] },
+        // 別のバッチで成功した実行は、そのバッチのファイルのみを解決済みにできる
+        { agentId: 'security-error-xss-analyzer', files: ['src/other.js'] }
+      ]
+    });
+    assert.deepStrictEqual(fixed.map(e => e.ruleId), ['docs/readme']);
+  });
+
+  it('ベースライン以外のJSONは拒否する', () => {
+    assert.throws(() => Baseline.parse('{"schema":"other","issues":[]}', 'x.json'), /形式が不正/);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:35 JST
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * circuit-breaker.test.js
+ * 失敗を繰り返すエージェントのサーキットブレーカーのテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:50 JST
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+const { CircuitBreaker, CIRCUIT_SCHEMA } = require('../lib/circuit-breaker');
+
+const failed = (agentId, error = 'コマンドが見つかりません') => ({ agentId, issues: [], error });
+const succeeded = agentId => ({ agentId, issues: [] });
+
+describe('CircuitBreaker', () => {
+  let tempDir;
+  let file;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'circuit-breaker-test-'));
+    file = path.join(tempDir, 'circuit-breaker.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('連続して失敗したエージェントを開き、その実行の残りではスキップする', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 }, { file });
+
+    assert.strictEqual(breaker.record(failed('reviewer')), false);
+    assert.strictEqual(breaker.check('reviewer'), null);
+    assert.strictEqual(breaker.record(failed('reviewer', 'タイムアウト')), true);
+    assert.deepStrictEqual(breaker.check('reviewer'), {
+      policy: 'circuitBreaker',
+      message: '2回連続で失敗したため次の実行まで実行しません'
+    });
+
+    const [open] = breaker.openAgents();
+    assert.strictEqual(open.agentId, 'reviewer');
+    assert.strictEqual(open.lastError, 'タイムアウト');
+    assert.strictEqual(open.retryAt, null);
+  });
+
+  it('成功すると失敗の記録を消す（スキップ・キャッシュの結果は数えない）', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 }, { file });
+    breaker.record(failed('reviewer'));
+    breaker.record(succeeded('reviewer'));
+    breaker.record(failed('reviewer'));
+    breaker.record({ ...failed('reviewer'), skipped: { policy: 'stopOnCritical' } });
+    breaker.record({ ...succeeded('reviewer'), cached: true });
+
+    assert.strictEqual(breaker.check('reviewer'), null);
+    assert.strictEqual(breaker.agents.get('reviewer').failures, 1);
+  });
+
+  it('状態を保存し、次の実行では警告して1回試す', async () => {
+    const first = new CircuitBreaker({ failureThreshold: 1 }, { file });
+    first.record(failed('reviewer'));
+    await first.save();
+
+    const document = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.strictEqual(document.schema, CIRCUIT_SCHEMA);
+    assert.strictEqual(document.agents[0].failures, 1);
+
+    const second = await new CircuitBreaker({ failureThreshold: 1 }, { file }).load();
+    assert.deepStrictEqual(second.previouslyOpened().map(entry => [entry.agentId, entry.skipped]), [['reviewer', false]]);
+    assert.strictEqual(second.check('reviewer'), null);
+    assert.deepStrictEqual(second.openAgents(), []);
+
+    // 試した実行が失敗するとすぐに開く
+    assert.strictEqual(second.record(failed('reviewer')), true);
+    assert.notStrictEqual(second.check('reviewer'), null);
+
+    // 成功した場合は状態ファイルを削除する
+    second.record(succeeded('reviewer'));
+    await second.save();
+    await assert.rejects(fs.access(file));
+  });
+
+  it('cooldownSeconds の間は実行をまたいでスキップする', async () => {
+    let now = Date.parse('2026-10-19T00:00:00.000Z');
+    const settings = { failureThreshold: 1, cooldownSeconds: 600 };
+    const first = new CircuitBreaker(settings, { file, now: () => now });
+    first.record(failed('reviewer'));
+    await first.save();
+
+    now += 300 * 1000;
+    const second = await new CircuitBreaker(settings, { file, now: () => now }).load();
+    assert.deepStrictEqual(second.check('reviewer'), {
+      policy: 'circuitBreaker',
+      message: '1回連続で失敗したため2026-10-19T00:10:00.000Zまで実行しません'
+    });
+    assert.strictEqual(second.previouslyOpened()[0].skipped, true);
+    assert.strictEqual(second.openAgents()[0].retryAt, '2026-10-19T00:10:00.000Z');
+
+    now += 300 * 1000;
+    assert.strictEqual(second.check('reviewer'), null);
+  });
+
+  it('無効化した場合・壊れた状態ファイルは記録しない', async () => {
+    await fs.writeFile(file, '{ broken', 'utf8');
+    const broken = await new CircuitBreaker({}, { file }).load();
+    assert.strictEqual(broken.agents.size, 0);
+
+    const disabled = new CircuitBreaker({ enabled: false, failureThreshold: 1 }, { file });
+    assert.strictEqual(disabled.record(failed('reviewer')), false);
+    assert.strictEqual(disabled.check('reviewer'), null);
+  });
+
+  it('不正な設定を検出する', () => {
+    assert.deepStrictEqual(CircuitBreaker.validate({ enabled: true, failureThreshold: 3, cooldownSeconds: null }), []);
+    assert.deepStrictEqual(CircuitBreaker.validate({ enabled: 'yes', failureThreshold: 0, cooldownSeconds: -1 }), [
+      'circuitBreaker.enabledは真偽値である必要があります',
+      'circuitBreaker.failureThresholdは1以上の整数である必要があります',
+      'circuitBreaker.cooldownSecondsは正の数である必要があります'
+    ]);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:50 JST
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * cli.test.js
+ * CLIランナーのテスト
+ *
+ * バージョン: v1.5.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+const { parseArgv, resolveSubcommand, run } = require('../lib/cli');
+const { EXIT_CODES } = require('../lib/exit-policy');
+
+const optionDefs = [
+  { name: 'scope', type: 'choice' },
+  { name: 'max-iterations', type: 'number' },
+  { name: 'skip-comment', type: 'boolean' },
+  { name: 'fail-on', type: 'choice' }
+];
+
+function createContext() {
+  const messages = [];
+  const record = level => message => messages.push({ level, message });
+  return {
+    messages,
+    output: {
+      info: record('info'),
+      success: record('success'),
+      warning: record('warning'),
+      error: record('error'),
+      debug: record('debug'),
+      write: record('write')
+    }
+  };
+}
+
+describe('parseArgv', () => {
+  it('値付き・=形式・booleanのオプションを解析する', () => {
+    const args = parseArgv(['--scope', 'all', '--max-iterations=3', '--skip-comment', '--fail-on', 'high'], optionDefs);
+    assert.deepStrictEqual(args, { _: [], scope: 'all', 'max-iterations': 3, 'skip-comment': true, 'fail-on': 'high' });
+  });
+
+  it('--no-<flag> と位置引数を扱う', () => {
+    const args = parseArgv(['baseline', '--no-skip-comment', '--', 'create'], optionDefs);
+    assert.deepStrictEqual(args, { _: ['baseline', 'create'], 'skip-comment': false });
+  });
+
+  it('不明なオプションと値の欠落はエラー', () => {
+    assert.throws(() => parseArgv(['--unknown'], optionDefs), /不明なオプション: --unknown/);
+    assert.throws(() => parseArgv(['--scope'], optionDefs), /値が必要/);
+    assert.throws(() => parseArgv(['--max-iterations', 'abc'], optionDefs), /数値/);
+  });
+});
+
+describe('resolveSubcommand', () => {
+  it('位置引数を最長一致でサブコマンドに解決する', () => {
+    const subcommands = { baseline: 'showBaseline', 'baseline create': 'createBaseline' };
+    assert.deepStrictEqual(resolveSubcommand(subcommands, ['baseline', 'create', 'x']), { method: 'createBaseline', rest: ['x'] });
+    assert.deepStrictEqual(resolveSubcommand(subcommands, ['baseline']), { method: 'showBaseline', rest: [] });
+    assert.strictEqual(resolveSubcommand(subcommands, ['unknown']), null);
+  });
+});
+
+describe('run', () => {
+  const command = result => ({
+    options: optionDefs,
+    calls: [],
+    async execute(context, args) {
+      this.calls.push(args);
+      return typeof result === 'function' ? result() : result;
+    }
+  });
+
+  it('execute() の終了コードを返し、対話メニューを抑止する', async () => {
+    const cmd = command({ success: true, exitCode: EXIT_CODES.FINDINGS });
+    const exitCode = await run(cmd, ['--fail-on', 'high'], { context: createContext() });
+    assert.strictEqual(exitCode, EXIT_CODES.FINDINGS);
+    assert.deepStrictEqual(cmd.calls[0], { 'fail-on': 'high', _skipMenu: true });
+  });
+
+  it('引数エラーと設定ファイルエラーは CONFIG_ERROR', async () => {
+    const context = createContext();
+    assert.strictEqual(await run(command({ success: true }), ['--bogus'], { context }), EXIT_CODES.CONFIG_ERROR);
+    assert.strictEqual(await run(command({ success: true }), ['extra'], { context }), EXIT_CODES.CONFIG_ERROR);
+
+    const configManager = {
+      loadErrors: [],
+      async loadConfig() {
+        this.loadErrors = [{ path: '.smart-review.json', message: 'Unexpected token' }];
+      }
+    };
+    assert.strictEqual(await run(command({ success: true }), [], { context, configManager }), EXIT_CODES.CONFIG_ERROR);
+    assert.ok(context.messages.some(m => m.level === 'error' && m.message.includes('.smart-review.json')));
+  });
+
+  it('サブコマンドのメソッドを呼び出す', async () => {
+    const cmd = command({ success: true });
+    cmd.subcommands = { 'baseline create': 'createBaseline' };
+    cmd.createBaseline = async (context, args) => ({ success: true, exitCode: args._.length, args });
+    const exitCode = await run(cmd, ['baseline', 'create', '--scope', 'all'], { context: createContext() });
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(cmd.calls.length, 0);
+  });
+
+  it('終了コードの無い結果は success で判定し、例外は RUNTIME_ERROR', async () => {
+    const context = createContext();
+    assert.strictEqual(await run(command({ success: true }), [], { context }), EXIT_CODES.SUCCESS);
+    assert.strictEqual(await run(command({ success: false }), [], { context }), EXIT_CODES.RUNTIME_ERROR);
+    const throwing = command(() => { throw new Error('boom'); });
+    assert.strictEqual(await run(throwing, [], { context }), EXIT_CODES.RUNTIME_ERROR);
+  });
+});
+
+describe('smart-review コマンド（変更の検出）', () => {
+  let repo;
+
+  /**
+   * smart-review-v2.js を実行（エージェントのCLIは常に失敗する偽物に置き換える）
+   */
+  function runCli(args, env = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [path.join(__dirname, '..', 'smart-review-v2.js'), ...args], {
+        cwd: repo,
+        env: { ...process.env, HOME: repo, USERPROFILE: repo, PATH: `${path.join(repo, '.bin')}${path.delimiter}${process.env.PATH}`, ...env }
+      });
+      let stdout = '';
+      child.stdout.on('data', (data) => { stdout += data.toString(); });
+      child.stderr.on('data', (data) => { stdout += data.toString(); });
+      child.on('close', (code) => resolve({ code, stdout }));
+      child.on('error', reject);
+    });
+  }
+
+  const readOutputs = async () => {
+    const names = await fs.readdir(path.join(repo, 'smart-review-results')).catch(() => []);
+    const read = async prefix => {
+      const name = names.find(n => n.startsWith(prefix));
+      return name ? fs.readFile(path.join(repo, 'smart-review-results', name), 'utf8') : null;
+    };
+    return { results: await read('results-'), junit: await read('junit-') };
+  };
+
+  before(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-cli-'));
+    await fs.mkdir(path.join(repo, '.bin'));
+    for (const name of ['claude', 'claude-code']) {
+      await fs.writeFile(path.join(repo, '.bin', name), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+    }
+    await fs.writeFile(path.join(repo, 'a.js'), 'el.textContent = x;\n');
+    await fs.writeFile(path.join(repo, '.gitignore'), '.bin/\nsmart-review-results/\n.smart-review-cache/\n');
+    await fs.writeFile(path.join(repo, '.smart-review.json'), JSON.stringify({
+      agents: [{ id: 'xss', name: 'XSS', runtime: { type: 'fixture', dir: 'fixtures' } }],
+      output: { format: ['markdown', 'junit'] }
+    }));
+    const git = args => execFileAsync('git', args, { cwd: repo });
+    await git(['init', '-q']);
+    await git(['add', '.']);
+    await git(['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'init']);
+  });
+
+  after(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('存在しない --base の参照は --fail-on を指定していても設定エラーで終了する', async () => {
+    const result = await runCli(['--base', 'origin/mian', '--fail-on', 'high', '--skip-comment']);
+    assert.strictEqual(result.code, EXIT_CODES.CONFIG_ERROR, result.stdout);
+    assert.ok(result.stdout.includes('Git参照が見つかりません: origin/mian'), result.stdout);
+    assert.ok(!result.stdout.includes('変更ファイルがありません'), result.stdout);
+  });
+
+  it('変更ファイルが無い場合もレビューなしの results.json と JUnit を出力する', async () => {
+    const result = await runCli(['--base', 'HEAD', '--fail-on', 'high', '--skip-comment']);
+    assert.strictEqual(result.code, EXIT_CODES.SUCCESS, result.stdout);
+    assert.ok(result.stdout.includes('変更ファイルがありません'), result.stdout);
+
+    const { results, junit } = await readOutputs();
+    const document = JSON.parse(results);
+    assert.strictEqual(document.schema, 'smart-review/results');
+    assert.deepStrictEqual(document.agentRuns, []);
+    assert.strictEqual(document.gate.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(junit, /<testsuites[^>]* tests="0"/);
+  });
+
+  it('LLMエージェントと同じ位置のツールの問題は終了コードの判定・results.json・JUnit で1件として数える', async () => {
+    await fs.rm(path.join(repo, 'smart-review-results'), { recursive: true, force: true });
+    await fs.writeFile(path.join(repo, '.bin', 'eslint'),
+      '#!/bin/sh\nprintf \'[{"filePath":"%s/a.js","messages":[{"ruleId":"no-restricted-properties","severity":2,"message":"textContent","line":1}]}]\' "$PWD"\nexit 1\n',
+      { mode: 0o755 });
+    await fs.mkdir(path.join(repo, 'fixtures'), { recursive: true });
+    await fs.writeFile(path.join(repo, 'fixtures', 'xss.review.out'), JSON.stringify({
+      schema: 'smart-review/issues',
+      version: '1.0',
+      issues: [{ ruleId: 'xss/dom', level: 'error', message: 'DOMへの書き込み', file: 'a.js', line: 1 }]
+    }));
+    await fs.writeFile(path.join(repo, '.smart-review.json'), JSON.stringify({
+      agents: [
+        { id: 'xss', name: 'XSS', priority: 'high', runtime: { type: 'fixture', dir: 'fixtures' } },
+        { id: 'eslint', name: 'ESLint', priority: 'high', runtime: { type: 'tool', tool: 'eslint' } }
+      ],
+      output: { format: ['markdown', 'junit'] }
+    }));
+
+    const result = await runCli(['--scope', 'all', '--fail-on', 'high', '--skip-comment']);
+    assert.strictEqual(result.code, EXIT_CODES.FINDINGS, result.stdout);
+
+    const { results, junit } = await readOutputs();
+    const document = JSON.parse(results);
+    assert.deepStrictEqual(document.issues.map(issue => issue.ruleId), ['xss/dom']);
+    assert.strictEqual(document.toolFindings.both, 1);
+    assert.strictEqual(document.gate.failingIssues, 1);
+    assert.match(junit, /<testsuites[^>]* failures="1"/);
+  });
+
+  it('修正の依頼もエージェントのタイムアウト・再試行に従う', async () => {
+    await fs.rm(path.join(repo, 'smart-review-results'), { recursive: true, force: true });
+    // 最初の修正の依頼だけ応答せず、タイムアウトで終了される
+    await fs.writeFile(path.join(repo, '.bin', 'smart-review-fixer'), `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const marker = ${JSON.stringify(path.join(repo, '.bin', 'fix-requested'))};
+if (!args.includes('--fix-mode')) {
+  console.log(JSON.stringify({
+    schema: 'smart-review/issues',
+    version: '1.0',
+    issues: [{ ruleId: 'xss/inner-html', level: 'error', message: 'innerHTML', file: 'a.js', line: 1 }]
+  }));
+} else if (!fs.existsSync(marker)) {
+  fs.writeFileSync(marker, '');
+  setTimeout(() => {}, 30000);
+} else {
+  console.log('\`\`\`diff\\n--- a/a.js\\n+++ b/a.js\\n@@ -1 +1 @@\\n-el.innerHTML = x;\\n+el.textContent = x;\\n\`\`\`');
+}
+`, { mode: 0o755 });
+    await fs.writeFile(path.join(repo, '.smart-review.json'), JSON.stringify({
+      agents: [{
+        id: 'xss',
+        name: 'XSS',
+        priority: 'high',
+        canAutoFix: true,
+        timeout: 2000,
+        retries: 1,
+        retryDelay: 0,
+        runtime: { type: 'cli', command: 'smart-review-fixer' }
+      }]
+    }));
+    await fs.writeFile(path.join(repo, 'a.js'), 'el.innerHTML = x;\n');
+
+    try {
+      const result = await runCli(['--working-tree', '--dry-run', '--skip-comment', '--max-iterations', '1'], {
+        SMART_REVIEW_ALLOWED_COMMANDS: 'smart-review-fixer'
+      });
+      assert.ok(!result.stdout.includes('修正の取得に失敗'), result.stdout);
+      const names = await fs.readdir(path.join(repo, 'smart-review-results'));
+      const patch = names.find(name => name.startsWith('fixes-'));
+      assert.ok(patch, result.stdout);
+      assert.match(await fs.readFile(path.join(repo, 'smart-review-results', patch), 'utf8'), /\+el\.textContent = x;/);
+    } finally {
+      await execFileAsync('git', ['checkout', '--', 'a.js'], { cwd: repo });
+    }
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
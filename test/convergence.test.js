@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * convergence.test.js
+ * 自動修正ループの収束判定のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ConvergenceTracker } = require('../lib/convergence');
+const { IssueProtocol } = require('../lib/issue-protocol');
+
+const issue = (ruleId, snippet) => ({
+  agentId: 'security-error-xss-analyzer',
+  ruleId,
+  file: 'src/a.js',
+  line: 1,
+  snippet,
+  autoFixAvailable: true
+});
+
+const xss = issue('xss/inner-html', 'el.innerHTML = x;');
+const evalIssue = issue('xss/eval', 'eval(code);');
+const textIssue = issue('xss/text', 'el.textContent = x;');
+const writeIssue = issue('xss/write', 'document.write(x);');
+
+describe('ConvergenceTracker', () => {
+  it('解決・継続・新規の件数を数える（行番号が変わっても同じ問題）', () => {
+    const tracker = new ConvergenceTracker();
+    const first = tracker.observe(1, [xss, evalIssue]);
+    assert.deepStrictEqual(ConvergenceTracker.counts(first), { resolved: 0, persisting: 0, introduced: 2, reintroduced: 0 });
+
+    tracker.recordFixes([xss]);
+    const second = tracker.observe(2, [{ ...evalIssue, line: 5 }]);
+    assert.deepStrictEqual(second.resolved, [IssueProtocol.fingerprint(xss)]);
+    assert.deepStrictEqual(ConvergenceTracker.counts(second), { resolved: 1, persisting: 1, introduced: 0, reintroduced: 0 });
+    assert.strictEqual(tracker.verdict([evalIssue]), null);
+  });
+
+  it('修正を適用しても残る問題のみの場合は停滞と判定し、再修正しない', () => {
+    const tracker = new ConvergenceTracker();
+    tracker.observe(1, [xss]);
+    tracker.recordFixes([xss]);
+    const stats = tracker.observe(2, [xss]);
+
+    assert.deepStrictEqual(ConvergenceTracker.counts(stats), { resolved: 0, persisting: 1, introduced: 0, reintroduced: 0 });
+    assert.deepStrictEqual(tracker.filterUnattempted([xss, evalIssue]), [evalIssue]);
+    assert.strictEqual(tracker.verdict([xss]).status, 'stalled');
+    assert.strictEqual(tracker.verdict([xss, evalIssue]), null);
+  });
+
+  it('解決した問題の再発を振動と判定する', () => {
+    const tracker = new ConvergenceTracker();
+    tracker.observe(1, [xss]);
+    tracker.recordFixes([xss]);
+    tracker.observe(2, [textIssue]);
+    assert.strictEqual(tracker.verdict([textIssue]), null);
+
+    tracker.recordFixes([textIssue]);
+    const third = tracker.observe(3, [xss]);
+    assert.deepStrictEqual(ConvergenceTracker.counts(third), { resolved: 1, persisting: 0, introduced: 1, reintroduced: 1 });
+    assert.deepStrictEqual(tracker.verdict([xss]), {
+      status: 'oscillating',
+      message: '解決した問題が再発しました (1件)'
+    });
+
+    // 再発した問題が残り続ける場合は継続として数える
+    const fourth = tracker.observe(4, [xss]);
+    assert.deepStrictEqual(ConvergenceTracker.counts(fourth), { resolved: 0, persisting: 1, introduced: 0, reintroduced: 0 });
+  });
+
+  it('解決した数より修正後の新しい問題が多い場合は悪化と判定する', () => {
+    const tracker = new ConvergenceTracker();
+    tracker.observe(1, [xss]);
+    tracker.recordFixes([xss]);
+    const stats = tracker.observe(2, [textIssue, writeIssue]);
+
+    assert.deepStrictEqual(ConvergenceTracker.counts(stats), { resolved: 1, persisting: 0, introduced: 2, reintroduced: 0 });
+    assert.strictEqual(tracker.verdict([textIssue, writeIssue]).status, 'diverging');
+  });
+});
+
+// 最終更新: 2026年10月19日 03:40 JST
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * exit-policy.test.js
+ * 終了コード判定とベースライン比較のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ExitPolicy, EXIT_CODES } = require('../lib/exit-policy');
+const { Baseline } = require('../lib/baseline');
+const { ResultsWriter } = require('../lib/results-writer');
+const { IssueProtocol } = require('../lib/issue-protocol');
+
+const critical = { agentId: 'security-error-xss-analyzer', ruleId: 'xss/inner-html', priority: 'critical', file: 'a.js', message: 'XSS' };
+const medium = { agentId: 'deep-code-reviewer', ruleId: 'quality/naming', priority: 'medium', file: 'b.js', message: '命名' };
+const low = { agentId: 'project-documentation-updater', ruleId: 'docs/readme', priority: 'low', message: 'README' };
+
+describe('ExitPolicy', () => {
+  it('しきい値以上の問題があれば FINDINGS', () => {
+    const gate = ExitPolicy.evaluate({ issues: [medium, low], failOn: 'medium' });
+    assert.strictEqual(gate.exitCode, EXIT_CODES.FINDINGS);
+    assert.strictEqual(gate.reason, 'findings');
+    assert.strictEqual(gate.failingIssues, 1);
+  });
+
+  it('しきい値未満の問題のみなら SUCCESS', () => {
+    const gate = ExitPolicy.evaluate({ issues: [medium, low], failOn: 'high' });
+    assert.strictEqual(gate.exitCode, EXIT_CODES.SUCCESS);
+    assert.strictEqual(gate.reason, 'passed');
+  });
+
+  it('none は問題があっても失敗しない', () => {
+    const gate = ExitPolicy.evaluate({ issues: [critical], failOn: 'none' });
+    assert.strictEqual(gate.exitCode, EXIT_CODES.SUCCESS);
+  });
+
+  it('エージェント失敗は AGENT_FAILURE、問題の判定が優先される', () => {
+    const agentRuns = [{ agentId: 'a', error: 'タイムアウト' }, { agentId: 'b' }];
+    const failed = ExitPolicy.evaluate({ issues: [low], agentRuns, failOn: 'high' });
+    assert.strictEqual(failed.exitCode, EXIT_CODES.AGENT_FAILURE);
+    assert.strictEqual(failed.agentFailures, 1);
+
+    const both = ExitPolicy.evaluate({ issues: [critical], agentRuns, failOn: 'high' });
+    assert.strictEqual(both.exitCode, EXIT_CODES.FINDINGS);
+  });
+
+  it('ベースライン指定時は新規の問題のみで判定する', () => {
+    const baseline = new Baseline([IssueProtocol.fingerprint(critical)]);
+    const known = ExitPolicy.evaluate({ issues: [critical, low], failOn: 'high', baseline });
+    assert.strictEqual(known.exitCode, EXIT_CODES.SUCCESS);
+    assert.strictEqual(known.newOnly, true);
+
+    const moved = { ...critical, file: 'c.js' };
+    const added = ExitPolicy.evaluate({ issues: [critical, moved], failOn: 'high', baseline });
+    assert.strictEqual(added.exitCode, EXIT_CODES.FINDINGS);
+    assert.strictEqual(added.failingIssues, 1);
+  });
+});
+
+describe('Baseline', () => {
+  it('実行結果JSONからフィンガープリントを読み込む', () => {
+    const document = ResultsWriter.build({ allIssues: [critical, medium], metrics: {} });
+    const baseline = Baseline.parse(ResultsWriter.serialize(document), 'results.json');
+    assert.strictEqual(baseline.size, 2);
+    assert.strictEqual(baseline.has(critical), true);
+    assert.strictEqual(baseline.has(low), false);
+    assert.deepStrictEqual(baseline.filterNew([critical, low]), [low]);
+  });
+
+  it('不正なベースラインはエラー', () => {
+    assert.throws(() => Baseline.parse('{bad', 'x.json'), /JSONが不正/);
+    assert.throws(() => Baseline.parse('{"issues":[]}', 'x.json'), /形式が不正/);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:35 JST
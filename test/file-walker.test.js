@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * file-walker.test.js
+ * プロジェクトファイル列挙のテスト
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+const { FileWalker, GitignoreRules } = require('../lib/file-walker');
+
+const TEST_ROOT = path.join(os.tmpdir(), 'smart-review-walker-' + process.pid);
+
+describe('FileWalker', () => {
+  before(async () => {
+    await fs.mkdir(path.join(TEST_ROOT, 'src', 'generated'), { recursive: true });
+    await fs.mkdir(path.join(TEST_ROOT, 'node_modules', 'pkg'), { recursive: true });
+    await fs.mkdir(path.join(TEST_ROOT, '.smart-review-cache', 'xss'), { recursive: true });
+    await fs.writeFile(path.join(TEST_ROOT, '.gitignore'), '*.log\ngenerated/\n!keep.log\n');
+    await fs.writeFile(path.join(TEST_ROOT, 'src', 'app.js'), 'console.log(1);\n');
+    await fs.writeFile(path.join(TEST_ROOT, 'src', 'app.min.js'), 'x');
+    await fs.writeFile(path.join(TEST_ROOT, 'src', 'generated', 'out.js'), 'x');
+    await fs.writeFile(path.join(TEST_ROOT, 'debug.log'), 'log');
+    await fs.writeFile(path.join(TEST_ROOT, 'keep.log'), 'log');
+    await fs.writeFile(path.join(TEST_ROOT, 'image.png'), Buffer.from([0x89, 0x50, 0x00, 0x47]));
+    await fs.writeFile(path.join(TEST_ROOT, 'big.txt'), 'a'.repeat(2048));
+    await fs.writeFile(path.join(TEST_ROOT, 'node_modules', 'pkg', 'index.js'), 'x');
+    await fs.writeFile(path.join(TEST_ROOT, '.smart-review-cache', 'xss', 'entry.json'), '{}');
+  });
+
+  after(async () => {
+    await fs.rm(TEST_ROOT, { recursive: true, force: true });
+  });
+
+  it('ブロックパターン・.gitignore・サイズ・バイナリ・結果キャッシュを除外して列挙する', async () => {
+    const walker = new FileWalker(TEST_ROOT, {
+      blockedPatterns: [/node_modules/, /.*\.min\.js/],
+      maxFileSize: 1024
+    });
+    const { files, skipped } = await walker.walk();
+    const reasons = Object.fromEntries(skipped.map(s => [s.file, s.reason]));
+
+    assert.deepStrictEqual(files.sort(), ['.gitignore', 'keep.log', 'src/app.js']);
+    assert.strictEqual(reasons['node_modules/'], 'blocked-pattern');
+    assert.strictEqual(reasons['src/app.min.js'], 'blocked-pattern');
+    assert.strictEqual(reasons['src/generated/'], 'gitignore');
+    assert.strictEqual(reasons['debug.log'], 'gitignore');
+    assert.strictEqual(reasons['big.txt'], 'too-large');
+    assert.strictEqual(reasons['image.png'], 'binary');
+  });
+
+  it('出力ディレクトリ・ベースライン・記録ディレクトリを走査しない', async () => {
+    const root = path.join(TEST_ROOT, 'outputs');
+    await fs.mkdir(path.join(root, 'reports'), { recursive: true });
+    await fs.mkdir(path.join(root, 'recordings'), { recursive: true });
+    await fs.writeFile(path.join(root, 'app.js'), 'x');
+    await fs.writeFile(path.join(root, 'reports', 'todo.md'), 'x');
+    await fs.writeFile(path.join(root, 'recordings', 'xss.review.json'), '{}');
+    await fs.writeFile(path.join(root, '.smart-review-baseline.json'), '{}');
+
+    const walker = new FileWalker(root, {
+      excludePaths: [
+        path.join(root, 'reports'),
+        path.relative(process.cwd(), path.join(root, '.smart-review-baseline.json')),
+        path.join(root, 'recordings'),
+        path.join(os.tmpdir(), 'elsewhere')
+      ]
+    });
+    const { files, skipped } = await walker.walk();
+    assert.deepStrictEqual(files, ['app.js']);
+    assert.deepStrictEqual(skipped, []);
+  });
+
+  it('ファイル数の上限を超えた分をスキップとして記録する', async () => {
+    const walker = new FileWalker(TEST_ROOT, { maxFiles: 1, respectGitignore: false });
+    const { files, skipped } = await walker.walk();
+    assert.strictEqual(files.length, 1);
+    assert.ok(skipped.some(s => s.reason === 'limit'));
+  });
+
+  it('バッチに分割できる', () => {
+    assert.deepStrictEqual(FileWalker.toBatches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.deepStrictEqual(FileWalker.toBatches([], 10), []);
+  });
+});
+
+describe('GitignoreRules', () => {
+  it('固定パターンとサブディレクトリの.gitignoreを扱える', () => {
+    const rules = new GitignoreRules();
+    rules.add('', '/dist\ndocs/**/*.tmp\n');
+    rules.add('pkg', 'cache/\n');
+
+    assert.ok(rules.ignores('dist', true));
+    assert.ok(!rules.ignores('src/dist', true));
+    assert.ok(rules.ignores('docs/a/b/c.tmp', false));
+    assert.ok(rules.ignores('pkg/cache', true));
+    assert.ok(!rules.ignores('cache', true));
+  });
+});
+
+// 最終更新: 2026年10月19日 03:45 JST
+// バージョン: v1.1.0
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * fix-review.test.js
+ * 自動修正の対話確認のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { FixReview } = require('../lib/fix-review');
+const { UnifiedDiff } = require('../lib/auto-fix');
+
+const TWO_HUNKS = [
+  '--- a/src/a.js',
+  '+++ b/src/a.js',
+  '@@ -1,2 +1,2 @@',
+  ' const el = document.body;',
+  '-el.innerHTML = x;',
+  '+el.textContent = x;',
+  '@@ -10,3 +10,3 @@',
+  ' function run() {',
+  '-  eval(code);',
+  '+  runSafely(code);',
+  ' }',
+  ''
+].join('\n');
+
+const OTHER = [
+  '--- a/src/b.js',
+  '+++ b/src/b.js',
+  '@@ -1 +1 @@',
+  '-a',
+  '+b',
+  ''
+].join('\n');
+
+const issue = { agentId: 'security-error-xss-analyzer', ruleId: 'xss/inner-html', file: 'src/a.js', line: 2, message: '<div> への代入' };
+
+// 選択・入力を順に返す入力APIと、表示内容を記録する出力API
+function createContext(choices, texts = []) {
+  const messages = [];
+  const prompts = [];
+  return {
+    messages,
+    prompts,
+    input: {
+      select: async (prompt, options) => {
+        prompts.push(options.map(option => option.value));
+        return choices.shift();
+      },
+      text: async (prompt, options) => {
+        prompts.push(options.default);
+        return texts.shift();
+      }
+    },
+    output: {
+      info: message => messages.push(message)
+    }
+  };
+}
+
+describe('FixReview', () => {
+  it('ハンクごとに差分と問題を表示し、承認したハンクのみ残す', async () => {
+    const context = createContext(['reject', 'accept', 'accept']);
+    const proposals = [
+      { agentId: 'xss', diff: TWO_HUNKS, issues: [issue] },
+      { agentId: 'debugger', diff: OTHER, issues: [] }
+    ];
+    const result = await FixReview.review(proposals, context);
+
+    assert.deepStrictEqual(context.prompts[0], ['accept', 'reject', 'edit', 'skip-rest']);
+    assert.ok(context.messages.includes('\n🩹 修正案 1/3 (xss) src/a.js'));
+    assert.ok(context.messages.includes('  💬 <div> への代入 (src/a.js:2)'));
+    assert.ok(context.messages.includes('  -el.innerHTML = x;'));
+
+    assert.deepStrictEqual(result.decisions.map(d => [d.agentId, d.file, d.hunk, d.decision]), [
+      ['xss', 'src/a.js', '@@ -1,2 +1,2 @@', 'reject'],
+      ['xss', 'src/a.js', '@@ -10,3 +10,3 @@', 'accept'],
+      ['debugger', 'src/b.js', '@@ -1 +1 @@', 'accept']
+    ]);
+    assert.match(result.decisions[0].issues[0], /^[0-9a-f]{64}$/);
+    assert.strictEqual(result.proposals.length, 2);
+    assert.deepStrictEqual(result.declined, []);
+    assert.deepStrictEqual(result.proposals[0].issues, [issue]);
+    assert.strictEqual(result.proposals[0].diff, [
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -10,3 +10,3 @@',
+      ' function run() {',
+      '-  eval(code);',
+      '+  runSafely(code);',
+      ' }',
+      ''
+    ].join('\n'));
+    assert.strictEqual(result.proposals[1].diff, '--- a/src/b.js\n+++ b/src/b.js\n@@ -1,1 +1,1 @@\n-a\n+b\n');
+  });
+
+  it('残りをスキップすると以降のハンクを確認せず skip として記録する', async () => {
+    const context = createContext(['skip-rest']);
+    const proposals = [{ agentId: 'xss', diff: TWO_HUNKS, issues: [issue] }];
+    const result = await FixReview.review(proposals, context);
+
+    assert.strictEqual(context.prompts.length, 1);
+    assert.deepStrictEqual(result.decisions.map(d => d.decision), ['skip', 'skip']);
+    assert.deepStrictEqual(result.proposals, []);
+    assert.deepStrictEqual(result.declined, proposals);
+    assert.strictEqual(result.skipRest, true);
+
+    // 前の反復でスキップした場合は何も確認しない
+    const next = createContext([]);
+    const skipped = await FixReview.review(proposals, next, { skipAll: true });
+    assert.strictEqual(next.prompts.length, 0);
+    assert.deepStrictEqual(skipped.decisions.map(d => d.decision), ['skip', 'skip']);
+  });
+
+  it('編集した内容で変更後の行を置き換える', async () => {
+    const context = createContext(['edit', 'reject'], ['el.textContent = x;\\nel.title = "a\\\\b";']);
+    const result = await FixReview.review([{ agentId: 'xss', diff: TWO_HUNKS, issues: [issue] }], context);
+
+    assert.strictEqual(context.prompts[1], 'el.textContent = x;');
+    assert.deepStrictEqual(result.decisions.map(d => d.decision), ['edit', 'reject']);
+    assert.strictEqual(result.proposals[0].diff, [
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -1,2 +1,3 @@',
+      ' const el = document.body;',
+      '-el.innerHTML = x;',
+      '+el.textContent = x;',
+      '+el.title = "a\\b";',
+      ''
+    ].join('\n'));
+  });
+
+  it('編集用テキストの往復で内容が変わらない', () => {
+    const [hunk] = UnifiedDiff.splitHunks([
+      '--- a/a.txt',
+      '+++ b/a.txt',
+      '@@ -1,3 +1,4 @@',
+      ' 前',
+      '-C:\\old\\n',
+      '+C:\\new\\n',
+      '+',
+      ' 後',
+      ''
+    ].join('\n'));
+    const text = FixReview.editableText(hunk);
+    assert.strictEqual(text, 'C:\\\\new\\\\n\\n');
+    assert.deepStrictEqual(FixReview.editHunk(hunk, text).lines, hunk.lines);
+
+    // 空にすると変更範囲の行を削除するだけになる
+    assert.deepStrictEqual(FixReview.editHunk(hunk, '').lines.map(line => line.type), ['context', 'del', 'context']);
+  });
+
+  it('変更範囲は最初と最後の変更行の位置で、変更行が無ければ null', () => {
+    const hunk = { lines: [{ type: 'context' }, { type: 'del' }, { type: 'context' }, { type: 'add' }, { type: 'context' }, { type: 'context' }] };
+    assert.deepStrictEqual(FixReview.changedRange(hunk), { first: 1, last: 3 });
+    assert.strictEqual(FixReview.changedRange({ lines: [{ type: 'context' }] }), null);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:40 JST
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * git-changes.test.js
+ * Git参照ベースの変更検出のテスト
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:30 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { GitChangeDetector, DiffHunks } = require('../lib/git-changes');
+
+describe('GitChangeDetector', () => {
+  describe('resolveMode', () => {
+    it('未指定時はhistoryモード', () => {
+      assert.deepStrictEqual(GitChangeDetector.resolveMode({}), { mode: 'history' });
+    });
+
+    it('コミット範囲を解析する', () => {
+      const selection = GitChangeDetector.resolveMode({ since: 'abc123..def456' });
+      assert.deepStrictEqual(selection, { mode: 'range', range: { from: 'abc123', to: 'def456' } });
+      assert.strictEqual(GitChangeDetector.resolveMode({ since: 'v2.1.0' }).range.to, 'HEAD');
+    });
+
+    it('複数モードの同時指定を拒否する', () => {
+      assert.throws(
+        () => GitChangeDetector.resolveMode({ staged: true, base: 'origin/main' }),
+        /同時に指定できません/
+      );
+    });
+
+    it('存在しない base・range の参照を検出する', async () => {
+      const calls = [];
+      const detector = new GitChangeDetector(async (args) => {
+        calls.push(args);
+        if (args[3] === 'origin/mian^{commit}') {
+          throw new Error('fatal: Needed a single revision');
+        }
+        return 'abc\n';
+      });
+
+      await detector.verifyRefs({ mode: 'range', range: { from: 'v1.0', to: 'HEAD' } });
+      assert.deepStrictEqual(calls, [
+        ['rev-parse', '--verify', '--quiet', 'v1.0^{commit}'],
+        ['rev-parse', '--verify', '--quiet', 'HEAD^{commit}']
+      ]);
+      await assert.rejects(detector.verifyRefs({ mode: 'base', ref: 'origin/mian' }),
+        error => error.invalidRef === true && error.message === 'Git参照が見つかりません: origin/mian');
+      await detector.verifyRefs({ mode: 'history' });
+      assert.strictEqual(calls.length, 3);
+    });
+
+    it('オプション注入となる参照を拒否する', () => {
+      assert.throws(() => GitChangeDetector.resolveMode({ base: '--output=/tmp/x' }), /不正なGit参照/);
+      assert.throws(() => GitChangeDetector.resolveMode({ base: 'a b' }), /不正なGit参照/);
+    });
+  });
+
+  describe('parseNameStatus', () => {
+    it('-z形式の削除・リネームを解析する', () => {
+      const stdout = 'M\0src/a.js\0D\0src/old.js\0R087\0src/b.js\0src/c.js\0';
+      const entries = GitChangeDetector.parseNameStatus(stdout);
+      assert.deepStrictEqual(entries, [
+        { status: 'M', file: 'src/a.js' },
+        { status: 'D', file: 'src/old.js' },
+        { status: 'R', oldFile: 'src/b.js', file: 'src/c.js' }
+      ]);
+    });
+
+    it('タブ区切り形式を解析する', () => {
+      const entries = GitChangeDetector.parseNameStatus('A\tnew.js\n\nR100\tx.js\ty.js\n', false);
+      assert.strictEqual(entries.length, 2);
+      assert.strictEqual(entries[1].oldFile, 'x.js');
+    });
+  });
+
+  describe('detect', () => {
+    it('マージベース差分で削除済みファイルを除外する', async () => {
+      const calls = [];
+      const detector = new GitChangeDetector(async (args) => {
+        calls.push(args);
+        return 'M\0a.js\0D\0gone.js\0R100\0before.js\0after.js\0';
+      }, { pathspec: 'src' });
+
+      const result = await detector.detect({ mode: 'base', ref: 'origin/main' });
+      assert.ok(calls[0].includes('origin/main...HEAD'));
+      assert.strictEqual(calls[0][calls[0].length - 1], 'src');
+      assert.deepStrictEqual(result.files, ['a.js', 'after.js']);
+      assert.deepStrictEqual(result.deleted.sort(), ['before.js', 'gone.js']);
+      assert.deepStrictEqual(result.renamed, [{ from: 'before.js', to: 'after.js' }]);
+    });
+
+    it('作業ツリーモードで未追跡ファイルを含める', async () => {
+      const detector = new GitChangeDetector(async (args) =>
+        args[0] === 'ls-files' ? 'untracked.js\0' : 'M\0tracked.js\0'
+      );
+      const result = await detector.detect({ mode: 'working-tree' });
+      assert.deepStrictEqual(result.files, ['tracked.js', 'untracked.js']);
+    });
+
+    it('作業ツリーモードでツール自身の出力を未追跡ファイルとして検出しない', async () => {
+      const untracked = [
+        'src/app.js', 'smart-review-results/todo.md', '.smart-review-cache/xss/entry.json',
+        '.smart-review-baseline.json', 'smart-review-results-old.md'
+      ];
+      const excludePaths = ['./smart-review-results', '.smart-review-cache', path.resolve('.smart-review-baseline.json')];
+      const runGit = async (args) => (args[0] === 'ls-files' ? `${untracked.join('\0')}\0` : '');
+      const detector = new GitChangeDetector(runGit, { excludePaths });
+
+      const result = await detector.detect({ mode: 'working-tree' });
+      assert.deepStrictEqual(result.files, ['src/app.js', 'smart-review-results-old.md']);
+      const hunks = await detector.detectHunks({ mode: 'working-tree' });
+      assert.deepStrictEqual([...hunks.keys()], ['src/app.js', 'smart-review-results-old.md']);
+    });
+
+    it('履歴モードでは古い順に集約する', async () => {
+      // git log は新しい順: 最新コミットで削除、古いコミットで追加
+      const detector = new GitChangeDetector(async () => 'D\tx.js\n\nA\tx.js\nM\ty.js\n');
+      const result = await detector.detect({ mode: 'history' });
+      assert.deepStrictEqual(result.files, ['y.js']);
+      assert.deepStrictEqual(result.deleted, ['x.js']);
+    });
+  });
+});
+
+describe('DiffHunks', () => {
+  const diff = [
+    'diff --git src/a.js src/a.js',
+    '--- src/a.js',
+    '+++ src/a.js',
+    '@@ -3,0 +4,2 @@ function a() {',
+    '+added',
+    '+added',
+    '@@ -20 +22 @@',
+    '-old',
+    '+new',
+    '@@ -40,3 +41,0 @@',
+    'diff --git src/gone.js src/gone.js',
+    '--- src/gone.js',
+    '+++ /dev/null',
+    '@@ -1,2 +0,0 @@'
+  ].join('\n');
+
+  it('git diff -U0 のハンクを解析する', () => {
+    const hunks = DiffHunks.parse(diff);
+    assert.deepStrictEqual(hunks.get('src/a.js'), [
+      { start: 4, end: 5 },
+      { start: 22, end: 22 },
+      { start: 41, end: 41 }
+    ]);
+    assert.ok(!hunks.has('src/gone.js'));
+  });
+
+  it('変更行と前後N行の問題のみを残す', () => {
+    const hunks = DiffHunks.parse(diff);
+    const issues = [
+      { file: 'src/a.js', line: 5 },
+      { file: './src/a.js', line: 25 },
+      { file: 'src/a.js', line: 10, endLine: 30 },
+      { file: 'src/a.js' },
+      { file: 'src/other.js', line: 1 },
+      { message: 'ファイル情報なし' }
+    ];
+
+    const strict = DiffHunks.filterIssues(issues, hunks);
+    assert.strictEqual(strict.kept.length, 4);
+    assert.strictEqual(strict.filtered.length, 2);
+
+    const relaxed = DiffHunks.filterIssues(issues, hunks, { contextLines: 3 });
+    assert.strictEqual(relaxed.kept.length, 5);
+  });
+
+  it('記号を含むパスの問題もプレーンテキストのまま変更行と照合する', () => {
+    const hunks = DiffHunks.parse('--- src/a&b.js\n+++ src/a&b.js\n@@ -3 +3 @@\n-old\n+new');
+    const { kept, filtered } = DiffHunks.filterIssues([{ file: 'src/a&b.js', line: 3 }], hunks);
+    assert.strictEqual(kept.length, 1);
+    assert.strictEqual(filtered.length, 0);
+  });
+
+  it('エージェント向けに変更範囲を整形する', () => {
+    assert.strictEqual(
+      DiffHunks.formatRanges('a.js', [{ start: 1, end: 3 }, { start: 9, end: 9 }]),
+      'a.js:1-3,9-9'
+    );
+    assert.strictEqual(DiffHunks.formatRanges('b.js', [{ start: 1, end: Number.MAX_SAFE_INTEGER }]), 'b.js:*');
+  });
+});
+
+// 最終更新: 2026年10月19日 03:30 JST
+// バージョン: v1.1.0
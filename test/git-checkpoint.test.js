@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * git-checkpoint.test.js
+ * 自動修正のGitセーフティネットのテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:40 JST
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+const { GitCheckpoint, BRANCH_PREFIX } = require('../lib/git-checkpoint');
+
+describe('GitCheckpoint', () => {
+  let repo;
+  let originalCwd;
+  const runGit = async (args, options = {}) =>
+    (await execFileAsync('git', args, { env: { ...process.env, ...options.env } })).stdout;
+  const read = file => fs.readFile(file, 'utf8');
+
+  before(async () => {
+    originalCwd = process.cwd();
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-checkpoint-'));
+    process.chdir(repo);
+    await fs.mkdir('src');
+    await fs.writeFile('src/a.js', 'el.innerHTML = x;\n');
+    await fs.writeFile('src/b.js', 'eval(code);\n');
+    await runGit(['init', '-q']);
+    await runGit(['add', '.']);
+    await runGit(['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'init']);
+  });
+
+  after(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('不正なセッションIDを拒否する', () => {
+    assert.match(GitCheckpoint.createSessionId(new Date('2026-10-18T12:34:56Z')), /^20261018-123456-[0-9a-f]{8}$/);
+    assert.throws(() => new GitCheckpoint(runGit, { session: '../x' }), /不正なセッションID/);
+    assert.throws(() => new GitCheckpoint(runGit, { session: '-x' }), /不正なセッションID/);
+  });
+
+  it('作業ツリーを変更せずにチェックポイントと反復ごとのコミットを作成し、元に戻す', async () => {
+    // 未コミットの変更と未追跡ファイルがある状態で開始する
+    await fs.writeFile('src/a.js', 'el.innerHTML = input;\n');
+    await fs.writeFile('src/new.js', 'document.write(x);\n');
+    await runGit(['add', 'src/b.js']);
+    const statusBefore = await runGit(['status', '--porcelain']);
+
+    const checkpoint = new GitCheckpoint(runGit);
+    const manifest = await checkpoint.begin(['src/a.js', 'src/new.js', 'src/b.js']);
+    assert.strictEqual(manifest.status, 'running');
+    assert.strictEqual(manifest.branch, `${BRANCH_PREFIX}${checkpoint.session}`);
+    assert.strictEqual(await runGit(['status', '--porcelain']), statusBefore);
+    assert.strictEqual(await runGit(['show', `${manifest.checkpoint}:src/new.js`]), 'document.write(x);\n');
+
+    // 修正（ファイルの変更・削除・追加）
+    await fs.writeFile('src/a.js', 'el.textContent = input;\n');
+    await fs.rm('src/new.js');
+    await fs.writeFile('src/b.js', 'run(code);\n');
+    const commit = await checkpoint.commitIteration(1, [
+      { agentId: 'xss', files: ['src/a.js'], status: 'applied' },
+      { agentId: 'xss', files: ['src/c.js'], status: 'rejected' }
+    ]);
+    await checkpoint.complete();
+
+    assert.strictEqual((await runGit(['rev-parse', checkpoint.branch])).trim(), commit);
+    assert.strictEqual((await runGit(['rev-parse', `${commit}^`])).trim(), manifest.checkpoint);
+    assert.match(await runGit(['log', '-1', '--format=%B', commit]), /反復 1 の自動修正 1件\n\n- xss: src\/a\.js/);
+    assert.strictEqual(await runGit(['show', `${commit}:src/a.js`]), 'el.textContent = input;\n');
+    await assert.rejects(runGit(['cat-file', '-e', `${commit}:src/new.js`]));
+
+    const [listed] = await GitCheckpoint.list(runGit);
+    assert.strictEqual(listed.status, 'completed');
+    assert.deepStrictEqual(listed.iterations, [{ number: 1, commit, fixes: 1 }]);
+
+    // 実行後の手動の変更がある場合は、force を指定しない限り何も変更しない
+    await fs.writeFile('src/b.js', 'run(code); // 手動\n');
+    await assert.rejects((await GitCheckpoint.load(runGit)).undo(), error =>
+      /実行後に変更されたファイルがあります: src\/b\.js/.test(error.message) &&
+      error.modifiedAfterRun.length === 1
+    );
+    assert.strictEqual(await read('src/a.js'), 'el.textContent = input;\n');
+    assert.strictEqual(await read('src/b.js'), 'run(code); // 手動\n');
+    assert.strictEqual((await GitCheckpoint.load(runGit)).manifest.status, 'completed');
+
+    // force では手動の変更をブランチにコミットしてから戻す
+    const result = await (await GitCheckpoint.load(runGit)).undo({ force: true });
+    assert.deepStrictEqual(result.restored.sort(), ['src/a.js', 'src/b.js', 'src/new.js']);
+    assert.deepStrictEqual(result.modifiedAfterRun, ['src/b.js']);
+    assert.strictEqual((await runGit(['rev-parse', checkpoint.branch])).trim(), result.preserved);
+    assert.strictEqual((await runGit(['rev-parse', `${result.preserved}^`])).trim(), commit);
+    assert.strictEqual(await runGit(['show', `${result.preserved}:src/b.js`]), 'run(code); // 手動\n');
+    assert.strictEqual(await read('src/a.js'), 'el.innerHTML = input;\n');
+    assert.strictEqual(await read('src/new.js'), 'document.write(x);\n');
+    assert.strictEqual(await read('src/b.js'), 'eval(code);\n');
+    assert.strictEqual(await runGit(['status', '--porcelain']), statusBefore);
+
+    await assert.rejects(GitCheckpoint.load(runGit), /元に戻せるセッションがありません/);
+  });
+
+  it('修正をコミットしていないセッションでも実行後の変更はチェックポイントと比べて検出する', async () => {
+    const checkpoint = new GitCheckpoint(runGit);
+    await checkpoint.begin(['src/a.js']);
+    await checkpoint.complete();
+    await fs.writeFile('src/a.js', '// 手動の変更\n');
+
+    await assert.rejects((await GitCheckpoint.load(runGit)).undo(), error =>
+      /実行後に変更されたファイルがあります: src\/a\.js/.test(error.message) &&
+      error.modifiedAfterRun.length === 1);
+    assert.strictEqual(await read('src/a.js'), '// 手動の変更\n');
+
+    const result = await (await GitCheckpoint.load(runGit)).undo({ force: true });
+    assert.deepStrictEqual(result.modifiedAfterRun, ['src/a.js']);
+    assert.strictEqual((await runGit(['rev-parse', `${result.preserved}^`])).trim(), checkpoint.manifest.checkpoint);
+    assert.strictEqual(await runGit(['show', `${result.preserved}:src/a.js`]), '// 手動の変更\n');
+    assert.strictEqual(await read('src/a.js'), 'el.innerHTML = input;\n');
+  });
+
+  it('途中で終了したセッションもサブディレクトリから元に戻し、実行中に作られたファイルを削除する', async () => {
+    const checkpoint = new GitCheckpoint(runGit);
+    await checkpoint.begin(['src/a.js', 'src/created.js']);
+    await fs.writeFile('src/a.js', '// 途中まで修正\n');
+    await fs.writeFile('src/created.js', 'x\n');
+
+    process.chdir('src');
+    try {
+      const loaded = await GitCheckpoint.load(runGit, checkpoint.session);
+      assert.strictEqual(loaded.manifest.status, 'running');
+      const result = await loaded.undo();
+      assert.deepStrictEqual(result.restored, ['a.js']);
+      assert.deepStrictEqual(result.removed, ['created.js']);
+      // 実行による変更か手動の変更か区別できないため、force が無くても戻す前の状態を保存する
+      assert.deepStrictEqual(result.modifiedAfterRun, ['a.js', 'created.js']);
+      assert.strictEqual((await runGit(['rev-parse', checkpoint.branch])).trim(), result.preserved);
+      assert.strictEqual(await runGit(['show', `${result.preserved}:src/a.js`]), '// 途中まで修正\n');
+      assert.strictEqual(await runGit(['show', `${result.preserved}:src/created.js`]), 'x\n');
+    } finally {
+      process.chdir(repo);
+    }
+
+    assert.strictEqual(await read('src/a.js'), 'el.innerHTML = input;\n');
+    await assert.rejects(fs.access('src/created.js'));
+    await assert.rejects(GitCheckpoint.load(runGit, 'unknown-session'), /セッションが見つかりません/);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:40 JST
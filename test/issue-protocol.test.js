@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * issue-protocol.test.js
+ * 構造化イシュープロトコルのテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:25 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { IssueProtocol } = require('../lib/issue-protocol');
+
+const agent = {
+  id: 'security-error-xss-analyzer',
+  category: 'security',
+  priority: 'critical',
+  canAutoFix: true
+};
+
+describe('IssueProtocol', () => {
+  describe('validateIssue', () => {
+    it('有効な問題を受け入れる', () => {
+      const errors = IssueProtocol.validateIssue({
+        ruleId: 'security/xss',
+        level: 'critical',
+        message: 'innerHTMLへの未エスケープ代入',
+        file: 'src/view.js',
+        line: 10,
+        column: 5,
+        endLine: 12
+      });
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('必須フィールドの欠落を検出する', () => {
+      const errors = IssueProtocol.validateIssue({ level: 'fatal' });
+      assert.ok(errors.some(e => e.includes('ruleId')));
+      assert.ok(errors.some(e => e.includes('level')));
+      assert.ok(errors.some(e => e.includes('message')));
+    });
+
+    it('逆転した行範囲を拒否する', () => {
+      const errors = IssueProtocol.validateIssue({
+        ruleId: 'bug/off-by-one',
+        level: 'error',
+        message: 'msg',
+        line: 20,
+        endLine: 10
+      });
+      assert.ok(errors.some(e => e.includes('endLine')));
+    });
+  });
+
+  describe('parse', () => {
+    it('JSONドキュメントをフェンスブロックから抽出する', () => {
+      const output = [
+        '解析が完了しました。',
+        '```json',
+        JSON.stringify({
+          schema: 'smart-review/issues',
+          version: '1.0',
+          issues: [
+            { ruleId: 'security/xss', level: 'critical', message: 'XSS', file: 'a.js', line: 3 },
+            { ruleId: 'bad id!', level: 'critical', message: 'invalid' }
+          ]
+        }),
+        '```'
+      ].join('\n');
+
+      const result = IssueProtocol.parse(output);
+      assert.strictEqual(result.format, 'json');
+      assert.strictEqual(result.issues.length, 1);
+      assert.strictEqual(result.errors.length, 1);
+    });
+
+    it('JSON Linesを解析し、無関係な行を無視する', () => {
+      const output = [
+        'progress: scanning',
+        '{"schema":"smart-review/issue","version":"1.0","ruleId":"bug/null","level":"error","message":"null参照","file":"b.js","line":7}',
+        '{"unrelated":true}'
+      ].join('\n');
+
+      const result = IssueProtocol.parse(output);
+      assert.strictEqual(result.format, 'jsonl');
+      assert.strictEqual(result.issues.length, 1);
+      assert.strictEqual(result.issues[0].schema, undefined);
+    });
+
+    it('未対応バージョンをエラーとして報告する', () => {
+      const result = IssueProtocol.parse('{"schema":"smart-review/issues","version":"9.0","issues":[]}');
+      assert.strictEqual(result.issues.length, 0);
+      assert.match(result.errors[0], /未対応のスキーマバージョン/);
+    });
+
+    it('全件が検証エラーのドキュメントは問題なしとしてエラーのみを返す', () => {
+      const result = IssueProtocol.parse(JSON.stringify({
+        schema: 'smart-review/issues',
+        version: '1.0',
+        issues: [{ ruleId: 'bad id!', level: 'critical', message: 'CRITICAL: SQL injection in db.js:10' }]
+      }));
+      assert.strictEqual(result.format, 'json');
+      assert.deepStrictEqual(result.issues, []);
+      assert.strictEqual(result.errors.length, 1);
+    });
+
+    it('構造化出力が無い場合はnullを返す', () => {
+      assert.strictEqual(IssueProtocol.parse('CRITICAL: SQL injection in db.js:10'), null);
+    });
+  });
+
+  describe('normalizeIssue', () => {
+    it('位置情報・ルールID・修正案を保持する', () => {
+      const issue = IssueProtocol.normalizeIssue({
+        ruleId: 'security/xss',
+        level: 'critical',
+        message: ' XSS ',
+        file: 'a.js',
+        line: 3,
+        column: 2,
+        endLine: 4,
+        fix: { description: 'textContentを使用' }
+      }, agent);
+
+      assert.strictEqual(issue.message, 'XSS');
+      assert.strictEqual(issue.ruleId, 'security/xss');
+      assert.strictEqual(issue.agentId, agent.id);
+      assert.strictEqual(issue.priority, 'critical');
+      assert.strictEqual(issue.endLine, 4);
+      assert.strictEqual(issue.suggestedFix.description, 'textContentを使用');
+    });
+  });
+
+  describe('formatLocation', () => {
+    it('範囲付きの位置を整形する', () => {
+      assert.strictEqual(
+        IssueProtocol.formatLocation({ file: 'a.js', line: 3, column: 2, endLine: 5, endColumn: 1 }),
+        'a.js:3:2-5:1'
+      );
+      assert.strictEqual(IssueProtocol.formatLocation({ file: 'a.js', line: 3 }), 'a.js:3');
+      assert.strictEqual(IssueProtocol.formatLocation({ line: 3 }), '');
+    });
+  });
+});
+
+// 最終更新: 2026年10月19日 03:25 JST
+// バージョン: v1.0.0
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * issue-state.test.js
+ * 反復をまたいだ問題の最終状態のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { IssueState } = require('../lib/issue-state');
+
+const issue = (ruleId, snippet, overrides = {}) => ({
+  agentId: 'security-error-xss-analyzer',
+  ruleId,
+  file: 'src/a.js',
+  line: 1,
+  snippet,
+  ...overrides
+});
+
+const xss = issue('xss/inner-html', 'el.innerHTML = x;');
+const evalIssue = issue('xss/eval', 'eval(code);', { file: 'src/c.js', line: 8 });
+const naming = issue('quality/naming', 'let x;', { agentId: 'deep-code-reviewer' });
+
+const run = (agentId, files, overrides = {}) => ({ agentId, files, ...overrides });
+const XSS = 'security-error-xss-analyzer';
+const REVIEWER = 'deep-code-reviewer';
+
+describe('IssueState', () => {
+  it('再レビューしたファイルの問題はエージェントごとに最新の検出結果に置き換える', () => {
+    const state = new IssueState();
+    state.update(run(XSS, ['src/a.js', 'src/c.js']), [xss, evalIssue]);
+    state.update(run(REVIEWER, ['src/a.js', 'src/c.js']), [naming]);
+
+    // 2回目の反復は修正した src/a.js のみを再レビューし、どちらのエージェントも問題を検出しない
+    state.update(run(XSS, ['./src/a.js']), []);
+    state.update(run(REVIEWER, ['src/a.js']), []);
+    assert.deepStrictEqual(state.issues, [evalIssue]);
+  });
+
+  it('失敗・スキップした実行では以前の問題を残す', () => {
+    const state = new IssueState();
+    state.update(run(XSS, ['src/a.js']), [xss]);
+    state.update(run(XSS, ['src/a.js'], { error: 'timeout' }), []);
+    state.update(run(XSS, ['src/a.js'], { skipped: { reason: 'circuit-open' } }), []);
+    assert.deepStrictEqual(state.issues, [xss]);
+  });
+
+  it('修正を適用した問題を取り除き、再レビューで残っていれば戻す', () => {
+    const state = new IssueState();
+    state.update(run(XSS, ['src/a.js', 'src/c.js']), [xss, { ...xss, line: 9 }, evalIssue]);
+    state.resolve([xss]);
+    assert.deepStrictEqual(state.issues, [evalIssue]);
+
+    const movedXss = { ...xss, line: 3 };
+    state.update(run(XSS, ['src/a.js']), [movedXss]);
+    assert.deepStrictEqual(state.issues, [evalIssue, movedXss]);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:35 JST
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * junit-writer.test.js
+ * JUnit XML出力のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:30 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { JUnitWriter } = require('../lib/junit-writer');
+
+const agents = [
+  { id: 'security-error-xss-analyzer', name: 'XSS & セキュリティ', priority: 'critical' },
+  { id: 'deep-code-reviewer', name: 'レビュアー', priority: 'high' },
+  { id: 'project-documentation-updater', name: 'ドキュメント', priority: 'low' }
+];
+
+const issues = [
+  {
+    agentId: 'security-error-xss-analyzer',
+    ruleId: 'xss/inner-html',
+    priority: 'critical',
+    message: '<div> への未エスケープ代入',
+    file: 'src/view.js',
+    line: 10,
+    suggestedFix: { description: 'textContent を使う' }
+  },
+  {
+    agentId: 'project-documentation-updater',
+    ruleId: 'docs/missing',
+    priority: 'low',
+    message: 'READMEが古い'
+  }
+];
+
+const agentRuns = [
+  { agentId: 'security-error-xss-analyzer', agentName: 'XSS', iteration: 1, executionTime: 1500, issuesFound: 1 },
+  { agentId: 'deep-code-reviewer', agentName: 'レビュアー', iteration: 1, batch: 2, executionTime: 500, error: 'エージェント実行タイムアウト' },
+  { agentId: 'project-documentation-updater', agentName: 'ドキュメント', iteration: 1, executionTime: 250, issuesFound: 1 }
+];
+
+describe('JUnitWriter', () => {
+  const report = JUnitWriter.build({ agents, issues, agentRuns, timestamp: '2026-10-18T00:00:00.000Z' });
+
+  it('エージェントごとにテストスイートを作成する', () => {
+    assert.deepStrictEqual(report.suites.map(s => s.name), [
+      'security-error-xss-analyzer',
+      'deep-code-reviewer',
+      'project-documentation-updater'
+    ]);
+    assert.strictEqual(report.suites[0].time, 1.5);
+    assert.strictEqual(report.suites[0].displayName, 'XSS & セキュリティ');
+  });
+
+  it('critical/high の問題を失敗したテストケースにする', () => {
+    const [testcase] = report.suites[0].testcases;
+    assert.strictEqual(testcase.name, 'xss/inner-html (src/view.js:10)');
+    assert.strictEqual(testcase.file, 'src/view.js');
+    assert.strictEqual(testcase.failure.type, 'critical');
+    assert.strictEqual(testcase.failure.message, '<div> への未エスケープ代入');
+    assert.match(testcase.failure.details, /修正案: textContent を使う/);
+  });
+
+  it('実行エラーはerror、問題なしは成功したテストケースにする', () => {
+    const [errored] = report.suites[1].testcases;
+    assert.strictEqual(errored.name, 'エージェント実行 (反復 1, バッチ 2)');
+    assert.strictEqual(errored.error.message, 'エージェント実行タイムアウト');
+
+    // low の問題は失敗に含めない
+    const passed = report.suites[2].testcases;
+    assert.strictEqual(passed.length, 1);
+    assert.strictEqual(passed[0].failure, undefined);
+    assert.strictEqual(passed[0].error, undefined);
+
+    assert.strictEqual(report.tests, 3);
+    assert.strictEqual(report.failures, 1);
+    assert.strictEqual(report.errors, 1);
+  });
+
+  it('実行されなかったエージェントのテストスイートは出力しない', () => {
+    const empty = JUnitWriter.build({ agents, issues: [], agentRuns: [], timestamp: '2026-10-18T00:00:00.000Z' });
+    assert.deepStrictEqual(empty.suites, []);
+    assert.strictEqual(empty.tests, 0);
+    assert.ok(JUnitWriter.serialize(empty).includes('<testsuites name="Smart Review" tests="0" failures="0" errors="0"'));
+
+    const partial = JUnitWriter.build({ agents, issues: [], agentRuns: agentRuns.slice(2) });
+    assert.deepStrictEqual(partial.suites.map(s => s.name), ['project-documentation-updater']);
+  });
+
+  it('XMLをエスケープして出力する', () => {
+    const xml = JUnitWriter.serialize(report);
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Smart Review" tests="3" failures="1" errors="1"'));
+    assert.ok(xml.includes('<failure message="&lt;div&gt; への未エスケープ代入" type="critical">'));
+    assert.ok(xml.includes('<property name="agentName" value="XSS &amp; セキュリティ"/>'));
+    assert.ok(xml.includes('<error message="エージェント実行タイムアウト" type="AgentExecutionError"/>'));
+    assert.ok(xml.includes('time="1.500"'));
+  });
+
+  it('XMLで使用できない制御文字を除去する', () => {
+    assert.strictEqual(JUnitWriter.escapeXml('a\u0001b"c\''), 'ab&quot;c&apos;');
+    assert.strictEqual(JUnitWriter.escapeXml('x\uFFFEy\uFFFFz\uD800w\uDC00'), 'xyzw');
+    // タブ・改行と、対になったサロゲート（絵文字）は残す
+    assert.strictEqual(JUnitWriter.escapeXml('a\tb\r\nc 🎉'), 'a\tb\r\nc 🎉');
+  });
+});
+
+// 最終更新: 2026年10月19日 03:30 JST
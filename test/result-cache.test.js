@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * result-cache.test.js
+ * エージェント実行結果のディスクキャッシュのテスト
+ *
+ * バージョン: v1.4.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+const { ResultCache } = require('../lib/result-cache');
+
+const result = { agentId: 'xss', issues: [{ message: 'innerHTML unsafe', file: 'src/a.js' }], executionTime: 1200 };
+
+describe('ResultCache', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-review-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const keyFor = (content, extra = {}) => ResultCache.createKey({
+    agentId: 'xss',
+    promptHash: 'p',
+    model: 'sonnet',
+    files: [{ file: 'src/a.js', hash: ResultCache.hash(content) }],
+    ...extra
+  });
+
+  it('キーはファイル内容・モデル・指示内容・エージェント定義・設定で変わり、ファイルの順序や時刻には依存しない', async () => {
+    const files = [{ file: 'b.js', hash: '2' }, { file: 'a.js', hash: '1' }];
+    const spec = { agentId: 'xss', promptHash: 'p', model: 'sonnet', files };
+    assert.match(ResultCache.createKey(spec), /^[0-9a-f]{64}$/);
+    assert.strictEqual(ResultCache.createKey(spec), ResultCache.createKey({ ...spec, files: [...files].reverse() }));
+    assert.notStrictEqual(ResultCache.createKey(spec), ResultCache.createKey({ ...spec, model: 'opus' }));
+    assert.notStrictEqual(ResultCache.createKey(spec), ResultCache.createKey({ ...spec, promptHash: 'q' }));
+    assert.notStrictEqual(keyFor('a'), keyFor('b'));
+
+    // エージェント定義・問題の内容に影響する設定・ツールのバージョンの変更で無効になる
+    assert.notStrictEqual(keyFor('a'), keyFor('a', { definitionHash: ResultCache.hash('# agent v2') }));
+    assert.notStrictEqual(keyFor('a'), keyFor('a', { toolVersion: '2.3.0' }));
+    const agent = { id: 'xss', name: 'XSS', priority: 'critical', errorTypes: ['xss'] };
+    assert.deepStrictEqual(ResultCache.configSlice(agent), {
+      role: null, category: null, priority: 'critical', errorTypes: ['xss'], canAutoFix: null
+    });
+    assert.strictEqual(
+      keyFor('a', { config: ResultCache.configSlice(agent) }),
+      keyFor('a', { config: ResultCache.configSlice({ ...agent, name: '名前の変更' }) })
+    );
+    assert.notStrictEqual(
+      keyFor('a', { config: ResultCache.configSlice(agent) }),
+      keyFor('a', { config: ResultCache.configSlice({ ...agent, priority: 'high' }) })
+    );
+    // 実行方式を指定・変更すると無効になる
+    assert.notStrictEqual(
+      keyFor('a', { config: ResultCache.configSlice(agent) }),
+      keyFor('a', { config: ResultCache.configSlice({ ...agent, runtime: { type: 'fixture', dir: 'fixtures' } }) })
+    );
+
+    const file = path.join(dir, 'a.js');
+    await fs.writeFile(file, 'el.innerHTML = x;\n');
+    assert.strictEqual(await ResultCache.hashFile(file), ResultCache.hash('el.innerHTML = x;\n'));
+    assert.strictEqual(await ResultCache.hashFile(path.join(dir, 'missing.js')), null);
+  });
+
+  it('結果をファイルごとに分け、キャッシュ済みの結果とまとめる', () => {
+    const issueA = { ruleId: 'xss/inner-html', file: './src/a.js', line: 2, message: 'innerHTML <unsafe>' };
+    const issueB = { ruleId: 'xss/eval', file: 'src/b.js', line: 1, message: 'eval' };
+    const parts = ResultCache.splitByFile({
+      issues: [issueA, issueB],
+      suppressed: [{ ...issueB, line: 5 }],
+      suppressionErrors: ['src/b.js:3: 抑制コメントには理由（「 -- 」の後の説明）が必要です']
+    }, ['src/a.js', 'src/b.js', 'src/c.js']);
+
+    assert.deepStrictEqual([...parts.keys()], ['src/a.js', 'src/b.js', 'src/c.js']);
+    assert.deepStrictEqual(parts.get('src/a.js'), { issues: [issueA], suppressed: [], suppressionErrors: [] });
+    assert.strictEqual(parts.get('src/b.js').suppressed.length, 1);
+    assert.strictEqual(parts.get('src/b.js').suppressionErrors.length, 1);
+    assert.deepStrictEqual(parts.get('src/c.js').issues, []);
+
+    // どのファイルの問題か特定できない結果は分けない
+    assert.strictEqual(ResultCache.splitByFile({ issues: [{ ...issueA, file: undefined }] }, ['src/a.js']), null);
+    assert.strictEqual(ResultCache.splitByFile({ issues: [issueA] }, ['src/b.js']), null);
+
+    // 同じ位置の同じ問題は1件にまとめる
+    const merged = ResultCache.mergeParts([parts.get('src/a.js'), parts.get('src/b.js'), { issues: [issueA, issueB] }]);
+    assert.deepStrictEqual(merged.issues, [issueA, issueB]);
+    assert.strictEqual(merged.suppressionErrors.length, 1);
+  });
+
+  it('保存した結果を別のインスタンス（次回の実行）から取得する', async () => {
+    const key = keyFor('a');
+    await new ResultCache({ dir }).set('xss', key, result);
+
+    const cache = new ResultCache({ dir });
+    assert.deepStrictEqual(await cache.get('xss', key), result);
+    assert.strictEqual(await cache.get('xss', keyFor('b')), null);
+    assert.deepStrictEqual(cache.counters, { hits: 1, misses: 1, writes: 0, evictions: 0 });
+    assert.throws(() => cache.entryPath('xss', '../x'), /不正なキャッシュキー/);
+
+    const stats = await cache.stats();
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.agents.xss.entries, 1);
+  });
+
+  it('合計サイズの上限を超えると最後に使われた日時の古いエントリから削除する', async () => {
+    const cache = new ResultCache({ dir });
+    const keys = ['a', 'b', 'c'].map(content => keyFor(content));
+    for (const [index, key] of keys.entries()) {
+      await cache.set('xss', key, result);
+      const time = new Date(Date.now() - (10 - index) * 60000);
+      await fs.utimes(cache.entryPath('xss', key), time, time);
+    }
+    // 最も古い a を使うと、次に古い b が削除対象になる
+    assert.ok(await cache.get('xss', keys[0]));
+    const { size } = await fs.stat(cache.entryPath('xss', keys[0]));
+    const evicted = await cache.evict(size * 2);
+
+    assert.deepStrictEqual(evicted, { removed: 1, bytes: size });
+    assert.strictEqual(await cache.get('xss', keys[1]), null);
+    assert.ok(await cache.get('xss', keys[0]));
+    assert.ok(await cache.get('xss', keys[2]));
+  });
+
+  it('prune は期限切れ・壊れたエントリを削除し、clear はすべて削除する', async () => {
+    const cache = new ResultCache({ dir, maxAge: 60000 });
+    await cache.set('xss', keyFor('a'), result);
+    await cache.set('debugger', keyFor('b'), result);
+
+    const expired = cache.entryPath('xss', keyFor('a'));
+    const entry = JSON.parse(await fs.readFile(expired, 'utf8'));
+    entry.createdAt = new Date(Date.now() - 120000).toISOString();
+    await fs.writeFile(expired, JSON.stringify(entry));
+    await fs.writeFile(path.join(dir, 'debugger', `${keyFor('c')}.json`), '{');
+
+    const pruned = await cache.prune();
+    assert.strictEqual(pruned.removed, 2);
+    assert.strictEqual((await cache.stats()).entries, 1);
+    assert.ok(await cache.get('debugger', keyFor('b')));
+
+    assert.strictEqual((await cache.clear()).removed, 1);
+    assert.strictEqual((await cache.stats()).entries, 0);
+  });
+
+  it('clear はキャッシュディレクトリ直下のサーキットブレーカーの状態を残す', async () => {
+    const cache = new ResultCache({ dir });
+    await cache.set('xss', keyFor('a'), result);
+    await fs.writeFile(path.join(dir, 'circuit-breaker.json'), '{}');
+
+    assert.strictEqual((await cache.clear()).removed, 1);
+    assert.deepStrictEqual(await fs.readdir(dir), ['circuit-breaker.json']);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
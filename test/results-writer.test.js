@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * results-writer.test.js
+ * 実行結果JSONのテスト
+ *
+ * バージョン: v1.10.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ResultsWriter, RESULTS_SCHEMA, RESULTS_SCHEMA_VERSION } = require('../lib/results-writer');
+const { IssueProtocol } = require('../lib/issue-protocol');
+
+const issue = {
+  agentId: 'security-error-xss-analyzer',
+  ruleId: 'xss/inner-html',
+  level: 'critical',
+  priority: 'critical',
+  category: 'security',
+  type: 'xss',
+  message: '<div> への代入',
+  file: './src/view.js',
+  line: 10,
+  autoFixAvailable: true,
+  suggestedFix: { description: '"textContent" を使う', diff: '--- a/src/view.js' }
+};
+
+const lowIssue = {
+  agentId: 'project-documentation-updater',
+  priority: 'low',
+  type: 'docs',
+  message: 'READMEが古い'
+};
+
+const executionContext = {
+  scope: 'changes',
+  target: '.',
+  startTime: '2026-10-18T00:00:00.000Z',
+  endTime: '2026-10-18T00:01:00.000Z',
+  changeMode: 'staged',
+  changedFiles: ['src/view.js'],
+  deletedFiles: ['old.js'],
+  renamedFiles: [],
+  skippedFiles: [],
+  allIssues: [issue, lowIssue],
+  iterations: [{
+    number: 1,
+    timestamp: '2026-10-18T00:00:30.000Z',
+    changedFiles: ['src/view.js'],
+    issuesFixed: 1,
+    newIssues: [issue],
+    fixes: [{ agentId: 'security-error-xss-analyzer', files: ['src/view.js'], issues: ['f'], status: 'applied', reason: null, diff: '--- a/src/view.js' }],
+    convergence: { resolved: 0, persisting: 0, introduced: 1, reintroduced: 0 },
+    fixDecisions: [{ agentId: 'security-error-xss-analyzer', file: 'src/view.js', hunk: '@@ -1 +1 @@', decision: 'edit', issues: ['f'] }]
+  }],
+  agentRuns: [
+    { agentId: 'security-error-xss-analyzer', agentName: 'XSS', iteration: 1, executionTime: 1200, issuesFound: 1, cacheHits: 3, cacheMisses: 1 },
+    { agentId: 'security-error-xss-analyzer', agentName: 'XSS', iteration: 2, executionTime: 800, issuesFound: 0, cacheHits: 0, cacheMisses: 1, attempts: 3, error: 'タイムアウト' },
+    { agentId: 'project-documentation-updater', agentName: 'Docs', iteration: 1, executionTime: 100, issuesFound: 1 }
+  ],
+  suppressedIssues: [{ ...lowIssue, suppression: { scope: 'file', rules: ['*'], reason: '"生成"ファイル', line: 1 } }],
+  invalidSuppressions: ['a.js:3: 理由が必要です'],
+  finalCommentResult: null,
+  metrics: { totalExecutionTime: 60000, filesAnalyzed: 1, issuesFound: 2, issuesFixed: 1, issuesOutsideDiff: 0 }
+};
+
+describe('ResultsWriter', () => {
+  const document = ResultsWriter.build(executionContext, {
+    toolVersion: '2.2.0',
+    priorityThreshold: 'medium',
+    inTodo: i => i.priority !== 'low',
+    outputs: { json: 'results.json' }
+  });
+
+  it('スキーマとバージョンを出力する', () => {
+    assert.strictEqual(document.schema, RESULTS_SCHEMA);
+    assert.strictEqual(document.version, RESULTS_SCHEMA_VERSION);
+    assert.deepStrictEqual(document.tool, { name: 'smart-review', version: '2.2.0' });
+    assert.strictEqual(document.run.changeMode, 'staged');
+    assert.strictEqual(document.run.priorityThreshold, 'medium');
+    assert.deepStrictEqual(document.files.deleted, ['old.js']);
+    assert.strictEqual(document.metrics.issuesFixed, 1);
+    assert.deepStrictEqual(document.outputs, { json: 'results.json' });
+    assert.strictEqual(document.run.dryRun, false);
+    assert.strictEqual(document.fixPatch, null);
+    assert.strictEqual(document.checkpoint, null);
+    assert.strictEqual(document.convergence, null);
+  });
+
+  it('エージェントごとの実行時間とエラーを集計する', () => {
+    const [xss, docs] = document.agents;
+    assert.strictEqual(xss.runs, 2);
+    assert.strictEqual(xss.totalExecutionTime, 2000);
+    assert.deepStrictEqual(xss.errors, [{ iteration: 2, batch: null, message: 'タイムアウト' }]);
+    assert.strictEqual(docs.errors.length, 0);
+    assert.strictEqual(document.agentRuns.length, 3);
+    assert.strictEqual(document.agentRuns[0].error, null);
+  });
+
+  it('再試行した回数を記録する', () => {
+    const [xss, docs] = document.agents;
+    assert.deepStrictEqual(document.agentRuns.map(run => run.attempts), [1, 3, 1]);
+    assert.strictEqual(xss.retries, 2);
+    assert.strictEqual(docs.retries, 0);
+  });
+
+  it('エージェントごとの結果キャッシュのヒット・ミスを記録する', () => {
+    const [xss, docs] = document.agents;
+    assert.deepStrictEqual([xss.cacheHits, xss.cacheMisses], [3, 2]);
+    assert.deepStrictEqual([docs.cacheHits, docs.cacheMisses], [0, 0]);
+    assert.deepStrictEqual([document.agentRuns[0].cacheHits, document.agentRuns[0].cacheMisses], [3, 1]);
+  });
+
+  it('問題をプレーンテキストで出力しTODO対象を示す', () => {
+    const [first, second] = document.issues;
+    assert.strictEqual(first.message, '<div> への代入');
+    assert.strictEqual(first.file, 'src/view.js');
+    assert.strictEqual(first.suggestedFix.description, '"textContent" を使う');
+    assert.strictEqual(first.inTodo, true);
+    assert.match(first.fingerprint, /^[0-9a-f]{64}$/);
+    assert.strictEqual(second.ruleId, 'project-documentation-updater/docs');
+    assert.strictEqual(second.file, null);
+    assert.strictEqual(second.inTodo, false);
+  });
+
+  it('反復ごとの件数とフィンガープリントを出力する', () => {
+    const [iteration] = document.iterations;
+    assert.strictEqual(iteration.issuesFound, 1);
+    assert.strictEqual(iteration.issuesFixed, 1);
+    assert.deepStrictEqual(iteration.fingerprints, [document.issues[0].fingerprint]);
+    assert.strictEqual(iteration.commit, null);
+    assert.deepStrictEqual(iteration.convergence, { resolved: 0, persisting: 0, introduced: 1, reintroduced: 0 });
+    assert.deepStrictEqual(iteration.fixes, [
+      { agentId: 'security-error-xss-analyzer', files: ['src/view.js'], issues: ['f'], status: 'applied', reason: null }
+    ]);
+    assert.deepStrictEqual(iteration.decisions, [
+      { agentId: 'security-error-xss-analyzer', file: 'src/view.js', hunk: '@@ -1 +1 @@', decision: 'edit', issues: ['f'] }
+    ]);
+  });
+
+  it('抑制された問題と無効な抑制コメントを出力する', () => {
+    const [suppressed] = document.suppressed;
+    assert.strictEqual(suppressed.inTodo, false);
+    assert.deepStrictEqual(suppressed.suppression, { scope: 'file', rules: ['*'], reason: '"生成"ファイル', line: 1 });
+    assert.deepStrictEqual(document.invalidSuppressions, ['a.js:3: 理由が必要です']);
+  });
+
+  it('実行ポリシーで中止した理由とスキップしたエージェントを出力する', () => {
+    const skipped = {
+      agentId: 'deep-code-reviewer',
+      agentName: 'ディープ&レビュー',
+      iteration: 1,
+      executionTime: 0,
+      issuesFound: 0,
+      skipped: { policy: 'stopOnCritical', reason: 'XSS が重大な問題を検出しました (1件)' }
+    };
+    const aborted = ResultsWriter.build({
+      ...executionContext,
+      agentRuns: [...executionContext.agentRuns, skipped],
+      abort: { policy: 'stopOnCritical', message: 'XSS が重大な問題を検出しました (1件)', skippedAgents: [skipped] }
+    });
+
+    assert.deepStrictEqual(aborted.abort, {
+      policy: 'stopOnCritical',
+      message: 'XSS が重大な問題を検出しました (1件)',
+      skippedAgents: [{ agentId: 'deep-code-reviewer', agentName: 'ディープ&レビュー', iteration: 1, batch: null }]
+    });
+    assert.deepStrictEqual(aborted.agentRuns[3].skipped, skipped.skipped);
+    assert.strictEqual(aborted.agentRuns[0].skipped, null);
+    assert.strictEqual(aborted.agents[2].skipped, 1);
+    assert.strictEqual(document.abort, null);
+  });
+
+  it('サーキットブレーカーが開いているエージェントを出力する', () => {
+    const breaker = {
+      failureThreshold: 3,
+      cooldownSeconds: null,
+      agents: [{
+        agentId: 'deep-code-reviewer',
+        agentName: 'ディープ&レビュー',
+        failures: 3,
+        skipped: 2,
+        openedAt: '2026-10-19T00:00:00.000Z',
+        retryAt: null,
+        lastError: 'コマンドが見つかりません'
+      }]
+    };
+    const opened = ResultsWriter.build({ ...executionContext, circuitBreaker: breaker });
+
+    assert.deepStrictEqual(opened.circuitBreaker, {
+      ...breaker,
+      agents: [{ ...breaker.agents[0], agentName: 'ディープ&レビュー' }]
+    });
+    assert.strictEqual(document.circuitBreaker, null);
+  });
+
+  it('ツールエージェントの問題をまとめた結果を出力する', () => {
+    const eslintIssue = { agentId: 'eslint', ruleId: 'eslint/no-unsanitized', level: 'error', message: 'innerHTML', file: 'src/view.js', line: 10 };
+    const merged = ResultsWriter.build({
+      ...executionContext,
+      toolFindings: {
+        agents: [{ agentId: 'eslint', agentName: 'ESLint & ルール' }],
+        duplicates: [{ issue: eslintIssue, duplicateOf: issue }],
+        llmOnly: 1,
+        toolOnly: 0,
+        both: 1,
+        toolFindings: 1
+      }
+    });
+
+    assert.deepStrictEqual(merged.toolFindings, {
+      agents: [{ agentId: 'eslint', agentName: 'ESLint & ルール' }],
+      llmOnly: 1,
+      toolOnly: 0,
+      both: 1,
+      duplicates: [{ fingerprint: IssueProtocol.fingerprint(eslintIssue), duplicateOf: merged.issues[0].fingerprint }]
+    });
+    assert.strictEqual(document.toolFindings, null);
+  });
+
+  it('JSONとして往復できる', () => {
+    assert.deepStrictEqual(JSON.parse(ResultsWriter.serialize(document)), document);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * retry-policy.test.js
+ * エージェント実行のタイムアウトと再試行のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:50 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const { RetryPolicy, RETRY_DEFAULTS } = require('../lib/retry-policy');
+
+const execFileAsync = promisify(execFile);
+
+describe('RetryPolicy', () => {
+  it('失敗した実行をバックオフして再試行し、試行回数を返す', async () => {
+    const delays = [];
+    const retried = [];
+    const policy = new RetryPolicy({ retries: 3, retryDelay: 100 }, {
+      sleep: async ms => { delays.push(ms); },
+      random: () => 0.5
+    });
+
+    let calls = 0;
+    const result = await policy.run(async () => {
+      calls++;
+      if (calls < 3) {
+        throw Object.assign(new Error(`一時的なエラー ${calls}`), { code: 'ECONNRESET' });
+      }
+      return 'ok';
+    }, { onRetry: (error, attempt) => retried.push(`${attempt}:${error.message}`) });
+
+    assert.deepStrictEqual(result, { value: 'ok', attempts: 3 });
+    assert.deepStrictEqual(retried, ['1:一時的なエラー 1', '2:一時的なエラー 2']);
+    // 上限（100, 200）の半分 + ジッター（上限の半分 × 0.5）
+    assert.deepStrictEqual(delays, [75, 150]);
+  });
+
+  it('すべての試行が失敗したら最後のエラーを試行回数付きで返す', async () => {
+    const policy = new RetryPolicy({ retries: 2, retryDelay: 0 });
+    let calls = 0;
+    await assert.rejects(policy.run(async () => {
+      calls++;
+      throw Object.assign(new Error(`失敗 ${calls}`), { statusCode: 503 });
+    }), error => error.message === '失敗 3' && error.attempts === 3);
+
+    const once = new RetryPolicy({ retries: 0 });
+    await assert.rejects(once.run(async () => { throw new Error('失敗'); }), error => error.attempts === 1);
+  });
+
+  it('タイムアウト・一時的なエラー・HTTP 5xx 以外の失敗は再試行しない', async () => {
+    const policy = new RetryPolicy({ retries: 3, retryDelay: 0 });
+    let calls = 0;
+    await assert.rejects(policy.run(async () => {
+      calls++;
+      throw Object.assign(new Error('Command failed: claude agent run'), { code: 1 });
+    }), error => error.attempts === 1);
+    assert.strictEqual(calls, 1);
+
+    assert.deepStrictEqual(
+      [{ code: 'ETIMEDOUT' }, { code: 'EAGAIN' }, { code: 'ECONNRESET' }, { statusCode: 502 }]
+        .map(error => RetryPolicy.isRetryable(error)),
+      [true, true, true, true]
+    );
+    assert.deepStrictEqual(
+      [{ code: 'ENOENT' }, { code: 1 }, { statusCode: 400 }, {}].map(error => RetryPolicy.isRetryable(error)),
+      [false, false, false, false]
+    );
+  });
+
+  it('待ち時間は倍になり、上限を超えない', () => {
+    const low = new RetryPolicy({ retryDelay: 1000, maxRetryDelay: 5000 }, { random: () => 0 });
+    const high = new RetryPolicy({ retryDelay: 1000, maxRetryDelay: 5000 }, { random: () => 0.999999 });
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => low.backoff(attempt)), [500, 1000, 2000, 2500, 2500]);
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => high.backoff(attempt)), [1000, 2000, 4000, 5000, 5000]);
+  });
+
+  it('タイムアウトすると子プロセスを終了する', async () => {
+    const policy = new RetryPolicy({ timeout: 200, retries: 0 });
+    let child = null;
+
+    await assert.rejects(policy.run(signal => {
+      const pending = execFileAsync(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { signal });
+      child = pending.child;
+      return pending;
+    }), error => error.code === 'ETIMEDOUT' && /エージェント実行タイムアウト \(200ms\)/.test(error.message));
+
+    await new Promise(resolve => child.exitCode !== null || child.signalCode ? resolve() : child.once('exit', resolve));
+    assert.strictEqual(child.signalCode, 'SIGTERM');
+  });
+
+  it('完了した実行のタイマーを解除する', async () => {
+    const policy = new RetryPolicy({ timeout: 60000 });
+    const timers = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length;
+    const before = timers();
+    assert.strictEqual(await policy.withTimeout(async () => 'ok'), 'ok');
+    await assert.rejects(policy.withTimeout(async () => { throw new Error('失敗'); }), /失敗/);
+    assert.strictEqual(timers(), before);
+  });
+
+  it('AbortController の無い環境では signal を渡さずにタイムアウトする', async () => {
+    const original = global.AbortController;
+    delete global.AbortController;
+    try {
+      const policy = new RetryPolicy({ timeout: 50, retries: 0 });
+      let received = null;
+      await assert.rejects(policy.withTimeout(signal => {
+        received = signal;
+        return new Promise(() => {});
+      }), error => error.code === 'ETIMEDOUT');
+      assert.strictEqual(received, undefined);
+      assert.strictEqual(await policy.withTimeout(async () => 'ok'), 'ok');
+    } finally {
+      global.AbortController = original;
+    }
+  });
+
+  it('不正な timeout・retries・retryDelay を検出し、省略時は既定値を使う', () => {
+    assert.deepStrictEqual(RetryPolicy.validate({ timeout: 5000, retries: 2, retryDelay: 0 }, 0), []);
+    assert.deepStrictEqual(RetryPolicy.validate({ timeout: 0, retries: 6, retryDelay: -1 }, 1), [
+      'agents[1].timeoutは1以上の整数（ミリ秒）である必要があります',
+      'agents[1].retriesは0-5の整数である必要があります',
+      'agents[1].retryDelayは0以上の数（ミリ秒）である必要があります'
+    ]);
+
+    const policy = new RetryPolicy();
+    assert.deepStrictEqual(
+      [policy.timeout, policy.retries, policy.retryDelay],
+      [RETRY_DEFAULTS.timeout, RETRY_DEFAULTS.retries, RETRY_DEFAULTS.retryDelay]
+    );
+  });
+});
+
+// 最終更新: 2026年10月19日 03:50 JST
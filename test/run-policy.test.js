@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * run-policy.test.js
+ * エージェント実行の早期中止ポリシーのテスト
+ *
+ * バージョン: v1.1.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { RunPolicy } = require('../lib/run-policy');
+const { ToolAnalyzers } = require('../lib/tool-analyzers');
+
+const result = (levels, extra = {}) => ({
+  agentName: 'セキュリティ&XSS',
+  issues: levels.map(level => ({ level, message: level })),
+  ...extra
+});
+
+describe('RunPolicy', () => {
+  it('critical の問題を検出したら中止する（失敗したエージェントは数えない）', () => {
+    const policy = new RunPolicy({ stopOnCritical: true });
+    assert.strictEqual(policy.observe(result(['warning', 'error'])), null);
+    assert.strictEqual(policy.observe(result(['critical'], { error: 'タイムアウト' })), null);
+
+    const stopped = policy.observe(result(['critical', 'critical']));
+    assert.deepStrictEqual(stopped, { policy: 'stopOnCritical', message: 'セキュリティ&XSS が重大な問題を検出しました (2件)' });
+    assert.strictEqual(policy.check(), stopped);
+    assert.strictEqual(new RunPolicy().observe(result(['critical'])), null);
+  });
+
+  it('filter で除外した問題（変更行外・ベースライン既知）は数えない', () => {
+    const policy = new RunPolicy({ stopOnCritical: true, maxTotalIssues: 2 });
+    const inDiff = issues => issues.filter(issue => issue.level !== 'critical');
+    assert.strictEqual(policy.observe(result(['critical', 'warning']), inDiff), null);
+    assert.strictEqual(policy.totalIssues, 1);
+    assert.strictEqual(policy.observe(result(['critical']), inDiff), null);
+    assert.strictEqual(policy.observe(result(['critical'])).policy, 'stopOnCritical');
+  });
+
+  it('問題の合計が上限に達したら中止する', () => {
+    const policy = new RunPolicy({ maxTotalIssues: 3 });
+    assert.strictEqual(policy.observe(result(['info', 'info'])), null);
+    assert.strictEqual(policy.observe(result(['warning'])).policy, 'maxTotalIssues');
+    assert.strictEqual(policy.totalIssues, 3);
+  });
+
+  it('merge でまとめたツールエージェントの問題は数えない', () => {
+    const merge = issues => ToolAnalyzers.merge(issues, new Set(['eslint'])).issues;
+    const policy = new RunPolicy({ stopOnCritical: true, maxTotalIssues: 3 }, { merge });
+    const eslint = {
+      agentName: 'ESLint',
+      issues: [
+        { agentId: 'eslint', level: 'critical', message: 'eval', file: 'src/view.js', line: 3 },
+        { agentId: 'eslint', level: 'warning', message: 'unused', file: 'src/view.js', line: 8 }
+      ]
+    };
+    const llm = {
+      agentName: 'セキュリティ&XSS',
+      issues: [
+        { agentId: 'security', level: 'error', message: 'evalに入力を渡しています', file: 'src/view.js', line: 2, endLine: 4 },
+        { agentId: 'security', level: 'warning', message: 'innerHTML', file: 'src/view.js', line: 8 }
+      ]
+    };
+
+    assert.strictEqual(policy.observe(llm), null);
+    // LLMエージェントの問題と同じ位置のため、ツールの critical は終了コードの判定と同じく数えない
+    assert.strictEqual(policy.observe(eslint), null);
+    assert.strictEqual(policy.totalIssues, 2);
+    assert.strictEqual(policy.observe(result(['info'])).policy, 'maxTotalIssues');
+  });
+
+  it('実行開始からの経過時間が上限を超えたら中止し、最初の理由を保持する', () => {
+    let now = 1000;
+    const policy = new RunPolicy({ budgetSeconds: 30, stopOnCritical: true }, { now: () => now });
+    assert.strictEqual(policy.check(), null);
+
+    now += 30000;
+    assert.deepStrictEqual(policy.check(), { policy: 'budgetSeconds', message: '実行時間が上限 (30秒) を超えました' });
+    assert.strictEqual(policy.observe(result(['critical'])).policy, 'budgetSeconds');
+  });
+
+  it('設定を検証する', () => {
+    assert.deepStrictEqual(RunPolicy.validate({ stopOnCritical: true, maxTotalIssues: 10, budgetSeconds: 1.5 }), []);
+    assert.deepStrictEqual(RunPolicy.validate({ maxTotalIssues: null, budgetSeconds: null }), []);
+    assert.deepStrictEqual(RunPolicy.validate({ stopOnCritical: 'yes', maxTotalIssues: 0, budgetSeconds: -1 }), [
+      'policies.stopOnCriticalは真偽値である必要があります',
+      'policies.maxTotalIssuesは1以上の整数である必要があります',
+      'policies.budgetSecondsは正の数である必要があります'
+    ]);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * sarif-writer.test.js
+ * SARIFエクスポートのテスト
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SarifWriter, SARIF_VERSION } = require('../lib/sarif-writer');
+
+const agents = [
+  {
+    id: 'security-error-xss-analyzer',
+    name: 'XSS & セキュリティ解析',
+    role: 'XSS脆弱性を検出する',
+    priority: 'critical',
+    category: 'security',
+    errorTypes: ['xss']
+  },
+  {
+    id: 'code-comment-annotator-ja',
+    name: 'コメント注釈',
+    priority: 'low',
+    category: 'documentation'
+  }
+];
+
+const issues = [
+  {
+    agentId: 'security-error-xss-analyzer',
+    ruleId: 'xss/inner-html',
+    level: 'critical',
+    priority: 'critical',
+    category: 'security',
+    type: 'xss',
+    message: '<div> への未エスケープ代入',
+    file: './src/view.js',
+    line: 10,
+    column: 5,
+    endLine: 12,
+    snippet: 'el.innerHTML = input;'
+  },
+  {
+    agentId: 'code-comment-annotator-ja',
+    ruleId: 'code-comment-annotator-ja/missing-doc',
+    level: 'suggestion',
+    priority: 'low',
+    message: 'JSDocがありません'
+  }
+];
+
+describe('SarifWriter', () => {
+  const log = SarifWriter.build({
+    agents,
+    issues,
+    toolVersion: '2.2.0',
+    startTime: '2026-10-18T00:00:00.000Z',
+    endTime: '2026-10-18T00:01:00.000Z',
+    rootUri: 'file:///work/project'
+  });
+  const run = log.runs[0];
+
+  it('SARIF 2.1.0 のログ構造を出力する', () => {
+    assert.strictEqual(log.version, SARIF_VERSION);
+    assert.strictEqual(log.version, '2.1.0');
+    assert.ok(log.$schema.includes('sarif-2.1.0'));
+    assert.strictEqual(run.tool.driver.name, 'Smart Review');
+    assert.strictEqual(run.tool.driver.version, '2.2.0');
+    assert.strictEqual(run.originalUriBaseIds['%SRCROOT%'].uri, 'file:///work/project/');
+    assert.strictEqual(run.invocations[0].startTimeUtc, '2026-10-18T00:00:00.000Z');
+  });
+
+  it('エージェントをルールとして登録する', () => {
+    const [xss, comment] = run.tool.driver.rules;
+    assert.strictEqual(xss.id, 'security-error-xss-analyzer');
+    assert.strictEqual(xss.shortDescription.text, 'XSS & セキュリティ解析');
+    assert.strictEqual(xss.fullDescription.text, 'XSS脆弱性を検出する');
+    assert.strictEqual(xss.defaultConfiguration.level, 'error');
+    assert.deepStrictEqual(xss.properties.tags, ['security', 'xss']);
+    assert.strictEqual(comment.defaultConfiguration.level, 'note');
+    assert.strictEqual(comment.fullDescription, undefined);
+  });
+
+  it('問題を階層ルールIDと位置付きのresultに変換する', () => {
+    const [result] = run.results;
+    assert.strictEqual(result.ruleId, 'security-error-xss-analyzer/xss/inner-html');
+    assert.strictEqual(result.ruleIndex, 0);
+    assert.strictEqual(result.level, 'error');
+    assert.strictEqual(result.message.text, '<div> への未エスケープ代入');
+
+    const { artifactLocation, region } = result.locations[0].physicalLocation;
+    assert.strictEqual(artifactLocation.uri, 'src/view.js');
+    assert.strictEqual(artifactLocation.uriBaseId, '%SRCROOT%');
+    assert.deepStrictEqual(region, {
+      startLine: 10,
+      startColumn: 5,
+      endLine: 12,
+      snippet: { text: 'el.innerHTML = input;' }
+    });
+    assert.match(result.fingerprints['smartReview/v1'], /^[0-9a-f]{64}$/);
+  });
+
+  it('エージェントIDで始まるルールIDは重複させない', () => {
+    const result = run.results[1];
+    assert.strictEqual(result.ruleId, 'code-comment-annotator-ja/missing-doc');
+    assert.strictEqual(result.ruleIndex, 1);
+    assert.strictEqual(result.level, 'note');
+    assert.strictEqual(result.locations, undefined);
+  });
+
+  it('設定に無いエージェントの問題もルールを追加する', () => {
+    const extra = SarifWriter.build({
+      agents: [],
+      issues: [{ agentId: 'custom-agent', type: 'bug', level: 'warning', priority: 'medium', message: 'x' }]
+    });
+    const extraRun = extra.runs[0];
+    assert.strictEqual(extraRun.tool.driver.rules[0].id, 'custom-agent');
+    assert.strictEqual(extraRun.results[0].ruleId, 'custom-agent/bug');
+    assert.strictEqual(extraRun.results[0].ruleIndex, 0);
+    assert.strictEqual(extraRun.originalUriBaseIds, undefined);
+  });
+
+  it('ベースライン比較済みの問題に baselineState を付ける', () => {
+    const compared = SarifWriter.build({
+      agents,
+      issues: [{ ...issues[0], baselineStatus: 'existing' }, { ...issues[1], baselineStatus: 'new' }]
+    });
+    assert.deepStrictEqual(compared.runs[0].results.map(r => r.baselineState), ['unchanged', 'new']);
+    assert.strictEqual(run.results[0].baselineState, undefined);
+  });
+
+  it('抑制コメントで除外された問題に suppressions を付ける', () => {
+    const suppressed = SarifWriter.build({
+      agents,
+      issues: [{ ...issues[0], suppression: { scope: 'line', rules: ['security:xss'], reason: '<b> のみ許可', line: 9 } }]
+    });
+    assert.deepStrictEqual(suppressed.runs[0].results[0].suppressions, [
+      { kind: 'inSource', justification: '<b> のみ許可' }
+    ]);
+    assert.strictEqual(run.results[0].suppressions, undefined);
+  });
+
+  it('失敗したエージェント実行を toolExecutionNotifications に出力する', () => {
+    assert.strictEqual(run.invocations[0].executionSuccessful, true);
+    assert.strictEqual(run.invocations[0].toolExecutionNotifications, undefined);
+
+    const failed = SarifWriter.build({
+      agents,
+      issues,
+      agentRuns: [
+        { agentId: 'security-error-xss-analyzer', agentName: 'XSS & セキュリティ解析', iteration: 1, attempts: 2, error: 'タイムアウトしました' },
+        { agentId: 'code-comment-annotator-ja', iteration: 1, skipped: { policy: 'stopOnCritical', reason: '中止' } },
+        { agentId: 'custom-agent', agentName: 'カスタム', iteration: 2, batch: 3, error: '終了コード 1' }
+      ]
+    });
+    const [invocation] = failed.runs[0].invocations;
+    assert.strictEqual(invocation.executionSuccessful, false);
+    assert.deepStrictEqual(invocation.toolExecutionNotifications, [
+      {
+        level: 'error',
+        message: { text: 'XSS & セキュリティ解析: タイムアウトしました' },
+        associatedRule: { id: 'security-error-xss-analyzer', index: 0 },
+        properties: { iteration: 1, attempts: 2 }
+      },
+      {
+        level: 'error',
+        message: { text: 'カスタム: 終了コード 1' },
+        associatedRule: { id: 'custom-agent', index: 2 },
+        properties: { iteration: 2, attempts: 1, batch: 3 }
+      }
+    ]);
+    assert.strictEqual(failed.runs[0].tool.driver.rules[2].shortDescription.text, 'カスタム');
+  });
+
+  it('同じ問題には同じフィンガープリントを付ける', () => {
+    const again = SarifWriter.build({ agents, issues });
+    assert.strictEqual(
+      again.runs[0].results[0].fingerprints['smartReview/v1'],
+      run.results[0].fingerprints['smartReview/v1']
+    );
+  });
+});
+
+// 最終更新: 2026年10月19日 03:35 JST
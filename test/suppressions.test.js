@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * suppressions.test.js
+ * 抑制コメント（smart-review-ignore）のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:35 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { Suppressions, SuppressionSet } = require('../lib/suppressions');
+
+const xss = {
+  agentId: 'security-error-xss-analyzer',
+  ruleId: 'xss/inner-html',
+  category: 'security',
+  type: 'xss',
+  priority: 'critical',
+  file: 'src/view.js',
+  line: 2,
+  message: 'XSS'
+};
+
+describe('SuppressionSet', () => {
+  it('next-line と file の抑制コメントを抽出する', () => {
+    const set = SuppressionSet.parse('src/view.js', [
+      '// smart-review-ignore-next-line security:xss -- DOMPurifyで無害化済み',
+      'el.innerHTML = html;',
+      '/* smart-review-ignore-file quality/naming, docs -- 自動生成コード */',
+      '# smart-review-ignore-file -- ベンダーコード'
+    ].join('\n'));
+
+    assert.deepStrictEqual(set.errors, []);
+    assert.deepStrictEqual(set.lineRules.get(2)[0].rules, ['security:xss']);
+    assert.strictEqual(set.lineRules.get(2)[0].reason, 'DOMPurifyで無害化済み');
+    assert.deepStrictEqual(set.fileRules.map(d => d.rules), [['quality/naming', 'docs'], ['*']]);
+    assert.strictEqual(set.fileRules[0].reason, '自動生成コード');
+  });
+
+  it('理由の無い抑制コメントは無効', () => {
+    const set = SuppressionSet.parse('a.js', [
+      '// smart-review-ignore-next-line security:xss',
+      '// smart-review-ignore-file --   ',
+      '// smart-review-ignore-next-line -- 理由だけ'
+    ].join('\n'));
+
+    assert.strictEqual(set.lineRules.size, 0);
+    assert.strictEqual(set.fileRules.length, 0);
+    assert.strictEqual(set.errors.length, 3);
+    assert.match(set.errors[0], /^a\.js:1: .*理由/);
+    assert.match(set.errors[2], /^a\.js:3: .*ルールの指定/);
+  });
+
+  it('ルール指定をルールID・カテゴリ・エージェントIDで照合する', () => {
+    const match = rule => SuppressionSet.matches(rule, xss);
+    assert.strictEqual(match('xss/inner-html'), true);
+    assert.strictEqual(match('xss'), true);
+    assert.strictEqual(match('security'), true);
+    assert.strictEqual(match('security:xss'), true);
+    assert.strictEqual(match('security-error-xss-analyzer'), true);
+    assert.strictEqual(match('security-error-xss-analyzer/xss/inner-html'), true);
+    assert.strictEqual(match('*'), true);
+    assert.strictEqual(match('xs'), false);
+    assert.strictEqual(match('bug:xss'), false);
+    assert.strictEqual(match('quality'), false);
+  });
+});
+
+describe('Suppressions', () => {
+  const sources = {
+    'src/view.js': '// smart-review-ignore-next-line security:xss -- 無害化済み\nel.innerHTML = html;\nother();\n',
+    'src/vendor.js': '// smart-review-ignore-file -- ベンダーコード\n',
+    'src/bad.js': '// smart-review-ignore-next-line xss\nx();\n'
+  };
+  const readFile = async file => {
+    if (!(file in sources)) throw new Error('not found');
+    return sources[file];
+  };
+
+  it('一致した問題を抑制し、理由を付けて返す', async () => {
+    const issues = [
+      xss,
+      { ...xss, line: 3 },
+      { ...xss, file: './src/vendor.js', line: 10 },
+      { ...xss, file: 'src/bad.js', line: 2 },
+      { ...xss, file: 'src/missing.js' },
+      { ...xss, file: undefined }
+    ];
+    const result = await Suppressions.apply(issues, readFile);
+
+    assert.strictEqual(result.suppressed.length, 2);
+    assert.deepStrictEqual(result.suppressed[0].suppression, {
+      scope: 'line',
+      rules: ['security:xss'],
+      reason: '無害化済み',
+      line: 1
+    });
+    assert.strictEqual(result.suppressed[1].suppression.scope, 'file');
+    assert.strictEqual(result.issues.length, 4);
+    assert.deepStrictEqual(result.errors, ['src/bad.js:1: 抑制コメントには理由（「 -- 」の後の説明）が必要です']);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:35 JST
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * tool-analyzers.test.js
+ * ツールエージェント（ESLint・npm audit）のテスト
+ *
+ * バージョン: v1.0.0
+ * 最終更新: 2026年10月19日 03:55 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { ToolAnalyzers } = require('../lib/tool-analyzers');
+const { AgentRuntime, ToolRuntime } = require('../lib/agent-runtime');
+const { IssueProtocol } = require('../lib/issue-protocol');
+
+const eslintOutput = JSON.stringify([{
+  filePath: path.join(process.cwd(), 'src', 'view.js'),
+  messages: [
+    { ruleId: 'no-eval', severity: 2, message: 'eval can be harmful.', line: 3, column: 5, endLine: 3, endColumn: 15 },
+    { ruleId: '@typescript-eslint/no-unused-vars', severity: 1, message: "'x' is defined but never used.", line: 8, column: 7 },
+    { ruleId: null, fatal: true, severity: 2, message: 'Parsing error: Unexpected token', line: 12, column: 1 }
+  ]
+}, { filePath: path.join(process.cwd(), 'src', 'clean.js'), messages: [] }]);
+
+const auditOutput = JSON.stringify({
+  auditReportVersion: 2,
+  vulnerabilities: {
+    lodash: {
+      name: 'lodash',
+      severity: 'high',
+      via: [{ source: 1, name: 'lodash', title: 'Prototype Pollution in lodash', severity: 'high' }],
+      range: '<4.17.21',
+      fixAvailable: true
+    },
+    '@babel/traverse': { name: '@babel/traverse', severity: 'critical', via: ['lodash'], range: '*', fixAvailable: false }
+  }
+});
+
+describe('ToolAnalyzers', () => {
+  it('ESLintのJSON出力を問題に変換する', () => {
+    const issues = ToolAnalyzers.fromEslint(eslintOutput);
+    assert.deepStrictEqual(issues.map(issue => [issue.ruleId, issue.level, issue.file, issue.line]), [
+      ['eslint/no-eval', 'error', 'src/view.js', 3],
+      ['eslint/typescript-eslint/no-unused-vars', 'warning', 'src/view.js', 8],
+      ['eslint/parse-error', 'error', 'src/view.js', 12]
+    ]);
+    // 変換した問題はイシュープロトコルとして有効
+    const parsed = IssueProtocol.parse(ToolAnalyzers.toDocument(issues));
+    assert.strictEqual(parsed.issues.length, 3);
+    assert.deepStrictEqual(parsed.errors, []);
+  });
+
+  it('npm auditのJSON出力をパッケージごとの問題に変換する', () => {
+    const issues = ToolAnalyzers.fromNpmAudit(auditOutput, { cwd: '.', files: ['package.json'] });
+    assert.deepStrictEqual(issues.map(issue => [issue.ruleId, issue.level, issue.file]), [
+      ['npm-audit/lodash', 'error', 'package.json'],
+      ['npm-audit/babel/traverse', 'critical', 'package.json']
+    ]);
+    assert.strictEqual(issues[0].message, 'lodash (<4.17.21): Prototype Pollution in lodash（npm audit fix で修正できます）');
+    assert.strictEqual(issues[1].message, '@babel/traverse (*): 依存パッケージ lodash の脆弱性');
+
+    assert.throws(
+      () => ToolAnalyzers.fromNpmAudit('{"error":{"code":"ENOLOCK","summary":"This command requires an existing lockfile."}}', { files: ['package.json'] }),
+      /npm auditが失敗しました: This command requires an existing lockfile\./
+    );
+  });
+
+  it('同じ位置のツールの問題をLLMエージェントの問題にまとめる', () => {
+    const llm = { agentId: 'security-error-xss-analyzer', ruleId: 'xss/eval', message: 'evalに入力を渡しています', file: 'src/view.js', line: 2, endLine: 4 };
+    const other = { agentId: 'deep-code-reviewer', ruleId: 'quality/naming', message: '命名', file: 'src/other.js', line: 3 };
+    const duplicate = { agentId: 'eslint', ruleId: 'eslint/no-eval', level: 'error', message: 'eval can be harmful.', file: './src/view.js', line: 3 };
+    const toolOnly = { agentId: 'eslint', ruleId: 'eslint/no-unused-vars', level: 'warning', message: 'unused', file: 'src/view.js', line: 8 };
+
+    const { issues, duplicates, summary } = ToolAnalyzers.merge([duplicate, llm, toolOnly, other], new Set(['eslint']));
+    assert.deepStrictEqual(issues.map(issue => issue.ruleId), ['xss/eval', 'eslint/no-unused-vars', 'quality/naming']);
+    assert.deepStrictEqual(issues[0].toolFindings, [
+      { agentId: 'eslint', ruleId: 'eslint/no-eval', level: 'error', message: 'eval can be harmful.', line: 3 }
+    ]);
+    assert.strictEqual(duplicates[0].issue, duplicate);
+    assert.deepStrictEqual(summary, { llmOnly: 1, toolOnly: 1, both: 1, toolFindings: 2 });
+    // 元の問題は変更しない
+    assert.strictEqual(llm.toolFindings, undefined);
+  });
+
+  it('ツールエージェントは対象ファイルがある場合だけ実行し、検出時の終了コードを許可する', async () => {
+    const calls = [];
+    const runtime = AgentRuntime.create({ id: 'eslint', runtime: { type: 'tool', tool: 'eslint', args: ['--max-warnings', '0'] } }, {
+      executeCommand: async (command, args, options) => {
+        calls.push({ command, args, options });
+        return { stdout: eslintOutput, exitCode: 1 };
+      }
+    });
+    assert.ok(runtime instanceof ToolRuntime);
+
+    const request = { mode: 'review', agentId: 'eslint', files: ['README.md', 'src/view.js'], timeout: 1000 };
+    const { stdout } = await runtime.run(request);
+    assert.strictEqual(IssueProtocol.parse(stdout).issues.length, 3);
+    assert.strictEqual(calls[0].command, 'eslint');
+    assert.deepStrictEqual(calls[0].args, ['--format', 'json', '--no-error-on-unmatched-pattern', '--max-warnings', '0', '--', 'src/view.js']);
+    assert.deepStrictEqual(calls[0].options.allowedExitCodes, [0, 1]);
+    assert.ok(calls[0].options.env.PATH.startsWith(path.resolve('node_modules', '.bin')));
+
+    assert.deepStrictEqual(IssueProtocol.parse((await runtime.run({ ...request, files: ['README.md'] })).stdout).issues, []);
+    assert.deepStrictEqual(await runtime.run({ ...request, mode: 'fix' }), { stdout: '' });
+    assert.strictEqual(calls.length, 1);
+
+    // '-' で始まるファイル名はオプションとして渡さない
+    await runtime.run({ ...request, files: ['--fix.js'] });
+    assert.deepStrictEqual(calls.pop().args.slice(-2), ['--', '--fix.js']);
+
+    const audit = AgentRuntime.create({ id: 'audit', runtime: { type: 'tool', tool: 'npm-audit' } }, {
+      executeCommand: async (command, args, options) => {
+        calls.push({ command, args, options });
+        return { stdout: auditOutput };
+      }
+    });
+    await audit.run({ ...request, files: ['packages/app/package-lock.json', 'packages/app/package.json', 'src/view.js'] });
+    assert.deepStrictEqual(calls.slice(1).map(call => [call.command, call.args.join(' '), call.options.cwd]), [
+      ['npm', 'audit --json', path.join('packages', 'app')]
+    ]);
+  });
+
+  it('不正なツールの設定を検出する', () => {
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'tool', tool: 'eslint' }, 0), []);
+    assert.deepStrictEqual(AgentRuntime.validate({ type: 'tool', tool: 'semgrep', args: [1] }, 4), [
+      'agents[4].runtime.toolは eslint, npm-audit のいずれかである必要があります',
+      'agents[4].runtime.argsは文字列の配列である必要があります'
+    ]);
+    assert.strictEqual(ToolAnalyzers.isToolAgent({ runtime: { type: 'tool', tool: 'eslint' } }), true);
+    assert.strictEqual(ToolAnalyzers.isToolAgent({}), false);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:55 JST
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * worker-pool.test.js
+ * 同時実行数を制限したタスク実行のテスト
+ *
+ * バージョン: v1.2.0
+ * 最終更新: 2026年10月19日 03:45 JST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { WorkerPool, DEFAULT_CONCURRENCY } = require('../lib/worker-pool');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkerPool', () => {
+  it('同時実行数を超えずにすべてのタスクを実行し、入力の順に結果を返す', async () => {
+    let running = 0;
+    let peak = 0;
+    const items = [30, 5, 20, 1, 10, 15, 2];
+
+    const results = await WorkerPool.settle(items, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(ms);
+      running--;
+      return index;
+    }, { concurrency: 3 });
+
+    assert.strictEqual(peak, 3);
+    assert.deepStrictEqual(results.map(result => result.value), [0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('失敗したタスクは rejected として返し、他のタスクは続行する', async () => {
+    const results = await WorkerPool.settle(['a', 'b', 'c'], item => {
+      if (item === 'b') {
+        throw new Error('失敗');
+      }
+      return Promise.resolve(item);
+    }, { concurrency: 1 });
+
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.strictEqual(results[1].reason.message, '失敗');
+    assert.strictEqual(results[2].value, 'c');
+  });
+
+  it('不正な同時実行数は既定値にする', async () => {
+    assert.strictEqual(WorkerPool.normalizeConcurrency(undefined), DEFAULT_CONCURRENCY);
+    assert.strictEqual(WorkerPool.normalizeConcurrency(0), DEFAULT_CONCURRENCY);
+    assert.strictEqual(WorkerPool.normalizeConcurrency(2.5), DEFAULT_CONCURRENCY);
+    assert.strictEqual(WorkerPool.normalizeConcurrency('6'), 6);
+    assert.deepStrictEqual(await WorkerPool.settle([], () => {}), []);
+  });
+
+  it('依存関係の無いタスクはすぐに開始し、依存するタスクは上流の完了後に上流の結果を受け取る', async () => {
+    const events = [];
+    const tasks = [
+      { id: 'security', ms: 30 },
+      { id: 'docs', dependsOn: ['security', 'disabled'], ms: 1 },
+      { id: 'reviewer', ms: 10 },
+      { id: 'summary', dependsOn: ['docs', 'reviewer'], ms: 1 }
+    ];
+
+    const results = await WorkerPool.settleGraph(tasks, async (task, upstream) => {
+      events.push(`start:${task.id}`);
+      await delay(task.ms);
+      events.push(`end:${task.id}`);
+      if (task.id === 'reviewer') {
+        throw new Error('失敗');
+      }
+      return { id: task.id, upstream: [...upstream.keys()] };
+    }, { concurrency: 4 });
+
+    assert.deepStrictEqual(events.slice(0, 2), ['start:security', 'start:reviewer']);
+    assert.ok(events.indexOf('start:docs') > events.indexOf('end:security'));
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+    assert.deepStrictEqual(results[1].value.upstream, ['security']);
+    // 上流が失敗しても下流は実行し、失敗した結果を渡す
+    assert.deepStrictEqual(results[3].value.upstream, ['docs', 'reviewer']);
+  });
+
+  it('依存関係がある場合も同時実行数を超えず、循環は拒否する', async () => {
+    let running = 0;
+    let peak = 0;
+    const tasks = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, dependsOn: id === 'e' ? ['a'] : [] }));
+    await WorkerPool.settleGraph(tasks, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    }, { concurrency: 2 });
+    assert.strictEqual(peak, 2);
+
+    await assert.rejects(
+      WorkerPool.settleGraph([{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }], async () => {}),
+      /依存関係が循環しています: a, b/
+    );
+    await assert.rejects(WorkerPool.settleGraph([{ id: 'a' }, { id: 'a' }], async () => {}), /タスクIDが重複しています/);
+  });
+
+  it('中止後はまだ開始していないタスクをスキップし、実行中のタスクは完了を待つ', async () => {
+    let stop = null;
+    const started = [];
+    const tasks = ['security', 'debugger', 'reviewer', 'docs'].map(id => ({ id, dependsOn: id === 'docs' ? ['security'] : [] }));
+
+    const results = await WorkerPool.settleGraph(tasks, async task => {
+      started.push(task.id);
+      await delay(task.id === 'security' ? 1 : 10);
+      if (task.id === 'security') {
+        stop = { policy: 'stopOnCritical', message: '重大な問題' };
+      }
+      return task.id;
+    }, { concurrency: 2, shouldStop: () => stop });
+
+    assert.deepStrictEqual(started, ['security', 'debugger']);
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'skipped', 'skipped']);
+    assert.strictEqual(results[3].reason, stop);
+  });
+});
+
+// 最終更新: 2026年10月19日 03:45 JST